@@ -0,0 +1,212 @@
+<?php
+
+namespace App\Http\Controllers\Admin;
+
+use App\Http\Controllers\Controller;
+use App\Models\TimelineCuration;
+use App\Models\TimelinePeriod;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\DB;
+use Inertia\Inertia;
+use Inertia\Response;
+
+/**
+ * CurationController
+ *
+ * Admin console for hand-curating the timeline. Admins can pin Met objects to
+ * a period (shown first, in a chosen order), exclude objects from a period
+ * (never shown), and reorder pins. TimelineController applies these decisions
+ * before falling back to shuffled search results.
+ *
+ * Access:
+ * - Requires auth + otp.verified + admin middleware
+ *
+ * Curation JSON Shape (per period slug):
+ * {
+ *   "renaissance": {
+ *     "pinned":   [{ "object_id": 437853, "note": "...", "position": 1 }, ...],
+ *     "excluded": [{ "object_id": 12345, "note": "...", "position": 0 }, ...]
+ *   },
+ *   ...
+ * }
+ *
+ * @package App\Http\Controllers\Admin
+ *
+ * @see \App\Models\TimelineCuration
+ * @see \App\Http\Controllers\TimelineController::getByPeriod()
+ */
+class CurationController extends Controller
+{
+    /**
+     * Render the curation console.
+     *
+     * Props:
+     * - periods: every period definition (inactive ones included, so they
+     *   can be prepared before going live)
+     * - curations: current decisions keyed by period slug
+     */
+    public function show(): Response
+    {
+        $periods = TimelinePeriod::orderBy('sort_order')->orderBy('id')->get();
+
+        return Inertia::render('Admin/Curation', [
+            'periods' => $periods->map->toDefinition()->values(),
+            'curations' => $this->curationsByPeriod($periods),
+        ]);
+    }
+
+    /**
+     * Get all curation decisions as JSON, keyed by period slug.
+     */
+    public function index()
+    {
+        $periods = TimelinePeriod::orderBy('sort_order')->orderBy('id')->get();
+
+        return response()->json($this->curationsByPeriod($periods));
+    }
+
+    /**
+     * Pin or exclude an object in a period.
+     *
+     * Re-submitting an object already curated in the period switches its type
+     * and/or updates its note. Newly pinned objects go to the end of the pins.
+     *
+     * Request Body:
+     * - object_id (int, required): Met object ID
+     * - type (string, required): "pin" or "exclude"
+     * - note (string, optional): curator note, max 500 characters
+     *
+     * Status Codes:
+     * - 201: decision created
+     * - 200: existing decision updated
+     * - 404: unknown period
+     * - 422: validation failed
+     */
+    public function store(Request $request, string $period)
+    {
+        $timelinePeriod = TimelinePeriod::where('slug', $period)->firstOrFail();
+
+        $validated = $request->validate([
+            'object_id' => 'required|integer|min:1',
+            'type' => 'required|in:' . TimelineCuration::TYPE_PIN . ',' . TimelineCuration::TYPE_EXCLUDE,
+            'note' => 'nullable|string|max:500',
+        ]);
+
+        $curation = $timelinePeriod->curations()->firstOrNew(['object_id' => $validated['object_id']]);
+        $becomesPin = $validated['type'] === TimelineCuration::TYPE_PIN
+            && (!$curation->exists || $curation->type !== TimelineCuration::TYPE_PIN);
+
+        if ($becomesPin) {
+            $curation->position = (int) $timelinePeriod->curations()->pinned()->max('position') + 1;
+        }
+
+        $curation->type = $validated['type'];
+        $curation->note = $validated['note'] ?? null;
+        $curation->created_by ??= $request->user()->id;
+        $wasCreated = !$curation->exists;
+        $curation->save();
+
+        return response()->json([
+            'message' => $validated['type'] === TimelineCuration::TYPE_PIN ? 'Artwork pinned' : 'Artwork excluded',
+            'curation' => $this->formatCuration($curation),
+        ], $wasCreated ? 201 : 200);
+    }
+
+    /**
+     * Reorder the pinned objects of a period.
+     *
+     * Request Body:
+     * - object_ids (int[], required): pinned object IDs in their new order.
+     *   Pins missing from the list keep their relative order after the listed ones.
+     *
+     * @return \Illuminate\Http\JsonResponse The period's pins in their new order
+     */
+    public function reorder(Request $request, string $period)
+    {
+        $timelinePeriod = TimelinePeriod::where('slug', $period)->firstOrFail();
+
+        $validated = $request->validate([
+            'object_ids' => 'required|array',
+            'object_ids.*' => 'integer|min:1',
+        ]);
+
+        $pins = $timelinePeriod->curations()->pinned()->get()->keyBy('object_id');
+        $listed = array_values(array_unique(array_filter($validated['object_ids'], fn ($id) => $pins->has($id))));
+        $order = array_merge($listed, $pins->keys()->diff($listed)->values()->all());
+
+        DB::transaction(function () use ($order, $pins) {
+            foreach ($order as $index => $objectId) {
+                $pins[$objectId]->update(['position' => $index + 1]);
+            }
+        });
+
+        return response()->json([
+            'message' => 'Pins reordered',
+            'pinned' => $timelinePeriod->curations()->pinned()->get()->map(fn ($curation) => $this->formatCuration($curation))->values(),
+        ]);
+    }
+
+    /**
+     * Remove a pin or exclusion, returning the object to normal selection.
+     *
+     * Status Codes:
+     * - 200: removed
+     * - 404: unknown period or object not curated in it
+     */
+    public function destroy(string $period, string $objectId)
+    {
+        $timelinePeriod = TimelinePeriod::where('slug', $period)->firstOrFail();
+
+        $curation = $timelinePeriod->curations()->where('object_id', (int) $objectId)->first();
+
+        if (!$curation) {
+            return response()->json(['message' => 'Artwork is not curated in this period'], 404);
+        }
+
+        $curation->delete();
+
+        return response()->json(['message' => 'Curation removed']);
+    }
+
+    /**
+     * Group curation decisions by period slug.
+     *
+     * @param \Illuminate\Support\Collection<int, TimelinePeriod> $periods
+     *
+     * @return array<string, array{pinned: array, excluded: array}>
+     */
+    private function curationsByPeriod($periods): array
+    {
+        $curations = TimelineCuration::whereIn('timeline_period_id', $periods->pluck('id'))
+            ->orderBy('position')
+            ->orderBy('id')
+            ->get()
+            ->groupBy('timeline_period_id');
+
+        $result = [];
+
+        foreach ($periods as $period) {
+            $decisions = $curations->get($period->id, collect());
+
+            $result[$period->slug] = [
+                'pinned' => $decisions->where('type', TimelineCuration::TYPE_PIN)->map(fn ($curation) => $this->formatCuration($curation))->values()->all(),
+                'excluded' => $decisions->where('type', TimelineCuration::TYPE_EXCLUDE)->map(fn ($curation) => $this->formatCuration($curation))->values()->all(),
+            ];
+        }
+
+        return $result;
+    }
+
+    /**
+     * Shape of one decision in responses.
+     */
+    private function formatCuration(TimelineCuration $curation): array
+    {
+        return [
+            'object_id' => $curation->object_id,
+            'type' => $curation->type,
+            'note' => $curation->note,
+            'position' => $curation->position,
+        ];
+    }
+}
@@ -0,0 +1,67 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use Illuminate\Http\Request;
+use Inertia\Inertia;
+use Inertia\Response;
+
+/**
+ * BrowseController
+ *
+ * Renders the department browser: the list of Met departments, or one
+ * department's artworks narrowed by an optional date range and paged.
+ *
+ * The department list and the artworks are loaded by the page itself through
+ * the Met proxy (/api/met/departments and /api/met/search with the
+ * departmentId, dateBegin and dateEnd facets); this controller only turns
+ * the URL into props, so every view can be bookmarked.
+ *
+ * @package App\Http\Controllers
+ *
+ * @see \App\Http\Controllers\MetMuseumController::getDepartments()
+ * @see \App\Http\Controllers\MetMuseumController::search()
+ */
+class BrowseController extends Controller
+{
+    /**
+     * Lowest and highest year accepted for the date range (same bounds as
+     * the search proxy's dateBegin/dateEnd validation).
+     */
+    private const MIN_YEAR = -5000;
+    private const MAX_YEAR = 2100;
+
+    /**
+     * Render the Browse page.
+     *
+     * Props:
+     * - departmentId: department being browsed, or null for the department list
+     * - dateBegin / dateEnd: year range from ?dateBegin=&dateEnd=, or null when
+     *   either is missing, invalid or the range is reversed
+     * - page: 1-based page from ?page= (defaults to 1)
+     *
+     * Invalid values are ignored rather than rejected, so a mangled link
+     * still opens the department.
+     *
+     * @param Request $request
+     * @param int|null $departmentId Met department ID from the URL
+     *
+     * @return Response
+     */
+    public function show(Request $request, ?int $departmentId = null): Response
+    {
+        $year = ['options' => ['min_range' => self::MIN_YEAR, 'max_range' => self::MAX_YEAR]];
+        $dateBegin = filter_var($request->query('dateBegin'), FILTER_VALIDATE_INT, $year);
+        $dateEnd = filter_var($request->query('dateEnd'), FILTER_VALIDATE_INT, $year);
+        $hasRange = $dateBegin !== false && $dateEnd !== false && $dateBegin <= $dateEnd;
+
+        $page = filter_var($request->query('page'), FILTER_VALIDATE_INT, ['options' => ['min_range' => 1]]);
+
+        return Inertia::render('Browse', [
+            'departmentId' => $departmentId,
+            'dateBegin' => $hasRange ? $dateBegin : null,
+            'dateEnd' => $hasRange ? $dateEnd : null,
+            'page' => $page === false ? 1 : $page,
+        ]);
+    }
+}
@@ -2,6 +2,7 @@
 
 namespace App\Http\Controllers;
 
+use App\Models\TimelinePeriod;
 use App\Models\UserArtwork;
 use Illuminate\Http\Request;
 use Inertia\Inertia;
@@ -38,12 +39,30 @@
  */
 class CollectionController extends Controller
 {
+    /**
+     * Validation rules for stored links and images: https URLs on a
+     * metmuseum.org host only. The frontend renders them as href/src, so
+     * other schemes (e.g. "javascript:") must never be stored.
+     */
+    private const MET_URL_RULES = [
+        'string',
+        'max:500',
+        'url:https',
+        'regex:/^https:\/\/([a-z0-9-]+\.)*metmuseum\.org(\/|$)/i',
+    ];
+
     /**
      * Inertia page for the user's collection.
+     * 
+     * Props:
+     * - eras: Active timeline periods ([{ id, title }], timeline order) for
+     *   the period filter; saved artworks carry the matching "era" slug.
      */
     public function show(Request $request): Response
     {
-        return Inertia::render('Collection');
+        return Inertia::render('Collection', [
+            'eras' => TimelinePeriod::eraOptions(),
+        ]);
     }
 
     /**
@@ -70,9 +89,21 @@ public function show(Request $request): Response
      *     "artwork_id": "45678",
      *     "title": "Starry Night",
      *     "artist": "Vincent van Gogh",
+     *     "year": "1889",
+     *     "object_begin_date": 1889,
+     *     "object_end_date": 1889,
      *     "period": "Post-Impressionism",
+     *     "era": "modern",
+     *     "culture": "",
+     *     "medium": "Oil on canvas",
+     *     "department": "European Paintings",
      *     "image_url": "https://...",
+     *     "image_full_url": "https://...",
+     *     "additional_images": [],
      *     "description": "...",
+     *     "object_url": "https://www.metmuseum.org/art/collection/search/436524",
+     *     "is_public_domain": true,
+     *     ...
      *     "notes": "User's personal notes",
      *     "created_at": "2024-01-15T10:30:00.000000Z",
      *     "updated_at": "2024-01-15T10:30:00.000000Z"
@@ -118,13 +149,30 @@ public function index(Request $request)
      * duplicate entries by checking if the artwork already exists in the
      * user's collection before saving.
      * 
+     * The frontend sends the whole normalized artwork (collectionPayload in
+     * resources/js/lib/collection.js), so the collection can be sorted,
+     * filtered and displayed without re-querying the Met. Only artwork_id is
+     * required; older clients sending the short payload still work.
+     * 
      * Validation:
      * - artwork_id: Required, string identifier from external API
      * - title: Optional, max 255 characters
      * - artist: Optional, max 255 characters
+     * - year: Optional display date, max 255 characters (e.g. "ca. 1665")
+     * - artist_bio, medium, dimensions: Optional, text fields
+     * - object_begin_date / object_end_date: Optional integer years (negative = BCE)
      * - period: Optional, max 100 characters (e.g., "Renaissance")
-     * - image_url: Optional, max 500 characters (URL to artwork image)
-     * - description: Optional, text field (no length limit)
+     * - culture, location, department, classification, repository: Optional, max 255 characters
+     * - image_url / image_full_url / object_url: Optional, max 500 characters
+     * - additional_images: Optional array of up to 100 URLs (max 500 characters each)
+     * - description: Optional, text field (credit line, no length limit)
+     * - is_public_domain: Optional boolean (not null; defaults to false)
+     * - metadata_date: Optional date (when the Met last updated the record)
+     * 
+     * Era:
+     * - Not sent by the client: the timeline era is classified from
+     *   object_begin_date/object_end_date (TimelinePeriod::classify) and
+     *   stored in "era"; undated artworks get null
      * 
      * Duplicate Prevention:
      * - Checks if user already has this artwork_id saved
@@ -139,9 +187,15 @@ public function index(Request $request)
      *   "artwork_id": "436524",
      *   "title": "The Starry Night",
      *   "artist": "Vincent van Gogh",
+     *   "year": "1889",
+     *   "object_begin_date": 1889,
+     *   "object_end_date": 1889,
      *   "period": "Post-Impressionism",
+     *   "medium": "Oil on canvas",
      *   "image_url": "https://images.metmuseum.org/...",
-     *   "description": "Oil on canvas painting..."
+     *   "image_full_url": "https://images.metmuseum.org/...",
+     *   "description": "Gift of ...",
+     *   "is_public_domain": true
      * }
      * 
      * Success Response (201 Created):
@@ -166,6 +220,7 @@ public function index(Request $request)
      * 1. Missing artwork_id: 422 Validation Error
      * 2. Duplicate artwork: 409 Conflict
      * 3. Invalid data types: 422 Validation Error
+     * 4. Image or object URLs that are not https metmuseum.org URLs: 422 Validation Error
      * 
      * Database Operations:
      * - Inserts new record in user_artworks table
@@ -186,9 +241,26 @@ public function store(Request $request)
             'artwork_id' => 'required|string',
             'title' => 'nullable|string|max:255',
             'artist' => 'nullable|string|max:255',
+            'year' => 'nullable|string|max:255',
+            'artist_bio' => 'nullable|string',
+            'object_begin_date' => 'nullable|integer',
+            'object_end_date' => 'nullable|integer',
             'period' => 'nullable|string|max:100',
-            'image_url' => 'nullable|string|max:500',
+            'culture' => 'nullable|string|max:255',
+            'location' => 'nullable|string|max:255',
+            'medium' => 'nullable|string',
+            'dimensions' => 'nullable|string',
+            'department' => 'nullable|string|max:255',
+            'classification' => 'nullable|string|max:255',
+            'image_url' => ['nullable', ...self::MET_URL_RULES],
+            'image_full_url' => ['nullable', ...self::MET_URL_RULES],
+            'additional_images' => 'nullable|array|max:100',
+            'additional_images.*' => self::MET_URL_RULES,
             'description' => 'nullable|string',
+            'object_url' => ['nullable', ...self::MET_URL_RULES],
+            'is_public_domain' => 'sometimes|boolean',
+            'metadata_date' => 'nullable|date',
+            'repository' => 'nullable|string|max:255',
         ]);
 
         // Check if artwork already exists in user's collection
@@ -208,7 +280,11 @@ public function store(Request $request)
         // Spread operator (...) merges validated data
         $artwork = UserArtwork::create([
             'user_id' => $request->user()->id,
-            ...$validated
+            ...$validated,
+            'era' => TimelinePeriod::classify(
+                $validated['object_begin_date'] ?? null,
+                $validated['object_end_date'] ?? null
+            ),
         ]);
 
         // Return success response with created artwork
@@ -0,0 +1,162 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\UserArtwork;
+use Illuminate\Http\Request;
+use Illuminate\Support\Collection;
+use Illuminate\Support\Str;
+
+/**
+ * CollectionExportController
+ *
+ * Exports the signed-in user's whole collection, built entirely on the server
+ * from the stored rows (no Met requests):
+ * - csv: one row per artwork with every saved column, notes and gallery names
+ * - json: the same records with native types (arrays, booleans, integers)
+ * - catalogue: a printable HTML catalogue (images, captions, notes) styled
+ *   for paper; the browser's "Save as PDF" turns it into a PDF
+ *
+ * Artworks are listed like the collection API: most recently saved first.
+ *
+ * Access:
+ * - Requires auth + otp.verified middleware
+ *
+ * @package App\Http\Controllers
+ *
+ * @see \App\Models\UserArtwork
+ * @see resources/views/exports/catalogue.blade.php
+ */
+class CollectionExportController extends Controller
+{
+    /**
+     * Exported fields in column order ([key => CSV header]).
+     */
+    private const COLUMNS = [
+        'artwork_id' => 'Met Object ID',
+        'title' => 'Title',
+        'artist' => 'Artist',
+        'artist_bio' => 'Artist Bio',
+        'year' => 'Date',
+        'object_begin_date' => 'Begin Year',
+        'object_end_date' => 'End Year',
+        'period' => 'Period',
+        'era' => 'Timeline Era',
+        'culture' => 'Culture',
+        'location' => 'Place',
+        'medium' => 'Medium',
+        'dimensions' => 'Dimensions',
+        'department' => 'Department',
+        'classification' => 'Classification',
+        'description' => 'Credit Line',
+        'repository' => 'Repository',
+        'is_public_domain' => 'Public Domain',
+        'object_url' => 'Met URL',
+        'image_url' => 'Image URL',
+        'image_full_url' => 'Full Image URL',
+        'additional_images' => 'Additional Images',
+        'metadata_date' => 'Met Metadata Date',
+        'galleries' => 'Galleries',
+        'notes' => 'Notes',
+        'saved_at' => 'Saved At',
+        'updated_at' => 'Updated At',
+    ];
+
+    /**
+     * Download or display the collection export.
+     *
+     * Route Parameters:
+     * - format: "csv", "json" or "catalogue" (constrained in routes/web.php)
+     *
+     * Responses:
+     * - csv / json: file download named "{app}-collection-{date}.{ext}"
+     * - catalogue: HTML page shown in the browser, ready to print
+     */
+    public function export(Request $request, string $format)
+    {
+        $user = $request->user();
+        $records = $this->records($user->id);
+        $filename = Str::slug(config('app.name')) . '-collection-' . now()->format('Y-m-d');
+
+        return match ($format) {
+            'csv' => $this->csv($records, "{$filename}.csv"),
+            'json' => response()->json([
+                'exported_at' => now()->toIso8601String(),
+                'owner' => $user->name,
+                'count' => $records->count(),
+                'artworks' => $records->values(),
+            ], 200, [
+                'Content-Disposition' => "attachment; filename=\"{$filename}.json\"",
+            ], JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE),
+            'catalogue' => response()->view('exports.catalogue', [
+                'owner' => $user->name,
+                // Links and images in the page: http(s) URLs only
+                'artworks' => $records->map(fn ($record) => [
+                    ...$record,
+                    'image_url' => UserArtwork::safeUrl($record['image_url']),
+                    'object_url' => UserArtwork::safeUrl($record['object_url']),
+                ]),
+                'exportedAt' => now(),
+            ]),
+        };
+    }
+
+    /**
+     * The user's artworks as export records (keys of COLUMNS, native types).
+     *
+     * @return Collection<int, array<string, mixed>>
+     */
+    private function records(int $userId): Collection
+    {
+        return UserArtwork::where('user_id', $userId)
+            ->with('galleries')
+            ->orderBy('created_at', 'desc')
+            ->orderBy('id', 'desc')
+            ->get()
+            ->map(fn (UserArtwork $artwork) => [
+                ...$artwork->only(array_keys(self::COLUMNS)),
+                'artwork_id' => (string) $artwork->artwork_id,
+                'additional_images' => $artwork->additional_images ?? [],
+                'metadata_date' => $artwork->metadata_date?->toIso8601String(),
+                'galleries' => $artwork->galleries->pluck('name')->all(),
+                'saved_at' => $artwork->created_at?->toIso8601String(),
+                'updated_at' => $artwork->updated_at?->toIso8601String(),
+            ]);
+    }
+
+    /**
+     * Stream the records as a UTF-8 CSV file (with BOM, so spreadsheet apps
+     * detect the encoding). Lists are joined: images with " | ", galleries with "; ".
+     */
+    private function csv(Collection $records, string $filename)
+    {
+        return response()->streamDownload(function () use ($records) {
+            $out = fopen('php://output', 'w');
+            fwrite($out, "\u{FEFF}");
+            fputcsv($out, array_values(self::COLUMNS));
+
+            foreach ($records as $record) {
+                fputcsv($out, array_map(fn ($key) => $this->csvCell($key, $record[$key] ?? null), array_keys(self::COLUMNS)));
+            }
+
+            fclose($out);
+        }, $filename, ['Content-Type' => 'text/csv; charset=UTF-8']);
+    }
+
+    /**
+     * Format one CSV cell. Text starting with a formula character is prefixed
+     * with an apostrophe so spreadsheets do not evaluate notes or titles.
+     */
+    private function csvCell(string $key, mixed $value): string
+    {
+        if (is_array($value)) {
+            $value = implode($key === 'galleries' ? '; ' : ' | ', $value);
+        } elseif (is_bool($value)) {
+            return $value ? 'yes' : 'no';
+        } elseif (!is_string($value)) {
+            return (string) $value;
+        }
+
+        return preg_match('/^[=+\-@\t\r]/', $value) ? "'" . $value : $value;
+    }
+}
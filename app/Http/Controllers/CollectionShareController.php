@@ -0,0 +1,150 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\CollectionShare;
+use App\Models\Gallery;
+use Illuminate\Http\Request;
+use Inertia\Inertia;
+use Inertia\Response;
+
+/**
+ * CollectionShareController
+ *
+ * Public share links for a collection or a gallery. The owner creates a link
+ * (an unguessable token), lists and revokes their links through the API;
+ * anyone holding a link gets a read-only page at /shared/{token}.
+ *
+ * Access:
+ * - index, store, destroy: auth + otp.verified; links of other users answer 404
+ * - show: public, no login required
+ *
+ * Privacy:
+ * - The public page receives only UserArtwork::toPublicArtwork() (Met fields);
+ *   notes and other private columns are never sent
+ * - Revoking deletes the link; the old URL then answers 404, and a new link
+ *   for the same target gets a new token
+ *
+ * Share JSON Shape (see CollectionShare::toSummary()):
+ * {
+ *   "token": "Qm3v...",
+ *   "url": "https://example.com/shared/Qm3v...",
+ *   "gallery_id": 3,       // null for the whole collection
+ *   "created_at": "..."
+ * }
+ *
+ * @package App\Http\Controllers
+ *
+ * @see \App\Models\CollectionShare
+ * @see \App\Http\Controllers\GalleryController
+ */
+class CollectionShareController extends Controller
+{
+    /**
+     * List the user's active share links.
+     *
+     * @return \Illuminate\Http\JsonResponse JSON array of share links
+     */
+    public function index(Request $request)
+    {
+        $shares = CollectionShare::where('user_id', $request->user()->id)
+            ->orderBy('created_at')
+            ->get();
+
+        return response()->json($shares->map->toSummary()->values());
+    }
+
+    /**
+     * Create the share link for the collection or one gallery.
+     *
+     * Sharing a target that already has a link returns that link, so the
+     * owner keeps one URL per collection/gallery until they revoke it.
+     *
+     * Request Body:
+     * - gallery_id (int, optional): gallery to share; omitted or null shares
+     *   the whole collection
+     *
+     * Status Codes:
+     * - 201: link created
+     * - 200: existing link returned
+     * - 404: unknown gallery (or another user's)
+     */
+    public function store(Request $request)
+    {
+        $validated = $request->validate([
+            'gallery_id' => 'nullable|integer',
+        ]);
+
+        $userId = $request->user()->id;
+        $galleryId = $validated['gallery_id'] ?? null;
+
+        if ($galleryId !== null) {
+            Gallery::where('user_id', $userId)->where('id', $galleryId)->firstOrFail();
+        }
+
+        $share = CollectionShare::where('user_id', $userId)
+            ->where('gallery_id', $galleryId)
+            ->first();
+
+        $created = !$share;
+
+        if ($created) {
+            $share = CollectionShare::create([
+                'token' => CollectionShare::generateToken(),
+                'user_id' => $userId,
+                'gallery_id' => $galleryId,
+            ]);
+        }
+
+        return response()->json([
+            'message' => $created ? 'Share link created' : 'Share link already exists',
+            'share' => $share->toSummary(),
+        ], $created ? 201 : 200);
+    }
+
+    /**
+     * Revoke a share link.
+     *
+     * Status Codes:
+     * - 200: revoked
+     * - 404: unknown link (or another user's)
+     */
+    public function destroy(Request $request, string $token)
+    {
+        CollectionShare::where('user_id', $request->user()->id)
+            ->where('token', $token)
+            ->firstOrFail()
+            ->delete();
+
+        return response()->json(['message' => 'Share link revoked']);
+    }
+
+    /**
+     * Public, read-only page for a share link.
+     *
+     * Props:
+     * - share: { title, owner, is_gallery, shared_at }; title is the gallery
+     *   name, or null for a whole collection (the page names it after the owner)
+     * - artworks: Public artwork data (normalized shape, no notes), in gallery
+     *   order or most recently saved first
+     *
+     * Status Codes:
+     * - 404: unknown or revoked token
+     */
+    public function show(string $token): Response
+    {
+        $share = CollectionShare::with(['user', 'gallery'])
+            ->where('token', $token)
+            ->firstOrFail();
+
+        return Inertia::render('SharedCollection', [
+            'share' => [
+                'title' => $share->gallery?->name,
+                'owner' => $share->user->name,
+                'is_gallery' => $share->gallery_id !== null,
+                'shared_at' => $share->created_at,
+            ],
+            'artworks' => $share->artworks()->map->toPublicArtwork()->values(),
+        ]);
+    }
+}
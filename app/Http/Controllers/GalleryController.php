@@ -0,0 +1,243 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\Gallery;
+use App\Models\UserArtwork;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Validation\Rule;
+
+/**
+ * GalleryController
+ *
+ * Named galleries inside the user's collection. Users create galleries,
+ * put saved artworks into any number of them, and reorder the works within
+ * a gallery. Only artworks already in the collection (user_artworks) can be
+ * added; the frontend saves an artwork first when needed.
+ *
+ * Access:
+ * - Requires auth + otp.verified middleware
+ * - Galleries of other users answer 404, like unknown ones
+ *
+ * Gallery JSON Shape (see Gallery::toSummary()):
+ * {
+ *   "id": 3,
+ *   "name": "Thesis references",
+ *   "artwork_ids": ["436524", "437881"],
+ *   "created_at": "...",
+ *   "updated_at": "..."
+ * }
+ *
+ * @package App\Http\Controllers
+ *
+ * @see \App\Models\Gallery
+ * @see \App\Http\Controllers\CollectionController
+ */
+class GalleryController extends Controller
+{
+    /**
+     * List the user's galleries, oldest first, with their artworks in order.
+     *
+     * @return \Illuminate\Http\JsonResponse JSON array of galleries
+     */
+    public function index(Request $request)
+    {
+        $galleries = Gallery::where('user_id', $request->user()->id)
+            ->with('artworks')
+            ->orderBy('created_at')
+            ->orderBy('id')
+            ->get();
+
+        return response()->json($galleries->map->toSummary()->values());
+    }
+
+    /**
+     * Create a gallery.
+     *
+     * Request Body:
+     * - name (string, required): max 100 characters, unique among the user's galleries
+     *
+     * Status Codes:
+     * - 201: created
+     * - 422: missing, too long or duplicate name
+     */
+    public function store(Request $request)
+    {
+        $validated = $request->validate([
+            'name' => ['required', 'string', 'max:100', $this->uniqueName($request)],
+        ]);
+
+        $gallery = Gallery::create([
+            'user_id' => $request->user()->id,
+            'name' => $validated['name'],
+        ]);
+
+        return response()->json([
+            'message' => 'Gallery created',
+            'gallery' => $gallery->load('artworks')->toSummary(),
+        ], 201);
+    }
+
+    /**
+     * Rename a gallery.
+     *
+     * Request Body:
+     * - name (string, required): max 100 characters, unique among the user's galleries
+     *
+     * Status Codes:
+     * - 200: renamed
+     * - 404: unknown gallery
+     * - 422: missing, too long or duplicate name
+     */
+    public function update(Request $request, string $galleryId)
+    {
+        $gallery = $this->findGallery($request, $galleryId);
+
+        $validated = $request->validate([
+            'name' => ['required', 'string', 'max:100', $this->uniqueName($request)->ignore($gallery->id)],
+        ]);
+
+        $gallery->update(['name' => $validated['name']]);
+
+        return response()->json([
+            'message' => 'Gallery renamed',
+            'gallery' => $gallery->load('artworks')->toSummary(),
+        ]);
+    }
+
+    /**
+     * Delete a gallery. Its artworks stay in the collection.
+     *
+     * Status Codes:
+     * - 200: deleted
+     * - 404: unknown gallery
+     */
+    public function destroy(Request $request, string $galleryId)
+    {
+        $this->findGallery($request, $galleryId)->delete();
+
+        return response()->json(['message' => 'Gallery deleted']);
+    }
+
+    /**
+     * Add a saved artwork to the end of a gallery.
+     *
+     * Request Body:
+     * - artwork_id (string, required): Met object ID of an artwork in the collection
+     *
+     * Status Codes:
+     * - 201: added
+     * - 200: already in the gallery (unchanged)
+     * - 404: unknown gallery, or the artwork is not in the collection
+     */
+    public function addArtwork(Request $request, string $galleryId)
+    {
+        $gallery = $this->findGallery($request, $galleryId);
+
+        $validated = $request->validate([
+            'artwork_id' => 'required|string',
+        ]);
+
+        $artwork = UserArtwork::where('user_id', $request->user()->id)
+            ->where('artwork_id', $validated['artwork_id'])
+            ->first();
+
+        if (!$artwork) {
+            return response()->json(['message' => 'Artwork not in collection'], 404);
+        }
+
+        $alreadyAdded = $gallery->artworks()->whereKey($artwork->id)->exists();
+
+        if (!$alreadyAdded) {
+            $position = (int) DB::table('gallery_artwork')->where('gallery_id', $gallery->id)->max('position') + 1;
+            $gallery->artworks()->attach($artwork->id, ['position' => $position]);
+            $gallery->touch();
+        }
+
+        return response()->json([
+            'message' => $alreadyAdded ? 'Artwork already in gallery' : 'Artwork added to gallery',
+            'gallery' => $gallery->load('artworks')->toSummary(),
+        ], $alreadyAdded ? 200 : 201);
+    }
+
+    /**
+     * Remove an artwork from a gallery (it stays in the collection).
+     *
+     * Status Codes:
+     * - 200: removed
+     * - 404: unknown gallery, or the artwork is not in it
+     */
+    public function removeArtwork(Request $request, string $galleryId, string $artworkId)
+    {
+        $gallery = $this->findGallery($request, $galleryId);
+
+        $artwork = $gallery->artworks()->where('artwork_id', $artworkId)->first();
+
+        if (!$artwork) {
+            return response()->json(['message' => 'Artwork not in gallery'], 404);
+        }
+
+        $gallery->artworks()->detach($artwork->id);
+        $gallery->touch();
+
+        return response()->json([
+            'message' => 'Artwork removed from gallery',
+            'gallery' => $gallery->load('artworks')->toSummary(),
+        ]);
+    }
+
+    /**
+     * Reorder the artworks of a gallery.
+     *
+     * Request Body:
+     * - artwork_ids (string[], required): Met object IDs in their new order.
+     *   Artworks missing from the list keep their relative order after the
+     *   listed ones; IDs not in the gallery are ignored.
+     *
+     * @return \Illuminate\Http\JsonResponse The gallery in its new order
+     */
+    public function reorder(Request $request, string $galleryId)
+    {
+        $gallery = $this->findGallery($request, $galleryId);
+
+        $validated = $request->validate([
+            'artwork_ids' => 'required|array',
+            'artwork_ids.*' => 'string',
+        ]);
+
+        $members = $gallery->artworks->keyBy(fn ($artwork) => (string) $artwork->artwork_id);
+        $listed = array_values(array_unique(array_filter($validated['artwork_ids'], fn ($id) => $members->has($id))));
+        $order = array_merge($listed, $members->keys()->diff($listed)->values()->all());
+
+        DB::transaction(function () use ($gallery, $order, $members) {
+            foreach ($order as $index => $artworkId) {
+                $gallery->artworks()->updateExistingPivot($members[$artworkId]->id, ['position' => $index + 1]);
+            }
+        });
+        $gallery->touch();
+
+        return response()->json([
+            'message' => 'Gallery reordered',
+            'gallery' => $gallery->load('artworks')->toSummary(),
+        ]);
+    }
+
+    /**
+     * Find one of the user's galleries or fail with 404.
+     */
+    private function findGallery(Request $request, string $galleryId): Gallery
+    {
+        return Gallery::where('user_id', $request->user()->id)
+            ->where('id', $galleryId)
+            ->firstOrFail();
+    }
+
+    /**
+     * Validation rule: gallery name not used by another of the user's galleries.
+     */
+    private function uniqueName(Request $request): \Illuminate\Validation\Rules\Unique
+    {
+        return Rule::unique('galleries', 'name')->where('user_id', $request->user()->id);
+    }
+}
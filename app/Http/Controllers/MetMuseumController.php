@@ -2,6 +2,10 @@
 
 namespace App\Http\Controllers;
 
+use App\Models\MetObjectFailure;
+use Illuminate\Http\Client\ConnectionException;
+use Illuminate\Http\Client\Pool;
+use Illuminate\Http\Client\Response;
 use Illuminate\Http\Request;
 use Illuminate\Support\Facades\Cache;
 use Illuminate\Support\Facades\Http;
@@ -20,13 +24,16 @@
  * - Search artwork by keywords with image filtering
  * - Get detailed object information by ID
  * - Filter artworks by department and time period
+ * - List the Met's departments for browsing
  * - Batch fetch multiple objects in single request
+ * - Shared blacklist of broken objects (MetObjectFailure) with retry-after times
  * - Comprehensive caching strategy (24 hours to 7 days)
  * - Error handling and logging
  * 
  * Caching Strategy:
  * - Search results: 24 hours (frequently changing)
  * - Object details: 7 days (static data, rarely changes)
+ * - Departments: 7 days (rarely changes)
  * - Period filters: 24 hours (frequently used, stable)
  * - Batch requests: 24 hours per object
  * 
@@ -51,22 +58,41 @@ class MetMuseumController extends Controller
      */
     private $baseUrl = 'https://collectionapi.metmuseum.org/public/collection/v1';
 
+    /**
+     * Upstream statuses that mean "slow down" rather than "this object is broken".
+     * 
+     * @var int[]
+     */
+    private const RATE_LIMIT_STATUSES = [429, 503];
+
     /**
      * Search for artworks (cached for 24 hours).
      * 
      * Searches the Met Museum collection by keyword query with optional image
-     * filtering. Results are cached for 24 hours to improve performance.
+     * filtering and facets. Results are cached for 24 hours to improve performance.
      * 
      * Query Parameters:
      * - q: Search query (default: '*' for all)
      * - hasImages: Filter for objects with images (default: 'true')
+     * - departmentId: Met department ID (see /departments)
+     * - dateBegin / dateEnd: Year range, both required together (BC years negative)
+     * - medium: Object medium or type, several joined with '|' (e.g. "Paintings|Quilts")
+     * - geoLocation: Place of origin, several joined with '|' (e.g. "France|Paris")
+     * - isHighlight / isOnView: 'true' to keep highlighted / on view objects only
+     * - artistOrCulture: 'true' to match q against artist name or culture only
+     *   (used by the artist pages)
+     * 
+     * Facets are validated before anything is sent upstream (422 on bad input)
+     * and only forwarded when set. The Met search API has no public domain
+     * facet; the frontend filters resolved objects on isPublicDomain instead.
      * 
      * Cache Key Format:
-     * - "met_search_{md5(query + hasImages)}"
-     * - MD5 hash ensures unique keys for different queries
+     * - "met_search_{md5(json of every forwarded parameter)}"
+     * - Every facet is part of the key, so filtered and unfiltered searches
+     *   never share results
      * 
      * API Endpoint:
-     * - GET /search?q={query}&hasImages={boolean}
+     * - GET /search?q={query}&hasImages={boolean}&departmentId=...&dateBegin=...
      * 
      * @param Request $request The HTTP request with query parameters
      * 
@@ -75,6 +101,10 @@ class MetMuseumController extends Controller
      * Request Parameters:
      * - q (string, optional): Search query, default '*' (all objects)
      * - hasImages (string, optional): 'true' or 'false', default 'true'
+     * - departmentId (int, optional)
+     * - dateBegin, dateEnd (int, optional, -5000..2100, dateEnd >= dateBegin)
+     * - medium, geoLocation (string, optional, max 200 characters)
+     * - isHighlight, isOnView, artistOrCulture (string, optional): 'true' or 'false'
      * 
      * Response Structure (Success):
      * {
@@ -100,52 +130,74 @@ class MetMuseumController extends Controller
      * HTTP Timeout:
      * - 15 seconds for search requests
      * 
-     * User-Agent Header:
-     * - Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36
-     * - Required by some APIs for proper access
-     * 
      * Error Handling:
+     * - Invalid facets return 422 with validation errors
      * - Network errors caught and logged
      * - Returns graceful error response (200 OK with error field)
-     * - Logs to Laravel error log for debugging
      * 
      * Example Usage:
      * ```
      * // Search for Van Gogh paintings with images
      * GET /api/met/search?q=Van%20Gogh&hasImages=true
      * 
-     * // Get all objects (may be slow)
-     * GET /api/met/search?q=*&hasImages=false
+     * // French paintings on view, 1850-1900
+     * GET /api/met/search?q=landscape&departmentId=11&geoLocation=France&dateBegin=1850&dateEnd=1900&isOnView=true
      * ```
      * 
-     * Performance Notes:
-     * - First request takes 1-2 seconds (API call)
-     * - Subsequent requests are instant (cached)
-     * - Cache shared across all users
-     * 
      * @see https://metmuseum.github.io/#search
      */
     public function search(Request $request)
     {
+        $validated = $request->validate([
+            'q' => 'nullable|string|max:200',
+            'hasImages' => 'nullable|in:true,false',
+            'departmentId' => 'nullable|integer|min:1',
+            'dateBegin' => 'nullable|required_with:dateEnd|integer|between:-5000,2100',
+            'dateEnd' => 'nullable|required_with:dateBegin|integer|between:-5000,2100|gte:dateBegin',
+            'medium' => 'nullable|string|max:200',
+            'geoLocation' => 'nullable|string|max:200',
+            'isHighlight' => 'nullable|in:true,false',
+            'isOnView' => 'nullable|in:true,false',
+            'artistOrCulture' => 'nullable|in:true,false',
+        ]);
+
         try {
-            // Get query parameters with defaults
-            $query = $request->input('q', '*');
-            $hasImages = $request->input('hasImages', 'true') === 'true';
+            // Build the upstream query: defaults first, then only the facets that are set
+            $params = [
+                'q' => trim($validated['q'] ?? '') !== '' ? trim($validated['q']) : '*',
+                'hasImages' => ($validated['hasImages'] ?? 'true') === 'true' ? 'true' : 'false',
+            ];
+
+            foreach (['departmentId', 'dateBegin', 'dateEnd'] as $facet) {
+                if (isset($validated[$facet])) {
+                    $params[$facet] = (int) $validated[$facet];
+                }
+            }
+
+            foreach (['medium', 'geoLocation'] as $facet) {
+                if (trim($validated[$facet] ?? '') !== '') {
+                    $params[$facet] = trim($validated[$facet]);
+                }
+            }
+
+            foreach (['isHighlight', 'isOnView', 'artistOrCulture'] as $facet) {
+                if (($validated[$facet] ?? null) === 'true') {
+                    $params[$facet] = 'true';
+                }
+            }
 
-            // Generate unique cache key based on query parameters
-            $cacheKey = "met_search_" . md5($query . ($hasImages ? '1' : '0'));
+            // Generate unique cache key from every forwarded parameter
+            ksort($params);
+            $cacheKey = "met_search_" . md5(json_encode($params));
 
             // Cache for 24 hours
-            $data = Cache::remember($cacheKey, 86400, function () use ($query, $hasImages) {
+            $data = Cache::remember($cacheKey, 86400, function () use ($params) {
                 // Make HTTP request to Met Museum API
                 $response = Http::timeout(15)
                     ->withHeaders([
                         'User-Agent' => 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
                     ])
-                    ->get("{$this->baseUrl}/search", [
-                        'q' => $query,
-                        'hasImages' => $hasImages,
-                    ]);
+                    ->get("{$this->baseUrl}/search", $params);
 
                 // Return JSON data if successful
                 if ($response->successful()) {
@@ -236,8 +288,20 @@ public function search(Request $request)
      * 
      * Status Codes:
      * - 200: Success - object data returned
-     * - 404: Not Found - invalid object ID
-     * - 500: Server Error - API or network failure
+     * - 404: Not Found - invalid or blacklisted object ID
+     * - 429/503: Rate limited or overloaded upstream - passed through with the
+     *   Met's Retry-After header, object is not blacklisted
+     * - 502: Bad Gateway - other upstream server error
+     * - 503: Met unreachable or timed out - sent with Retry-After so the
+     *   client backs off and tries again; object is not blacklisted
+     * - 500: Server Error - unexpected failure
+     * 
+     * Shared Blacklist:
+     * - Objects with an active MetObjectFailure entry return 404 immediately
+     *   (response includes "blacklisted": true)
+     * - Upstream 404 and 500 responses are recorded with a retry-after time
+     * - Connection failures and timeouts are not recorded: they say nothing
+     *   about the object, and one slow response must not hide it for everyone
      * 
      * Example Usage:
      * ```
@@ -254,34 +318,61 @@ public function search(Request $request)
      */
     public function getObject($objectId)
     {
+        $objectId = (int) $objectId;
+
+        // Known-broken objects are answered without calling the Met
+        if (MetObjectFailure::isBlocked($objectId)) {
+            return response()->json(['error' => 'Object not found', 'blacklisted' => true], 404);
+        }
+
         try {
             // Generate cache key for this specific object
             $cacheKey = "met_object_{$objectId}";
 
-            // Cache for 7 days (artwork data rarely changes)
-            $data = Cache::remember($cacheKey, 604800, function () use ($objectId) {
-                // Make HTTP request to Met Museum API
-                $response = Http::timeout(10)
-                    ->withHeaders([
-                        'User-Agent' => 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-                    ])
-                    ->get("{$this->baseUrl}/objects/{$objectId}");
+            // Return cached data (7 days, artwork data rarely changes)
+            if ($data = Cache::get($cacheKey)) {
+                return response()->json($data);
+            }
 
-                // Return JSON data if successful
-                if ($response->successful()) {
-                    return $response->json();
-                }
+            // Make HTTP request to Met Museum API
+            $response = Http::timeout(10)
+                ->withHeaders([
+                    'User-Agent' => 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+                ])
+                ->get("{$this->baseUrl}/objects/{$objectId}");
 
-                return null;
-            });
+            if ($response->successful() && $response->json()) {
+                Cache::put($cacheKey, $response->json(), 604800);
 
-            // Return cached or fresh data
-            if ($data) {
-                return response()->json($data);
+                return response()->json($response->json());
+            }
+
+            // Rate limited or overloaded: pass the status and Retry-After through
+            // so the client can back off; the object itself is not at fault
+            if (in_array($response->status(), self::RATE_LIMIT_STATUSES, true)) {
+                $headers = $response->header('Retry-After') !== ''
+                    ? ['Retry-After' => $response->header('Retry-After')]
+                    : [];
+
+                return response()->json(['error' => 'Rate limited by the Met API'], $response->status(), $headers);
+            }
+
+            // Remember broken objects for every visitor
+            MetObjectFailure::recordStatus($objectId, $response->status());
+
+            // Other upstream errors are reported as a bad gateway, not hidden as 404
+            if ($response->serverError()) {
+                return response()->json(['error' => 'Failed to fetch object'], 502);
             }
 
             // Object not found
             return response()->json(['error' => 'Object not found'], 404);
+        } catch (ConnectionException $e) {
+            // Upstream unreachable: not the object's fault, so nothing is recorded
+            // and the client is told to retry later
+            \Log::error("Met Museum API Error: " . $e->getMessage());
+
+            return response()->json(['error' => 'Met API unreachable'], 503, ['Retry-After' => '5']);
         } catch (\Exception $e) {
             // Log error for debugging
             \Log::error("Met Museum API Error: " . $e->getMessage());
@@ -441,7 +532,7 @@ public function getObjectsByPeriod(Request $request)
      * 
      * @param Request $request The HTTP request with object IDs
      * 
-     * @return \Illuminate\Http\JsonResponse JSON array of object details
+     * @return \Illuminate\Http\JsonResponse Object details plus the IDs that failed
      * 
      * Request Body:
      * {
@@ -452,20 +543,27 @@ public function getObjectsByPeriod(Request $request)
      * - ids (array, required): Array of Met Museum object IDs
      * 
      * Response Structure (Success):
-     * [
-     *   {
-     *     "objectID": 436524,
-     *     "title": "The Starry Night",
-     *     "artistDisplayName": "Vincent van Gogh",
-     *     ...
-     *   },
-     *   {
-     *     "objectID": 459055,
-     *     "title": "Sunflowers",
+     * {
+     *   "objects": [
+     *     {
+     *       "objectID": 436524,
+     *       "title": "The Starry Night",
+     *       "artistDisplayName": "Vincent van Gogh",
+     *       ...
+     *     },
      *     ...
-     *   },
-     *   ...
-     * ]
+     *   ],
+     *   "failed": [
+     *     { "id": 11730, "reason": "not_found" },
+     *     { "id": 459055, "reason": "unavailable" }
+     *   ]
+     * }
+     * 
+     * Failure Reasons:
+     * - not_found: the Met answered 404; the object will not load
+     * - blacklisted: on the shared blacklist, not requested upstream
+     * - unavailable: timeout, connection failure, rate limiting or a server
+     *   error; transient, so clients should retry on a later load
      * 
      * Response Structure (Invalid Request):
      * {
@@ -482,10 +580,11 @@ public function getObjectsByPeriod(Request $request)
      * 
      * HTTP Timeout:
      * - 5 seconds per object request
-     * - Total time varies based on cache hits
+     * - Uncached objects are fetched concurrently via Http::pool()
+     * - Total time is roughly the slowest single upstream request
      * 
      * Status Codes:
-     * - 200: Success - array of objects returned
+     * - 200: Success - objects and failed IDs returned
      * - 400: Bad Request - invalid or missing IDs
      * - 500: Server Error - API or network failure
      * 
@@ -493,38 +592,45 @@ public function getObjectsByPeriod(Request $request)
      * - IDs must be provided as array
      * - Empty arrays rejected
      * - Non-array values rejected
+     * - Non-numeric and duplicate IDs dropped
      * 
      * Error Handling:
      * - Invalid objects skipped (not included in results)
+     * - Blacklisted objects skipped without calling the Met
+     * - Upstream 404/500 recorded in the shared blacklist (gateway errors and
+     *   connection failures are not)
      * - Partial success possible (some objects fetched, others failed)
      * - Network errors logged but don't stop batch
      * 
+     * Ordering:
+     * - Results follow the order of the requested IDs
+     * - Lets the client keep its deterministic shuffle order
+     * 
      * Example Usage:
      * ```
      * // Fetch multiple artworks
      * const response = await fetch('/api/met/batch', {
      *   method: 'POST',
-     *   headers: { 'Content-Type': 'application/json' },
-     *   body: JSON.stringify({
-     *     ids: [436524, 459055, 11730, 45734, 459080artworks = await response.json();
+     *   headers: {
+     *     'Content-Type': 'application/json',
+     *     'X-CSRF-TOKEN': document.querySelector('meta[name="csrf-token"]').content,
+     *   },
+     *   body: JSON.stringify({ ids: [436524, 459055, 11730] }),
+     * });
+     * const { objects, failed } = await response.json();
      * ```
      * 
      * Performance Optimization:
      * - Cached objects return instantly
      * - Only non-cached objects require API calls
-     * - Parallel processing possible with promises
+     * - Uncached objects requested in parallel
      * 
      * Use Cases:
      * - Display multiple artworks on single page
      * - Populate carousel or grid
      * - Show related artworks
      * - Build collection previews
-     * 
-     * Recommended Enhancements:
-     * - Implement parallel requests with Promise.all()
-     * - Add retry logic for failed fetches
-     * - Return partial results even if some fail
-     * - Add progress tracking for large batches
+     * - Progressive timeline loading (resources/js/lib/metMuseum.js)
      * 
      * @see https://metmuseum.github.io/#object
      */
@@ -539,41 +645,81 @@ public function getBatch(Request $request)
                 return response()->json(['error' => 'Invalid object IDs'], 400);
             }
 
+            // Keep positive numeric IDs only, without duplicates
+            $objectIds = array_values(array_unique(array_filter(
+                array_map('intval', array_filter($objectIds, 'is_numeric')),
+                fn ($id) => $id > 0
+            )));
+
+            if (empty($objectIds)) {
+                return response()->json(['error' => 'Invalid object IDs'], 400);
+            }
+
             // Limit to 20 objects per request to prevent timeout
             $objectIds = array_slice($objectIds, 0, 20);
 
-            $results = [];
+            // Skip objects on the shared blacklist
+            $blocked = array_values(array_intersect($objectIds, MetObjectFailure::activeIds()));
+            $objectIds = array_values(array_diff($objectIds, $blocked));
+
+            $found = [];
+            $missing = [];
+            $failed = array_map(fn ($id) => ['id' => $id, 'reason' => 'blacklisted'], $blocked);
 
-            // Fetch each object (cached individually)
+            // Serve whatever is already cached (cached individually)
             foreach ($objectIds as $id) {
-                // Generate cache key for this object
-                $cacheKey = "met_object_{$id}";
+                $data = Cache::get("met_object_{$id}");
+
+                if ($data) {
+                    $found[$id] = $data;
+                } else {
+                    $missing[] = $id;
+                }
+            }
 
-                // Cache for 24 hours
-                $data = Cache::remember($cacheKey, 86400, function () use ($id) {
-                    // Make HTTP request for this specific object
-                    $response = Http::timeout(5)
+            // Fetch all uncached objects concurrently
+            if (!empty($missing)) {
+                $responses = Http::pool(fn (Pool $pool) => array_map(
+                    fn ($id) => $pool->as((string) $id)
+                        ->timeout(5)
                         ->withHeaders([
                             'User-Agent' => 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
                         ])
-                        ->get("{$this->baseUrl}/objects/{$id}");
-
-                    // Return JSON data if successful
-                    if ($response->successful()) {
-                        return $response->json();
+                        ->get("{$this->baseUrl}/objects/{$id}"),
+                    $missing
+                ));
+
+                foreach ($missing as $id) {
+                    $response = $responses[(string) $id] ?? null;
+
+                    // Connection failures come back as exceptions, not responses;
+                    // they are transient, so the object is not blacklisted
+                    if (!$response instanceof Response) {
+                        \Log::warning("Met Museum Batch: object {$id} unreachable");
+                        $failed[] = ['id' => $id, 'reason' => 'unavailable'];
+                        continue;
                     }
 
-                    return null;
-                });
+                    if ($response->successful() && $response->json()) {
+                        // Cache for 24 hours
+                        Cache::put("met_object_{$id}", $response->json(), 86400);
+                        $found[$id] = $response->json();
+                    } else {
+                        MetObjectFailure::recordStatus($id, $response->status());
+                        $failed[] = ['id' => $id, 'reason' => $response->status() === 404 ? 'not_found' : 'unavailable'];
+                    }
+                }
+            }
 
-                // Add to results if data retrieved
-                if ($data) {
-                    $results[] = $data;
+            // Return array of objects in the requested order
+            $results = [];
+            foreach ($objectIds as $id) {
+                if (isset($found[$id])) {
+                    $results[] = $found[$id];
                 }
             }
 
-            // Return array of objects
-            return response()->json($results);
+            return response()->json(['objects' => $results, 'failed' => $failed]);
         } catch (\Exception $e) {
             // Log error for debugging
             \Log::error("Met Museum Batch Error: " . $e->getMessage());
@@ -582,4 +728,211 @@ public function getBatch(Request $request)
             return response()->json(['error' => 'Batch fetch failed'], 500);
         }
     }
+
+    /**
+     * Get the Met's curatorial departments (cached for 7 days).
+     * 
+     * The list changes only when the Met reorganises its departments, so it is
+     * cached as long as object details. Failed lookups are not cached.
+     * 
+     * @return \Illuminate\Http\JsonResponse JSON object with the departments
+     * 
+     * Response Structure (Success):
+     * {
+     *   "departments": [
+     *     { "departmentId": 1, "displayName": "American Decorative Arts" },
+     *     ...
+     *   ]
+     * }
+     * 
+     * Response Structure (Error):
+     * {
+     *   "error": "Departments unavailable",
+     *   "departments": []
+     * }
+     * 
+     * Example Usage:
+     * ```
+     * GET /api/met/departments
+     * ```
+     * 
+     * @see https://metmuseum.github.io/#departments
+     */
+    public function getDepartments()
+    {
+        try {
+            $data = Cache::remember('met_departments', 604800, function () {
+                $response = Http::timeout(15)
+                    ->withHeaders([
+                        'User-Agent' => 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+                    ])
+                    ->get("{$this->baseUrl}/departments");
+
+                if ($response->successful() && is_array($response->json('departments'))) {
+                    return ['departments' => $response->json('departments')];
+                }
+
+                return null;
+            });
+
+            if ($data) {
+                return response()->json($data);
+            }
+
+            return response()->json(['error' => 'Departments unavailable', 'departments' => []], 200);
+        } catch (\Exception $e) {
+            \Log::error("Met Museum Departments Error: " . $e->getMessage());
+
+            return response()->json(['error' => 'Departments unavailable', 'departments' => []], 200);
+        }
+    }
+
+    /**
+     * Get the shared blacklist of broken object IDs (cached for 10 minutes).
+     * 
+     * Lets the frontend hydrate its skip-set on page load instead of
+     * rediscovering the same broken objects in every browser.
+     * 
+     * @return \Illuminate\Http\JsonResponse JSON object with blocked IDs
+     * 
+     * Response Structure:
+     * {
+     *   "ids": [662725, 634331, 811172, ...]
+     * }
+     * 
+     * Example Usage:
+     * ```
+     * GET /api/met/blacklist
+     * ```
+     * 
+     * @see \App\Models\MetObjectFailure::activeIds()
+     */
+    public function getBlacklist()
+    {
+        return response()->json(['ids' => MetObjectFailure::activeIds()]);
+    }
+
+    /**
+     * Report an object whose image failed to load in the browser.
+     * 
+     * The proxy already records upstream 404/500 failures itself; this
+     * endpoint covers the one failure only the browser can see: an object
+     * whose image URL does not load. Reports are verified before they are
+     * stored, so a client cannot blacklist healthy objects.
+     * 
+     * Verification:
+     * 1. Load the object (cached or from the Met)
+     * 2. Object missing upstream: record as not_found (404) / upstream_error
+     *    (500); other statuses are transient and not recorded
+     * 3. Send a HEAD request to its image URL; hosts that refuse HEAD get a
+     *    ranged GET for the first byte instead
+     * 4. Image answers 404 or 410, or the object has no image URL at all:
+     *    record as image_error
+     * 
+     * Timeouts, connection failures and any other image status are not
+     * recorded: they may be the reporter's network or a passing CDN error,
+     * and image_error hides the object from every visitor for 7 days.
+     * 
+     * @param Request $request The HTTP request with the object ID
+     * 
+     * @return \Illuminate\Http\JsonResponse JSON object with verification result
+     * 
+     * Request Body:
+     * {
+     *   "id": 436524
+     * }
+     * 
+     * Response Structure:
+     * {
+     *   "recorded": true
+     * }
+     * 
+     * Status Codes:
+     * - 202: Report processed (recorded true/false)
+     * - 422: Validation error
+     * 
+     * Rate Limiting:
+     * - throttle:30,1 on the route (per IP)
+     * 
+     * Example Usage:
+     * ```
+     * POST /api/met/failures with JSON body { "id": 436524 }
+     * ```
+     */
+    public function reportFailure(Request $request)
+    {
+        $validated = $request->validate([
+            'id' => 'required|integer|min:1',
+        ]);
+
+        $objectId = (int) $validated['id'];
+
+        if (MetObjectFailure::isBlocked($objectId)) {
+            return response()->json(['recorded' => true], 202);
+        }
+
+        try {
+            $data = Cache::get("met_object_{$objectId}");
+
+            if (!$data) {
+                $response = Http::timeout(10)
+                    ->withHeaders([
+                        'User-Agent' => 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+                    ])
+                    ->get("{$this->baseUrl}/objects/{$objectId}");
+
+                if (!$response->successful()) {
+                    $recorded = MetObjectFailure::recordStatus($objectId, $response->status());
+
+                    return response()->json(['recorded' => $recorded], 202);
+                }
+
+                $data = $response->json();
+            }
+
+            $imageUrl = ($data['primaryImageSmall'] ?? '') ?: ($data['primaryImage'] ?? '');
+
+            if (is_string($imageUrl) && str_starts_with($imageUrl, 'http')) {
+                $status = $this->imageStatus($imageUrl);
+
+                // Only a definitive "gone" counts; anything else may be transient
+                if (!in_array($status, [404, 410], true)) {
+                    return response()->json(['recorded' => false], 202);
+                }
+            }
+
+            MetObjectFailure::record($objectId, MetObjectFailure::REASON_IMAGE_ERROR);
+
+            return response()->json(['recorded' => true], 202);
+        } catch (\Exception $e) {
+            \Log::error("Met Museum Failure Report Error: " . $e->getMessage());
+
+            return response()->json(['recorded' => false], 202);
+        }
+    }
+
+    /**
+     * HTTP status of an image URL, or null when it could not be reached.
+     * 
+     * Tries HEAD first. Many CDNs refuse HEAD (403, 405, 501), so any other
+     * non-success answer is checked again with a GET for the first byte
+     * (Range: bytes=0-0) before it is trusted.
+     */
+    private function imageStatus(string $url): ?int
+    {
+        try {
+            $status = Http::timeout(5)->head($url)->status();
+
+            if ($status >= 200 && $status < 300) {
+                return $status;
+            }
+
+            return Http::timeout(5)
+                ->withHeaders(['Range' => 'bytes=0-0'])
+                ->get($url)
+                ->status();
+        } catch (ConnectionException $e) {
+            return null;
+        }
+    }
 }
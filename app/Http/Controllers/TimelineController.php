@@ -2,9 +2,17 @@
 
 namespace App\Http\Controllers;
 
+use App\Models\MetObjectFailure;
+use App\Models\TimelinePeriod;
+use App\Models\TimelineSnapshot;
+use App\Models\User;
+use App\Models\UserArtwork;
+use Illuminate\Http\Client\Pool;
+use Illuminate\Http\Client\Response;
 use Illuminate\Http\Request;
 use Illuminate\Support\Facades\Cache;
 use Illuminate\Support\Facades\Http;
+use Inertia\Inertia;
 
 /**
  * TimelineController
@@ -14,21 +22,28 @@
  * timeline visualization and educational purposes.
  * 
  * Features:
- * - Get artworks by historical period (Renaissance, Baroque, etc.)
+ * - Get artworks by historical period (Ancient, Medieval, etc.)
+ * - Optional per-user personalisation from the user's saved artworks
+ * - Explicit shuffle seeds (/timeline?seed=...) and shared snapshots
+ *   (/timeline?snapshot=...) so an arrangement can be reproduced by others
+ * - Server-side date-range, image and title filtering
  * - Fetch individual artwork details
  * - Curated search queries per period
  * - Standardized artwork data formatting
  * - Comprehensive caching (1-7 days)
  * 
  * Historical Periods:
- * - Renaissance (1400-1600)
- * - Baroque (1600-1750)
- * - Romanticism/Impressionism (1800-1900)
- * - Modern Art (1900-1970)
- * - Contemporary Art (1970-present)
+ * - Defined in the timeline_periods table (see TimelinePeriod model)
+ * - Seeded with ancient, medieval, renaissance, baroque and modern
+ * - Served to the frontend as Inertia props and via GET /api/timeline
  * 
  * Caching Strategy:
- * - Period artworks: 24 hours (1 day)
+ * - Period definitions: 1 hour, cleared when a period is edited
+ * - Period artworks: 24 hours (1 day), per period/version/curation/limit/seed/page
+ *   (and per user and taste for personalised requests)
+ * - Taste profiles: 1 hour, per user and set of saved artworks
+ * - Resolved snapshots: 24 hours, per snapshot token
+ * - Met objects: 24 hours, shared with MetMuseumController ("met_object_{id}")
  * - Individual artworks: 7 days (rarely change)
  * 
  * Data Source:
@@ -49,34 +64,327 @@ class TimelineController extends Controller
      */
     private $metApiBase = 'https://collectionapi.metmuseum.org/public/collection/v1';
 
+    /**
+     * Highest page number served by getByPeriod().
+     * 
+     * @var int
+     */
+    private const MAX_PAGE = 10;
+
+    /**
+     * Deepest position in a period's pool served by getByPeriod() (offset + limit).
+     * 
+     * Every page is rebuilt from the start of the pool, so this bounds the Met
+     * requests one uncached request can cause. 60 covers ten pages of six
+     * (the timeline's page size) and matches the snapshot limit per period.
+     * 
+     * @var int
+     */
+    private const MAX_POOL_SIZE = 60;
+
+    /**
+     * Search IDs kept per query when building a period's candidate pool.
+     * 
+     * The pool must not depend on the page requested, otherwise pages would
+     * overlap or skip artworks.
+     * 
+     * @var int
+     */
+    private const IDS_PER_QUERY = 100;
+
+    /**
+     * Saved artworks sampled (most recent first) to build a taste profile.
+     * 
+     * @var int
+     */
+    private const TASTE_SAMPLE_SIZE = 60;
+
+    /**
+     * Candidates ranked together when personalising.
+     * 
+     * Ranking happens within fixed blocks of the shuffled pool so that every
+     * page sees the same blocks and pages never overlap.
+     * 
+     * @var int
+     */
+    private const TASTE_BLOCK_SIZE = 60;
+
+    /**
+     * How strongly a full taste match outweighs a non-matching artwork.
+     * 
+     * An artwork's selection weight is 1 + TASTE_BOOST * score, where score is
+     * the sum of the shares of saved artworks with the same culture,
+     * department, classification and artist (0-4).
+     * 
+     * @var int
+     */
+    private const TASTE_BOOST = 4;
+
+    /**
+     * Taste facets and the Met object fields they are read from.
+     * 
+     * @var array<string, string>
+     */
+    private const TASTE_FIELDS = [
+        'culture' => 'culture',
+        'department' => 'department',
+        'classification' => 'classification',
+        'artist' => 'artistDisplayName',
+    ];
+
+    /**
+     * Get all active timeline period definitions.
+     * 
+     * Returns every era shown on the timeline, in order, with its date range,
+     * search queries, story copy, colours and 3D scene settings. The same data
+     * is passed to the Timeline page as the "periods" prop.
+     * 
+     * @return \Illuminate\Http\JsonResponse JSON array of period definitions
+     * 
+     * Response Structure:
+     * [
+     *   {
+     *     "id": "renaissance",
+     *     "title": "Renaissance",
+     *     "period": "1400 – 1600",
+     *     "storyTitle": "The Rebirth of Humanity",
+     *     "narrative": "...",
+     *     "description": "...",
+     *     "startDate": 1400,
+     *     "endDate": 1600,
+     *     "queries": ["Renaissance painting", ...],
+     *     "color": "#06b6d4",
+     *     "secondaryColor": "#22d3ee",
+     *     "bgColor": "from-cyan-950/50 via-blue-950/30 to-black",
+     *     "accentColor": "from-cyan-400 to-blue-500",
+     *     "background": null,
+     *     "scene": { "geometry": "sphere", "particleCount": 180, ... },
+     *     "version": 1792368000
+     *   },
+     *   ...
+     * ]
+     * 
+     * @see \App\Models\TimelinePeriod::toDefinition()
+     */
+    public function getPeriods()
+    {
+        return response()->json(TimelinePeriod::definitions());
+    }
+
+    /**
+     * Render the Timeline page.
+     * 
+     * Props:
+     * - periods: active period definitions
+     * - seed: explicit shuffle seed from ?seed=, or null for today's seed.
+     *   Everyone opening the same seed sees the same (non-personalised) arrangement.
+     * - snapshot: share token from ?snapshot=, or null. The page replays the
+     *   snapshot's artworks instead of searching.
+     * - collectionVersion: hash of the user's saved artwork IDs (null for
+     *   guests). It changes with every save or removal and is part of the
+     *   browser's cache key for personalised lists, so those are not reused
+     *   after the collection changed (on any device).
+     * 
+     * Invalid seeds and tokens are ignored rather than rejected, so a mangled
+     * link still opens the timeline.
+     * 
+     * @param Request $request
+     * 
+     * @return \Inertia\Response
+     */
+    public function show(Request $request)
+    {
+        $seed = filter_var($request->query('seed'), FILTER_VALIDATE_INT, [
+            'options' => ['min_range' => 0, 'max_range' => 2147483647],
+        ]);
+        $snapshot = $request->query('snapshot');
+        $user = $request->user();
+
+        return Inertia::render('Timeline', [
+            'periods' => TimelinePeriod::definitions(),
+            'seed' => $seed === false ? null : $seed,
+            'snapshot' => is_string($snapshot) && preg_match('/^[A-Za-z0-9]{32}$/', $snapshot) ? $snapshot : null,
+            'collectionVersion' => $user
+                ? substr(md5(UserArtwork::where('user_id', $user->id)->orderBy('artwork_id')->pluck('artwork_id')->implode(',')), 0, 12)
+                : null,
+        ]);
+    }
+
+    /**
+     * Store a snapshot of the artworks currently shown, for sharing.
+     * 
+     * Request Body:
+     * - seed (int, optional): seed the arrangement was built with
+     * - periods (object, required): { periodSlug: [objectId, ...] } in display
+     *   order; unknown slugs are dropped, at most 60 IDs per period
+     * 
+     * @param Request $request
+     * 
+     * @return \Illuminate\Http\JsonResponse
+     * 
+     * Response Structure (201):
+     * {
+     *   "token": "Qm3v...",
+     *   "url": "https://example.com/timeline?snapshot=Qm3v..."
+     * }
+     * 
+     * Status Codes:
+     * - 201: snapshot stored
+     * - 422: validation failed or no known period given
+     */
+    public function storeSnapshot(Request $request)
+    {
+        $validated = $request->validate([
+            'seed' => 'nullable|integer|min:0|max:2147483647',
+            'periods' => 'required|array',
+            'periods.*' => 'array|max:' . TimelineSnapshot::MAX_IDS_PER_PERIOD,
+            'periods.*.*' => 'integer|min:1',
+        ]);
+
+        $known = array_column(TimelinePeriod::definitions(), 'id');
+        $periods = [];
+
+        foreach ($validated['periods'] as $slug => $ids) {
+            if (in_array($slug, $known, true) && !empty($ids)) {
+                $periods[$slug] = array_values(array_unique(array_map('intval', $ids)));
+            }
+        }
+
+        if (empty($periods)) {
+            return response()->json(['message' => 'Nothing to share yet'], 422);
+        }
+
+        $snapshot = TimelineSnapshot::create([
+            'token' => TimelineSnapshot::generateToken(),
+            'user_id' => $request->user()?->id,
+            'seed' => $validated['seed'] ?? null,
+            'periods' => $periods,
+        ]);
+
+        return response()->json([
+            'token' => $snapshot->token,
+            'url' => url('/timeline') . '?snapshot=' . $snapshot->token,
+        ], 201);
+    }
+
+    /**
+     * Get the artworks of a shared snapshot.
+     * 
+     * Replays the stored object IDs per period, in their stored order.
+     * Objects that have since become unavailable (blacklisted, no image) are
+     * skipped; the rest are formatted like getByPeriod() results.
+     * 
+     * @param string $token Snapshot share token
+     * 
+     * @return \Illuminate\Http\JsonResponse
+     * 
+     * Response Structure:
+     * {
+     *   "token": "Qm3v...",
+     *   "seed": 2051,
+     *   "created_at": "2026-10-19T12:00:00.000000Z",
+     *   "periods": {
+     *     "renaissance": [{ "id": 437853, "title": "...", ... }, ...],
+     *     ...
+     *   }
+     * }
+     * 
+     * Status Codes:
+     * - 200: snapshot found
+     * - 404: unknown token
+     */
+    public function showSnapshot(string $token)
+    {
+        $snapshot = TimelineSnapshot::where('token', $token)->first();
+
+        if (!$snapshot) {
+            return response()->json(['message' => 'Snapshot not found'], 404);
+        }
+
+        $periods = Cache::remember("timeline_snapshot_{$snapshot->token}", 86400, function () use ($snapshot) {
+            $periods = [];
+
+            foreach ($snapshot->periods as $slug => $ids) {
+                $periods[$slug] = [];
+
+                foreach (array_chunk($ids, 20) as $chunk) {
+                    foreach ($this->fetchObjects($chunk) as $data) {
+                        if ($this->isDisplayable($data, PHP_INT_MIN, PHP_INT_MAX)) {
+                            $periods[$slug][] = $this->formatArtwork($data);
+                        }
+                    }
+                }
+            }
+
+            return $periods;
+        });
+
+        return response()->json([
+            'token' => $snapshot->token,
+            'seed' => $snapshot->seed,
+            'created_at' => $snapshot->created_at,
+            'periods' => $periods,
+        ]);
+    }
+
     /**
      * Get artworks for a specific historical period.
      * 
      * Retrieves a curated collection of artworks representing a specific art
-     * historical period. Uses multiple targeted search queries to ensure
-     * high-quality, representative results.
+     * historical period. Uses multiple targeted search queries restricted to
+     * the period's date range, then keeps only objects that actually overlap
+     * that range and have an image and a title. The client therefore receives
+     * display-ready artworks instead of filtering raw objects itself.
      * 
      * Supported Periods:
-     * - renaissance: Renaissance art and masters
-     * - baroque: Baroque period artworks
-     * - romanticism: Romantic and Impressionist works
-     * - modern: Modern art movements
-     * - contemporary: Contemporary and digital art
+     * - Any active TimelinePeriod slug (seeded: ancient, medieval, renaissance, baroque, modern)
      * 
      * Cache Key Format:
-     * - "timeline_{period}"
+     * - "timeline_{period}_{version}_{curationHash}_{limit}_{seed}_{page}" (version
+     *   changes when the period is edited, curationHash when pins/exclusions change)
+     * 
+     * Pagination:
+     * - Pages slice one ordered pool (pins, then the seeded shuffle), so for a
+     *   given limit and seed, pages never overlap
+     * - A page with fewer than limit artworks is the last one
+     * - The pool holds at most MAX_POOL_SIZE (60) artworks; pages beyond it
+     *   are empty, so one request never fetches more than that from the Met
+     * 
+     * Rate Limiting:
+     * - 60 requests per minute per client (throttle middleware in routes/web.php)
+     * 
+     * Curation:
+     * - Pinned objects are returned first, in admin-defined order
+     * - Excluded objects are never returned for the period
+     * 
+     * Personalisation (personalize=1, logged-in users only):
+     * - The seed is mixed with the user ID, so each user gets their own order
+     * - Candidates are weighted toward the cultures, departments,
+     *   classifications and artists of the user's saved artworks
+     * - The user's favourite artist and culture are searched as extra queries
+     * - Artworks the user already saved are skipped
+     * - Every period is still filled: non-matching artworks stay eligible
+     * - Guests (or requests without the flag) get the shared daily order
      * 
      * Result Limits:
-     * - Maximum 5 artworks per period
-     * - Only includes objects with primary images
-     * - Sorted by relevance from search results
+     * - limit artworks per period (default 4, maximum 20)
+     * - Only includes objects with an http(s) image and non-blank title
+     * - Only includes objects whose begin/end dates overlap the period
      * 
+     * @param Request $request The HTTP request with query parameters
      * @param string $period The historical period identifier
      * 
      * @return \Illuminate\Http\JsonResponse JSON array of formatted artworks
      * 
      * URL Parameters:
-     * - period (string): One of: renaissance, baroque, romanticism, modern, contemporary
+     * - period (string): Slug of an active timeline period
+     * 
+     * Query Parameters:
+     * - limit (int, optional): Number of artworks to return, 1-20, default 4
+     * - seed (int, optional): Shuffle seed, 0-2147483647, defaults to today's date seed
+     * - page (int, optional): 1-based page of limit artworks, 1-10, default 1
+     * - personalize (bool, optional): weight the selection by the logged-in
+     *   user's collection (ignored for guests)
      * 
      * Response Structure:
      * [
@@ -86,6 +394,8 @@ class TimelineController extends Controller
      *     "artist": "Vincent van Gogh",
      *     "artistBio": "Dutch, 1853-1890",
      *     "year": "1889",
+     *     "objectBeginDate": 1889,
+     *     "objectEndDate": 1889,
      *     "culture": "Dutch",
      *     "period": "Post-Impressionism",
      *     "location": "Netherlands",
@@ -104,53 +414,100 @@ class TimelineController extends Controller
      *   ...
      * ]
      * 
+     * Response Structure (Unknown Period):
+     * {
+     *   "error": "Unknown period"
+     * }
+     * 
      * Cache Duration:
      * - 86400 seconds (24 hours / 1 day)
+     * - Empty results are not cached so a Met outage is retried
      * 
      * Search Strategy:
      * - Multiple targeted queries per period
-     * - Searches famous artists and movements
-     * - Filters for objects with images
-     * - Limits results to prevent overwhelming data
+     * - dateBegin/dateEnd passed to the Met search so IDs are pre-filtered
+     * - IDs deduplicated and shuffled deterministically by seed
+     * - Objects fetched 20 at a time (in parallel) until limit is reached
      * 
      * Example Usage:
      * ```
-     * // Get Renaissance artworks
+     * // Get four Renaissance artworks for today
      * GET /api/timeline/renaissance
      * 
-     * // Get Modern art
-     * GET /api/timeline/modern
+     * // Get eight Ancient artworks for a fixed seed
+     * GET /api/timeline/ancient?limit=8&seed=4051
+     * 
+     * // "Explore more": the next eight
+     * GET /api/timeline/ancient?limit=8&seed=4051&page=2
      * ```
      * 
      * Performance Notes:
-     * - First request may take several seconds (multiple API calls)
+     * - First request may take a few seconds (search + object fetches)
      * - Subsequent requests are instant (cached)
      * - Cache shared across all users
      * 
      * Error Handling:
-     * - Returns empty array if no results found
+     * - Returns 404 for unknown periods
+     * - Returns 422 for a seed that is not an integer in range
+     * - Returns 429 when the client exceeds the rate limit
      * - Continues with other queries if one fails
      * - Logs errors without stopping execution
      * 
-     * Use Cases:
-     * - Timeline visualization
-     * - Art history education
-     * - Period comparison
-     * - Curated galleries
-     * 
      * @see \App\Http\Controllers\TimelineController::fetchArtworksForPeriod()
-     * @see \App\Http\Controllers\TimelineController::getPeriodQueries()
+     * @see \App\Models\TimelinePeriod::definition()
      */
-    public function getByPeriod($period)
+    public function getByPeriod(Request $request, $period)
     {
-        // Generate cache key for this period
-        $cacheKey = "timeline_{$period}";
+        $definition = TimelinePeriod::definition((string) $period);
 
-        // Cache for 1 day (24 hours)
-        $artworks = Cache::remember($cacheKey, 86400, function () use ($period) {
-            // Fetch artworks using curated queries
-            return $this->fetchArtworksForPeriod($period);
-        });
+        if (!$definition) {
+            return response()->json(['error' => 'Unknown period'], 404);
+        }
+
+        // The shuffle needs a non-negative seed (same range as snapshots)
+        $validated = $request->validate([
+            'seed' => 'nullable|integer|min:0|max:2147483647',
+        ]);
+
+        // Clamp requested size and page, and resolve shuffle seed
+        $limit = max(1, min(20, (int) $request->input('limit', 4)));
+        $page = max(1, min(self::MAX_PAGE, (int) $request->input('page', 1)));
+        $seed = (int) ($validated['seed'] ?? $this->getTodaySeed());
+
+        // Pages past the end of the pool are empty; the last one may be short
+        $offset = ($page - 1) * $limit;
+        $limit = min($limit, self::MAX_POOL_SIZE - $offset);
+
+        if ($limit <= 0) {
+            return response()->json([]);
+        }
+
+        // Personalised requests get the user's own order and cache entry
+        $user = $request->user();
+        $taste = $user && $request->boolean('personalize') ? $this->buildTasteProfile($user) : null;
+
+        if ($taste) {
+            $seed = crc32("{$seed}:{$user->id}");
+        }
+
+        // Generate cache key for this period selection
+        // Admin pins/exclusions are part of the key so curation changes apply at once
+        $curation = TimelinePeriod::curationFor((string) $period);
+        $curationHash = md5(json_encode($curation));
+        $cacheKey = "timeline_{$period}_{$definition['version']}_{$curationHash}_{$limit}_{$seed}_{$page}"
+            . ($taste ? "_user{$user->id}_{$taste['hash']}" : '');
+
+        $artworks = Cache::get($cacheKey);
+
+        if ($artworks === null) {
+            // Fetch artworks using curated, date-restricted queries
+            $artworks = $this->fetchArtworksForPeriod($definition, $limit, $seed, $curation, $offset, $taste);
+
+            // Cache for 1 day (24 hours), but never cache an empty result
+            if (!empty($artworks)) {
+                Cache::put($cacheKey, $artworks, 86400);
+            }
+        }
 
         // Return formatted artworks array
         return response()->json($artworks);
@@ -236,102 +593,376 @@ public function getById($id)
     /**
      * Fetch artworks for a specific period.
      * 
-     * Private helper method that executes multiple search queries for a historical
-     * period and compiles representative artworks. Uses curated search terms to
-     * ensure high-quality results.
+     * Private helper method that executes the period's search queries against
+     * the Met API (restricted to the period's date range), shuffles the
+     * combined IDs deterministically and fetches object details until enough
+     * displayable artworks are collected.
      * 
      * Process:
-     * 1. Get curated search queries for period
-     * 2. Execute each search query
-     * 3. Fetch details for first 10 object IDs
-     * 4. Filter for objects with images
-     * 5. Format artwork data
-     * 6. Stop when 5 artworks collected
+     * 1. Add pinned objects first, in curator order (image and title required)
+     * 2. Execute each search query (plus taste queries) with dateBegin/dateEnd
+     * 3. Take the first 100 IDs per query, deduplicate
+     * 4. Shuffle IDs with the given seed, drop excluded, every pinned and saved IDs
+     * 5. Fetch object details 20 at a time (cached per object)
+     * 6. Keep objects overlapping the range with an image and a title
+     *    (personalised: rank each block of 60 by taste, see rankByTaste())
+     * 7. Stop when offset + limit artworks collected, return the last limit
      * 
      * Search Limits:
-     * - Maximum 5 artworks returned
-     * - Fetches first 10 IDs per query
-     * - Only includes objects with primary images
+     * - Maximum 100 IDs per query
+     * - Maximum 100 objects inspected per request, or 3 per wanted artwork
+     *   for later pages
      * 
-     * @param string $period The historical period identifier
+     * @param array $definition Period definition from TimelinePeriod::definition()
+     * @param int $limit Number of artworks wanted
+     * @param int $seed Shuffle seed
+     * @param array $curation Pinned and excluded object IDs from TimelinePeriod::curationFor()
+     * @param int $offset Number of displayable artworks to skip (earlier pages)
+     * @param array|null $taste Taste profile from buildTasteProfile(), null for the shared order
      * 
      * @return array Array of formatted artwork objects
      * 
-     * Return Value:
-     * [
-     *   { artwork object 1 },
-     *   { artwork object 2 },
-     *   ...
-     *   { artwork object 5 }
-     * ]
-     * 
      * Error Handling:
      * - Continues with remaining queries if one fails
      * - Logs errors without stopping execution
      * - Returns partial results if some queries fail
      * 
-     * Performance Notes:
-     * - May make 5-15 API calls per period
-     * - Takes 5-15 seconds on first run
-     * - Results cached for 24 hours
-     * 
-     * Search Quality:
-     * - Uses famous artists and movements
-     * - Filters for objects with images
-     * - Prioritizes search result relevance
-     * - Ensures diverse representation
-     * 
-     * @see \App\Http\Controllers\TimelineController::getPeriodQueries()
+     * @see \App\Models\TimelinePeriod::definition()
      * @see \App\Http\Controllers\TimelineController::formatArtwork()
      */
-    private function fetchArtworksForPeriod($period)
+    private function fetchArtworksForPeriod(array $definition, int $limit, int $seed, array $curation = ['pinned' => [], 'excluded' => []], int $offset = 0, ?array $taste = null)
     {
-        // Get curated search queries for this period
-        $queries = $this->getPeriodQueries($period);
+        // Earlier pages are rebuilt from cached objects, then skipped
+        $wanted = $offset + $limit;
+        $excluded = array_flip($curation['excluded']);
+        $saved = array_flip($taste['saved'] ?? []);
         $artworks = [];
 
-        // Execute each search query
-        foreach ($queries as $query) {
+        // Every pin is kept out of the shuffled pool, whether or not it is
+        // reached or displayable, so the pool is the same for every page
+        $seen = array_flip($curation['pinned']);
+
+        // Pinned objects come first, in curator order. The curator vouches for
+        // the period, so only image and title are checked, not the date range.
+        // Pins are walked until enough are displayable, never cut at $wanted:
+        // a short cut would let undisplayable pins pull shuffled artworks
+        // forward, and the next page would then show them again.
+        foreach (array_chunk($curation['pinned'], 20) as $chunk) {
+            if (count($artworks) >= $wanted) {
+                break;
+            }
+
+            $fetched = [];
+            foreach ($this->fetchObjects($chunk) as $data) {
+                $fetched[(int) ($data['objectID'] ?? 0)] = $data;
+            }
+
+            foreach ($chunk as $id) {
+                if (isset($excluded[$id]) || !isset($fetched[$id]) || !$this->isDisplayable($fetched[$id], PHP_INT_MIN, PHP_INT_MAX)) {
+                    continue;
+                }
+
+                $artworks[] = $this->formatArtwork($fetched[$id]);
+            }
+        }
+
+        if (count($artworks) >= $wanted) {
+            return array_slice($artworks, $offset, $limit);
+        }
+
+        $objectIds = [];
+
+        // Execute each search query (taste queries widen the pool toward the user's favourites)
+        foreach (array_unique(array_merge($definition['queries'], $taste['queries'] ?? [])) as $query) {
             try {
-                // Search for objects matching query
-                $searchResponse = Http::get("{$this->metApiBase}/search", [
-                    'q' => $query,
-                    'hasImages' => 'true' // Only objects with images
-                ]);
+                $ids = $this->searchObjectIds($query, $definition['startDate'], $definition['endDate']);
+
+                // Limit per-query IDs to avoid huge sets
+                foreach (array_slice($ids, 0, self::IDS_PER_QUERY) as $id) {
+                    $objectIds[$id] = true;
+                }
+            } catch (\Exception $e) {
+                // Log error but continue with other queries
+                \Log::error("Error searching period query \"{$query}\": " . $e->getMessage());
+            }
+        }
+
+        $shuffled = $this->deterministicShuffle(array_keys($objectIds), $seed);
+
+        // Drop excluded, already pinned and already saved objects before picking candidates
+        $shuffled = array_values(array_filter($shuffled, fn ($id) => !isset($excluded[$id]) && !isset($seen[$id]) && !isset($saved[$id])));
+
+        // Inspect at most 100 objects (more for later pages), 20 per parallel round.
+        // Personalised requests rank whole blocks, so the cut is block-aligned.
+        $blockSize = $taste ? self::TASTE_BLOCK_SIZE : 20;
+        $candidates = array_slice($shuffled, 0, (int) ceil(max(100, 3 * $wanted) / $blockSize) * $blockSize);
+
+        foreach (array_chunk($candidates, $blockSize) as $block) {
+            $displayable = [];
+
+            foreach (array_chunk($block, 20) as $chunk) {
+                foreach ($this->fetchObjects($chunk) as $data) {
+                    if ($this->isDisplayable($data, $definition['startDate'], $definition['endDate'])) {
+                        $displayable[] = $data;
+                    }
+                }
+            }
+
+            if ($taste) {
+                $displayable = $this->rankByTaste($displayable, $taste['weights'], $seed);
+            }
+
+            foreach ($displayable as $data) {
+                $artworks[] = $this->formatArtwork($data);
+
+                if (count($artworks) >= $wanted) {
+                    return array_slice($artworks, $offset, $limit);
+                }
+            }
+        }
+
+        return array_slice($artworks, $offset, $limit);
+    }
+
+    /**
+     * Build a user's taste profile from their saved artworks (cached for 1 hour).
+     * 
+     * Looks up the Met objects of the most recently saved artworks and counts
+     * how often each culture, department, classification and artist appears.
+     * 
+     * Profile Structure:
+     * [
+     *   "weights" => [
+     *     "culture" => ["Italian" => 0.5, ...],   // share of sampled saved artworks
+     *     "department" => [...],
+     *     "classification" => [...],
+     *     "artist" => [...],
+     *   ],
+     *   "queries" => ["Titian", "Italian"],         // favourite artist and culture
+     *   "saved" => [437853, ...],                   // saved object IDs (never suggested)
+     *   "hash" => "...",                            // changes with the profile
+     * ]
+     * 
+     * @param User $user
+     * 
+     * @return array|null Null when the user has saved nothing yet
+     */
+    private function buildTasteProfile(User $user): ?array
+    {
+        $saved = UserArtwork::where('user_id', $user->id)
+            ->latest()
+            ->pluck('artwork_id')
+            ->map(fn ($id) => (int) $id)
+            ->filter()
+            ->values()
+            ->all();
 
-                if ($searchResponse->successful()) {
-                    // Get object IDs from search results
-                    $objectIds = $searchResponse->json()['objectIDs'] ?? [];
+        if (empty($saved)) {
+            return null;
+        }
 
-                    // Get first 10 IDs to check
-                    $limitedIds = array_slice($objectIds, 0, 10);
+        $cacheKey = "timeline_taste_{$user->id}_" . md5(implode(',', $saved));
 
-                    // Fetch details for each object
-                    foreach ($limitedIds as $id) {
-                        $objectResponse = Http::get("{$this->metApiBase}/objects/{$id}");
+        return Cache::remember($cacheKey, 3600, function () use ($saved) {
+            $weights = array_fill_keys(array_keys(self::TASTE_FIELDS), []);
+            $sampled = 0;
 
-                        if ($objectResponse->successful()) {
-                            $data = $objectResponse->json();
+            foreach (array_chunk(array_slice($saved, 0, self::TASTE_SAMPLE_SIZE), 20) as $chunk) {
+                foreach ($this->fetchObjects($chunk) as $data) {
+                    $sampled++;
 
-                            // Only include if has primary image
-                            if (!empty($data['primaryImage'])) {
-                                $artworks[] = $this->formatArtwork($data);
-                            }
+                    foreach (self::TASTE_FIELDS as $facet => $field) {
+                        $value = trim((string) ($data[$field] ?? ''));
 
-                            // Stop if we have 5 artworks
-                            if (count($artworks) >= 5) {
-                                break 2; // Break out of both loops
-                            }
+                        if ($value !== '') {
+                            $weights[$facet][$value] = ($weights[$facet][$value] ?? 0) + 1;
                         }
                     }
                 }
-            } catch (\Exception $e) {
-                // Log error but continue with other queries
-                \Log::error("Error fetching period {$period}: " . $e->getMessage());
             }
+
+            // Turn counts into shares of the sampled artworks, strongest first
+            foreach ($weights as $facet => $counts) {
+                arsort($counts);
+                $weights[$facet] = array_map(fn ($count) => round($count / max(1, $sampled), 4), $counts);
+            }
+
+            $queries = array_values(array_filter([
+                array_key_first($weights['artist']),
+                array_key_first($weights['culture']),
+            ]));
+
+            return [
+                'weights' => $weights,
+                'queries' => $queries,
+                'saved' => $saved,
+                'hash' => md5(json_encode([$weights, $saved])),
+            ];
+        });
+    }
+
+    /**
+     * Order raw Met objects by a seeded draw weighted by taste.
+     * 
+     * Uses weighted random sampling without replacement (key = u^(1/weight)),
+     * so matching artworks tend to come first while non-matching ones still
+     * appear and fill the period. The same seed gives the same order.
+     * 
+     * @param array $objects Raw, displayable Met objects
+     * @param array $weights Facet weights from buildTasteProfile()
+     * @param int $seed Personalised seed
+     * 
+     * @return array The objects, reordered
+     */
+    private function rankByTaste(array $objects, array $weights, int $seed): array
+    {
+        $keyed = [];
+
+        foreach ($objects as $index => $data) {
+            $score = 0;
+
+            foreach (self::TASTE_FIELDS as $facet => $field) {
+                $score += $weights[$facet][trim((string) ($data[$field] ?? ''))] ?? 0;
+            }
+
+            $u = (crc32("{$seed}:" . ($data['objectID'] ?? $index)) % 1000000 + 1) / 1000001;
+            $keyed[] = [$u ** (1 / (1 + self::TASTE_BOOST * $score)), $index, $data];
+        }
+
+        usort($keyed, fn ($a, $b) => [$b[0], $a[1]] <=> [$a[0], $b[1]]);
+
+        return array_column($keyed, 2);
+    }
+
+    /**
+     * Search Met object IDs for a query within a date range (cached for 24 hours).
+     * 
+     * @param string $query Search keywords
+     * @param int $dateBegin Start year (negative for BCE)
+     * @param int $dateEnd End year
+     * 
+     * @return array Array of object IDs (may be empty)
+     */
+    private function searchObjectIds(string $query, int $dateBegin, int $dateEnd): array
+    {
+        $cacheKey = "timeline_search_" . md5($query . $dateBegin . $dateEnd);
+
+        return Cache::remember($cacheKey, 86400, function () use ($query, $dateBegin, $dateEnd) {
+            $response = Http::timeout(15)
+                ->withHeaders([
+                    'User-Agent' => 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+                ])
+                ->get("{$this->metApiBase}/search", [
+                    'q' => $query,
+                    'hasImages' => 'true',
+                    'dateBegin' => $dateBegin,
+                    'dateEnd' => $dateEnd,
+                ]);
+
+            if ($response->successful()) {
+                return $response->json('objectIDs') ?? [];
+            }
+
+            return [];
+        });
+    }
+
+    /**
+     * Fetch raw Met objects in parallel, preserving the given order.
+     * 
+     * Uses the same per-object cache key as MetMuseumController so objects
+     * fetched by either controller are reused by the other. Objects on the
+     * shared blacklist are skipped, and new upstream 404/500 responses are
+     * recorded (gateway errors and connection failures are not).
+     * 
+     * @param array $ids Met object IDs
+     * 
+     * @return array Raw object payloads for IDs that resolved
+     */
+    private function fetchObjects(array $ids): array
+    {
+        $ids = array_values(array_diff($ids, MetObjectFailure::activeIds()));
+        $found = [];
+        $missing = [];
+
+        foreach ($ids as $id) {
+            $data = Cache::get("met_object_{$id}");
+
+            if ($data) {
+                $found[$id] = $data;
+            } else {
+                $missing[] = $id;
+            }
+        }
+
+        if (!empty($missing)) {
+            $responses = Http::pool(fn (Pool $pool) => array_map(
+                fn ($id) => $pool->as((string) $id)
+                    ->timeout(5)
+                    ->withHeaders([
+                        'User-Agent' => 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+                    ])
+                    ->get("{$this->metApiBase}/objects/{$id}"),
+                $missing
+            ));
+
+            foreach ($missing as $id) {
+                $response = $responses[(string) $id] ?? null;
+
+                // Connection failures and timeouts are transient: skip the
+                // object for this request only, without blacklisting it
+                if (!$response instanceof Response) {
+                    continue;
+                }
+
+                if ($response->successful() && $response->json()) {
+                    Cache::put("met_object_{$id}", $response->json(), 86400);
+                    $found[$id] = $response->json();
+                } else {
+                    MetObjectFailure::recordStatus($id, $response->status());
+                }
+            }
+        }
+
+        $ordered = [];
+        foreach ($ids as $id) {
+            if (isset($found[$id])) {
+                $ordered[] = $found[$id];
+            }
+        }
+
+        return $ordered;
+    }
+
+    /**
+     * Check whether a raw Met object can be shown on the timeline.
+     * 
+     * Requirements:
+     * - Non-blank title
+     * - primaryImageSmall or primaryImage starting with "http"
+     * - objectBeginDate/objectEndDate overlapping [startDate, endDate]
+     * 
+     * @param array $data Raw artwork data from Met Museum API
+     * @param int $startDate Period start year
+     * @param int $endDate Period end year
+     * 
+     * @return bool
+     */
+    private function isDisplayable(array $data, int $startDate, int $endDate): bool
+    {
+        if (trim($data['title'] ?? '') === '') {
+            return false;
+        }
+
+        $image = ($data['primaryImageSmall'] ?? '') ?: ($data['primaryImage'] ?? '');
+        if (!is_string($image) || !str_starts_with($image, 'http')) {
+            return false;
         }
 
-        return $artworks;
+        $begin = (int) ($data['objectBeginDate'] ?? 0);
+        $end = (int) ($data['objectEndDate'] ?? 0);
+
+        return $begin <= $endDate && $end >= $startDate;
     }
 
     /**
@@ -357,6 +988,7 @@ private function fetchArtworksForPeriod($period)
      * - artistDisplayName → artist (default: "Unknown Artist")
      * - artistDisplayBio → artistBio (default: "")
      * - objectDate → year (default: "Date Unknown")
+     * - objectBeginDate/objectEndDate → objectBeginDate/objectEndDate (default: 0)
      * - culture → culture (default: "")
      * - period → period (default: "")
      * - country/city → location (default: "")
@@ -365,7 +997,7 @@ private function fetchArtworksForPeriod($period)
      * - department → department (default: "")
      * - classification → classification (default: "")
      * - creditLine → description (default: "")
-     * - primaryImage/primaryImageSmall → image (default: null)
+     * - primaryImageSmall/primaryImage → image (default: null)
      * - additionalImages → additionalImages (default: [])
      * - objectURL → objectURL (default: "")
      * - isPublicDomain → isPublicDomain (default: false)
@@ -378,9 +1010,11 @@ private function fetchArtworksForPeriod($period)
      * - Ensures consistent data structure
      * 
      * Image Priority:
-     * - Tries primaryImage first
-     * - Falls back to primaryImageSmall if available
+     * - Tries primaryImageSmall first (faster loading, matches metMuseum.js)
+     * - Falls back to primaryImage if available
      * - Returns null if no images
+     * - imageFull is the reverse (primaryImage first): the full-resolution
+     *   file the artwork modal's zoom viewer loads on demand
      * 
      * Location Priority:
      * - Uses country if available
@@ -394,6 +1028,8 @@ private function fetchArtworksForPeriod($period)
      *   "artist": string,
      *   "artistBio": string,
      *   "year": string,
+     *   "objectBeginDate": int,
+     *   "objectEndDate": int,
      *   "culture": string,
      *   "period": string,
      *   "location": string,
@@ -403,6 +1039,7 @@ private function fetchArtworksForPeriod($period)
      *   "classification": string,
      *   "description": string,
      *   "image": string|null,
+     *   "imageFull": string|null,
      *   "additionalImages": array,
      *   "objectURL": string,
      *   "isPublicDomain": boolean,
@@ -423,18 +1060,21 @@ private function formatArtwork($data)
         return [
             'id' => $data['objectID'] ?? null,
             'title' => $data['title'] ?? 'Untitled',
-            'artist' => $data['artistDisplayName'] ?? 'Unknown Artist',
+            'artist' => ($data['artistDisplayName'] ?? '') ?: 'Unknown Artist',
             'artistBio' => $data['artistDisplayBio'] ?? '',
-            'year' => $data['objectDate'] ?? 'Date Unknown',
+            'year' => ($data['objectDate'] ?? '') ?: 'Date Unknown',
+            'objectBeginDate' => $data['objectBeginDate'] ?? 0,
+            'objectEndDate' => $data['objectEndDate'] ?? 0,
             'culture' => $data['culture'] ?? '',
             'period' => $data['period'] ?? '',
-            'location' => $data['country'] ?? $data['city'] ?? '',
-            'medium' => $data['medium'] ?? 'Medium Unknown',
+            'location' => ($data['country'] ?? '') ?: ($data['city'] ?? ''),
+            'medium' => ($data['medium'] ?? '') ?: 'Medium Unknown',
             'dimensions' => $data['dimensions'] ?? '',
             'department' => $data['department'] ?? '',
             'classification' => $data['classification'] ?? '',
             'description' => $data['creditLine'] ?? '',
-            'image' => $data['primaryImage'] ?? $data['primaryImageSmall'] ?? null,
+            'image' => ($data['primaryImageSmall'] ?? '') ?: ($data['primaryImage'] ?? null),
+            'imageFull' => ($data['primaryImage'] ?? '') ?: ($data['primaryImageSmall'] ?? null),
             'additionalImages' => $data['additionalImages'] ?? [],
             'objectURL' => $data['objectURL'] ?? '',
             'isPublicDomain' => $data['isPublicDomain'] ?? false,
@@ -444,87 +1084,49 @@ private function formatArtwork($data)
     }
 
     /**
-     * Get search queries for each period.
-     * 
-     * Private helper method that returns curated search terms for each historical
-     * period. These queries are designed to return high-quality, representative
-     * artworks for timeline and educational purposes.
-     * 
-     * Query Strategy:
-     * - Famous artists from each period
-     * - Art movements and styles
-     * - Period-specific terminology
-     * - Ensures diverse representation
-     * 
-     * @param string $period The historical period identifier
-     * 
-     * @return array Array of search query strings
-     * 
-     * Period Queries:
-     * 
-     * Renaissance (1400-1600):
-     * - General: "Renaissance"
-     * - Artists: Leonardo da Vinci, Michelangelo, Raphael, Botticelli
-     * 
-     * Baroque (1600-1750):
-     * - General: "Baroque"
-     * - Artists: Rembrandt, Caravaggio, Vermeer, Velázquez
-     * 
-     * Romanticism (1800-1900):
-     * - Movements: Romanticism, Impressionism
-     * - Artists: Van Gogh, Monet, Delacroix
+     * Shuffle an array deterministically from a numeric seed.
      * 
-     * Modern (1900-1970):
-     * - General: "Modern art"
-     * - Artists: Picasso
-     * - Movements: Abstract, Cubism, Surrealism
+     * Fisher-Yates driven by a 32-bit xorshift generator, so the same IDs
+     * and seed always produce the same order. The generator keeps the full
+     * 32-bit seed as its state: every accepted seed (0-2147483647, and the
+     * 32-bit personalised seeds) starts from a different state. The seed is
+     * first scrambled with CRC32 over its four bytes (a bijection), so
+     * neighbouring seeds such as consecutive days do not start alike.
+     * The seed normally comes from getTodaySeed() in resources/js/lib/metMuseum.js.
      * 
-     * Contemporary (1970-present):
-     * - General: "Contemporary art"
-     * - Media: Installation, Digital art, Photography, Sculpture
+     * @param array $items Items to shuffle
+     * @param int $seed Numeric seed (0 to 2^32 - 1)
      * 
-     * Return Value Examples:
-     * - renaissance: ['Renaissance', 'Leonardo da Vinci', 'Michelangelo', ...]
-     * - modern: ['Modern art', 'Picasso', 'Abstract', 'Cubism', 'Surrealism']
-     * - unknown_period: [] (empty array)
-     * 
-     * Default Behavior:
-     * - Returns empty array for unknown periods
-     * - Prevents errors from invalid period values
-     * - Allows graceful handling in calling method
-     * 
-     * Customization:
-     * - Add more artists/movements as needed
-     * - Adjust for specific educational focus
-     * - Include regional variations
-     * - Add emerging movements for contemporary
-     * 
-     * Search Quality Notes:
-     * - Artist names return focused results
-     * - Movement terms return broader selections
-     * - Mix ensures diverse representation
-     * - Order matters: earlier queries processed first
+     * @return array Shuffled copy of $items
+     */
+    private function deterministicShuffle(array $items, int $seed): array
+    {
+        $items = array_values($items);
+
+        // xorshift32 never leaves the zero state, so that one state is replaced
+        $state = crc32(pack('N', $seed & 0xFFFFFFFF)) ?: 0x9E3779B9;
+
+        for ($i = count($items) - 1; $i > 0; $i--) {
+            $state ^= ($state << 13) & 0xFFFFFFFF;
+            $state ^= $state >> 17;
+            $state ^= ($state << 5) & 0xFFFFFFFF;
+
+            $j = $state % ($i + 1);
+            [$items[$i], $items[$j]] = [$items[$j], $items[$i]];
+        }
+
+        return $items;
+    }
+
+    /**
+     * Seed derived from today's date (sum of year, month and day).
      * 
-     * Use Cases:
-     * - Power timeline artwork selection
-     * - Ensure period-appropriate results
-     * - Provide educational context
-     * - Support curated galleries
+     * Matches getTodaySeed() in resources/js/lib/metMuseum.js.
      * 
-     * @see \App\Http\Controllers\TimelineController::fetchArtworksForPeriod()
+     * @return int
      */
-    private function getPeriodQueries($period)
+    private function getTodaySeed(): int
     {
-        // Define curated search queries for each period
-        $queries = [
-            'renaissance' => ['Renaissance', 'Leonardo da Vinci', 'Michelangelo', 'Raphael', 'Botticelli'],
-            'baroque' => ['Baroque', 'Rembrandt', 'Caravaggio', 'Vermeer', 'Velázquez'],
-            'romanticism' => ['Romanticism', 'Impressionism', 'Van Gogh', 'Monet', 'Delacroix'],
-            'modern' => ['Modern art', 'Picasso', 'Abstract', 'Cubism', 'Surrealism'],
-            'contemporary' => ['Contemporary art', 'Installation', 'Digital art', 'Photography', 'Sculpture']
-        ];
-
-        // Return queries for requested period, or empty array if not found
-        return $queries[$period] ?? [];
+        return array_sum(array_map('intval', explode('-', gmdate('Y-m-d'))));
     }
 }
@@ -0,0 +1,55 @@
+<?php
+
+namespace App\Http\Middleware;
+
+use Closure;
+use Illuminate\Http\Request;
+use Symfony\Component\HttpFoundation\Response;
+
+/**
+ * EnsureUserIsAdmin Middleware
+ * 
+ * Restricts the admin area (timeline curation console) to users whose
+ * is_admin flag is set. Apply after 'auth' so guests are sent to login first.
+ * 
+ * Usage:
+ * ```
+ * Route::middleware(['auth', 'otp.verified', 'admin'])->group(function () {
+ *     Route::get('/admin/curation', [CurationController::class, 'show']);
+ * });
+ * ```
+ * 
+ * Middleware Alias:
+ * Registered as 'admin' in bootstrap/app.php
+ * 
+ * Response Types:
+ * - API/JSON requests: 403 Forbidden with JSON error
+ * - Web requests: 403 Forbidden error page
+ * 
+ * @package App\Http\Middleware
+ * 
+ * @see \App\Models\User::$is_admin
+ */
+class EnsureUserIsAdmin
+{
+    /**
+     * Handle an incoming request.
+     * 
+     * @param Request $request The incoming HTTP request
+     * @param Closure $next The next middleware in the pipeline
+     * 
+     * @return Response The HTTP response
+     */
+    public function handle(Request $request, Closure $next): Response
+    {
+        if (!$request->user()?->is_admin) {
+            if ($request->expectsJson() || $request->is('api/*')) {
+                return response()->json(['message' => 'Admin access required.'], 403);
+            }
+
+            abort(403, 'Admin access required.');
+        }
+
+        return $next($request);
+    }
+}
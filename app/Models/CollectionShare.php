@@ -0,0 +1,114 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Support\Str;
+
+/**
+ * CollectionShare Model
+ * 
+ * A public, read-only link to a user's whole collection (gallery_id null) or
+ * to one of their galleries. The link carries only the token; the artworks
+ * are read live, so later changes to the collection or gallery show up, and
+ * deleting the row revokes the link. A user has at most one link per target.
+ * 
+ * Database Table: collection_shares
+ * 
+ * @package App\Models
+ * 
+ * @property int $id
+ * @property string $token Unguessable share identifier
+ * @property int $user_id
+ * @property int|null $gallery_id Null when the whole collection is shared
+ * @property \Carbon\Carbon $created_at
+ * @property \Carbon\Carbon $updated_at
+ * 
+ * @property-read \App\Models\User $user
+ * @property-read \App\Models\Gallery|null $gallery
+ * 
+ * @see \App\Http\Controllers\CollectionShareController
+ */
+class CollectionShare extends Model
+{
+    /**
+     * The attributes that are mass assignable.
+     *
+     * @var list<string>
+     */
+    protected $fillable = [
+        'token',
+        'user_id',
+        'gallery_id',
+    ];
+
+    /**
+     * Generate a new unique share token.
+     */
+    public static function generateToken(): string
+    {
+        do {
+            $token = Str::random(32);
+        } while (static::where('token', $token)->exists());
+
+        return $token;
+    }
+
+    /**
+     * Get the user whose collection is shared.
+     */
+    public function user(): BelongsTo
+    {
+        return $this->belongsTo(User::class);
+    }
+
+    /**
+     * Get the shared gallery (null for the whole collection).
+     */
+    public function gallery(): BelongsTo
+    {
+        return $this->belongsTo(Gallery::class);
+    }
+
+    /**
+     * The shared artworks: the gallery in gallery order, or the whole
+     * collection with the most recently saved first.
+     *
+     * @return \Illuminate\Support\Collection<int, \App\Models\UserArtwork>
+     */
+    public function artworks()
+    {
+        if ($this->gallery_id) {
+            return $this->gallery->artworks;
+        }
+
+        return UserArtwork::where('user_id', $this->user_id)
+            ->orderByDesc('created_at')
+            ->orderByDesc('id')
+            ->get();
+    }
+
+    /**
+     * Absolute URL of the public share page.
+     */
+    public function url(): string
+    {
+        return url('/shared/' . $this->token);
+    }
+
+    /**
+     * Share link in the shape used by the owner's frontend.
+     *
+     * @return array<string, mixed>
+     */
+    public function toSummary(): array
+    {
+        return [
+            'token' => $this->token,
+            'url' => $this->url(),
+            'gallery_id' => $this->gallery_id,
+            'created_at' => $this->created_at,
+        ];
+    }
+}
@@ -0,0 +1,87 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Database\Eloquent\Relations\BelongsToMany;
+
+/**
+ * Gallery Model
+ * 
+ * A named gallery inside a user's collection. Holds saved artworks
+ * (UserArtwork) in a user-chosen order; the same artwork can be in several
+ * galleries, and removing it from the collection removes it from all of them.
+ * 
+ * Database Tables: galleries, gallery_artwork (pivot with "position")
+ * 
+ * JSON Shape (see toSummary()):
+ * {
+ *   "id": 3,
+ *   "name": "Thesis references",
+ *   "artwork_ids": ["436524", "437881"],  // Met object IDs in gallery order
+ *   "created_at": "...",
+ *   "updated_at": "..."
+ * }
+ * 
+ * @package App\Models
+ * 
+ * @property int $id
+ * @property int $user_id
+ * @property string $name Unique per user, max 100 characters
+ * @property \Carbon\Carbon $created_at
+ * @property \Carbon\Carbon $updated_at
+ * 
+ * @property-read \App\Models\User $user
+ * @property-read \Illuminate\Database\Eloquent\Collection<int, \App\Models\UserArtwork> $artworks
+ * 
+ * @see \App\Http\Controllers\GalleryController
+ */
+class Gallery extends Model
+{
+    /**
+     * The attributes that are mass assignable.
+     *
+     * @var list<string>
+     */
+    protected $fillable = [
+        'user_id',
+        'name',
+    ];
+
+    /**
+     * Get the user who owns the gallery.
+     */
+    public function user(): BelongsTo
+    {
+        return $this->belongsTo(User::class);
+    }
+
+    /**
+     * Get the gallery's artworks in gallery order.
+     */
+    public function artworks(): BelongsToMany
+    {
+        return $this->belongsToMany(UserArtwork::class, 'gallery_artwork')
+            ->withPivot('position')
+            ->withTimestamps()
+            ->orderBy('gallery_artwork.position')
+            ->orderBy('gallery_artwork.id');
+    }
+
+    /**
+     * Gallery in the shape used by the frontend (artworks as Met object IDs).
+     *
+     * @return array<string, mixed>
+     */
+    public function toSummary(): array
+    {
+        return [
+            'id' => $this->id,
+            'name' => $this->name,
+            'artwork_ids' => $this->artworks->pluck('artwork_id')->map(fn ($id) => (string) $id)->values()->all(),
+            'created_at' => $this->created_at,
+            'updated_at' => $this->updated_at,
+        ];
+    }
+}
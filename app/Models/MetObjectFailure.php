@@ -0,0 +1,198 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Database\Eloquent\MassPrunable;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\UniqueConstraintViolationException;
+use Illuminate\Support\Facades\Cache;
+
+/**
+ * MetObjectFailure Model
+ * 
+ * Shared blacklist entry for a Met Museum object that failed to load. Entries
+ * carry a retry-after time so transient failures expire on their own while
+ * permanent ones (404, manual) keep the object out of the timeline.
+ * 
+ * Database Table: met_object_failures
+ * 
+ * Retry Policy:
+ * - not_found (404): retry after 30 days
+ * - upstream_error (500): 1h, 2h, 4h, ... capped at 7 days
+ * - image_error (image URL answers 404/410): retry after 7 days
+ * - manual: never retried
+ * 
+ * Connection failures, timeouts and gateway errors (502-504) are never
+ * recorded: they are transient and say nothing about the object.
+ * 
+ * Caching:
+ * - Active IDs cached for 10 minutes under "met_blacklist"
+ * - Cache cleared whenever a failure is recorded
+ * 
+ * Pruning:
+ * - Entries expired for more than 30 days are deleted by the daily
+ *   model:prune run (routes/console.php); until then their failure_count
+ *   keeps the backoff growing if the object fails again
+ * 
+ * @package App\Models
+ * 
+ * @property int $id
+ * @property int $object_id Met Museum object ID
+ * @property string $reason
+ * @property int|null $status Upstream HTTP status
+ * @property int $failure_count
+ * @property \Carbon\Carbon|null $retry_after
+ * @property \Carbon\Carbon $created_at
+ * @property \Carbon\Carbon $updated_at
+ * 
+ * @see \App\Http\Controllers\MetMuseumController
+ */
+class MetObjectFailure extends Model
+{
+    use MassPrunable;
+
+    public const REASON_NOT_FOUND = 'not_found';
+    public const REASON_UPSTREAM_ERROR = 'upstream_error';
+    public const REASON_IMAGE_ERROR = 'image_error';
+    public const REASON_MANUAL = 'manual';
+
+    /**
+     * Cache key holding the list of currently blocked object IDs.
+     */
+    public const CACHE_KEY = 'met_blacklist';
+
+    /**
+     * The attributes that are mass assignable.
+     *
+     * @var list<string>
+     */
+    protected $fillable = [
+        'object_id',
+        'reason',
+        'status',
+        'failure_count',
+        'retry_after',
+    ];
+
+    /**
+     * Get the attributes that should be cast.
+     *
+     * @return array<string, string>
+     */
+    protected function casts(): array
+    {
+        return [
+            'object_id' => 'integer',
+            'status' => 'integer',
+            'failure_count' => 'integer',
+            'retry_after' => 'datetime',
+        ];
+    }
+
+    /**
+     * Scope to entries that should still be skipped.
+     */
+    public function scopeActive(Builder $query): Builder
+    {
+        return $query->where(function (Builder $query) {
+            $query->whereNull('retry_after')->orWhere('retry_after', '>', now());
+        });
+    }
+
+    /**
+     * Entries that expired more than 30 days ago (deleted by model:prune).
+     */
+    public function prunable(): Builder
+    {
+        return static::whereNotNull('retry_after')->where('retry_after', '<', now()->subDays(30));
+    }
+
+    /**
+     * IDs of all objects that should currently be skipped (cached for 10 minutes).
+     *
+     * @return int[]
+     */
+    public static function activeIds(): array
+    {
+        return Cache::remember(self::CACHE_KEY, 600, function () {
+            return static::active()->pluck('object_id')->map(fn ($id) => (int) $id)->all();
+        });
+    }
+
+    /**
+     * Whether the given object is currently blacklisted.
+     */
+    public static function isBlocked(int $objectId): bool
+    {
+        return in_array($objectId, static::activeIds(), true);
+    }
+
+    /**
+     * Record a failure for an object and push its retry-after time out.
+     * 
+     * Manual entries are never overwritten. When concurrent requests record
+     * the same new object, the one that loses the insert race counts its
+     * failure on the row the other created.
+     */
+    public static function record(int $objectId, string $reason, ?int $status = null): self
+    {
+        $failure = static::firstOrNew(['object_id' => $objectId]);
+
+        if ($failure->exists && $failure->reason === self::REASON_MANUAL) {
+            return $failure;
+        }
+
+        $failure->failure_count = $failure->exists ? $failure->failure_count + 1 : 1;
+        $failure->reason = $reason;
+        $failure->status = $status;
+        $failure->retry_after = static::retryAfterFor($reason, $failure->failure_count);
+
+        try {
+            $failure->save();
+        } catch (UniqueConstraintViolationException $e) {
+            // Inserted by another request in the meantime: update that row instead
+            return static::record($objectId, $reason, $status);
+        }
+
+        Cache::forget(self::CACHE_KEY);
+
+        return $failure;
+    }
+
+    /**
+     * Record a failed upstream response by its HTTP status.
+     * 
+     * Only 404 and 500 count as broken objects (the Met answers 500 for some
+     * malformed records). Gateway errors and timeouts (502, 503, 504), rate
+     * limiting (429) and other statuses are transient or say nothing about
+     * the object itself, so they are ignored.
+     * 
+     * @return bool Whether a failure was recorded
+     */
+    public static function recordStatus(int $objectId, int $status): bool
+    {
+        if ($status === 404) {
+            static::record($objectId, self::REASON_NOT_FOUND, $status);
+        } elseif ($status === 500) {
+            static::record($objectId, self::REASON_UPSTREAM_ERROR, $status);
+        } else {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Compute when an object may be retried.
+     */
+    protected static function retryAfterFor(string $reason, int $failureCount): ?\Illuminate\Support\Carbon
+    {
+        return match ($reason) {
+            self::REASON_MANUAL => null,
+            self::REASON_NOT_FOUND => now()->addDays(30),
+            self::REASON_IMAGE_ERROR => now()->addDays(7),
+            default => now()->addHours(min(2 ** ($failureCount - 1), 24 * 7)),
+        };
+    }
+}
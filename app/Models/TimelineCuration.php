@@ -0,0 +1,108 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+/**
+ * TimelineCuration Model
+ * 
+ * Admin decision about one Met object within one timeline period: either
+ * pinned (always shown, in position order, ahead of search results) or
+ * excluded (never shown in that period).
+ * 
+ * Database Table: timeline_curations
+ * 
+ * Cache Invalidation:
+ * - Saving or deleting a curation (store, reorder, destroy) touches its period
+ *   through the model, which bumps the period's "version", clears the cached
+ *   definitions and so invalidates cached artwork lists (server and browser)
+ * 
+ * @package App\Models
+ * 
+ * @property int $id
+ * @property int $timeline_period_id
+ * @property int $object_id Met Museum object ID
+ * @property string $type "pin" or "exclude"
+ * @property int $position Order among the period's pins
+ * @property string|null $note
+ * @property int|null $created_by
+ * @property \Carbon\Carbon $created_at
+ * @property \Carbon\Carbon $updated_at
+ * 
+ * @property-read \App\Models\TimelinePeriod $period
+ * 
+ * @see \App\Http\Controllers\Admin\CurationController
+ * @see \App\Http\Controllers\TimelineController
+ */
+class TimelineCuration extends Model
+{
+    public const TYPE_PIN = 'pin';
+    public const TYPE_EXCLUDE = 'exclude';
+
+    /**
+     * The attributes that are mass assignable.
+     *
+     * @var list<string>
+     */
+    protected $fillable = [
+        'timeline_period_id',
+        'object_id',
+        'type',
+        'position',
+        'note',
+        'created_by',
+    ];
+
+    /**
+     * Get the attributes that should be cast.
+     *
+     * @return array<string, string>
+     */
+    protected function casts(): array
+    {
+        return [
+            'object_id' => 'integer',
+            'position' => 'integer',
+        ];
+    }
+
+    /**
+     * Touch the period whenever a decision changes.
+     *
+     * Not done with $touches: that updates the period with a raw query, so
+     * its saved event never fires and the cached definitions (and with them
+     * the version the browser keys its cache by) would stay stale for an hour.
+     */
+    protected static function booted(): void
+    {
+        static::saved(fn (self $curation) => $curation->period?->touch());
+        static::deleted(fn (self $curation) => $curation->period?->touch());
+    }
+
+    /**
+     * Get the period this decision belongs to.
+     */
+    public function period(): BelongsTo
+    {
+        return $this->belongsTo(TimelinePeriod::class, 'timeline_period_id');
+    }
+
+    /**
+     * Scope to pinned objects in display order.
+     */
+    public function scopePinned(Builder $query): Builder
+    {
+        return $query->where('type', self::TYPE_PIN)->orderBy('position')->orderBy('id');
+    }
+
+    /**
+     * Scope to excluded objects.
+     */
+    public function scopeExcluded(Builder $query): Builder
+    {
+        return $query->where('type', self::TYPE_EXCLUDE);
+    }
+}
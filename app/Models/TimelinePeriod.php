@@ -0,0 +1,266 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\HasMany;
+use Illuminate\Support\Facades\Cache;
+
+/**
+ * TimelinePeriod Model
+ *
+ * One era of the art history timeline. Holds everything the timeline needs
+ * about a period in one place: the date range and Met search queries used to
+ * pick artworks, the story copy and colours shown on the page, and the 3D
+ * scene settings used by the animated background.
+ *
+ * Database Table: timeline_periods
+ *
+ * Frontend Shape (see toDefinition()):
+ * - id, title, period, storyTitle, narrative, description
+ * - startDate, endDate (years, negative = BCE; open-ended periods end this year)
+ * - queries
+ * - color, secondaryColor, bgColor, accentColor, background
+ * - scene: { geometry, particleCount, lightIntensity, cameraTarget }
+ *
+ * Caching:
+ * - Active definitions cached for 1 hour under "timeline_periods"
+ * - Cache cleared whenever a period is saved or deleted
+ *
+ * @package App\Models
+ *
+ * @property int $id
+ * @property string $slug Public identifier (e.g. "renaissance")
+ * @property int $sort_order
+ * @property string $title
+ * @property string $period_label Human-readable date range
+ * @property string|null $story_title
+ * @property string|null $narrative
+ * @property string|null $description
+ * @property int $start_date
+ * @property int|null $end_date Null means "present"
+ * @property array $queries Met search queries
+ * @property string $color
+ * @property string|null $secondary_color
+ * @property string|null $bg_color
+ * @property string|null $accent_color
+ * @property string|null $background Chapter background image URL
+ * @property array|null $scene 3D background settings
+ * @property bool $is_active
+ * @property \Carbon\Carbon $created_at
+ * @property \Carbon\Carbon $updated_at
+ *
+ * @property-read \Illuminate\Database\Eloquent\Collection<int, \App\Models\TimelineCuration> $curations
+ *
+ * @see \App\Http\Controllers\TimelineController
+ */
+class TimelinePeriod extends Model
+{
+    /**
+     * Cache key holding the active period definitions.
+     */
+    public const CACHE_KEY = 'timeline_periods';
+
+    /**
+     * The attributes that are mass assignable.
+     *
+     * @var list<string>
+     */
+    protected $fillable = [
+        'slug',
+        'sort_order',
+        'title',
+        'period_label',
+        'story_title',
+        'narrative',
+        'description',
+        'start_date',
+        'end_date',
+        'queries',
+        'color',
+        'secondary_color',
+        'bg_color',
+        'accent_color',
+        'background',
+        'scene',
+        'is_active',
+    ];
+
+    /**
+     * Get the attributes that should be cast.
+     *
+     * @return array<string, string>
+     */
+    protected function casts(): array
+    {
+        return [
+            'sort_order' => 'integer',
+            'start_date' => 'integer',
+            'end_date' => 'integer',
+            'queries' => 'array',
+            'scene' => 'array',
+            'is_active' => 'boolean',
+        ];
+    }
+
+    /**
+     * Clear cached definitions whenever a period changes.
+     */
+    protected static function booted(): void
+    {
+        static::saved(fn () => Cache::forget(self::CACHE_KEY));
+        static::deleted(fn () => Cache::forget(self::CACHE_KEY));
+    }
+
+    /**
+     * Get the admin pin/exclude decisions for this period.
+     */
+    public function curations(): HasMany
+    {
+        return $this->hasMany(TimelineCuration::class);
+    }
+
+    /**
+     * Pinned (in display order) and excluded object IDs of a period.
+     *
+     * @return array{pinned: int[], excluded: int[]}
+     */
+    public static function curationFor(string $slug): array
+    {
+        $period = static::where('slug', $slug)->first();
+
+        if (!$period) {
+            return ['pinned' => [], 'excluded' => []];
+        }
+
+        return [
+            'pinned' => $period->curations()->pinned()->pluck('object_id')->map(fn ($id) => (int) $id)->all(),
+            'excluded' => $period->curations()->excluded()->pluck('object_id')->map(fn ($id) => (int) $id)->all(),
+        ];
+    }
+
+    /**
+     * Scope to periods shown on the timeline, in timeline order.
+     */
+    public function scopeActive(Builder $query): Builder
+    {
+        return $query->where('is_active', true)->orderBy('sort_order')->orderBy('id');
+    }
+
+    /**
+     * Last year covered by the period (the current year for open-ended periods).
+     */
+    public function endYear(): int
+    {
+        return $this->end_date ?? (int) date('Y');
+    }
+
+    /**
+     * Definition in the shape used by the frontend and TimelineController.
+     *
+     * "version" changes whenever the period is edited, so cached artwork
+     * lists built from old dates or queries are not reused.
+     *
+     * @return array<string, mixed>
+     */
+    public function toDefinition(): array
+    {
+        return [
+            'id' => $this->slug,
+            'title' => $this->title,
+            'period' => $this->period_label,
+            'storyTitle' => $this->story_title,
+            'narrative' => $this->narrative,
+            'description' => $this->description,
+            'startDate' => $this->start_date,
+            'endDate' => $this->endYear(),
+            'queries' => array_values($this->queries ?? []),
+            'color' => $this->color,
+            'secondaryColor' => $this->secondary_color ?: $this->color,
+            'bgColor' => $this->bg_color,
+            'accentColor' => $this->accent_color,
+            'background' => $this->background,
+            'scene' => $this->scene ?? [],
+            'version' => $this->updated_at?->timestamp ?? 0,
+        ];
+    }
+
+    /**
+     * Definitions of all active periods in timeline order (cached for 1 hour).
+     *
+     * @return array<int, array<string, mixed>>
+     */
+    public static function definitions(): array
+    {
+        return Cache::remember(self::CACHE_KEY, 3600, function () {
+            return static::active()->get()->map->toDefinition()->values()->all();
+        });
+    }
+
+    /**
+     * Active periods as era filter options ([{ id, title }], timeline order).
+     *
+     * @return array<int, array{id: string, title: string}>
+     */
+    public static function eraOptions(): array
+    {
+        return array_map(
+            fn (array $definition) => ['id' => $definition['id'], 'title' => $definition['title']],
+            static::definitions()
+        );
+    }
+
+    /**
+     * Timeline era (active period slug) of an artwork dated begin–end.
+     *
+     * The era is the active period whose date range overlaps the artwork's
+     * the most (years inclusive); ties go to the later period, so a work
+     * dated 1400 on the Medieval/Renaissance boundary counts as Renaissance.
+     * Returns null when the artwork has no dates (the Met uses 0 for both)
+     * or lies outside every period.
+     */
+    public static function classify(?int $begin, ?int $end): ?string
+    {
+        if ($begin === null && $end === null) {
+            return null;
+        }
+
+        $begin ??= $end;
+        $end ??= $begin;
+        if ($begin === 0 && $end === 0) {
+            return null;
+        }
+        if ($end < $begin) {
+            [$begin, $end] = [$end, $begin];
+        }
+
+        $era = null;
+        $bestOverlap = 0;
+        foreach (static::definitions() as $definition) {
+            $overlap = min($end, $definition['endDate']) - max($begin, $definition['startDate']) + 1;
+            if ($overlap > 0 && $overlap >= $bestOverlap) {
+                $era = $definition['id'];
+                $bestOverlap = $overlap;
+            }
+        }
+
+        return $era;
+    }
+
+    /**
+     * Definition of one active period by slug, or null if unknown.
+     *
+     * @return array<string, mixed>|null
+     */
+    public static function definition(string $slug): ?array
+    {
+        foreach (static::definitions() as $definition) {
+            if ($definition['id'] === $slug) {
+                return $definition;
+            }
+        }
+
+        return null;
+    }
+}
@@ -0,0 +1,91 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Support\Str;
+
+/**
+ * TimelineSnapshot Model
+ * 
+ * A shared timeline arrangement: the Met object IDs shown for each period at
+ * the moment a user shared their timeline. Share links carry only the token;
+ * the artworks are replayed from the stored IDs.
+ * 
+ * Database Table: timeline_snapshots
+ * 
+ * Periods Structure:
+ * {
+ *   "ancient": [544442, 547802, ...],
+ *   "renaissance": [437853, ...],
+ *   ...
+ * }
+ * 
+ * @package App\Models
+ * 
+ * @property int $id
+ * @property string $token Unguessable share identifier
+ * @property int|null $user_id
+ * @property int|null $seed
+ * @property array<string, int[]> $periods Object IDs per period slug
+ * @property \Carbon\Carbon $created_at
+ * @property \Carbon\Carbon $updated_at
+ * 
+ * @property-read \App\Models\User|null $user
+ * 
+ * @see \App\Http\Controllers\TimelineController::storeSnapshot()
+ * @see \App\Http\Controllers\TimelineController::showSnapshot()
+ */
+class TimelineSnapshot extends Model
+{
+    /**
+     * Most object IDs stored per period.
+     */
+    public const MAX_IDS_PER_PERIOD = 60;
+
+    /**
+     * The attributes that are mass assignable.
+     *
+     * @var list<string>
+     */
+    protected $fillable = [
+        'token',
+        'user_id',
+        'seed',
+        'periods',
+    ];
+
+    /**
+     * Get the attributes that should be cast.
+     *
+     * @return array<string, string>
+     */
+    protected function casts(): array
+    {
+        return [
+            'seed' => 'integer',
+            'periods' => 'array',
+        ];
+    }
+
+    /**
+     * Generate a new unique share token.
+     */
+    public static function generateToken(): string
+    {
+        do {
+            $token = Str::random(32);
+        } while (static::where('token', $token)->exists());
+
+        return $token;
+    }
+
+    /**
+     * Get the user who shared the timeline.
+     */
+    public function user(): BelongsTo
+    {
+        return $this->belongsTo(User::class);
+    }
+}
@@ -41,6 +41,7 @@
  * @property string|null $otp_code
  * @property \Carbon\Carbon|null $otp_expires_at
  * @property bool $is_verified
+ * @property bool $is_admin Grants access to the admin area (not mass assignable)
  * @property bool $two_factor_enabled
  * @property string|null $two_factor_secret
  * @property \Carbon\Carbon|null $two_factor_confirmed_at
@@ -200,6 +201,7 @@ protected function casts(): array
             'email_verified_at' => 'datetime',
             'password' => 'hashed',
             'is_verified' => 'boolean',
+            'is_admin' => 'boolean',
             'two_factor_enabled' => 'boolean',
             'two_factor_confirmed_at' => 'datetime',
             'otp_expires_at' => 'datetime',
@@ -5,6 +5,7 @@
 use Illuminate\Database\Eloquent\Factories\HasFactory;
 use Illuminate\Database\Eloquent\Model;
 use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Database\Eloquent\Relations\BelongsToMany;
 
 /**
  * UserArtwork Model
@@ -37,14 +38,32 @@
  * @property string $artwork_id External API artwork identifier
  * @property string|null $title
  * @property string|null $artist
- * @property string|null $period
+ * @property string|null $year Display date (e.g. "ca. 1665")
+ * @property string|null $artist_bio
+ * @property int|null $object_begin_date Year, negative = BCE
+ * @property int|null $object_end_date Year, negative = BCE
+ * @property string|null $period Met's free-text period (e.g. "Edo period")
+ * @property string|null $era Timeline era slug (e.g. "renaissance"), see TimelinePeriod::classify()
+ * @property string|null $culture
+ * @property string|null $location
+ * @property string|null $medium
+ * @property string|null $dimensions
+ * @property string|null $department
+ * @property string|null $classification
  * @property string|null $image_url
- * @property string|null $description
+ * @property string|null $image_full_url
+ * @property array|null $additional_images
+ * @property string|null $description Credit line
+ * @property string|null $object_url
+ * @property bool $is_public_domain
+ * @property \Carbon\Carbon|null $metadata_date
+ * @property string|null $repository
  * @property string|null $notes User's personal notes
  * @property \Carbon\Carbon $created_at
  * @property \Carbon\Carbon $updated_at
  * 
  * @property-read \App\Models\User $user
+ * @property-read \Illuminate\Database\Eloquent\Collection<int, \App\Models\Gallery> $galleries
  * 
  * @method static \Illuminate\Database\Eloquent\Builder|UserArtwork where($column, $value)
  * @method static UserArtwork create(array $attributes)
@@ -100,6 +119,17 @@ class UserArtwork extends Model
      *   Type: String|null (text field)
      *   Example: "Oil on canvas, Gift of..."
      * 
+     * - year, artist_bio, object_begin_date, object_end_date, culture, location,
+     *   medium, dimensions, department, classification, image_full_url,
+     *   additional_images, object_url, is_public_domain, metadata_date, repository:
+     *   The rest of the normalized artwork, stored at save time so the collection
+     *   needs no Met requests (see the add_artwork_details migration for the
+     *   field mapping). Empty for artworks saved before these columns existed.
+     * 
+     * - era: Timeline era slug derived from the dates at save time
+     *   Type: String|null (null when undated or outside every period)
+     *   Example: "renaissance"
+     * 
      * - notes: User's personal notes about the artwork
      *   Type: String|null (text field)
      *   Max length: 1000 characters (validated at request level)
@@ -129,9 +159,26 @@ class UserArtwork extends Model
         'artwork_id',
         'title',
         'artist',
+        'year',
+        'artist_bio',
+        'object_begin_date',
+        'object_end_date',
         'period',
+        'era',
+        'culture',
+        'location',
+        'medium',
+        'dimensions',
+        'department',
+        'classification',
         'image_url',
+        'image_full_url',
+        'additional_images',
         'description',
+        'object_url',
+        'is_public_domain',
+        'metadata_date',
+        'repository',
         'notes',
     ];
 
@@ -155,6 +202,11 @@ class UserArtwork extends Model
      *   Usage: $artwork->updated_at->diffForHumans()
      *   Example: "2 hours ago"
      * 
+     * - object_begin_date / object_end_date => 'integer'
+     * - additional_images => 'array' (JSON list of image URLs)
+     * - is_public_domain => 'boolean'
+     * - metadata_date => 'datetime' (when the Met last updated the record)
+     * 
      * Carbon Instance Methods:
      * - format(): Custom date formatting
      * - diffForHumans(): Human-readable time difference
@@ -184,6 +236,11 @@ protected function casts(): array
         return [
             'created_at' => 'datetime',
             'updated_at' => 'datetime',
+            'object_begin_date' => 'integer',
+            'object_end_date' => 'integer',
+            'additional_images' => 'array',
+            'is_public_domain' => 'boolean',
+            'metadata_date' => 'datetime',
         ];
     }
 
@@ -252,4 +309,80 @@ public function user(): BelongsTo
     {
         return $this->belongsTo(User::class);
     }
+
+    /**
+     * Get the galleries that contain the artwork.
+     *
+     * Inverse of Gallery::artworks() through the gallery_artwork pivot.
+     *
+     * @see \App\Models\Gallery
+     */
+    public function galleries(): BelongsToMany
+    {
+        return $this->belongsToMany(Gallery::class, 'gallery_artwork')
+            ->withPivot('position')
+            ->withTimestamps();
+    }
+
+    /**
+     * The artwork as shown on public share pages.
+     *
+     * Uses the frontend's normalized artwork shape (see normalizeArtwork in
+     * resources/js/lib/metMuseum.js) so the timeline components can render it.
+     * Built from an explicit list of Met fields: notes and other private
+     * columns (user_id, era, timestamps) are never included. URLs pass
+     * through safeUrl(), so rows saved before URL validation cannot put a
+     * "javascript:" link on the public page.
+     *
+     * @return array<string, mixed>
+     *
+     * @see \App\Http\Controllers\CollectionShareController::show()
+     */
+    public function toPublicArtwork(): array
+    {
+        return [
+            'id' => (string) $this->artwork_id,
+            'title' => $this->title ?: 'Untitled',
+            'artist' => $this->artist ?: 'Unknown Artist',
+            'artistBio' => $this->artist_bio ?? '',
+            'year' => $this->year ?? '',
+            'objectBeginDate' => $this->object_begin_date,
+            'objectEndDate' => $this->object_end_date,
+            'culture' => $this->culture ?? '',
+            'period' => $this->period ?? '',
+            'location' => $this->location ?? '',
+            'medium' => $this->medium ?? '',
+            'dimensions' => $this->dimensions ?? '',
+            'department' => $this->department ?? '',
+            'classification' => $this->classification ?? '',
+            'description' => $this->description ?? '',
+            'image' => static::safeUrl($this->image_url),
+            'imageFull' => static::safeUrl($this->image_full_url) ?? static::safeUrl($this->image_url),
+            'additionalImages' => array_values(array_filter(array_map(
+                fn ($url) => static::safeUrl(is_string($url) ? $url : null),
+                $this->additional_images ?? []
+            ))),
+            'objectURL' => static::safeUrl($this->object_url),
+            'isPublicDomain' => $this->is_public_domain,
+            'metadataDate' => $this->metadata_date?->toIso8601String(),
+            'repository' => $this->repository ?? '',
+        ];
+    }
+
+    /**
+     * The URL when it is an http(s) URL, otherwise null.
+     *
+     * Guards every place a stored URL becomes a link or image outside the
+     * owner's own validated input (public share pages, the export catalogue).
+     */
+    public static function safeUrl(?string $url): ?string
+    {
+        if ($url === null) {
+            return null;
+        }
+
+        $url = trim($url);
+
+        return preg_match('#^https?://#i', $url) ? $url : null;
+    }
 }
@@ -65,6 +65,7 @@
      * 
      * Middleware Aliases:
      * - otp.verified: Ensures user has verified OTP
+     * - admin: Restricts routes to users with is_admin set
      * 
      * Additional Middleware:
      * ```
@@ -99,6 +100,9 @@
         $middleware->alias([
             // Custom middleware for OTP verification
             'otp.verified' => \App\Http\Middleware\EnsureOtpVerified::class,
+
+            // Admin-only areas (timeline curation console)
+            'admin' => \App\Http\Middleware\EnsureUserIsAdmin::class,
         ]);
     })
     
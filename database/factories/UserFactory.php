@@ -117,4 +117,23 @@ public function unverified(): static
             'email_verified_at' => null,
         ]);
     }
+
+    /**
+     * Indicate that the user is an OTP-verified admin.
+     * 
+     * Usage:
+     * ```
+     * $admin = User::factory()->admin()->create();
+     * // $admin->is_admin === true
+     * ```
+     * 
+     * @return static
+     */
+    public function admin(): static
+    {
+        return $this->state(fn (array $attributes) => [
+            'is_verified' => true,
+            'is_admin' => true,
+        ]);
+    }
 }
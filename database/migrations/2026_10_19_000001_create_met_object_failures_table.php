@@ -0,0 +1,89 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Schema;
+
+/**
+ * Create Met Object Failures Table Migration
+ * 
+ * Creates the shared blacklist of Met Museum object IDs that are known to be
+ * broken (404 upstream, repeated server errors, or images that do not load).
+ * The list is consulted by the Met proxy and hydrated into the frontend's
+ * skip-set, so one visitor's failure stops costing every other visitor a request.
+ * 
+ * Replaces the hard-coded BLACKLISTED_IDS set that used to live in
+ * resources/js/lib/metMuseum.js (those IDs are seeded as permanent entries).
+ * 
+ * Created: October 19, 2026
+ * 
+ * @see \App\Models\MetObjectFailure
+ * @see \App\Http\Controllers\MetMuseumController
+ */
+return new class extends Migration
+{
+    /**
+     * Object IDs that were hard-coded as broken on the frontend.
+     * 
+     * @var int[]
+     */
+    private array $legacyBlacklist = [662725, 634331, 811172];
+
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('met_object_failures', function (Blueprint $table) {
+            $table->id();
+
+            /**
+             * Met Museum object ID (one row per object).
+             */
+            $table->unsignedBigInteger('object_id')->unique();
+
+            /**
+             * Failure reason: not_found, upstream_error, image_error or manual.
+             */
+            $table->string('reason', 32);
+
+            /**
+             * Upstream HTTP status of the last failure, if there was one.
+             */
+            $table->unsignedSmallInteger('status')->nullable();
+
+            /**
+             * Number of recorded failures; drives exponential backoff.
+             */
+            $table->unsignedInteger('failure_count')->default(1);
+
+            /**
+             * When the object may be tried again. Null means never (manual entries).
+             */
+            $table->timestamp('retry_after')->nullable()->index();
+
+            $table->timestamps();
+        });
+
+        $now = now();
+
+        DB::table('met_object_failures')->insert(array_map(fn ($id) => [
+            'object_id' => $id,
+            'reason' => 'manual',
+            'status' => null,
+            'failure_count' => 1,
+            'retry_after' => null,
+            'created_at' => $now,
+            'updated_at' => $now,
+        ], $this->legacyBlacklist));
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('met_object_failures');
+    }
+};
@@ -0,0 +1,236 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Schema;
+
+/**
+ * Create Timeline Periods Table Migration
+ *
+ * Creates the single source of truth for the eras shown on the timeline:
+ * date range and Met search queries (used by TimelineController), story copy
+ * and colours (used by the Timeline page) and the 3D scene settings (used by
+ * ThreeBackground). Curators can add or retune eras here without a frontend
+ * rebuild.
+ *
+ * Replaces TIMELINE_QUERIES (metMuseum.js), timelinePeriods (Timeline.jsx),
+ * CHAPTER_CONFIGS (ThreeBackground.jsx) and the hard-coded definitions in
+ * TimelineController; their values are seeded below.
+ *
+ * Created: October 19, 2026
+ *
+ * @see \App\Models\TimelinePeriod
+ * @see \App\Http\Controllers\TimelineController
+ */
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('timeline_periods', function (Blueprint $table) {
+            $table->id();
+
+            /**
+             * Public identifier used in URLs and props (e.g. "renaissance").
+             */
+            $table->string('slug', 50)->unique();
+
+            /**
+             * Position on the timeline (ascending).
+             */
+            $table->unsignedInteger('sort_order')->default(0);
+
+            /**
+             * Display copy: heading, date label ("1400 – 1600"), story title,
+             * narrative paragraph and short description.
+             */
+            $table->string('title');
+            $table->string('period_label', 100);
+            $table->string('story_title')->nullable();
+            $table->text('narrative')->nullable();
+            $table->string('description')->nullable();
+
+            /**
+             * Year range used to filter artworks (negative = BCE).
+             * A null end date means "present".
+             */
+            $table->integer('start_date');
+            $table->integer('end_date')->nullable();
+
+            /**
+             * Met search queries used to find candidate artworks (JSON array of strings).
+             */
+            $table->json('queries');
+
+            /**
+             * Theme: primary and secondary hex colours, gradient tokens and an
+             * optional chapter background image URL.
+             */
+            $table->string('color', 20);
+            $table->string('secondary_color', 20)->nullable();
+            $table->string('bg_color')->nullable();
+            $table->string('accent_color')->nullable();
+            $table->string('background', 500)->nullable();
+
+            /**
+             * 3D background settings (JSON): geometry, particleCount,
+             * lightIntensity, cameraTarget.
+             */
+            $table->json('scene')->nullable();
+
+            /**
+             * Inactive periods are hidden from the timeline and its API.
+             */
+            $table->boolean('is_active')->default(true);
+
+            $table->timestamps();
+        });
+
+        $now = now();
+
+        DB::table('timeline_periods')->insert(array_map(fn ($period) => array_merge($period, [
+            'queries' => json_encode($period['queries']),
+            'scene' => json_encode($period['scene']),
+            'is_active' => true,
+            'created_at' => $now,
+            'updated_at' => $now,
+        ]), $this->defaultPeriods()));
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('timeline_periods');
+    }
+
+    /**
+     * The five eras the timeline launched with.
+     *
+     * @return array<int, array<string, mixed>>
+     */
+    private function defaultPeriods(): array
+    {
+        return [
+            [
+                'slug' => 'ancient',
+                'sort_order' => 1,
+                'title' => 'Ancient World',
+                'period_label' => '3000 BCE – 500 CE',
+                'story_title' => 'Origins of Meaning',
+                'narrative' => 'In the earliest civilizations, art was inseparable from life itself. Images were created to honor gods, commemorate rulers, and impose order on the universe. Form followed function, symbolism outweighed realism, and art became a bridge between the human and the divine.',
+                'description' => 'Sacred symbols, idealized figures, and art as ritual, power, and belief',
+                'start_date' => -3000,
+                'end_date' => 500,
+                'queries' => ['Egyptian sculpture', 'Greek pottery', 'Roman marble'],
+                'color' => '#f59e0b',
+                'secondary_color' => '#fb923c',
+                'bg_color' => 'from-amber-950/50 via-orange-950/30 to-black',
+                'accent_color' => 'from-amber-400 to-orange-500',
+                'background' => null,
+                'scene' => [
+                    'geometry' => 'pyramid',
+                    'particleCount' => 120,
+                    'lightIntensity' => 1.2,
+                    'cameraTarget' => ['x' => 0, 'y' => 0, 'z' => 3],
+                ],
+            ],
+            [
+                'slug' => 'medieval',
+                'sort_order' => 2,
+                'title' => 'Medieval Period',
+                'period_label' => '500 – 1400',
+                'story_title' => 'Faith Over Form',
+                'narrative' => 'As empires fell and faith rose, art turned inward and upward. Beauty was no longer measured by realism, but by devotion. Figures floated beyond time, gold illuminated the sacred, and images served as visual prayers for a world guided by spiritual truth.',
+                'description' => 'Religious symbolism, spiritual focus, and art as devotion',
+                'start_date' => 500,
+                'end_date' => 1400,
+                'queries' => ['Medieval manuscript', 'Byzantine mosaic', 'Gothic sculpture'],
+                'color' => '#8b5cf6',
+                'secondary_color' => '#a78bfa',
+                'bg_color' => 'from-purple-950/50 via-indigo-950/30 to-black',
+                'accent_color' => 'from-purple-400 to-indigo-500',
+                'background' => null,
+                'scene' => [
+                    'geometry' => 'cathedral',
+                    'particleCount' => 150,
+                    'lightIntensity' => 0.9,
+                    'cameraTarget' => ['x' => 0, 'y' => 0, 'z' => 2.5],
+                ],
+            ],
+            [
+                'slug' => 'renaissance',
+                'sort_order' => 3,
+                'title' => 'Renaissance',
+                'period_label' => '1400 – 1600',
+                'story_title' => 'The Rebirth of Humanity',
+                'narrative' => 'Humanity rediscovered itself. Artists studied nature, anatomy, and perspective, blending scientific observation with artistic mastery. Inspired by classical antiquity, art celebrated balance, proportion, and the beauty of the human form.',
+                'description' => 'Humanism, realism, perspective, and classical revival',
+                'start_date' => 1400,
+                'end_date' => 1600,
+                'queries' => ['Renaissance painting', 'Italian sculpture', 'Venetian art'],
+                'color' => '#06b6d4',
+                'secondary_color' => '#22d3ee',
+                'bg_color' => 'from-cyan-950/50 via-blue-950/30 to-black',
+                'accent_color' => 'from-cyan-400 to-blue-500',
+                'background' => null,
+                'scene' => [
+                    'geometry' => 'sphere',
+                    'particleCount' => 180,
+                    'lightIntensity' => 1.1,
+                    'cameraTarget' => ['x' => 0, 'y' => 0, 'z' => 2],
+                ],
+            ],
+            [
+                'slug' => 'baroque',
+                'sort_order' => 4,
+                'title' => 'Baroque & Enlightenment',
+                'period_label' => '1600 – 1800',
+                'story_title' => 'Emotion and Power',
+                'narrative' => 'Art became theatrical and persuasive. Movement replaced stillness, light cut through darkness, and emotion demanded attention. Whether serving church, crown, or reason, artists sought to overwhelm the senses and engage the viewer directly.',
+                'description' => 'Drama, movement, contrast, and emotional intensity',
+                'start_date' => 1600,
+                'end_date' => 1800,
+                'queries' => ['Baroque painting', 'Rococo art', 'Dutch Golden Age'],
+                'color' => '#ef4444',
+                'secondary_color' => '#f87171',
+                'bg_color' => 'from-red-950/50 via-pink-950/30 to-black',
+                'accent_color' => 'from-red-400 to-pink-500',
+                'background' => null,
+                'scene' => [
+                    'geometry' => 'spiral',
+                    'particleCount' => 200,
+                    'lightIntensity' => 1.3,
+                    'cameraTarget' => ['x' => 0, 'y' => 0, 'z' => 1.5],
+                ],
+            ],
+            [
+                'slug' => 'modern',
+                'sort_order' => 5,
+                'title' => 'Modern & Contemporary',
+                'period_label' => '1800 – Present',
+                'story_title' => 'Breaking the Frame',
+                'narrative' => 'Tradition fractured. Artists rejected rules, questioned reality, and redefined what art could be. From abstraction to digital media, art became personal, political, experimental, and global—reflecting a rapidly changing world.',
+                'description' => 'Innovation, experimentation, and limitless forms of expression',
+                'start_date' => 1800,
+                'end_date' => null,
+                'queries' => ['Impressionist painting', 'Modern sculpture', 'American painting'],
+                'color' => '#10b981',
+                'secondary_color' => '#34d399',
+                'bg_color' => 'from-emerald-950/50 via-green-950/30 to-black',
+                'accent_color' => 'from-emerald-400 to-green-500',
+                'background' => null,
+                'scene' => [
+                    'geometry' => 'abstract',
+                    'particleCount' => 220,
+                    'lightIntensity' => 1.0,
+                    'cameraTarget' => ['x' => 0, 'y' => 0, 'z' => 1],
+                ],
+            ],
+        ];
+    }
+};
@@ -0,0 +1,42 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+/**
+ * Add Admin Flag to Users Migration
+ * 
+ * Adds an is_admin flag that unlocks the admin area (timeline curation console).
+ * The flag is not mass assignable; grant it explicitly:
+ * ```
+ * $user->forceFill(['is_admin' => true])->save();
+ * ```
+ * 
+ * Created: October 19, 2026
+ * 
+ * @see \App\Models\User
+ * @see \App\Http\Middleware\EnsureUserIsAdmin
+ */
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('users', function (Blueprint $table) {
+            $table->boolean('is_admin')->default(false)->after('is_verified');
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('users', function (Blueprint $table) {
+            $table->dropColumn('is_admin');
+        });
+    }
+};
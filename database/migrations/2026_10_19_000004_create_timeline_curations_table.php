@@ -0,0 +1,76 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+/**
+ * Create Timeline Curations Table Migration
+ * 
+ * Stores admin curation decisions per timeline period: Met objects pinned to
+ * the front of a period (in a chosen order) and objects excluded from it.
+ * TimelineController applies these before falling back to shuffled search
+ * results.
+ * 
+ * Created: October 19, 2026
+ * 
+ * @see \App\Models\TimelineCuration
+ * @see \App\Http\Controllers\Admin\CurationController
+ */
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('timeline_curations', function (Blueprint $table) {
+            $table->id();
+
+            /**
+             * Period the decision applies to; removed with the period.
+             */
+            $table->foreignId('timeline_period_id')->constrained()->cascadeOnDelete();
+
+            /**
+             * Met Museum object ID.
+             */
+            $table->unsignedBigInteger('object_id');
+
+            /**
+             * "pin" or "exclude".
+             */
+            $table->string('type', 16);
+
+            /**
+             * Order of pinned objects within the period (ascending).
+             */
+            $table->unsignedInteger('position')->default(0);
+
+            /**
+             * Optional curator note (why it was pinned or excluded).
+             */
+            $table->string('note', 500)->nullable();
+
+            /**
+             * Admin who made the decision.
+             */
+            $table->foreignId('created_by')->nullable()->constrained('users')->nullOnDelete();
+
+            $table->timestamps();
+
+            /**
+             * An object is either pinned or excluded within a period, never both.
+             */
+            $table->unique(['timeline_period_id', 'object_id']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('timeline_curations');
+    }
+};
@@ -0,0 +1,62 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+/**
+ * Create Timeline Snapshots Table Migration
+ * 
+ * Stores shared timeline arrangements: the exact Met object IDs shown per
+ * period when a user pressed "share this timeline". Opening the share link
+ * replays these IDs, so everyone sees the same artworks even after the daily
+ * seed, the period queries or the curation have changed.
+ * 
+ * Created: October 19, 2026
+ * 
+ * @see \App\Models\TimelineSnapshot
+ * @see \App\Http\Controllers\TimelineController::storeSnapshot()
+ */
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('timeline_snapshots', function (Blueprint $table) {
+            $table->id();
+
+            /**
+             * Unguessable public identifier used in share links (?snapshot=...).
+             */
+            $table->string('token', 64)->unique();
+
+            /**
+             * User who shared the timeline; kept anonymous if the account is deleted.
+             */
+            $table->foreignId('user_id')->nullable()->constrained()->nullOnDelete();
+
+            /**
+             * Shuffle seed the arrangement was built with (informational; lets the
+             * live arrangement be regenerated with /timeline?seed=...).
+             */
+            $table->unsignedBigInteger('seed')->nullable();
+
+            /**
+             * Object IDs per period slug, in display order (JSON object).
+             */
+            $table->json('periods');
+
+            $table->timestamps();
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('timeline_snapshots');
+    }
+};
@@ -0,0 +1,91 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+/**
+ * Add Artwork Details to User Artworks Migration
+ *
+ * Stores the rest of the normalized artwork (see normalizeArtwork in
+ * resources/js/lib/metMuseum.js) with each saved artwork, so the collection
+ * can sort, filter and display real metadata without re-querying the Met.
+ *
+ * Column mapping (normalized field → column):
+ * - year → year (display date, e.g. "ca. 1665")
+ * - artistBio → artist_bio
+ * - objectBeginDate / objectEndDate → object_begin_date / object_end_date
+ *   (years, negative = BCE; used for date sorting)
+ * - culture, location, medium, dimensions, department, classification,
+ *   repository → same names
+ * - description (credit line) → description (existing column)
+ * - imageFull → image_full_url, additionalImages → additional_images (JSON)
+ * - objectURL → object_url, isPublicDomain → is_public_domain,
+ *   metadataDate → metadata_date
+ *
+ * Every new column is nullable (or defaulted): artworks saved before this
+ * migration keep only the original columns.
+ *
+ * Created: October 19, 2026
+ *
+ * @see \App\Models\UserArtwork
+ * @see \App\Http\Controllers\CollectionController::store()
+ */
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('user_artworks', function (Blueprint $table) {
+            $table->string('year')->nullable()->after('artist');
+            $table->text('artist_bio')->nullable()->after('year');
+            $table->integer('object_begin_date')->nullable()->after('artist_bio');
+            $table->integer('object_end_date')->nullable()->after('object_begin_date');
+            $table->string('culture')->nullable()->after('period');
+            $table->string('location')->nullable()->after('culture');
+            $table->text('medium')->nullable()->after('location');
+            $table->text('dimensions')->nullable()->after('medium');
+            $table->string('department')->nullable()->after('dimensions');
+            $table->string('classification')->nullable()->after('department');
+            $table->string('image_full_url', 500)->nullable()->after('image_url');
+            $table->json('additional_images')->nullable()->after('image_full_url');
+            $table->string('object_url', 500)->nullable()->after('description');
+            $table->boolean('is_public_domain')->default(false)->after('object_url');
+            $table->timestamp('metadata_date')->nullable()->after('is_public_domain');
+            $table->string('repository')->nullable()->after('metadata_date');
+
+            // Date sorting within a user's collection
+            $table->index(['user_id', 'object_begin_date']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('user_artworks', function (Blueprint $table) {
+            $table->dropIndex(['user_id', 'object_begin_date']);
+            $table->dropColumn([
+                'year',
+                'artist_bio',
+                'object_begin_date',
+                'object_end_date',
+                'culture',
+                'location',
+                'medium',
+                'dimensions',
+                'department',
+                'classification',
+                'image_full_url',
+                'additional_images',
+                'object_url',
+                'is_public_domain',
+                'metadata_date',
+                'repository',
+            ]);
+        });
+    }
+};
@@ -0,0 +1,50 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+/**
+ * Add Era to User Artworks Migration
+ * 
+ * Adds the timeline era (timeline_periods slug, e.g. "renaissance") of each
+ * saved artwork. The era is derived from object_begin_date/object_end_date
+ * when the artwork is saved (TimelinePeriod::classify) and is what the
+ * Collection period filter and the Dashboard "Favorite Period" use; the Met's
+ * own free-text period stays in the period column.
+ * 
+ * Existing rows are classified by the backfill command, which also looks up
+ * missing dates from the Met:
+ * ```
+ * php artisan collection:classify-eras
+ * ```
+ * 
+ * Created: October 19, 2026
+ * 
+ * @see \App\Models\TimelinePeriod::classify()
+ * @see \App\Http\Controllers\CollectionController::store()
+ */
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('user_artworks', function (Blueprint $table) {
+            $table->string('era', 50)->nullable()->after('period');
+            $table->index(['user_id', 'era']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('user_artworks', function (Blueprint $table) {
+            $table->dropIndex(['user_id', 'era']);
+            $table->dropColumn('era');
+        });
+    }
+};
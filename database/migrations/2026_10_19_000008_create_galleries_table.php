@@ -0,0 +1,78 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+/**
+ * Create Galleries Tables Migration
+ * 
+ * Named galleries inside a user's collection ("Thesis references",
+ * "Blue period"). A gallery holds saved artworks (user_artworks rows) in a
+ * user-chosen order, and an artwork can be in any number of galleries.
+ * 
+ * Tables:
+ * - galleries: one row per named gallery
+ * - gallery_artwork: membership pivot with the artwork's position
+ * 
+ * Removing an artwork from the collection (or deleting the gallery or the
+ * user) removes its memberships through cascading foreign keys.
+ * 
+ * Created: October 19, 2026
+ * 
+ * @see \App\Models\Gallery
+ * @see \App\Http\Controllers\GalleryController
+ */
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('galleries', function (Blueprint $table) {
+            $table->id();
+
+            /**
+             * Owner; galleries are removed with the user.
+             */
+            $table->foreignId('user_id')->constrained()->cascadeOnDelete();
+
+            /**
+             * Display name, unique per user.
+             */
+            $table->string('name', 100);
+
+            $table->timestamps();
+
+            $table->unique(['user_id', 'name']);
+        });
+
+        Schema::create('gallery_artwork', function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('gallery_id')->constrained()->cascadeOnDelete();
+            $table->foreignId('user_artwork_id')->constrained()->cascadeOnDelete();
+
+            /**
+             * Order of the artwork within the gallery (ascending).
+             */
+            $table->unsignedInteger('position')->default(0);
+
+            $table->timestamps();
+
+            /**
+             * An artwork appears at most once per gallery.
+             */
+            $table->unique(['gallery_id', 'user_artwork_id']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('gallery_artwork');
+        Schema::dropIfExists('galleries');
+    }
+};
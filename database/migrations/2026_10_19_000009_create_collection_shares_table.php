@@ -0,0 +1,60 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+/**
+ * Create Collection Shares Table Migration
+ * 
+ * Public share links for a user's whole collection or one of their
+ * galleries. Anyone with the link (/shared/{token}) gets a read-only page;
+ * the owner revokes the link by deleting its row. Unlike timeline snapshots,
+ * a share is live: it always shows the collection or gallery as it is now.
+ * 
+ * Deleting the gallery or the user deletes the share (cascading keys).
+ * 
+ * Created: October 19, 2026
+ * 
+ * @see \App\Models\CollectionShare
+ * @see \App\Http\Controllers\CollectionShareController
+ */
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('collection_shares', function (Blueprint $table) {
+            $table->id();
+
+            /**
+             * Unguessable public identifier used in share links (/shared/...).
+             */
+            $table->string('token', 64)->unique();
+
+            /**
+             * Owner of the shared collection.
+             */
+            $table->foreignId('user_id')->constrained()->cascadeOnDelete();
+
+            /**
+             * Shared gallery, or null when the whole collection is shared.
+             */
+            $table->foreignId('gallery_id')->nullable()->constrained()->cascadeOnDelete();
+
+            $table->timestamps();
+
+            $table->index(['user_id', 'gallery_id']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('collection_shares');
+    }
+};
@@ -21,7 +21,7 @@ import { Palette } from "lucide-react";
  * @param {Object|null} props.auth.user - Current user object or null
  * 
  * Navigation Items:
- * - Authenticated: Dashboard, Timeline, Collection, Profile, Logout
+ * - Authenticated: Dashboard, Timeline, Search, Browse, Collection, Curation (admins only), Profile, Logout
  * - Guest: Home, Login, Register
  * 
  * @example
@@ -70,12 +70,32 @@ export default function Header({ auth }) {
               >
                 Timeline
               </Link>
+              <Link
+                href="/search"
+                className="text-[#F8F7F3]/80 hover:text-amber-300 transition-colors"
+              >
+                Search
+              </Link>
+              <Link
+                href="/browse"
+                className="text-[#F8F7F3]/80 hover:text-amber-300 transition-colors"
+              >
+                Browse
+              </Link>
               <Link
                 href="/collection"
                 className="text-[#F8F7F3]/80 hover:text-amber-300 transition-colors"
               >
                 Collection
               </Link>
+              {auth.user.is_admin && (
+                <Link
+                  href="/admin/curation"
+                  className="text-[#F8F7F3]/80 hover:text-amber-300 transition-colors"
+                >
+                  Curation
+                </Link>
+              )}
               <Link
                 href="/profile"
                 className="text-[#F8F7F3]/80 hover:text-amber-300 transition-colors"
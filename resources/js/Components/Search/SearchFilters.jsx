@@ -0,0 +1,189 @@
+import React, { useEffect, useState } from 'react';
+import { SlidersHorizontal, X } from 'lucide-react';
+import { getDepartments, isAbortError } from '@/lib/metMuseum';
+
+// Yes/no facets shown as checkboxes ('true' when checked, left out otherwise)
+const TOGGLES = [
+    ['isHighlight', 'Highlights only'],
+    ['isOnView', 'On view at The Met'],
+    ['publicDomain', 'Public domain only'],
+];
+
+const inputClass = 'w-full px-3 py-2 bg-black/50 border border-amber-500/30 rounded-lg text-[#F8F7F3] text-sm placeholder:text-[#F8F7F3]/30 focus:border-amber-400 focus:ring-2 focus:ring-amber-400/50 transition-all';
+
+/**
+ * SearchFilters Component
+ *
+ * Filter sidebar for the search page. Edits a draft of the facets and hands
+ * the result to onApply, so the search only reruns when the user applies:
+ * - Department (Met departmentId, list from getDepartments)
+ * - Date range (dateBegin/dateEnd, years, negative for BC; both or neither)
+ * - Medium and place of origin (geoLocation), several values joined with '|'
+ * - Highlights, on view, and public domain toggles
+ *
+ * @param {Object} filters - Applied facets, as strings keyed by facet name
+ * @param {Function} onApply - Callback with the new facets (empty ones removed)
+ * @param {Function} onClear - Callback to drop every facet
+ */
+export default function SearchFilters({ filters = {}, onApply, onClear }) {
+    // Draft facets being edited (applied facets stay in the URL until "Apply")
+    const [draft, setDraft] = useState(filters);
+    // Validation message for the date range
+    const [error, setError] = useState(null);
+    // Met departments for the select ([{ departmentId, displayName }])
+    const [departments, setDepartments] = useState([]);
+
+    // Load the department list once
+    useEffect(() => {
+        const controller = new AbortController();
+        getDepartments({ signal: controller.signal })
+            .then(setDepartments)
+            .catch((err) => {
+                if (!isAbortError(err)) console.error('Error loading departments:', err);
+            });
+        return () => controller.abort();
+    }, []);
+
+    // Follow the applied facets when they change (e.g. browser back/forward)
+    useEffect(() => {
+        setDraft(filters);
+        setError(null);
+    }, [JSON.stringify(filters)]);
+
+    const update = (facet, value) => setDraft((prev) => ({ ...prev, [facet]: value }));
+
+    // Drop empty facets and check the date range before applying
+    const handleSubmit = (e) => {
+        e.preventDefault();
+
+        const applied = Object.fromEntries(
+            Object.entries(draft).filter(([, value]) => value !== undefined && value !== null && String(value).trim() !== '')
+        );
+
+        const hasBegin = applied.dateBegin !== undefined;
+        const hasEnd = applied.dateEnd !== undefined;
+        if (hasBegin !== hasEnd) {
+            setError('Enter both a start and an end year.');
+            return;
+        }
+        if (hasBegin && Number(applied.dateBegin) > Number(applied.dateEnd)) {
+            setError('The start year must come before the end year.');
+            return;
+        }
+
+        setError(null);
+        onApply(applied);
+    };
+
+    const activeCount = Object.keys(filters).length;
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-5 p-5 bg-gradient-to-br from-amber-950/20 to-black border border-amber-500/20 rounded-lg">
+            <div className="flex items-center justify-between">
+                <p className="flex items-center gap-2 text-amber-400 font-ui font-semibold">
+                    <SlidersHorizontal className="w-4 h-4" />
+                    Filters
+                    {activeCount > 0 && (
+                        <span className="px-2 py-0.5 rounded-full bg-amber-400 text-black text-xs">{activeCount}</span>
+                    )}
+                </p>
+                {activeCount > 0 && (
+                    <button
+                        type="button"
+                        onClick={onClear}
+                        className="flex items-center gap-1 text-[#F8F7F3]/50 hover:text-amber-300 text-xs font-ui transition-colors"
+                    >
+                        <X className="w-3 h-3" />
+                        Clear
+                    </button>
+                )}
+            </div>
+
+            {/* Department */}
+            <label className="block space-y-1">
+                <span className="text-[#F8F7F3]/70 text-sm font-ui">Department</span>
+                <select
+                    value={draft.departmentId || ''}
+                    onChange={(e) => update('departmentId', e.target.value)}
+                    className={inputClass}
+                >
+                    <option value="">All departments</option>
+                    {departments.map((department) => (
+                        <option key={department.departmentId} value={department.departmentId}>
+                            {department.displayName}
+                        </option>
+                    ))}
+                </select>
+            </label>
+
+            {/* Date range */}
+            <div className="space-y-1">
+                <span className="text-[#F8F7F3]/70 text-sm font-ui">Date range (years, BC negative)</span>
+                <div className="flex items-center gap-2">
+                    <input
+                        type="number"
+                        placeholder="From"
+                        value={draft.dateBegin || ''}
+                        onChange={(e) => update('dateBegin', e.target.value)}
+                        className={inputClass}
+                    />
+                    <span className="text-[#F8F7F3]/40">–</span>
+                    <input
+                        type="number"
+                        placeholder="To"
+                        value={draft.dateEnd || ''}
+                        onChange={(e) => update('dateEnd', e.target.value)}
+                        className={inputClass}
+                    />
+                </div>
+                {error && <p className="text-red-400 text-xs">{error}</p>}
+            </div>
+
+            {/* Medium */}
+            <label className="block space-y-1">
+                <span className="text-[#F8F7F3]/70 text-sm font-ui">Medium</span>
+                <input
+                    type="text"
+                    placeholder="e.g. Paintings|Ceramics"
+                    value={draft.medium || ''}
+                    onChange={(e) => update('medium', e.target.value)}
+                    className={inputClass}
+                />
+            </label>
+
+            {/* Place of origin */}
+            <label className="block space-y-1">
+                <span className="text-[#F8F7F3]/70 text-sm font-ui">Place of origin</span>
+                <input
+                    type="text"
+                    placeholder="e.g. France|Japan"
+                    value={draft.geoLocation || ''}
+                    onChange={(e) => update('geoLocation', e.target.value)}
+                    className={inputClass}
+                />
+            </label>
+
+            {/* Toggles */}
+            <div className="space-y-2">
+                {TOGGLES.map(([facet, label]) => (
+                    <label key={facet} className="flex items-center gap-2 text-[#F8F7F3]/70 text-sm font-ui cursor-pointer">
+                        <input
+                            type="checkbox"
+                            checked={draft[facet] === 'true'}
+                            onChange={(e) => update(facet, e.target.checked ? 'true' : '')}
+                            className="rounded border-amber-500/30 bg-black/50 text-amber-400 focus:ring-amber-400/50"
+                        />
+                        {label}
+                    </label>
+                ))}
+            </div>
+
+            <button
+                type="submit"
+                className="w-full px-4 py-2 bg-gradient-to-r from-amber-400 to-orange-500 text-black font-ui font-semibold rounded-lg hover:from-amber-300 hover:to-orange-400 transition-all"
+            >
+                Apply filters
+            </button>
+        </form>
+    );
+}
@@ -5,50 +5,33 @@ import { Canvas, useFrame } from '@react-three/fiber';
 import { Stars } from '@react-three/drei';
 import * as THREE from 'three';
 
-// Chapter configurations with unique 3D environments
-const CHAPTER_CONFIGS = {
-  ancient: {
-    color: '#f59e0b',
-    secondaryColor: '#fb923c',
-    geometry: 'pyramid',
-    particleCount: 120,
-    lightIntensity: 1.2,
-    cameraTarget: { x: 0, y: 0, z: 3 },
-  },
-  medieval: {
-    color: '#8b5cf6',
-    secondaryColor: '#a78bfa',
-    geometry: 'cathedral',
-    particleCount: 150,
-    lightIntensity: 0.9,
-    cameraTarget: { x: 0, y: 0, z: 2.5 },
-  },
-  renaissance: {
-    color: '#06b6d4',
-    secondaryColor: '#22d3ee',
-    geometry: 'sphere',
-    particleCount: 180,
-    lightIntensity: 1.1,
-    cameraTarget: { x: 0, y: 0, z: 2 },
-  },
-  baroque: {
-    color: '#ef4444',
-    secondaryColor: '#f87171',
-    geometry: 'spiral',
-    particleCount: 200,
-    lightIntensity: 1.3,
-    cameraTarget: { x: 0, y: 0, z: 1.5 },
-  },
-  modern: {
-    color: '#10b981',
-    secondaryColor: '#34d399',
-    geometry: 'abstract',
-    particleCount: 220,
-    lightIntensity: 1.0,
-    cameraTarget: { x: 0, y: 0, z: 1 },
-  },
+// Fallback 3D settings for periods whose scene is missing values
+// Per-period settings come from the timeline_periods table (period.scene)
+const DEFAULT_SCENE = {
+  geometry: 'sphere',
+  particleCount: 150,
+  lightIntensity: 1.0,
+  cameraTarget: { x: 0, y: 0, z: 2 },
 };
 
+// Build one chapter config per period: colours plus its 3D environment
+function buildChapterConfigs(periods) {
+  return periods.map((period) => ({
+    ...DEFAULT_SCENE,
+    ...(period.scene || {}),
+    id: period.id,
+    color: period.color,
+    secondaryColor: period.secondaryColor || period.color,
+  }));
+}
+
+// Index of the chapter in view (each chapter is 3 viewports tall)
+function getChapterIndex(chapterCount) {
+  const chapterHeight = window.innerHeight * 3;
+  const chapterIndex = Math.floor(window.scrollY / chapterHeight);
+  return Math.max(0, Math.min(chapterIndex, chapterCount - 1));
+}
+
 function ChapterGeometry({ config, opacity, isActive }) {
   const meshRef = useRef();
   const [currentGeometry, setCurrentGeometry] = useState(null);
@@ -235,9 +218,9 @@ function ChapterAmbientRings({ config, opacity }) {
   );
 }
 
-function DynamicChapterScene() {
+function DynamicChapterScene({ chapters }) {
   const scrollY = useRef(0);
-  const [currentChapter, setCurrentChapter] = useState('ancient');
+  const [currentChapter, setCurrentChapter] = useState(0);
   const [chapterProgress, setChapterProgress] = useState(0);
   const [showCarousel, setShowCarousel] = useState(false);
   const [sceneOpacity, setSceneOpacity] = useState(1);
@@ -251,7 +234,6 @@ function DynamicChapterScene() {
       // Calculate which chapter we're in (each chapter is 3 viewports tall)
       const totalScroll = scrollY.current;
       const chapterHeight = windowHeight * 3;
-      const chapterIndex = Math.floor(totalScroll / chapterHeight);
       
       // Progress within current chapter (0 to 1)
       const progressInChapter = (totalScroll % chapterHeight) / chapterHeight;
@@ -261,9 +243,7 @@ function DynamicChapterScene() {
       // Carousel appears at 35% - 90% of each chapter
       setShowCarousel(progressInChapter >= 0.35 && progressInChapter <= 0.9);
       
-      // Map chapter index to chapter name
-      const chapters = ['ancient', 'medieval', 'renaissance', 'baroque', 'modern'];
-      const newChapter = chapters[Math.min(chapterIndex, chapters.length - 1)];
+      const newChapter = getChapterIndex(chapters.length);
       
       if (newChapter !== currentChapter) {
         setCurrentChapter(newChapter);
@@ -274,11 +254,9 @@ function DynamicChapterScene() {
     handleScroll(); // Initial call
     
     return () => window.removeEventListener('scroll', handleScroll);
-  }, [currentChapter]);
+  }, [currentChapter, chapters.length]);
 
   useFrame((state, delta) => {
-    const config = CHAPTER_CONFIGS[currentChapter];
-    
     // Calculate 3D visibility based on chapter progress
     // 0-30%: Zoom in (visible)
     // 35-90%: Fade out for carousel
@@ -314,14 +292,13 @@ function DynamicChapterScene() {
 
   return (
     <group>
-      {Object.keys(CHAPTER_CONFIGS).map((chapterId) => {
-        const config = CHAPTER_CONFIGS[chapterId];
-        const isActive = chapterId === currentChapter;
+      {chapters.map((config, index) => {
+        const isActive = index === currentChapter;
         const baseOpacity = isActive ? 1 : 0;
         const finalOpacity = baseOpacity * sceneOpacity;
         
         return (
-          <group key={chapterId}>
+          <group key={config.id}>
             <ChapterGeometry 
               config={config} 
               opacity={finalOpacity} 
@@ -336,32 +313,26 @@ function DynamicChapterScene() {
   );
 }
 
-function DynamicLighting() {
+function DynamicLighting({ chapters }) {
   const light1Ref = useRef();
   const light2Ref = useRef();
   const light3Ref = useRef();
-  const scrollY = useRef(0);
-  const [currentChapter, setCurrentChapter] = useState('ancient');
+  const [currentChapter, setCurrentChapter] = useState(0);
 
   useEffect(() => {
     const handleScroll = () => {
-      scrollY.current = window.scrollY;
-      const windowHeight = window.innerHeight;
-      const chapterHeight = windowHeight * 3;
-      const chapterIndex = Math.floor(scrollY.current / chapterHeight);
-      
-      const chapters = ['ancient', 'medieval', 'renaissance', 'baroque', 'modern'];
-      setCurrentChapter(chapters[Math.min(chapterIndex, chapters.length - 1)]);
+      setCurrentChapter(getChapterIndex(chapters.length));
     };
 
     window.addEventListener('scroll', handleScroll);
     handleScroll();
     
     return () => window.removeEventListener('scroll', handleScroll);
-  }, []);
+  }, [chapters.length]);
 
   useFrame((state, delta) => {
-    const config = CHAPTER_CONFIGS[currentChapter];
+    const config = chapters[currentChapter];
+    if (!config) return;
     const time = state.clock.getElapsedTime();
     const opacity = (state.userData && state.userData.sceneOpacity !== undefined) ? state.userData.sceneOpacity : 1;
 
@@ -421,7 +392,10 @@ function AdaptiveStars() {
   );
 }
 
-export default function ThreeBackground() {
+export default function ThreeBackground({ periods = [] }) {
+  // One 3D environment per timeline period, in timeline order
+  const chapters = useMemo(() => buildChapterConfigs(periods), [periods]);
+
   return (
     <div className="fixed inset-0 -z-10 pointer-events-none">
       <Canvas
@@ -429,10 +403,10 @@ export default function ThreeBackground() {
         style={{ background: 'transparent' }}
       >
         {/* Dynamic Chapter-Based Lighting */}
-        <DynamicLighting />
+        <DynamicLighting chapters={chapters} />
 
         {/* Main Chapter Scene */}
-        <DynamicChapterScene />
+        <DynamicChapterScene chapters={chapters} />
         
         {/* Adaptive Background Stars */}
         <AdaptiveStars />
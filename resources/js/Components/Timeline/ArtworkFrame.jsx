@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { motion } from 'framer-motion';
+import { reportBrokenArtwork } from '@/lib/metMuseum';
 
 /**
  * ArtworkFrame Component
@@ -96,10 +97,12 @@ export default function ArtworkFrame({ artwork, period, onClick, onHoverStart, o
                         alt={artwork.title || 'Artwork'}
                         className="w-full h-full object-cover"
                         loading="lazy"
-                        // Handle image load errors by setting error state
+                        // Handle image load errors by setting error state and
+                        // reporting the object to the shared blacklist
                         onError={() => {
                             console.warn(`Image failed to load: ${artwork.title || 'Unknown'}`);
                             setImageError(true);
+                            reportBrokenArtwork(artwork.id);
                         }}
                     />
                 ) : (
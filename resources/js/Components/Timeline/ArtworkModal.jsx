@@ -1,45 +1,101 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { X, Calendar, User, MapPin, Palette, ExternalLink, Sparkles, Heart } from 'lucide-react';
-import { usePage, router } from '@inertiajs/react';
+import { X, Calendar, User, MapPin, Palette, ExternalLink, Sparkles, Heart, ArrowLeft, ChevronLeft, ChevronRight, Maximize2 } from 'lucide-react';
+import { usePage, router, Link } from '@inertiajs/react';
+import { reportBrokenArtwork, getArtworkImages, safeLinkUrl } from '@/lib/metMuseum';
+import RelatedArtworks from '@/Components/Timeline/RelatedArtworks';
+import ImageZoomViewer from '@/Components/Timeline/ImageZoomViewer';
+import GalleryPicker from '@/Components/Timeline/GalleryPicker';
+
+// Horizontal distance (px) a touch must travel to count as a swipe
+const SWIPE_DISTANCE = 60;
 
 /**
  * ArtworkModal Component
  * 
  * Full-screen modal displaying detailed artwork information.
  * Handles save/remove functionality with authentication checks.
+ * A known artist's name links to their artist page (/artist?name=...).
+ * A lazily loaded "related artworks" strip lets users jump into a related
+ * piece (with a "back" trail to return) or save it straight from the strip.
+ * Artworks with additional views get a gallery (arrows and thumbnails), and
+ * any image opens in ImageZoomViewer, which loads the full-resolution file.
+ * When onPrev/onNext are given, the arrow keys, horizontal swipes and the
+ * arrow buttons next to the close button move to the previous/next artwork.
+ * Signed-in users also get "add to gallery" (GalleryPicker) next to Save.
+ * With readOnly (public share pages) the modal only displays the artwork:
+ * no save or gallery actions and no related artworks strip.
  * 
  * @param {Object} artwork - Full artwork data object
  * @param {Function} onClose - Close modal callback
  * @param {string} periodColor - Period theme color for styling
  * @param {boolean} isSaved - Whether artwork is saved to collection
+ * @param {string[]} savedArtworkIds - IDs of saved artworks; when given, saved state of
+ *   related artworks is shown too (otherwise only isSaved is known)
  * @param {Function} onSave - Save artwork callback
  * @param {Function} onRemove - Remove artwork callback
- * @param {Function} onPrev - Navigate to previous artwork
- * @param {Function} onNext - Navigate to next artwork
+ * @param {Function} onPrev - Navigate to previous artwork (null at the start)
+ * @param {Function} onNext - Navigate to next artwork (null at the end)
+ * @param {boolean} readOnly - Display only (no save, gallery or related artworks)
  */
 export default function ArtworkModal({
-    artwork,
+    artwork: baseArtwork,
     onClose,
     periodColor = '#f59e0b',
-    isSaved = false,
+    isSaved: baseIsSaved = false,
+    savedArtworkIds = null,
     onSave,
     onRemove,
     onPrev,
-    onNext
+    onNext,
+    readOnly = false
 }) {
     // Get authentication state from Inertia props
     const { auth } = usePage().props;
+
+    // Related artworks opened from the strip, most recent last; the modal
+    // shows the last one (or the parent's artwork when the trail is empty)
+    const [trail, setTrail] = useState([]);
+    const artwork = trail.length > 0 ? trail[trail.length - 1] : baseArtwork;
+    const previous = trail.length > 1 ? trail[trail.length - 2] : baseArtwork;
+    const isSavedId = (id) => savedArtworkIds
+        ? savedArtworkIds.includes(String(id))
+        : String(id) === String(baseArtwork?.id) && baseIsSaved;
+    const isSaved = isSavedId(artwork?.id);
     
     // Track if image has finished loading
     const [imageLoaded, setImageLoaded] = useState(false);
     
     // Track if image failed to load
     const [imageError, setImageError] = useState(false);
+
+    // Gallery image shown (0 = primary image) and whether it is open in the zoom viewer
+    const [imageIndex, setImageIndex] = useState(0);
+    const [isZoomOpen, setIsZoomOpen] = useState(false);
+
+    // Where the current touch started, for swipe navigation
+    const touchStart = useRef(null);
     
     // Track if save/remove operation is in progress
     const [saving, setSaving] = useState(false);
 
+    // The parent moved to another artwork (prev/next): drop the related trail
+    useEffect(() => {
+        setTrail([]);
+    }, [baseArtwork?.id]);
+
+    // Each artwork shown starts with a fresh image state, on its primary image
+    useEffect(() => {
+        setImageIndex(0);
+        setIsZoomOpen(false);
+    }, [artwork?.id]);
+
+    // Each gallery image shown starts with a fresh load state
+    useEffect(() => {
+        setImageLoaded(false);
+        setImageError(false);
+    }, [artwork?.id, imageIndex]);
+
     // Validate image URL using same checks as ArtworkFrame
     const hasValidImage = artwork?.image &&
         artwork.image !== 'undefined' &&
@@ -48,30 +104,67 @@ export default function ArtworkModal({
         artwork.image.trim().length > 0 &&
         artwork.image.startsWith('http');
 
-    // Setup keyboard listener for ESC key and prevent body scroll
+    // Primary image plus additional views ([{ src, full }])
+    const images = hasValidImage ? getArtworkImages(artwork) : [];
+    const currentImage = images[imageIndex] || images[0];
+    const showImage = (index) => setImageIndex((index + images.length) % images.length);
+
+    // Setup keyboard listener (ESC closes, arrows navigate) and prevent body scroll
     useEffect(() => {
-        // Close modal when ESC key is pressed
-        const handleEsc = (e) => {
-            if (e.key === 'Escape') onClose();
+        const handleKey = (e) => {
+            if (e.key === 'Escape') {
+                onClose();
+                return;
+            }
+
+            // Leave arrow keys alone while typing in a form field
+            if (e.target.closest?.('input, textarea, select')) return;
+            if (e.key === 'ArrowLeft' && onPrev) onPrev();
+            if (e.key === 'ArrowRight' && onNext) onNext();
         };
 
         // Prevent background scrolling while modal is open
         document.body.style.overflow = 'hidden';
-        window.addEventListener('keydown', handleEsc);
+        window.addEventListener('keydown', handleKey);
 
         // Cleanup: restore scrolling and remove event listener
         return () => {
             document.body.style.overflow = 'unset';
-            window.removeEventListener('keydown', handleEsc);
+            window.removeEventListener('keydown', handleKey);
         };
-    }, [onClose]);
+    }, [onClose, onPrev, onNext]);
+
+    // Swipe navigation: remember where a one-finger touch starts...
+    const handleTouchStart = (e) => {
+        // Pinches, the zoom viewer and horizontally scrolling strips keep their own gestures
+        if (e.touches.length !== 1 || isZoomOpen || e.target.closest('[data-swipe-ignore]')) {
+            touchStart.current = null;
+            return;
+        }
+        touchStart.current = { x: e.touches[0].clientX, y: e.touches[0].clientY };
+    };
+
+    // ...and navigate when it ends far enough to the side (mostly horizontally)
+    const handleTouchEnd = (e) => {
+        const start = touchStart.current;
+        touchStart.current = null;
+        if (!start) return;
+
+        const dx = e.changedTouches[0].clientX - start.x;
+        const dy = e.changedTouches[0].clientY - start.y;
+        if (Math.abs(dx) < SWIPE_DISTANCE || Math.abs(dx) < Math.abs(dy) * 1.5) return;
+
+        if (dx > 0 && onPrev) onPrev();
+        if (dx < 0 && onNext) onNext();
+    };
 
     // Save handler with Inertia router
     // Handles authentication check and save/remove toggle
-    const handleSave = async () => {
+    // target/targetIsSaved default to the artwork shown (the strip passes related ones)
+    const handleSave = async (target = artwork, targetIsSaved = isSaved) => {
         // If user not authenticated, store artwork and redirect to login
         if (!auth?.user) {
-            localStorage.setItem('pending_artwork_save', JSON.stringify(artwork));
+            localStorage.setItem('pending_artwork_save', JSON.stringify(target));
             router.visit('/login?return_url=' + encodeURIComponent(window.location.href));
             return;
         }
@@ -83,10 +176,10 @@ export default function ArtworkModal({
 
         try {
             // Toggle between save and remove based on current state
-            if (isSaved) {
-                await onRemove(artwork.id);
+            if (targetIsSaved) {
+                await onRemove(target.id);
             } else {
-                await onSave(artwork);
+                await onSave(target);
             }
         } catch (error) {
             console.error('Error toggling save:', error);
@@ -113,6 +206,8 @@ export default function ArtworkModal({
                     exit={{ scale: 0.9, opacity: 0 }}
                     transition={{ type: 'spring', damping: 25 }}
                     onClick={(e) => e.stopPropagation()}
+                    onTouchStart={handleTouchStart}
+                    onTouchEnd={handleTouchEnd}
                     className="relative max-w-5xl w-full bg-gradient-to-br from-gray-900/95 via-gray-800/95 to-gray-900/95 backdrop-blur-2xl rounded-3xl overflow-hidden shadow-2xl"
                     style={{
                         borderWidth: '2px',
@@ -145,6 +240,27 @@ export default function ArtworkModal({
                         <X className="w-6 h-6 text-white group-hover:rotate-90 transition-transform duration-300" />
                     </button>
 
+                    {/* Previous/next artwork (also arrow keys and swipes) */}
+                    {(onPrev || onNext) && (
+                        <div className="absolute top-6 right-24 z-20 flex gap-2">
+                            {[
+                                { icon: ChevronLeft, label: 'Previous artwork (←)', action: onPrev },
+                                { icon: ChevronRight, label: 'Next artwork (→)', action: onNext },
+                            ].map(({ icon: Icon, label, action }) => (
+                                <button
+                                    key={label}
+                                    onClick={action || undefined}
+                                    disabled={!action}
+                                    title={label}
+                                    className="p-3 rounded-full bg-black/50 hover:bg-black/70 backdrop-blur-sm disabled:opacity-30 disabled:cursor-not-allowed transition-all duration-300"
+                                    style={{ boxShadow: `0 0 20px ${periodColor}30` }}
+                                >
+                                    <Icon className="w-6 h-6 text-white" />
+                                </button>
+                            ))}
+                        </div>
+                    )}
+
                     {/* Decorative Glow Elements - Enhanced */}
                     {/* Top left decorative glow */}
                     <div className="absolute top-0 left-1/4 w-96 h-96 rounded-full blur-3xl opacity-20 pointer-events-none"
@@ -159,17 +275,20 @@ export default function ArtworkModal({
                     <div className="grid md:grid-cols-2 gap-0 relative">
                         {/* Image Section - Enhanced */}
                         <div className="relative h-96 md:h-auto min-h-[400px] overflow-hidden">
-                            {hasValidImage && !imageError ? (
+                            {currentImage && !imageError ? (
                                 <>
-                                    {/* Main artwork image */}
+                                    {/* Main artwork image (click to open the zoom viewer) */}
                                     <img
-                                        src={artwork.image}
+                                        src={currentImage.src}
                                         alt={artwork.title}
-                                        className={`w-full h-full object-cover transition-opacity duration-500 ${imageLoaded ? 'opacity-100' : 'opacity-0'}`}
+                                        className={`w-full h-full object-cover cursor-zoom-in transition-opacity duration-500 ${imageLoaded ? 'opacity-100' : 'opacity-0'}`}
+                                        onClick={() => setIsZoomOpen(true)}
                                         onLoad={() => setImageLoaded(true)}
                                         onError={() => {
                                             console.warn(`Modal image failed: ${artwork.title}`);
                                             setImageError(true);
+                                            // Only the primary image decides whether the artwork is listed
+                                            if (imageIndex === 0) reportBrokenArtwork(artwork.id);
                                         }}
                                     />
 
@@ -189,14 +308,14 @@ export default function ArtworkModal({
 
                             {/* Enhanced Gradient Overlays */}
                             {/* Bottom to top gradient overlay */}
-                            <div className="absolute inset-0 bg-gradient-to-t from-gray-900 via-transparent to-transparent opacity-60" />
+                            <div className="absolute inset-0 bg-gradient-to-t from-gray-900 via-transparent to-transparent opacity-60 pointer-events-none" />
                             {/* Left to right gradient overlay (desktop only) */}
-                            <div className="absolute inset-0 bg-gradient-to-r from-gray-900/50 via-transparent to-transparent md:opacity-100 opacity-0" />
+                            <div className="absolute inset-0 bg-gradient-to-r from-gray-900/50 via-transparent to-transparent md:opacity-100 opacity-0 pointer-events-none" />
 
                             {/* Floating Sparkle Icon */}
                             {/* Rotating sparkle icon in top left */}
                             <motion.div
-                                className="absolute top-6 left-6"
+                                className="absolute top-6 left-6 pointer-events-none"
                                 animate={{
                                     rotate: [0, 360],
                                     scale: [1, 1.2, 1]
@@ -205,12 +324,69 @@ export default function ArtworkModal({
                             >
                                 <Sparkles className="w-8 h-8 text-white/80" style={{ filter: `drop-shadow(0 0 8px ${periodColor})` }} />
                             </motion.div>
+
+                            {/* Zoom button */}
+                            {currentImage && !imageError && (
+                                <button
+                                    onClick={() => setIsZoomOpen(true)}
+                                    className="absolute bottom-6 right-6 z-10 flex items-center gap-2 px-3 py-2 rounded-full bg-black/60 hover:bg-black/80 backdrop-blur-sm text-white text-sm transition-all"
+                                    title="View full resolution"
+                                >
+                                    <Maximize2 className="w-4 h-4" />
+                                    Zoom
+                                </button>
+                            )}
+
+                            {/* Gallery of additional views: arrows and thumbnails */}
+                            {images.length > 1 && (
+                                <>
+                                    <button
+                                        onClick={() => showImage(imageIndex - 1)}
+                                        className="absolute left-4 top-1/2 -translate-y-1/2 z-10 p-2 rounded-full bg-black/50 hover:bg-black/70 text-white transition-all"
+                                        title="Previous image"
+                                    >
+                                        <ChevronLeft className="w-5 h-5" />
+                                    </button>
+                                    <button
+                                        onClick={() => showImage(imageIndex + 1)}
+                                        className="absolute right-4 top-1/2 -translate-y-1/2 z-10 p-2 rounded-full bg-black/50 hover:bg-black/70 text-white transition-all"
+                                        title="Next image"
+                                    >
+                                        <ChevronRight className="w-5 h-5" />
+                                    </button>
+
+                                    <div data-swipe-ignore className="absolute bottom-6 left-6 right-32 z-10 flex gap-2 overflow-x-auto">
+                                        {images.map((image, index) => (
+                                            <button
+                                                key={image.full}
+                                                onClick={() => setImageIndex(index)}
+                                                className="shrink-0 w-12 h-12 rounded-lg overflow-hidden border-2 transition-all"
+                                                style={{ borderColor: index === imageIndex ? periodColor : 'rgba(255,255,255,0.2)' }}
+                                                title={`Image ${index + 1} of ${images.length}`}
+                                            >
+                                                <img src={image.src} alt="" loading="lazy" className="w-full h-full object-cover" />
+                                            </button>
+                                        ))}
+                                    </div>
+                                </>
+                            )}
                         </div>
 
                         {/* Details Section - Enhanced */}
                         <div className="p-8 md:p-10 flex flex-col relative">
                             {/* Scrollable Content */}
                             <div className="flex-1 overflow-y-auto pr-2 space-y-6 scrollbar-thin scrollbar-thumb-gray-700 scrollbar-track-transparent">
+                                {/* Back to the artwork a related piece was opened from */}
+                                {trail.length > 0 && (
+                                    <button
+                                        onClick={() => setTrail(trail.slice(0, -1))}
+                                        className="flex items-center gap-2 text-gray-400 hover:text-white text-sm transition-colors"
+                                    >
+                                        <ArrowLeft className="w-4 h-4" />
+                                        <span className="line-clamp-1">Back to {previous.title}</span>
+                                    </button>
+                                )}
+
                                 {/* Title with Enhanced Animation */}
                                 <motion.h2
                                     initial={{ opacity: 0, y: 20 }}
@@ -232,7 +408,22 @@ export default function ArtworkModal({
                                         className="flex items-center gap-3 p-4 rounded-xl bg-gradient-to-r from-gray-800/60 to-transparent backdrop-blur-sm border border-gray-700/50"
                                     >
                                         <User className="w-5 h-5 flex-shrink-0" style={{ color: periodColor }} />
-                                        <span className="text-gray-200 text-lg font-medium">{artwork.artist}</span>
+                                        <div className="min-w-0">
+                                            {artwork.artist !== 'Unknown Artist' ? (
+                                                <Link
+                                                    href={`/artist?name=${encodeURIComponent(artwork.artist)}`}
+                                                    className="text-gray-200 text-lg font-medium hover:underline underline-offset-4"
+                                                    title="More works by this artist"
+                                                >
+                                                    {artwork.artist}
+                                                </Link>
+                                            ) : (
+                                                <span className="text-gray-200 text-lg font-medium">{artwork.artist}</span>
+                                            )}
+                                            {artwork.artistBio && (
+                                                <p className="text-gray-400 text-sm">{artwork.artistBio}</p>
+                                            )}
+                                        </div>
                                     </motion.div>
                                 )}
 
@@ -301,25 +492,37 @@ export default function ArtworkModal({
                                 className="mt-6 flex flex-wrap gap-3"
                             >
                                 {/* Save Button - Enhanced */}
-                                <button
-                                    onClick={handleSave}
-                                    disabled={saving}
-                                    className="flex-1 flex items-center justify-center gap-2 px-6 py-3 rounded-xl font-semibold transition-all duration-300 transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed"
-                                    style={{
-                                        background: isSaved
-                                            ? `linear-gradient(135deg, ${periodColor}90, ${periodColor})`
-                                            : `linear-gradient(135deg, ${periodColor}60, ${periodColor}90)`,
-                                        boxShadow: `0 4px 20px ${periodColor}40`,
-                                    }}
-                                >
-                                    <Heart className={`w-5 h-5 ${isSaved ? 'fill-current' : ''}`} />
-                                    {saving ? 'Saving...' : isSaved ? 'Saved' : 'Save'}
-                                </button>
+                                {!readOnly && (
+                                    <button
+                                        onClick={() => handleSave()}
+                                        disabled={saving}
+                                        className="flex-1 flex items-center justify-center gap-2 px-6 py-3 rounded-xl font-semibold transition-all duration-300 transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed"
+                                        style={{
+                                            background: isSaved
+                                                ? `linear-gradient(135deg, ${periodColor}90, ${periodColor})`
+                                                : `linear-gradient(135deg, ${periodColor}60, ${periodColor}90)`,
+                                            boxShadow: `0 4px 20px ${periodColor}40`,
+                                        }}
+                                    >
+                                        <Heart className={`w-5 h-5 ${isSaved ? 'fill-current' : ''}`} />
+                                        {saving ? 'Saving...' : isSaved ? 'Saved' : 'Save'}
+                                    </button>
+                                )}
+
+                                {/* Add to gallery (signed-in users) */}
+                                {auth?.user && !readOnly && (
+                                    <GalleryPicker
+                                        artwork={artwork}
+                                        periodColor={periodColor}
+                                        isSaved={isSaved}
+                                        onSave={onSave}
+                                    />
+                                )}
 
                                 {/* Met Museum Link - Enhanced */}
-                                {artwork.objectURL && (
+                                {safeLinkUrl(artwork.objectURL) && (
                                     <a
-                                        href={artwork.objectURL}
+                                        href={safeLinkUrl(artwork.objectURL)}
                                         target="_blank"
                                         rel="noopener noreferrer"
                                         className="flex items-center justify-center gap-2 px-6 py-3 rounded-xl bg-gray-800 hover:bg-gray-700 text-white font-semibold transition-all duration-300 transform hover:scale-105 border border-gray-700"
@@ -338,6 +541,30 @@ export default function ArtworkModal({
                             </motion.div>
                         </div>
                     </div>
+
+                    {/* Related artworks (loaded when scrolled into view) */}
+                    {!readOnly && (
+                        <RelatedArtworks
+                            artwork={artwork}
+                            periodColor={periodColor}
+                            savedIds={savedArtworkIds || (baseIsSaved ? [String(baseArtwork.id)] : [])}
+                            onSelect={(related) => setTrail([...trail, related])}
+                            onToggleSave={(related, relatedIsSaved) => handleSave(related, relatedIsSaved)}
+                        />
+                    )}
+
+                    {/* Full-resolution zoom viewer for the gallery image shown */}
+                    <AnimatePresence>
+                        {isZoomOpen && currentImage && (
+                            <ImageZoomViewer
+                                src={currentImage.src}
+                                full={currentImage.full}
+                                alt={artwork.title}
+                                periodColor={periodColor}
+                                onClose={() => setIsZoomOpen(false)}
+                            />
+                        )}
+                    </AnimatePresence>
                 </motion.div>
             </motion.div>
         </>
@@ -2,11 +2,30 @@ import React, { useState, useEffect, useRef } from 'react';
 import { motion } from 'framer-motion';
 import ArtworkFrame from './ArtworkFrame';
 
+// Smallest ring radius (px), used for up to 4 artworks
+const MIN_RADIUS = 300;
+
+// Radius for exactly 4 artworks, kept from the original layout
+const FOUR_CARD_RADIUS = 360;
+
+// Distance (px) between neighbouring card centres on the ring
+// (cards are 256px wide and grow to 1.15x at the front)
+const CARD_SPACING = 320;
+
+// Ring radius for N cards: wide enough that neighbours never overlap
+function getCarouselRadius(count) {
+  if (count === 4) return FOUR_CARD_RADIUS;
+  if (count < 4) return MIN_RADIUS;
+  return Math.max(MIN_RADIUS, Math.round(CARD_SPACING / (2 * Math.sin(Math.PI / count))));
+}
+
 /**
  * Carousel3D Component
  * 
  * Interactive 3D rotating carousel that displays artworks in a circular arrangement.
  * Features drag-to-rotate, auto-rotation, pause-on-hover, and touch support.
+ * Any number of artworks is supported: the ring radius grows with the count and
+ * the ring is pushed back so the front card stays at the same depth.
  * 
  * @param {Array} artworks - Array of artwork objects to display in the carousel
  * @param {Object} period - Period object containing color and metadata for styling
@@ -44,12 +63,10 @@ export default function Carousel3D({
   const [isHoveringArtwork, setIsHoveringArtwork] = useState(false);
 
 
-  // Filter out null/undefined artworks and hard-limit to 4 cards
+  // Filter out null/undefined artworks
   // Only display valid artworks that have an id property
-  // Limit to maximum of 4 artworks for optimal carousel spacing
   const displayArtworks = (artworks || [])
-    .filter(artwork => artwork && artwork.id)
-    .slice(0, 4);
+    .filter(artwork => artwork && artwork.id);
   
   // Don't render if no artworks
   // Early return with message if no valid artworks are available
@@ -62,20 +79,22 @@ export default function Carousel3D({
   }
 
   // Calculate carousel radius based on number of artworks
-  // 4 artworks get larger radius (360px) for better spacing
-  // Fewer artworks use smaller radius (300px)
-  const radius = displayArtworks.length === 4 ? 360 : 300;
+  // 4 artworks keep the original 360px, fewer use 300px, more grow the ring
+  // so that neighbouring cards stay CARD_SPACING apart
+  const radius = getCarouselRadius(displayArtworks.length);
+
+  // Larger rings are pushed back so the front card is as close as in the 4-card layout
+  const depthOffset = Math.min(0, FOUR_CARD_RADIUS - radius);
   
   // Calculate angle step between each artwork position
   const angleStep = 360 / (displayArtworks.length || 1);
   
-  // Deterministic positions for 4 cards to ensure clear spacing
-  // For 4 artworks, use fixed positions at cardinal directions (0°, 90°, 180°, 270°)
-  // For other counts, calculate positions evenly around the circle
-  const anglePositions =
-    displayArtworks.length === 4
-      ? [0, 90, 180, 270]
-      : displayArtworks.map((_, idx) => idx * angleStep);
+  // Positions spread evenly around the circle
+  // (4 artworks land on the cardinal directions: 0°, 90°, 180°, 270°)
+  const anglePositions = displayArtworks.map((_, idx) => idx * angleStep);
+
+  // Cards within half a step of the front count as facing the viewer
+  const frontThreshold = radius * (1 - Math.cos((angleStep / 2) * Math.PI / 180));
 
 
   // Auto-rotation when not dragging, active, and NOT hovering
@@ -189,8 +208,8 @@ export default function Carousel3D({
           height: '100%',
           // Enable 3D transforms for child elements
           transformStyle: 'preserve-3d',
-          // Apply rotation around Y-axis for carousel effect
-          transform: `rotateY(${rotation}deg)`,
+          // Push larger rings back, then rotate around Y-axis for carousel effect
+          transform: `translateZ(${depthOffset}px) rotateY(${rotation}deg)`,
           // Smooth transition when not dragging, instant update while dragging
           transition: isDragging ? 'none' : 'transform 0.1s linear',
           // Dynamic cursor based on interaction state
@@ -220,8 +239,8 @@ export default function Carousel3D({
           const z = Math.cos(radian) * radius;
 
           // Determine if this artwork is currently facing the viewer
-          // Front artworks are within 120 units of maximum Z position
-          const isFront = Math.abs(z - radius) < 120;
+          // Front artworks are within half an angle step of maximum Z position
+          const isFront = Math.abs(z - radius) < frontThreshold;
           
           // Check if this artwork is saved by comparing IDs
           const isSaved = savedArtworks.includes(artwork.id?.toString());
@@ -253,8 +272,9 @@ export default function Carousel3D({
                   scale: isFront ? 1.15 : 0.9 
                 }}
                 // Stagger entrance: each artwork appears 0.2s after previous
+                // (capped at 1s so large sets do not keep the viewer waiting)
                 transition={{ 
-                  delay: index * 0.2,
+                  delay: Math.min(index * 0.2, 1),
                   duration: 0.4,
                   ease: "easeOut"
                 }}
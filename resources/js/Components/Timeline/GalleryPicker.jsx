@@ -0,0 +1,179 @@
+import React, { useEffect, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FolderPlus, Check, Plus } from 'lucide-react';
+import { getGalleries, saveGallery, setGalleryMembership } from '@/lib/collection';
+
+/**
+ * GalleryPicker Component
+ *
+ * "Add to gallery" action shown next to the save toggle in ArtworkModal
+ * (signed-in users only). The button opens a panel listing the user's
+ * galleries with a check on those holding the artwork; clicking a gallery
+ * adds or removes it, and a gallery can be created from the panel (the
+ * artwork goes straight into it). Galleries only hold saved artworks, so an
+ * unsaved artwork is saved through onSave first.
+ * Rendered as two flex items so the panel wraps onto its own last row of the
+ * modal's action bar (the modal clips overflowing popovers).
+ *
+ * @param {Object} artwork - Artwork shown in the modal
+ * @param {string} periodColor - Theme color for accents
+ * @param {boolean} isSaved - Whether the artwork is in the collection
+ * @param {Function} onSave - Save the artwork to the collection (awaited)
+ */
+export default function GalleryPicker({ artwork, periodColor = '#f59e0b', isSaved, onSave }) {
+    const [isOpen, setIsOpen] = useState(false);
+    // User's galleries, null until loaded
+    const [galleries, setGalleries] = useState(null);
+    // Gallery being updated (id, or 'new' while creating one)
+    const [pending, setPending] = useState(null);
+    const [newName, setNewName] = useState('');
+    const [error, setError] = useState(null);
+
+    const artworkId = String(artwork.id);
+
+    // Load the galleries the first time the panel opens
+    useEffect(() => {
+        if (!isOpen || galleries) return;
+        getGalleries().then(setGalleries);
+    }, [isOpen, galleries]);
+
+    // Close the panel when another artwork is shown
+    useEffect(() => {
+        setIsOpen(false);
+        setError(null);
+    }, [artworkId]);
+
+    const replaceGallery = (gallery) => {
+        setGalleries((prev) => {
+            const exists = prev.some((item) => item.id === gallery.id);
+            return exists ? prev.map((item) => (item.id === gallery.id ? gallery : item)) : [...prev, gallery];
+        });
+    };
+
+    // Add the artwork to a gallery (saving it first if needed), or remove it
+    const addTo = async (gallery) => {
+        if (!isSaved) await onSave(artwork);
+        const updated = await setGalleryMembership(gallery.id, artworkId, true);
+        if (!updated) {
+            setError('Could not add the artwork. Make sure it is saved to your collection.');
+            return;
+        }
+        replaceGallery(updated);
+    };
+
+    const handleToggle = async (gallery) => {
+        if (pending) return;
+        setPending(gallery.id);
+        setError(null);
+
+        try {
+            if (gallery.artwork_ids.includes(artworkId)) {
+                const updated = await setGalleryMembership(gallery.id, artworkId, false);
+                if (updated) replaceGallery(updated);
+                else setError('Could not remove the artwork from this gallery.');
+            } else {
+                await addTo(gallery);
+            }
+        } finally {
+            setPending(null);
+        }
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        if (pending || !newName.trim()) return;
+        setPending('new');
+        setError(null);
+
+        try {
+            const { gallery, error: message } = await saveGallery(newName.trim());
+            if (!gallery) {
+                setError(message);
+                return;
+            }
+            replaceGallery(gallery);
+            setNewName('');
+            await addTo(gallery);
+        } finally {
+            setPending(null);
+        }
+    };
+
+    const memberCount = galleries?.filter((gallery) => gallery.artwork_ids.includes(artworkId)).length ?? 0;
+
+    return (
+        <>
+            <button
+                onClick={() => setIsOpen((open) => !open)}
+                aria-expanded={isOpen}
+                className="flex items-center justify-center gap-2 px-6 py-3 rounded-xl bg-gray-800 hover:bg-gray-700 text-white font-semibold transition-all duration-300 transform hover:scale-105 border border-gray-700"
+            >
+                <FolderPlus className="w-5 h-5" />
+                {memberCount > 0 ? `In ${memberCount} ${memberCount === 1 ? 'gallery' : 'galleries'}` : 'Add to gallery'}
+            </button>
+
+            <AnimatePresence>
+                {isOpen && (
+                    <motion.div
+                        initial={{ opacity: 0, height: 0 }}
+                        animate={{ opacity: 1, height: 'auto' }}
+                        exit={{ opacity: 0, height: 0 }}
+                        className="basis-full order-last overflow-hidden"
+                    >
+                        <div className="p-4 rounded-xl bg-gray-800/50 border border-gray-700/50 space-y-3">
+                            {galleries === null ? (
+                                <p className="text-gray-400 text-sm">Loading galleries…</p>
+                            ) : galleries.length === 0 ? (
+                                <p className="text-gray-400 text-sm">No galleries yet. Create one below.</p>
+                            ) : (
+                                <ul className="flex flex-wrap gap-2">
+                                    {galleries.map((gallery) => {
+                                        const isMember = gallery.artwork_ids.includes(artworkId);
+                                        return (
+                                            <li key={gallery.id}>
+                                                <button
+                                                    onClick={() => handleToggle(gallery)}
+                                                    disabled={pending !== null}
+                                                    className="flex items-center gap-2 px-3 py-1.5 rounded-full text-sm border transition-colors disabled:opacity-50"
+                                                    style={isMember
+                                                        ? { background: `${periodColor}30`, borderColor: periodColor, color: '#fff' }
+                                                        : { borderColor: '#4b5563', color: '#d1d5db' }}
+                                                >
+                                                    {isMember ? <Check className="w-4 h-4" /> : <Plus className="w-4 h-4" />}
+                                                    {gallery.name}
+                                                    <span className="text-gray-400">{gallery.artwork_ids.length}</span>
+                                                </button>
+                                            </li>
+                                        );
+                                    })}
+                                </ul>
+                            )}
+
+                            <form onSubmit={handleCreate} className="flex gap-2">
+                                <input
+                                    type="text"
+                                    value={newName}
+                                    onChange={(e) => setNewName(e.target.value)}
+                                    maxLength={100}
+                                    placeholder="New gallery name"
+                                    className="flex-1 px-3 py-2 rounded-lg bg-gray-900 border border-gray-700 text-white text-sm placeholder-gray-500 focus:outline-none"
+                                    style={{ borderColor: newName ? periodColor : undefined }}
+                                />
+                                <button
+                                    type="submit"
+                                    disabled={pending !== null || !newName.trim()}
+                                    className="px-4 py-2 rounded-lg text-sm font-semibold text-white disabled:opacity-50"
+                                    style={{ background: periodColor }}
+                                >
+                                    {pending === 'new' ? 'Creating…' : 'Create & add'}
+                                </button>
+                            </form>
+
+                            {error && <p className="text-red-400 text-sm">{error}</p>}
+                        </div>
+                    </motion.div>
+                )}
+            </AnimatePresence>
+        </>
+    );
+}
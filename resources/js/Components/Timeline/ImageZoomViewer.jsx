@@ -0,0 +1,206 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { motion } from 'framer-motion';
+import { X, ZoomIn, ZoomOut, RotateCcw } from 'lucide-react';
+
+// Zoom limits (1 = image fitted to the screen)
+const MIN_SCALE = 1;
+const MAX_SCALE = 8;
+// Zoom factor of the +/- buttons and of a double click
+const STEP = 2;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * ImageZoomViewer Component
+ *
+ * Full-screen viewer for one artwork image, opened from ArtworkModal.
+ * The web-sized image is shown at once and replaced by the full-resolution
+ * file when it has loaded, so the original is only downloaded on demand.
+ * - Drag to pan, mouse wheel or pinch to zoom (around the pointer), double
+ *   click to zoom in or back out; buttons zoom, reset and close
+ * - Escape closes the viewer only (the modal underneath stays open)
+ * Rendered into document.body because the modal's animated container would
+ * otherwise act as the containing block of the fixed overlay.
+ *
+ * @param {string} src - Web-sized image shown while the original loads
+ * @param {string} full - Full-resolution image URL
+ * @param {string} alt - Image description
+ * @param {string} periodColor - Theme color for accents
+ * @param {Function} onClose - Close viewer callback
+ */
+export default function ImageZoomViewer({ src, full, alt, periodColor = '#f59e0b', onClose }) {
+    // Current zoom and offset (pixels from the centered position)
+    const [view, setView] = useState({ scale: 1, x: 0, y: 0 });
+    // Whether the full-resolution file finished loading
+    const [fullLoaded, setFullLoaded] = useState(false);
+
+    const stage = useRef(null);
+    // Pointers currently down (id -> { x, y }), for dragging and pinching
+    const pointers = useRef(new Map());
+
+    // Keep the image on screen: the offset may not exceed the zoomed overflow
+    const constrain = ({ scale, x, y }) => {
+        const rect = stage.current?.getBoundingClientRect();
+        if (!rect || scale <= MIN_SCALE) return { scale: MIN_SCALE, x: 0, y: 0 };
+        const maxX = (rect.width * (scale - 1)) / 2;
+        const maxY = (rect.height * (scale - 1)) / 2;
+        return { scale, x: clamp(x, -maxX, maxX), y: clamp(y, -maxY, maxY) };
+    };
+
+    // Zoom to a new scale keeping the point under (clientX, clientY) in place
+    const zoomAt = (prev, nextScale, clientX, clientY) => {
+        const rect = stage.current.getBoundingClientRect();
+        const scale = clamp(nextScale, MIN_SCALE, MAX_SCALE);
+        // Pointer position relative to the stage center
+        const px = clientX - rect.left - rect.width / 2;
+        const py = clientY - rect.top - rect.height / 2;
+        const ratio = scale / prev.scale;
+        return constrain({ scale, x: px - (px - prev.x) * ratio, y: py - (py - prev.y) * ratio });
+    };
+
+    // Zoom around the stage center (buttons)
+    const zoomCentered = (factor) => {
+        const rect = stage.current.getBoundingClientRect();
+        setView((prev) => zoomAt(prev, prev.scale * factor, rect.left + rect.width / 2, rect.top + rect.height / 2));
+    };
+
+    // Escape closes the viewer before the modal's own Escape handler sees it;
+    // other keys (e.g. the modal's arrow navigation) are held back while zooming
+    useEffect(() => {
+        const handleKey = (e) => {
+            e.stopImmediatePropagation();
+            if (e.key === 'Escape') onClose();
+        };
+        window.addEventListener('keydown', handleKey, true);
+        return () => window.removeEventListener('keydown', handleKey, true);
+    }, [onClose]);
+
+    // Wheel zoom; registered natively because React's wheel listener is passive
+    useEffect(() => {
+        const element = stage.current;
+        const handleWheel = (e) => {
+            e.preventDefault();
+            const factor = Math.exp(-e.deltaY * 0.002);
+            setView((prev) => zoomAt(prev, prev.scale * factor, e.clientX, e.clientY));
+        };
+        element.addEventListener('wheel', handleWheel, { passive: false });
+        return () => element.removeEventListener('wheel', handleWheel);
+    }, []);
+
+    // Start over when another image is opened
+    useEffect(() => {
+        setView({ scale: 1, x: 0, y: 0 });
+        setFullLoaded(false);
+    }, [full]);
+
+    const handlePointerDown = (e) => {
+        e.currentTarget.setPointerCapture(e.pointerId);
+        pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    };
+
+    const handlePointerMove = (e) => {
+        const last = pointers.current.get(e.pointerId);
+        if (!last) return;
+
+        if (pointers.current.size === 1) {
+            // Drag: move by the pointer's movement
+            pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            setView((prev) => constrain({ ...prev, x: prev.x + e.clientX - last.x, y: prev.y + e.clientY - last.y }));
+            return;
+        }
+
+        // Pinch: scale by the change in distance between the first two pointers,
+        // around their midpoint
+        const [a, b] = [...pointers.current.values()];
+        const before = Math.hypot(a.x - b.x, a.y - b.y);
+        pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        const [c, d] = [...pointers.current.values()];
+        const after = Math.hypot(c.x - d.x, c.y - d.y);
+        if (before === 0) return;
+
+        setView((prev) => zoomAt(prev, prev.scale * (after / before), (c.x + d.x) / 2, (c.y + d.y) / 2));
+    };
+
+    const handlePointerUp = (e) => {
+        pointers.current.delete(e.pointerId);
+    };
+
+    const handleDoubleClick = (e) => {
+        setView((prev) => (prev.scale > MIN_SCALE
+            ? { scale: 1, x: 0, y: 0 }
+            : zoomAt(prev, prev.scale * STEP, e.clientX, e.clientY)));
+    };
+
+    const imageClass = 'absolute inset-0 w-full h-full object-contain select-none pointer-events-none';
+
+    return createPortal(
+        <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 z-[60] bg-black/95"
+        >
+            {/* Zoomable stage */}
+            <div
+                ref={stage}
+                className={`absolute inset-0 overflow-hidden touch-none ${view.scale > MIN_SCALE ? 'cursor-grab active:cursor-grabbing' : 'cursor-zoom-in'}`}
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={handlePointerUp}
+                onDoubleClick={handleDoubleClick}
+            >
+                <div
+                    className="absolute inset-0"
+                    style={{ transform: `translate(${view.x}px, ${view.y}px) scale(${view.scale})` }}
+                >
+                    {/* Web-sized image until the original has loaded */}
+                    {!fullLoaded && <img src={src} alt={alt} className={imageClass} draggable={false} />}
+                    <img
+                        src={full}
+                        alt={alt}
+                        className={`${imageClass} ${fullLoaded ? 'opacity-100' : 'opacity-0'}`}
+                        onLoad={() => setFullLoaded(true)}
+                        draggable={false}
+                    />
+                </div>
+            </div>
+
+            {/* Loading indicator for the full-resolution file */}
+            {!fullLoaded && (
+                <div className="absolute top-6 left-6 flex items-center gap-2 px-3 py-2 rounded-full bg-black/70 text-gray-300 text-sm pointer-events-none">
+                    <div className="w-4 h-4 border-2 border-gray-500 border-t-transparent rounded-full animate-spin" />
+                    Loading full resolution…
+                </div>
+            )}
+
+            {/* Controls */}
+            <div className="absolute top-6 right-6 flex items-center gap-2">
+                {[
+                    { icon: ZoomOut, label: 'Zoom out', action: () => zoomCentered(1 / STEP), disabled: view.scale <= MIN_SCALE },
+                    { icon: ZoomIn, label: 'Zoom in', action: () => zoomCentered(STEP), disabled: view.scale >= MAX_SCALE },
+                    { icon: RotateCcw, label: 'Reset zoom', action: () => setView({ scale: 1, x: 0, y: 0 }), disabled: view.scale <= MIN_SCALE },
+                    { icon: X, label: 'Close viewer', action: onClose, disabled: false },
+                ].map(({ icon: Icon, label, action, disabled }) => (
+                    <button
+                        key={label}
+                        onClick={action}
+                        disabled={disabled}
+                        title={label}
+                        className="p-3 rounded-full bg-black/70 hover:bg-black text-white disabled:opacity-40 transition-all"
+                        style={{ boxShadow: `0 0 20px ${periodColor}30` }}
+                    >
+                        <Icon className="w-5 h-5" />
+                    </button>
+                ))}
+            </div>
+
+            {/* Zoom level */}
+            <p className="absolute bottom-6 left-1/2 -translate-x-1/2 px-3 py-1 rounded-full bg-black/70 text-gray-300 text-sm pointer-events-none">
+                {Math.round(view.scale * 100)}%
+            </p>
+        </motion.div>,
+        document.body
+    );
+}
@@ -19,6 +19,11 @@ import TimelineClosing from './TimelineClosing';
  * @param {Array} savedArtworks - Array of saved artwork IDs for user's collection
  * @param {Function} onSaveArtwork - Callback function to save an artwork to collection
  * @param {Function} onRemoveArtwork - Callback function to remove artwork from collection
+ * @param {Function} onPeriodChange - Callback with the period ID whenever the period in view changes
+ * @param {Object} pagination - "Explore more" state by period ID ({ page, loadedPages, hasMore, isLoadingMore })
+ * @param {number} pageSize - Number of artworks per carousel set
+ * @param {Function} onExploreMore - Callback with the period ID to show the next set
+ * @param {Function} onPreviousSet - Callback with the period ID to show the previous set
  */
 export default function ImmersiveScrollStory({ 
   periods, 
@@ -27,7 +32,12 @@ export default function ImmersiveScrollStory({
   isLoading,
   savedArtworks = [],
   onSaveArtwork,
-  onRemoveArtwork
+  onRemoveArtwork,
+  onPeriodChange,
+  pagination = {},
+  pageSize = 0,
+  onExploreMore,
+  onPreviousSet
 }) {
   // Ref: Container element for scroll tracking
   const containerRef = useRef(null);
@@ -93,13 +103,21 @@ export default function ImmersiveScrollStory({
     return () => window.removeEventListener('scroll', handleScroll);
   }, [periods]);
 
+  // Effect: Report the period in view so the parent can prioritize its data
+  useEffect(() => {
+    const period = periods[currentPeriod];
+    if (period && onPeriodChange) {
+      onPeriodChange(period.id);
+    }
+  }, [currentPeriod, periods]);
+
 
   return (
     <div ref={containerRef} className="relative bg-black min-h-screen">
       {/* 3D Background Layer */}
       {/* Fixed Three.js animated background, non-interactive */}
       <div className="fixed inset-0 z-0 pointer-events-none">
-        <ThreeBackground />
+        <ThreeBackground periods={periods} />
       </div>
 
       {/* Intro Loading Animation */}
@@ -275,6 +293,11 @@ export default function ImmersiveScrollStory({
               savedArtworks={savedArtworks}
               onSaveArtwork={onSaveArtwork}
               onRemoveArtwork={onRemoveArtwork}
+              // "Explore more" paging for this period
+              pagination={pagination[period.id] || null}
+              pageSize={pageSize}
+              onExploreMore={() => onExploreMore?.(period.id)}
+              onPreviousSet={() => onPreviousSet?.(period.id)}
             />
           ))}
 
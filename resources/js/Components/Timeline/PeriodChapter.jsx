@@ -2,8 +2,11 @@
 
 import React, { useRef } from 'react';
 import { motion, useScroll, useTransform } from 'framer-motion';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
 import Carousel3D from './Carousel3D';
 
+// pagination = { page, loadedPages, hasMore, isLoadingMore } for "explore more";
+// without it (or pageSize) every artwork is shown in one carousel
 export default function PeriodChapter({ 
   period, 
   artworks, 
@@ -12,9 +15,20 @@ export default function PeriodChapter({
   index,
   savedArtworks = [],
   onSaveArtwork,
-  onRemoveArtwork
+  onRemoveArtwork,
+  pagination = null,
+  pageSize = 0,
+  onExploreMore,
+  onPreviousSet
 }) {
   const sectionRef = useRef(null);
+
+  // Artworks of the set currently shown in the carousel
+  const page = pagination?.page || 1;
+  const visibleArtworks = pagination && pageSize
+    ? artworks.slice((page - 1) * pageSize, page * pageSize)
+    : artworks;
+  const canExploreMore = Boolean(pagination) && (page < pagination.loadedPages || pagination.hasMore);
   const { scrollYProgress } = useScroll({
     target: sectionRef,
     offset: ["start end", "end start"]
@@ -38,7 +52,7 @@ export default function PeriodChapter({
       <motion.div
         className="absolute inset-0 -z-10"
         style={{
-          backgroundImage: `url(${period.background})`,
+          backgroundImage: period.background ? `url(${period.background})` : undefined,
           backgroundSize: 'cover',
           backgroundPosition: 'center',
         }}
@@ -141,7 +155,7 @@ export default function PeriodChapter({
           className="absolute inset-0"
         >
           <Carousel3D 
-            artworks={artworks}
+            artworks={visibleArtworks}
             period={period}
             onArtworkClick={onArtworkClick}
             isActive={isActive}
@@ -149,6 +163,30 @@ export default function PeriodChapter({
             onSaveArtwork={onSaveArtwork}         // ✅ NEW - passed to Carousel3D
             onRemoveArtwork={onRemoveArtwork}     // ✅ NEW - passed to Carousel3D
           />
+
+          {/* Explore more: page through further sets of this period's artworks */}
+          {pagination && (page > 1 || canExploreMore) && (
+            <div className="absolute bottom-28 left-1/2 -translate-x-1/2 z-50 flex items-center gap-3">
+              <button
+                onClick={onPreviousSet}
+                disabled={page === 1}
+                className="flex items-center gap-1 px-4 py-2 rounded-full border border-white/20 bg-black/40 text-white/80 text-sm backdrop-blur-md hover:border-white/50 disabled:opacity-30 transition-all"
+              >
+                <ChevronLeft className="w-4 h-4" />
+                Previous
+              </button>
+              <span className="text-white/50 text-sm">Set {page}</span>
+              <button
+                onClick={onExploreMore}
+                disabled={!canExploreMore || pagination.isLoadingMore}
+                className="flex items-center gap-1 px-4 py-2 rounded-full border text-sm backdrop-blur-md bg-black/40 disabled:opacity-30 transition-all"
+                style={{ borderColor: `${period.color}80`, color: period.color }}
+              >
+                {pagination.isLoadingMore && page === pagination.loadedPages ? 'Loading…' : 'Explore more'}
+                <ChevronRight className="w-4 h-4" />
+              </button>
+            </div>
+          )}
         </motion.div>
       </div>
 
@@ -0,0 +1,119 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { motion } from 'framer-motion';
+import { Heart } from 'lucide-react';
+import { getRelatedArtworks, isAbortError } from '@/lib/metMuseum';
+
+/**
+ * RelatedArtworks Component
+ *
+ * Horizontal strip of artworks related to the open artwork (same artist,
+ * culture, classification or era), shown at the bottom of ArtworkModal.
+ * Loaded lazily: nothing is requested until the strip scrolls into view,
+ * and the lookup is cancelled when the artwork changes or the modal closes.
+ *
+ * @param {Object} artwork - Artwork the strip relates to
+ * @param {string} periodColor - Theme color for accents
+ * @param {string[]} savedIds - IDs of saved artworks (as strings)
+ * @param {Function} onSelect - Open a related artwork in the modal
+ * @param {Function} onToggleSave - Save or remove a related artwork
+ */
+export default function RelatedArtworks({ artwork, periodColor = '#f59e0b', savedIds = [], onSelect, onToggleSave }) {
+    // Related artworks ([{ artwork, relation }]), null until loaded
+    const [related, setRelated] = useState(null);
+    // Whether the strip has been scrolled into view for this artwork
+    const [isVisible, setIsVisible] = useState(false);
+    const container = useRef(null);
+
+    // Start over when another artwork is shown
+    useEffect(() => {
+        setRelated(null);
+        setIsVisible(false);
+    }, [artwork.id]);
+
+    // Wait until the strip is (almost) on screen
+    useEffect(() => {
+        const element = container.current;
+        if (!element || isVisible) return;
+
+        const observer = new IntersectionObserver((entries) => {
+            if (entries[0].isIntersecting) setIsVisible(true);
+        }, { rootMargin: '200px' });
+
+        observer.observe(element);
+        return () => observer.disconnect();
+    }, [artwork.id, isVisible]);
+
+    // Load the related artworks once visible
+    useEffect(() => {
+        if (!isVisible) return;
+
+        const controller = new AbortController();
+        getRelatedArtworks(artwork, { signal: controller.signal })
+            .then(setRelated)
+            .catch((error) => {
+                if (isAbortError(error)) return;
+                console.error('Error loading related artworks:', error);
+                setRelated([]);
+            });
+
+        return () => controller.abort();
+    }, [isVisible, artwork.id]);
+
+    // Nothing related: hide the section once loading finished
+    if (related && related.length === 0) return null;
+
+    return (
+        <div ref={container} className="relative px-8 md:px-10 py-6 border-t border-gray-700/50">
+            <p className="text-sm font-semibold uppercase tracking-wider mb-4" style={{ color: periodColor }}>
+                Related artworks
+            </p>
+
+            <div data-swipe-ignore className="flex gap-4 overflow-x-auto pb-2">
+                {related === null
+                    ? Array.from({ length: 4 }).map((_, i) => (
+                        <div key={i} className="shrink-0 w-36 h-48 rounded-xl bg-gray-800/60 animate-pulse" />
+                    ))
+                    : related.map(({ artwork: item, relation }, index) => {
+                        const isSaved = savedIds.includes(String(item.id));
+
+                        return (
+                            <motion.div
+                                key={item.id}
+                                initial={{ opacity: 0, y: 10 }}
+                                animate={{ opacity: 1, y: 0 }}
+                                transition={{ delay: index * 0.05 }}
+                                className="relative shrink-0 w-36 group"
+                            >
+                                <button
+                                    onClick={() => onSelect(item)}
+                                    className="block w-full text-left"
+                                    title={item.title}
+                                >
+                                    <img
+                                        src={item.image}
+                                        alt={item.title}
+                                        loading="lazy"
+                                        className="w-36 h-36 object-cover rounded-xl bg-gray-900 border border-gray-700/50 group-hover:border-gray-500 transition-colors"
+                                    />
+                                    <p className="mt-2 text-gray-200 text-xs font-medium line-clamp-1">{item.title}</p>
+                                    <p className="text-gray-500 text-xs line-clamp-1">{relation}</p>
+                                </button>
+
+                                {/* Save/remove without leaving the current artwork */}
+                                <button
+                                    onClick={() => onToggleSave(item, isSaved)}
+                                    className="absolute top-2 right-2 p-1.5 rounded-full bg-black/70 hover:bg-black transition-colors"
+                                    title={isSaved ? 'Remove from collection' : 'Save to collection'}
+                                >
+                                    <Heart
+                                        className={`w-4 h-4 ${isSaved ? 'fill-current' : ''}`}
+                                        style={{ color: isSaved ? periodColor : '#fff' }}
+                                    />
+                                </button>
+                            </motion.div>
+                        );
+                    })}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,153 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Share2, Link2, Shuffle, Check, X } from 'lucide-react';
+
+/**
+ * ShareTimeline Component
+ *
+ * Floating "share this timeline" control. Offers two kinds of links:
+ * - Snapshot link (/timeline?snapshot=TOKEN): stores the exact artworks shown
+ *   per period on the server, so anyone opening it sees the same artworks
+ *   even after the day, the period queries or the curation change.
+ * - Seed link (/timeline?seed=N): reproduces the shared (non-personalised)
+ *   arrangement for that seed while the periods stay as they are.
+ * Also lets the viewer jump to a new random arrangement.
+ *
+ * @param {Object} timelineData - Artworks shown, keyed by period ID
+ * @param {number} seed - Seed of the current arrangement
+ * @param {string|null} snapshotToken - Token when viewing a shared snapshot (reused instead of creating a new one)
+ * @param {Function} onCreateSnapshot - Async callback returning { token, url } or null
+ * @param {Function} onShuffle - Callback with a new random seed
+ */
+export default function ShareTimeline({ timelineData, seed, snapshotToken = null, onCreateSnapshot, onShuffle }) {
+  // State: Whether the share panel is open
+  const [isOpen, setIsOpen] = useState(false);
+
+  // State: Snapshot link once created (or the one being viewed)
+  const [snapshotUrl, setSnapshotUrl] = useState(
+    snapshotToken ? `${window.location.origin}/timeline?snapshot=${snapshotToken}` : null
+  );
+
+  // State: timelineData the snapshot link was created for (new artworks need a new link)
+  const [sharedData, setSharedData] = useState(null);
+
+  // State: Snapshot request in flight / failed
+  const [isCreating, setIsCreating] = useState(false);
+  const [error, setError] = useState(null);
+
+  // State: Which link was just copied ('snapshot' | 'seed' | null)
+  const [copied, setCopied] = useState(null);
+
+  const seedUrl = `${window.location.origin}/timeline?seed=${seed}`;
+  const hasArtworks = Object.values(timelineData || {}).some(artworks => artworks?.length > 0);
+
+  // Open the panel and create the snapshot link, unless one already covers
+  // the artworks shown (a viewed snapshot is always reused)
+  const handleOpen = async () => {
+    setIsOpen(true);
+    if (isCreating) return;
+    if (snapshotUrl && (snapshotToken || sharedData === timelineData)) return;
+
+    setIsCreating(true);
+    setSnapshotUrl(null);
+    setError(null);
+    try {
+      const snapshot = await onCreateSnapshot();
+      if (snapshot?.url) {
+        setSnapshotUrl(snapshot.url);
+        setSharedData(timelineData);
+      } else {
+        setError('Could not create a share link. Try again in a moment.');
+      }
+    } catch (err) {
+      console.error('Error sharing timeline:', err);
+      setError('Could not create a share link. Try again in a moment.');
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  // Copy a link, falling back to the native share sheet when clipboard access is denied
+  const handleCopy = async (url, kind) => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(kind);
+      setTimeout(() => setCopied(null), 2000);
+    } catch (err) {
+      if (navigator.share) {
+        navigator.share({ title: 'ArtVault timeline', url }).catch(() => {});
+      }
+    }
+  };
+
+  if (!hasArtworks) return null;
+
+  // One copyable link row
+  const renderLink = (label, hint, url, kind) => (
+    <div className="space-y-1">
+      <p className="text-white/80 text-sm font-semibold">{label}</p>
+      <p className="text-white/40 text-xs">{hint}</p>
+      <div className="flex items-center gap-2">
+        <input
+          readOnly
+          value={url || (isCreating ? 'Creating link…' : '')}
+          onFocus={(e) => e.target.select()}
+          className="flex-1 min-w-0 px-3 py-2 rounded-lg bg-black/60 border border-white/15 text-white/70 text-xs"
+        />
+        <button
+          onClick={() => url && handleCopy(url, kind)}
+          disabled={!url}
+          className="p-2 rounded-lg border border-white/20 text-white/80 hover:border-white/50 disabled:opacity-30 transition-all"
+          title="Copy link"
+        >
+          {copied === kind ? <Check className="w-4 h-4 text-emerald-400" /> : <Link2 className="w-4 h-4" />}
+        </button>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="fixed top-20 right-6 z-50">
+      {/* Share button */}
+      <button
+        onClick={isOpen ? () => setIsOpen(false) : handleOpen}
+        className="flex items-center gap-2 px-4 py-2 rounded-full border border-white/20 bg-black/50 text-white/80 text-sm backdrop-blur-md hover:border-white/50 transition-all"
+      >
+        <Share2 className="w-4 h-4" />
+        Share
+      </button>
+
+      {/* Share panel */}
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -10 }}
+            className="absolute right-0 mt-3 w-80 p-4 space-y-4 rounded-xl border border-white/15 bg-black/80 backdrop-blur-xl"
+          >
+            <div className="flex items-center justify-between">
+              <p className="text-white font-semibold">Share this timeline</p>
+              <button onClick={() => setIsOpen(false)} className="text-white/50 hover:text-white">
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+
+            {renderLink('Exact artworks', 'Everyone sees the artworks shown to you now.', snapshotUrl, 'snapshot')}
+            {error && <p className="text-red-400 text-xs">{error}</p>}
+
+            {renderLink(`Arrangement #${seed}`, 'Same seed, same arrangement for everyone (not personalised).', seedUrl, 'seed')}
+
+            <button
+              onClick={() => onShuffle(Math.floor(Math.random() * 2147483647))}
+              className="w-full flex items-center justify-center gap-2 px-4 py-2 rounded-lg border border-white/20 text-white/80 text-sm hover:border-white/50 transition-all"
+            >
+              <Shuffle className="w-4 h-4" />
+              New arrangement
+            </button>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
@@ -0,0 +1,368 @@
+import React, { useState, useEffect } from 'react';
+import { Head } from '@inertiajs/react';
+import {
+    Pin,
+    Ban,
+    ArrowUp,
+    ArrowDown,
+    Trash2,
+    Plus,
+    ImageOff
+} from 'lucide-react';
+
+import Header from '@/Components/Header';
+import { getArtworksBatch } from '@/lib/metMuseum';
+
+/**
+ * Admin curation console
+ *
+ * Lets admins hand-curate the artworks shown for each timeline period:
+ * - Pin a Met object ID so it is always shown first for the period.
+ * - Reorder pinned objects (they are shown in this order).
+ * - Exclude an object ID so it is never shown for the period.
+ * - Remove a pin or exclusion to return the object to normal selection.
+ *
+ * Changes are saved immediately through /api/admin/curation and apply to the
+ * timeline at once (the server cache key includes the curation).
+ *
+ * Props:
+ * - auth {object}: Auth data injected by Inertia, passed to Header.
+ * - periods {Array}: All period definitions, including inactive ones.
+ * - curations {object}: { [periodId]: { pinned: [...], excluded: [...] } }
+ *
+ * State:
+ * - curationsByPeriod {object}: Local copy of curations, updated after each change.
+ * - selectedPeriodId {string}: Period currently being curated.
+ * - objectId / type / note {string}: Add form fields.
+ * - previews {object}: Normalized artworks keyed by object ID, for thumbnails.
+ * - error {string|null}: Last error message from the API.
+ * - saving {boolean}: True while a request is in flight.
+ */
+export default function Curation({ auth, periods = [], curations = {} }) {
+    // Local copy of curations, keyed by period id
+    const [curationsByPeriod, setCurationsByPeriod] = useState(curations);
+    // Period currently being curated
+    const [selectedPeriodId, setSelectedPeriodId] = useState(periods[0]?.id || '');
+    // Add form fields
+    const [objectId, setObjectId] = useState('');
+    const [type, setType] = useState('pin');
+    const [note, setNote] = useState('');
+    // Artwork previews keyed by object id (null = no displayable image)
+    const [previews, setPreviews] = useState({});
+    // Last API error shown above the lists
+    const [error, setError] = useState(null);
+    // True while a request is in flight
+    const [saving, setSaving] = useState(false);
+
+    const selectedPeriod = periods.find(period => period.id === selectedPeriodId);
+    const current = curationsByPeriod[selectedPeriodId] || { pinned: [], excluded: [] };
+
+    // Load previews for any curated object of the selected period not seen yet
+    useEffect(() => {
+        const missing = [...current.pinned, ...current.excluded]
+            .map(item => item.object_id)
+            .filter(id => !(id in previews));
+
+        if (missing.length === 0) return;
+
+        const controller = new AbortController();
+
+        getArtworksBatch(missing, { signal: controller.signal, priority: 'high' })
+            .then(artworks => {
+                const found = Object.fromEntries(artworks.map(artwork => [artwork.id, artwork]));
+                setPreviews(prev => ({
+                    ...prev,
+                    ...Object.fromEntries(missing.map(id => [id, found[id] || null])),
+                }));
+            })
+            .catch(() => {});
+
+        return () => controller.abort();
+    }, [selectedPeriodId, curationsByPeriod]);
+
+    /**
+     * Send a JSON request to the curation API.
+     * Returns the parsed body, or throws with the server's message.
+     */
+    const request = async (url, method, body) => {
+        const response = await fetch(url, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                Accept: 'application/json',
+                'X-CSRF-TOKEN': document.querySelector('meta[name="csrf-token"]').content,
+            },
+            body: body ? JSON.stringify(body) : undefined,
+        });
+
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw new Error(data.message || 'Request failed');
+        }
+
+        return data;
+    };
+
+    /**
+     * Re-fetch all curations after a change so local state matches the server.
+     */
+    const refresh = async () => {
+        const data = await request('/api/admin/curation', 'GET');
+        setCurationsByPeriod(data);
+    };
+
+    /**
+     * Run a change against the API, then refresh the lists.
+     */
+    const runChange = async (change) => {
+        setSaving(true);
+        setError(null);
+
+        try {
+            await change();
+            await refresh();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    /**
+     * Pin or exclude the object entered in the add form.
+     */
+    const handleAdd = (e) => {
+        e.preventDefault();
+
+        const id = parseInt(objectId, 10);
+        if (!id || id < 1) {
+            setError('Enter a valid Met object ID');
+            return;
+        }
+
+        runChange(async () => {
+            await request(`/api/admin/curation/${selectedPeriodId}`, 'POST', {
+                object_id: id,
+                type,
+                note: note.trim() || null,
+            });
+            setObjectId('');
+            setNote('');
+        });
+    };
+
+    /**
+     * Move a pinned object one place up (-1) or down (+1).
+     */
+    const handleMove = (index, direction) => {
+        const ids = current.pinned.map(item => item.object_id);
+        const target = index + direction;
+        if (target < 0 || target >= ids.length) return;
+
+        [ids[index], ids[target]] = [ids[target], ids[index]];
+
+        runChange(() => request(`/api/admin/curation/${selectedPeriodId}/order`, 'PUT', { object_ids: ids }));
+    };
+
+    /**
+     * Remove a pin or exclusion.
+     */
+    const handleRemove = (id) => {
+        runChange(() => request(`/api/admin/curation/${selectedPeriodId}/${id}`, 'DELETE'));
+    };
+
+    /**
+     * One curated object row: thumbnail, title, note and actions.
+     */
+    const renderItem = (item, actions) => {
+        const preview = previews[item.object_id];
+
+        return (
+            <li
+                key={item.object_id}
+                className="flex items-center gap-4 p-3 bg-black/50 border border-amber-500/20 rounded-lg"
+            >
+                <div className="w-14 h-14 flex-shrink-0 rounded-md overflow-hidden bg-amber-950/30 flex items-center justify-center">
+                    {preview ? (
+                        <img src={preview.image} alt={preview.title} className="w-full h-full object-cover" />
+                    ) : (
+                        <ImageOff className="w-5 h-5 text-amber-400/40" />
+                    )}
+                </div>
+                <div className="flex-1 min-w-0">
+                    <p className="text-[#F8F7F3] font-ui truncate">
+                        {preview?.title || (preview === null ? 'No displayable image' : 'Loading…')}
+                    </p>
+                    <p className="text-[#F8F7F3]/50 text-sm font-ui truncate">
+                        #{item.object_id}{preview?.artist ? ` · ${preview.artist}` : ''}
+                    </p>
+                    {item.note && (
+                        <p className="text-amber-300/70 text-sm font-ui truncate">{item.note}</p>
+                    )}
+                </div>
+                <div className="flex gap-1">{actions}</div>
+            </li>
+        );
+    };
+
+    const iconButton = 'p-2 rounded-lg border border-amber-500/30 text-amber-400 hover:border-amber-400 disabled:opacity-30 transition-all';
+
+    return (
+        <>
+            <Head title="Timeline Curation" />
+
+            <div className="min-h-screen bg-black">
+                <Header auth={auth} />
+
+                {/* Hero */}
+                <div className="relative bg-gradient-to-br from-amber-950/50 via-orange-950/30 to-black border-b border-amber-500/20 pt-20">
+                    <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8 text-center">
+                        <h1 className="text-5xl font-display text-transparent bg-clip-text bg-gradient-to-r from-amber-400 to-orange-500 mb-4">
+                            Timeline Curation
+                        </h1>
+                        <p className="text-[#F8F7F3]/80 font-ui text-lg">
+                            Pin, order and exclude the artworks shown for each period
+                        </p>
+                    </div>
+                </div>
+
+                <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+                    {/* Period selector */}
+                    <div className="flex flex-wrap gap-2">
+                        {periods.map(period => (
+                            <button
+                                key={period.id}
+                                onClick={() => setSelectedPeriodId(period.id)}
+                                className={`px-4 py-2 rounded-lg border font-ui transition-all ${
+                                    period.id === selectedPeriodId
+                                        ? 'bg-amber-400 border-amber-400 text-black'
+                                        : 'bg-black/50 border-amber-500/30 text-amber-400 hover:border-amber-400'
+                                }`}
+                            >
+                                {period.title}
+                                <span className="ml-2 text-xs opacity-70">
+                                    {(curationsByPeriod[period.id]?.pinned.length || 0)} pinned
+                                </span>
+                            </button>
+                        ))}
+                    </div>
+
+                    {selectedPeriod && (
+                        <p className="text-[#F8F7F3]/60 font-ui">
+                            {selectedPeriod.period} — pinned artworks are shown first, even outside the date range.
+                        </p>
+                    )}
+
+                    {/* Add form */}
+                    <form onSubmit={handleAdd} className="flex flex-col md:flex-row gap-4">
+                        <input
+                            type="number"
+                            min="1"
+                            placeholder="Met object ID"
+                            value={objectId}
+                            onChange={(e) => setObjectId(e.target.value)}
+                            className="md:w-48 px-4 py-3 bg-black/50 border border-amber-500/30 rounded-lg text-[#F8F7F3] placeholder:text-[#F8F7F3]/30 focus:border-amber-400 focus:ring-2 focus:ring-amber-400/50 transition-all"
+                        />
+                        <select
+                            value={type}
+                            onChange={(e) => setType(e.target.value)}
+                            className="px-4 py-3 bg-black/50 border border-amber-500/30 rounded-lg text-[#F8F7F3] focus:border-amber-400 focus:ring-2 focus:ring-amber-400/50 transition-all"
+                        >
+                            <option value="pin">Pin</option>
+                            <option value="exclude">Exclude</option>
+                        </select>
+                        <input
+                            type="text"
+                            maxLength={500}
+                            placeholder="Note (optional)"
+                            value={note}
+                            onChange={(e) => setNote(e.target.value)}
+                            className="flex-1 px-4 py-3 bg-black/50 border border-amber-500/30 rounded-lg text-[#F8F7F3] placeholder:text-[#F8F7F3]/30 focus:border-amber-400 focus:ring-2 focus:ring-amber-400/50 transition-all"
+                        />
+                        <button
+                            type="submit"
+                            disabled={saving || !selectedPeriodId}
+                            className="inline-flex items-center justify-center gap-2 px-6 py-3 bg-gradient-to-r from-amber-400 to-orange-500 text-black font-ui font-semibold rounded-lg hover:from-amber-300 hover:to-orange-400 disabled:opacity-50 transition-all"
+                        >
+                            <Plus className="w-5 h-5" />
+                            Add
+                        </button>
+                    </form>
+
+                    {error && (
+                        <div className="px-4 py-3 rounded-lg border border-red-500/40 bg-red-950/30 text-red-300 font-ui">
+                            {error}
+                        </div>
+                    )}
+
+                    {/* Pinned artworks */}
+                    <section>
+                        <h2 className="flex items-center gap-2 text-2xl font-display text-amber-300 mb-4">
+                            <Pin className="w-5 h-5" />
+                            Pinned
+                        </h2>
+                        {current.pinned.length === 0 ? (
+                            <p className="text-[#F8F7F3]/50 font-ui">No pinned artworks for this period.</p>
+                        ) : (
+                            <ol className="space-y-3">
+                                {current.pinned.map((item, index) => renderItem(item, (
+                                    <>
+                                        <button
+                                            onClick={() => handleMove(index, -1)}
+                                            disabled={saving || index === 0}
+                                            className={iconButton}
+                                            title="Move up"
+                                        >
+                                            <ArrowUp className="w-4 h-4" />
+                                        </button>
+                                        <button
+                                            onClick={() => handleMove(index, 1)}
+                                            disabled={saving || index === current.pinned.length - 1}
+                                            className={iconButton}
+                                            title="Move down"
+                                        >
+                                            <ArrowDown className="w-4 h-4" />
+                                        </button>
+                                        <button
+                                            onClick={() => handleRemove(item.object_id)}
+                                            disabled={saving}
+                                            className={iconButton}
+                                            title="Unpin"
+                                        >
+                                            <Trash2 className="w-4 h-4" />
+                                        </button>
+                                    </>
+                                )))}
+                            </ol>
+                        )}
+                    </section>
+
+                    {/* Excluded artworks */}
+                    <section>
+                        <h2 className="flex items-center gap-2 text-2xl font-display text-amber-300 mb-4">
+                            <Ban className="w-5 h-5" />
+                            Excluded
+                        </h2>
+                        {current.excluded.length === 0 ? (
+                            <p className="text-[#F8F7F3]/50 font-ui">No excluded artworks for this period.</p>
+                        ) : (
+                            <ul className="space-y-3">
+                                {current.excluded.map(item => renderItem(item, (
+                                    <button
+                                        onClick={() => handleRemove(item.object_id)}
+                                        disabled={saving}
+                                        className={iconButton}
+                                        title="Allow again"
+                                    >
+                                        <Trash2 className="w-4 h-4" />
+                                    </button>
+                                )))}
+                            </ul>
+                        )}
+                    </section>
+                </div>
+            </div>
+        </>
+    );
+}
@@ -0,0 +1,301 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Head } from '@inertiajs/react';
+import { motion } from 'framer-motion';
+import { Calendar, Globe, Landmark, Heart, Palette, User } from 'lucide-react';
+
+import Header from '@/Components/Header';
+import ArtworkModal from '@/Components/Timeline/ArtworkModal';
+import { searchArtworks, getArtworksByIdsProgressive, isAbortError } from '@/lib/metMuseum';
+import { getSavedArtworkIds, saveArtwork, removeArtwork } from '@/lib/collection';
+
+// Works to find per "load more" step (object IDs are resolved until this many match)
+const ARTIST_PAGE_SIZE = 24;
+
+// Cultures/departments listed in the summary before "+N more"
+const SUMMARY_LIMIT = 4;
+
+// Compare artist names ignoring case and repeated whitespace
+const normalizeName = (name) => (name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Format a Met year (negative = BC)
+const formatYear = (year) => (year < 0 ? `${Math.abs(year)} BC` : `${year}`);
+
+// Count values and sort by frequency: [[value, count], ...]
+const countValues = (values) => {
+    const counts = new Map();
+    values.filter(Boolean).forEach((value) => counts.set(value, (counts.get(value) || 0) + 1));
+    return [...counts.entries()].sort((a, b) => b[1] - a[1]);
+};
+
+/**
+ * Artist page
+ *
+ * Aggregates an artist's works from the Met collection:
+ * - searchArtworks(name, { artistOrCulture: true }) finds object IDs whose artist
+ *   or culture matches; resolved artworks are kept only when their artist name
+ *   equals the page's name (case-insensitive), so culture matches and workshop
+ *   attributions are left out.
+ * - Works are resolved ARTIST_PAGE_SIZE at a time with getArtworksByIdsProgressive;
+ *   "Show more works" continues through the remaining IDs.
+ * - The summary (bio, date span, cultures, departments) is computed from the works
+ *   loaded so far, and works already in the user's collection are marked and counted.
+ * - Works open in ArtworkModal with save/remove (lib/collection).
+ *
+ * Props:
+ * - auth {object}: Auth data injected by Inertia, passed to Header.
+ * - name {string}: Artist display name from ?name=.
+ */
+export default function Artist({ auth, name }) {
+    // Works by the artist found so far, in Met search order
+    const [works, setWorks] = useState([]);
+    // Waiting for the object ID list
+    const [isSearching, setIsSearching] = useState(true);
+    // A step of works is being resolved
+    const [isLoadingMore, setIsLoadingMore] = useState(false);
+    // Object IDs left to check
+    const [hasMore, setHasMore] = useState(false);
+    // IDs of artworks saved in the user's collection
+    const [savedArtworks, setSavedArtworks] = useState([]);
+    // Index of the work open in the modal (or null)
+    const [selectedIndex, setSelectedIndex] = useState(null);
+
+    // Object IDs matching the artist search and how many were already checked
+    const searchIds = useRef([]);
+    const cursor = useRef(0);
+    // AbortController for the search and every step
+    const controller = useRef(null);
+
+    // Search the artist's works (again when the name changes) and load saved IDs
+    useEffect(() => {
+        const current = new AbortController();
+        controller.current = current;
+        searchIds.current = [];
+        cursor.current = 0;
+        setWorks([]);
+        setSelectedIndex(null);
+        setIsSearching(true);
+
+        searchArtworks(name, { artistOrCulture: true, signal: current.signal, priority: 'high' })
+            .then((ids) => {
+                searchIds.current = ids;
+                setIsSearching(false);
+                return loadMore();
+            })
+            .catch((error) => {
+                if (isAbortError(error)) return;
+                console.error('Error searching artist works:', error);
+                setIsSearching(false);
+            });
+
+        getSavedArtworkIds().then(setSavedArtworks);
+
+        return () => current.abort();
+    }, [name]);
+
+    /**
+     * Check further object IDs until ARTIST_PAGE_SIZE more works by the artist
+     * were found (or the IDs run out). Each work is shown as soon as it is found.
+     */
+    const loadMore = async () => {
+        const current = controller.current;
+        if (!current || cursor.current >= searchIds.current.length) {
+            setHasMore(false);
+            return;
+        }
+
+        const artistName = normalizeName(name);
+        setIsLoadingMore(true);
+
+        try {
+            let found = 0;
+            while (found < ARTIST_PAGE_SIZE && cursor.current < searchIds.current.length) {
+                const slice = searchIds.current.slice(cursor.current, cursor.current + ARTIST_PAGE_SIZE);
+                cursor.current += slice.length;
+
+                await getArtworksByIdsProgressive(slice, slice.length, -Infinity, Infinity, (artwork) => {
+                    if (normalizeName(artwork.artist) !== artistName) return;
+                    found++;
+                    setWorks((prev) => (prev.some((w) => w.id === artwork.id) ? prev : [...prev, artwork]));
+                }, { signal: current.signal });
+            }
+        } catch (error) {
+            if (isAbortError(error)) return;
+            console.error('Error loading artist works:', error);
+        } finally {
+            if (controller.current === current) {
+                setIsLoadingMore(false);
+                setHasMore(cursor.current < searchIds.current.length);
+            }
+        }
+    };
+
+    // Summary of the works loaded so far
+    const summary = useMemo(() => {
+        const dated = works.filter((w) => w.objectBeginDate || w.objectEndDate);
+
+        return {
+            bio: works.find((w) => w.artistBio)?.artistBio || '',
+            begin: dated.length ? Math.min(...dated.map((w) => w.objectBeginDate)) : null,
+            end: dated.length ? Math.max(...dated.map((w) => w.objectEndDate)) : null,
+            cultures: countValues(works.map((w) => w.culture)),
+            departments: countValues(works.map((w) => w.department)),
+            saved: works.filter((w) => savedArtworks.includes(w.id.toString())).length,
+        };
+    }, [works, savedArtworks]);
+
+    /** Save a work and mark it as saved. */
+    const handleSave = async (artwork) => {
+        const result = await saveArtwork(artwork);
+        if (result === 'saved') {
+            setSavedArtworks((prev) => [...new Set([...prev, artwork.id.toString()])]);
+        } else if (result === 'unverified') {
+            alert('Please verify your account first');
+        }
+    };
+
+    /** Remove a work from the collection and unmark it. */
+    const handleRemove = async (artworkId) => {
+        if (await removeArtwork(artworkId)) {
+            setSavedArtworks((prev) => prev.filter((id) => id !== artworkId.toString()));
+        }
+    };
+
+    // "A (3), B (2) +2 more"
+    const renderCounts = (entries) => {
+        if (entries.length === 0) return '—';
+        const shown = entries.slice(0, SUMMARY_LIMIT).map(([value, count]) => `${value} (${count})`).join(', ');
+        return entries.length > SUMMARY_LIMIT ? `${shown} +${entries.length - SUMMARY_LIMIT} more` : shown;
+    };
+
+    const selectedArtwork = selectedIndex !== null ? works[selectedIndex] : null;
+    const isLoading = isSearching || (isLoadingMore && works.length === 0);
+
+    const summaryCards = [
+        {
+            icon: Calendar,
+            label: 'Active',
+            value: summary.begin !== null
+                ? summary.begin === summary.end ? formatYear(summary.begin) : `${formatYear(summary.begin)} – ${formatYear(summary.end)}`
+                : '—',
+        },
+        { icon: Globe, label: 'Cultures', value: renderCounts(summary.cultures) },
+        { icon: Landmark, label: 'Departments', value: renderCounts(summary.departments) },
+        { icon: Heart, label: 'In your collection', value: `${summary.saved} of ${works.length}` },
+    ];
+
+    return (
+        <>
+            {/* Set browser tab title */}
+            <Head title={name} />
+
+            <div className="min-h-screen bg-black">
+                {/* App-wide header with navigation and auth info */}
+                <Header auth={auth} />
+
+                {/* Hero section with artist name and bio */}
+                <div className="relative bg-gradient-to-br from-amber-950/50 via-orange-950/30 to-black border-b border-amber-500/20 pt-20">
+                    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 text-center">
+                        <User className="w-10 h-10 text-amber-400/60 mx-auto mb-3" />
+                        <h1 className="text-5xl font-display text-transparent bg-clip-text bg-gradient-to-r from-amber-400 to-orange-500 mb-3">
+                            {name}
+                        </h1>
+                        {summary.bio && (
+                            <p className="text-[#F8F7F3]/70 font-ui text-lg">{summary.bio}</p>
+                        )}
+                    </div>
+                </div>
+
+                <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+                    {isLoading ? (
+                        <div className="flex items-center justify-center py-20">
+                            <div className="w-12 h-12 border-4 border-amber-400/20 border-t-amber-400 rounded-full animate-spin"></div>
+                        </div>
+                    ) : works.length === 0 ? (
+                        <div className="text-center py-20">
+                            <Palette className="w-16 h-16 text-amber-400/30 mx-auto mb-4" />
+                            <p className="text-[#F8F7F3]/50 font-ui text-lg">No works with images found for {name}</p>
+                        </div>
+                    ) : (
+                        <>
+                            {/* Summary of the works loaded so far */}
+                            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 mb-10">
+                                {summaryCards.map(({ icon: Icon, label, value }) => (
+                                    <div key={label} className="p-4 bg-gradient-to-br from-amber-950/20 to-black border border-amber-500/20 rounded-lg">
+                                        <p className="flex items-center gap-2 text-amber-400 font-ui text-sm font-semibold mb-1">
+                                            <Icon className="w-4 h-4" />
+                                            {label}
+                                        </p>
+                                        <p className="text-[#F8F7F3]/80 font-ui text-sm">{value}</p>
+                                    </div>
+                                ))}
+                            </div>
+
+                            {/* Works */}
+                            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+                                {works.map((artwork, index) => (
+                                    <motion.div
+                                        key={artwork.id}
+                                        initial={{ opacity: 0, y: 20 }}
+                                        animate={{ opacity: 1, y: 0 }}
+                                        className="group relative bg-gradient-to-br from-amber-950/20 to-black border border-amber-500/20 rounded-lg overflow-hidden hover:border-amber-400/50 transition-all cursor-pointer"
+                                        onClick={() => setSelectedIndex(index)}
+                                    >
+                                        <img
+                                            src={artwork.image}
+                                            alt={artwork.title}
+                                            loading="lazy"
+                                            className="w-full h-64 object-cover bg-black"
+                                        />
+                                        <div className="p-4">
+                                            <h3 className="text-amber-400 font-ui font-semibold line-clamp-1">
+                                                {artwork.title}
+                                            </h3>
+                                            <p className="text-[#F8F7F3]/40 text-xs font-ui mt-1 line-clamp-1">
+                                                {artwork.year}
+                                            </p>
+                                        </div>
+
+                                        {/* In-collection marker */}
+                                        {savedArtworks.includes(artwork.id.toString()) && (
+                                            <div className="absolute top-2 right-2 flex items-center gap-1 px-2 py-1 bg-black/80 rounded-lg text-amber-400 text-xs font-ui">
+                                                <Heart className="w-3 h-3 fill-amber-400" />
+                                                In your collection
+                                            </div>
+                                        )}
+                                    </motion.div>
+                                ))}
+                            </div>
+
+                            {/* Next step of works */}
+                            {(hasMore || isLoadingMore) && (
+                                <div className="flex justify-center mt-10">
+                                    <button
+                                        onClick={loadMore}
+                                        disabled={isLoadingMore}
+                                        className="px-6 py-3 rounded-lg border border-amber-500/30 text-amber-400 font-ui hover:border-amber-400 disabled:opacity-50 transition-all"
+                                    >
+                                        {isLoadingMore ? 'Finding more works…' : 'Show more works'}
+                                    </button>
+                                </div>
+                            )}
+                        </>
+                    )}
+                </div>
+            </div>
+
+            {/* Artwork modal with save/remove and prev/next through the works */}
+            {selectedArtwork && (
+                <ArtworkModal
+                    artwork={selectedArtwork}
+                    onClose={() => setSelectedIndex(null)}
+                    isSaved={savedArtworks.includes(selectedArtwork.id.toString())}
+                    savedArtworkIds={savedArtworks}
+                    onSave={handleSave}
+                    onRemove={handleRemove}
+                    onPrev={selectedIndex > 0 ? () => setSelectedIndex(selectedIndex - 1) : null}
+                    onNext={selectedIndex < works.length - 1 ? () => setSelectedIndex(selectedIndex + 1) : null}
+                />
+            )}
+        </>
+    );
+}
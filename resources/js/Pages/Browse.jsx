@@ -0,0 +1,345 @@
+import React, { useState, useEffect } from 'react';
+import { Head, Link, router } from '@inertiajs/react';
+import { motion } from 'framer-motion';
+import { ArrowLeft, ChevronLeft, ChevronRight, Landmark, Palette } from 'lucide-react';
+
+import Header from '@/Components/Header';
+import ArtworkFrame from '@/Components/Timeline/ArtworkFrame';
+import ArtworkModal from '@/Components/Timeline/ArtworkModal';
+import { getDepartments, searchArtworks, getArtworksBatch, isAbortError } from '@/lib/metMuseum';
+import { getSavedArtworkIds, saveArtwork, removeArtwork } from '@/lib/collection';
+
+// Object IDs per page: one /api/met/batch round trip
+const BROWSE_PAGE_SIZE = 20;
+
+// Frame glow colour (ArtworkFrame expects a period-like { color })
+const FRAME_THEME = { color: '#f59e0b' };
+
+/**
+ * Browse page
+ *
+ * Department browser over the Met collection:
+ * - Without a department: lists the Met's curatorial departments (getDepartments,
+ *   /api/met/departments).
+ * - With a department (/browse/{departmentId}): searches the department's object IDs
+ *   with the departmentId facet (and dateBegin/dateEnd when a range is set), then shows
+ *   one page of BROWSE_PAGE_SIZE IDs at a time, resolved with getArtworksBatch and
+ *   rendered with ArtworkFrame. IDs without an image or title are skipped, so a page
+ *   can show fewer artworks.
+ * - The department, date range and page live in the URL, so every view can be
+ *   bookmarked; the range form and pager update the URL and the props.
+ * - Artworks open in ArtworkModal (prev/next within the page) with save/remove.
+ *
+ * Props:
+ * - auth {object}: Auth data injected by Inertia, passed to Header.
+ * - departmentId {number|null}: Department being browsed, or null for the list.
+ * - dateBegin, dateEnd {number|null}: Year range (both or neither).
+ * - page {number}: 1-based page.
+ */
+export default function Browse({ auth, departmentId = null, dateBegin = null, dateEnd = null, page = 1 }) {
+    // Met departments ([{ departmentId, displayName }])
+    const [departments, setDepartments] = useState([]);
+    const [departmentsLoading, setDepartmentsLoading] = useState(true);
+    // Object IDs of the department (within the date range)
+    const [objectIds, setObjectIds] = useState(null);
+    // Artworks on the current page
+    const [artworks, setArtworks] = useState([]);
+    const [pageLoading, setPageLoading] = useState(false);
+    // Date range being edited
+    const [rangeBegin, setRangeBegin] = useState(dateBegin ?? '');
+    const [rangeEnd, setRangeEnd] = useState(dateEnd ?? '');
+    const [rangeError, setRangeError] = useState(null);
+    // IDs of artworks saved in the user's collection
+    const [savedArtworks, setSavedArtworks] = useState([]);
+    // Index of the artwork open in the modal (or null)
+    const [selectedIndex, setSelectedIndex] = useState(null);
+
+    // Load departments and saved artwork IDs once
+    useEffect(() => {
+        const controller = new AbortController();
+        getDepartments({ signal: controller.signal })
+            .then((list) => {
+                setDepartments(list);
+                setDepartmentsLoading(false);
+            })
+            .catch((error) => {
+                if (!isAbortError(error)) setDepartmentsLoading(false);
+            });
+        getSavedArtworkIds().then(setSavedArtworks);
+
+        return () => controller.abort();
+    }, []);
+
+    // Keep the range inputs in sync with the URL
+    useEffect(() => {
+        setRangeBegin(dateBegin ?? '');
+        setRangeEnd(dateEnd ?? '');
+        setRangeError(null);
+    }, [dateBegin, dateEnd]);
+
+    // Search the department's object IDs when the department or range changes
+    useEffect(() => {
+        setObjectIds(null);
+        setArtworks([]);
+        if (departmentId === null) return;
+
+        const controller = new AbortController();
+        const range = dateBegin !== null ? { dateBegin, dateEnd } : {};
+
+        searchArtworks('*', { departmentId, ...range, signal: controller.signal, priority: 'high' })
+            .then(setObjectIds)
+            .catch((error) => {
+                if (!isAbortError(error)) setObjectIds([]);
+            });
+
+        return () => controller.abort();
+    }, [departmentId, dateBegin, dateEnd]);
+
+    // Resolve the current page once the IDs are known
+    useEffect(() => {
+        setSelectedIndex(null);
+        if (!objectIds) return;
+
+        const pageIds = objectIds.slice((page - 1) * BROWSE_PAGE_SIZE, page * BROWSE_PAGE_SIZE);
+        if (pageIds.length === 0) {
+            setArtworks([]);
+            return;
+        }
+
+        const controller = new AbortController();
+        setPageLoading(true);
+
+        getArtworksBatch(pageIds, { signal: controller.signal, priority: 'high' })
+            .then((results) => {
+                setArtworks(results);
+                setPageLoading(false);
+            })
+            .catch((error) => {
+                if (isAbortError(error)) return;
+                console.error('Error loading department artworks:', error);
+                setArtworks([]);
+                setPageLoading(false);
+            });
+
+        return () => controller.abort();
+    }, [objectIds, page]);
+
+    /** Visit another page or range of the department (props change, state is kept). */
+    const visit = (params) => {
+        const range = dateBegin !== null ? { dateBegin, dateEnd } : {};
+        router.get(`/browse/${departmentId}`, { ...range, ...params }, { preserveState: true });
+    };
+
+    /** Apply the date range (both years or neither) from page 1. */
+    const handleRangeSubmit = (e) => {
+        e.preventDefault();
+
+        const begin = String(rangeBegin).trim();
+        const end = String(rangeEnd).trim();
+        if ((begin === '') !== (end === '')) {
+            setRangeError('Enter both a start and an end year.');
+            return;
+        }
+        if (begin !== '' && Number(begin) > Number(end)) {
+            setRangeError('The start year must come before the end year.');
+            return;
+        }
+
+        router.get(`/browse/${departmentId}`, begin !== '' ? { dateBegin: begin, dateEnd: end } : {}, { preserveState: true });
+    };
+
+    /** Save an artwork and mark it as saved. */
+    const handleSave = async (artwork) => {
+        const result = await saveArtwork(artwork);
+        if (result === 'saved') {
+            setSavedArtworks((prev) => [...new Set([...prev, artwork.id.toString()])]);
+        } else if (result === 'unverified') {
+            alert('Please verify your account first');
+        }
+    };
+
+    /** Remove an artwork from the collection and unmark it. */
+    const handleRemove = async (artworkId) => {
+        if (await removeArtwork(artworkId)) {
+            setSavedArtworks((prev) => prev.filter((id) => id !== artworkId.toString()));
+        }
+    };
+
+    const department = departments.find((d) => d.departmentId === departmentId);
+    const totalPages = objectIds ? Math.max(1, Math.ceil(objectIds.length / BROWSE_PAGE_SIZE)) : 1;
+    const selectedArtwork = selectedIndex !== null ? artworks[selectedIndex] : null;
+    const spinner = (
+        <div className="flex items-center justify-center py-20">
+            <div className="w-12 h-12 border-4 border-amber-400/20 border-t-amber-400 rounded-full animate-spin"></div>
+        </div>
+    );
+
+    return (
+        <>
+            {/* Set browser tab title */}
+            <Head title={department ? department.displayName : 'Browse Departments'} />
+
+            <div className="min-h-screen bg-black">
+                {/* App-wide header with navigation and auth info */}
+                <Header auth={auth} />
+
+                {/* Hero section with title */}
+                <div className="relative bg-gradient-to-br from-amber-950/50 via-orange-950/30 to-black border-b border-amber-500/20 pt-20">
+                    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 text-center">
+                        {departmentId !== null && (
+                            <Link
+                                href="/browse"
+                                className="inline-flex items-center gap-2 text-[#F8F7F3]/60 hover:text-amber-300 font-ui text-sm mb-4 transition-colors"
+                            >
+                                <ArrowLeft className="w-4 h-4" />
+                                All departments
+                            </Link>
+                        )}
+                        <h1 className="text-5xl font-display text-transparent bg-clip-text bg-gradient-to-r from-amber-400 to-orange-500 mb-4">
+                            {departmentId === null ? 'Browse Departments' : department?.displayName || 'Department'}
+                        </h1>
+                        {departmentId !== null && objectIds && (
+                            <p className="text-[#F8F7F3]/80 font-ui text-lg">
+                                {objectIds.length.toLocaleString()} objects with images
+                                {dateBegin !== null && ` from ${dateBegin} to ${dateEnd}`}
+                            </p>
+                        )}
+                    </div>
+                </div>
+
+                <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+                    {departmentId === null ? (
+                        // Department list
+                        departmentsLoading ? spinner : departments.length === 0 ? (
+                            <div className="text-center py-20">
+                                <Landmark className="w-16 h-16 text-amber-400/30 mx-auto mb-4" />
+                                <p className="text-[#F8F7F3]/50 font-ui text-lg">Departments are unavailable right now.</p>
+                            </div>
+                        ) : (
+                            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                                {departments.map((d) => (
+                                    <Link
+                                        key={d.departmentId}
+                                        href={`/browse/${d.departmentId}`}
+                                        className="flex items-center gap-3 p-5 bg-gradient-to-br from-amber-950/20 to-black border border-amber-500/20 rounded-lg text-amber-400 font-ui font-semibold hover:border-amber-400/50 transition-all"
+                                    >
+                                        <Landmark className="w-5 h-5 shrink-0" />
+                                        {d.displayName}
+                                    </Link>
+                                ))}
+                            </div>
+                        )
+                    ) : (
+                        <>
+                            {/* Date range */}
+                            <form onSubmit={handleRangeSubmit} className="flex flex-col sm:flex-row sm:items-center gap-3 mb-10">
+                                <span className="text-[#F8F7F3]/70 font-ui">Years (BC negative)</span>
+                                <input
+                                    type="number"
+                                    placeholder="From"
+                                    value={rangeBegin}
+                                    onChange={(e) => setRangeBegin(e.target.value)}
+                                    className="sm:w-32 px-4 py-2 bg-black/50 border border-amber-500/30 rounded-lg text-[#F8F7F3] placeholder:text-[#F8F7F3]/30 focus:border-amber-400 focus:ring-2 focus:ring-amber-400/50 transition-all"
+                                />
+                                <input
+                                    type="number"
+                                    placeholder="To"
+                                    value={rangeEnd}
+                                    onChange={(e) => setRangeEnd(e.target.value)}
+                                    className="sm:w-32 px-4 py-2 bg-black/50 border border-amber-500/30 rounded-lg text-[#F8F7F3] placeholder:text-[#F8F7F3]/30 focus:border-amber-400 focus:ring-2 focus:ring-amber-400/50 transition-all"
+                                />
+                                <button
+                                    type="submit"
+                                    className="px-5 py-2 bg-gradient-to-r from-amber-400 to-orange-500 text-black font-ui font-semibold rounded-lg hover:from-amber-300 hover:to-orange-400 transition-all"
+                                >
+                                    Apply
+                                </button>
+                                {dateBegin !== null && (
+                                    <button
+                                        type="button"
+                                        onClick={() => router.get(`/browse/${departmentId}`, {}, { preserveState: true })}
+                                        className="text-[#F8F7F3]/50 hover:text-amber-300 font-ui text-sm transition-colors"
+                                    >
+                                        All years
+                                    </button>
+                                )}
+                                {rangeError && <p className="text-red-400 text-sm">{rangeError}</p>}
+                            </form>
+
+                            {/* Artworks of the current page */}
+                            {!objectIds || pageLoading ? spinner : artworks.length === 0 ? (
+                                <div className="text-center py-20">
+                                    <Palette className="w-16 h-16 text-amber-400/30 mx-auto mb-4" />
+                                    <p className="text-[#F8F7F3]/50 font-ui text-lg">
+                                        {objectIds.length === 0 ? 'No artworks in this range' : 'No displayable artworks on this page'}
+                                    </p>
+                                </div>
+                            ) : (
+                                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-x-6 gap-y-12 justify-items-center">
+                                    {artworks.map((artwork, index) => (
+                                        <motion.div
+                                            key={artwork.id}
+                                            initial={{ opacity: 0, y: 20 }}
+                                            animate={{ opacity: 1, y: 0 }}
+                                            transition={{ delay: Math.min(index * 0.04, 0.4) }}
+                                            className="flex flex-col items-center gap-3"
+                                        >
+                                            <ArtworkFrame
+                                                artwork={artwork}
+                                                period={FRAME_THEME}
+                                                isFront
+                                                onClick={() => setSelectedIndex(index)}
+                                            />
+                                            <p className="w-64 text-center text-[#F8F7F3]/70 text-sm font-ui line-clamp-1">
+                                                {artwork.title}
+                                            </p>
+                                        </motion.div>
+                                    ))}
+                                </div>
+                            )}
+
+                            {/* Pager */}
+                            {objectIds && objectIds.length > 0 && (
+                                <div className="flex items-center justify-center gap-4 mt-12">
+                                    <button
+                                        onClick={() => visit({ page: page - 1 })}
+                                        disabled={page <= 1}
+                                        className="flex items-center gap-1 px-4 py-2 rounded-lg border border-amber-500/30 text-amber-400 font-ui hover:border-amber-400 disabled:opacity-30 transition-all"
+                                    >
+                                        <ChevronLeft className="w-4 h-4" />
+                                        Previous
+                                    </button>
+                                    <span className="text-[#F8F7F3]/60 font-ui text-sm">
+                                        Page {page} of {totalPages}
+                                    </span>
+                                    <button
+                                        onClick={() => visit({ page: page + 1 })}
+                                        disabled={page >= totalPages}
+                                        className="flex items-center gap-1 px-4 py-2 rounded-lg border border-amber-500/30 text-amber-400 font-ui hover:border-amber-400 disabled:opacity-30 transition-all"
+                                    >
+                                        Next
+                                        <ChevronRight className="w-4 h-4" />
+                                    </button>
+                                </div>
+                            )}
+                        </>
+                    )}
+                </div>
+            </div>
+
+            {/* Artwork modal with save/remove and prev/next within the page */}
+            {selectedArtwork && (
+                <ArtworkModal
+                    artwork={selectedArtwork}
+                    onClose={() => setSelectedIndex(null)}
+                    isSaved={savedArtworks.includes(selectedArtwork.id.toString())}
+                    savedArtworkIds={savedArtworks}
+                    onSave={handleSave}
+                    onRemove={handleRemove}
+                    onPrev={selectedIndex > 0 ? () => setSelectedIndex(selectedIndex - 1) : null}
+                    onNext={selectedIndex < artworks.length - 1 ? () => setSelectedIndex(selectedIndex + 1) : null}
+                />
+            )}
+        </>
+    );
+}
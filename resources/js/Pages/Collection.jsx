@@ -14,10 +14,41 @@ import {
     User,
     X,
     Save,
-    Edit3
+    Edit3,
+    FolderPlus,
+    FolderMinus,
+    ChevronLeft,
+    ChevronRight,
+    Share2,
+    Copy,
+    Check,
+    Link2Off,
+    Download,
+    Printer
 } from 'lucide-react';
 
 import Header from '@/Components/Header';
+import {
+    getGalleries,
+    saveGallery,
+    deleteGallery,
+    setGalleryMembership,
+    reorderGallery,
+    getShareLinks,
+    createShareLink,
+    revokeShareLink,
+} from '@/lib/collection';
+import { safeLinkUrl } from '@/lib/metMuseum';
+
+// Stored artwork details listed in the detail modal ([column, label])
+const DETAIL_FIELDS = [
+    ['medium', 'Medium'],
+    ['dimensions', 'Dimensions'],
+    ['culture', 'Culture'],
+    ['location', 'Place'],
+    ['department', 'Department'],
+    ['classification', 'Classification'],
+];
 
 /**
  * Collection page
@@ -27,25 +58,42 @@ import Header from '@/Components/Header';
  * - Search by title or artist, period filtering, and sorting options.
  * - Grid/List view modes with responsive layout.
  * - Ability to remove artworks from the collection.
- * - A detail modal showing artwork information and a personal notes section.
+ * - A detail modal showing the artwork details stored when it was saved
+ *   (medium, dimensions, culture, department, ...) and a personal notes section.
  * - Saving notes per artwork via /api/collection/{id}/note.
+ * - A gallery switcher: "All artworks" or one of the user's named galleries
+ *   (/api/galleries), which can be created, renamed and deleted here. A
+ *   gallery view lists its artworks in gallery order ("Gallery Order" sort)
+ *   with buttons to move a work earlier/later or take it out of the gallery.
+ * - Share links: the collection or the gallery shown can be published at an
+ *   unguessable public URL (/shared/{token}, read-only, notes stay private);
+ *   the share panel copies or revokes the link.
+ * - Export links (/collection/export/{format}): CSV and JSON downloads with all
+ *   saved metadata and notes, and a printable catalogue opened in a new tab.
  *
  * Props:
  * - auth {object}: Auth data injected by Inertia, passed to Header and AppLayout.
+ * - eras {Array}: Active timeline periods ([{ id, title }]) for the period filter;
+ *   each saved artwork's "era" was classified from its dates when it was saved.
  *
  * State:
  * - artworks {Array}: Raw list of artworks from the API.
  * - filteredArtworks {Array}: Artworks after applying search/filter/sort.
  * - loading {boolean}: Indicates whether the collection is being loaded.
  * - searchQuery {string}: Search text for filtering by title or artist.
- * - selectedPeriod {string}: Selected period filter ('all', 'ancient', etc.).
- * - sortBy {string}: Current sort order ('recent', 'oldest', 'title', 'artist').
+ * - selectedPeriod {string}: Selected era filter ('all', an era id such as 'ancient', or 'unclassified').
+ * - sortBy {string}: Current sort order ('recent', 'oldest', 'title', 'artist', 'dateAsc', 'dateDesc',
+ *   or 'gallery' inside a gallery).
+ * - galleries {Array}: User's galleries ({ id, name, artwork_ids } with IDs in gallery order).
+ * - activeGalleryId {number|null}: Gallery shown, or null for the whole collection.
+ * - shareLinks {Array}: Active share links ({ token, url, gallery_id }, gallery_id null = collection).
+ * - isSharePanelOpen {boolean}: Whether the share panel for the current view is open.
  * - viewMode {string}: Layout mode ('grid' or 'list').
  * - selectedArtwork {object|null}: Artwork currently open in the detail modal.
  * - editingNote {number|null}: artwork_id of the artwork whose note is being edited.
  * - noteText {string}: Text content of the note being edited.
  */
-export default function Collection({ auth }) {
+export default function Collection({ auth, eras = [] }) {
     // Full list of artworks loaded from the backend
     const [artworks, setArtworks] = useState([]);
     // List of artworks after applying search, filter, and sort
@@ -66,19 +114,38 @@ export default function Collection({ auth }) {
     const [editingNote, setEditingNote] = useState(null);
     // Textarea content for the notes editor
     const [noteText, setNoteText] = useState('');
-
-    // Available period options for filter dropdown
-    const periods = ['all', 'ancient', 'medieval', 'renaissance', 'baroque', 'modern'];
+    // User's galleries and the one being shown (null = all artworks)
+    const [galleries, setGalleries] = useState([]);
+    const [activeGalleryId, setActiveGalleryId] = useState(null);
+
+    // Public share links, the share panel and its "copied" confirmation
+    const [shareLinks, setShareLinks] = useState([]);
+    const [isSharePanelOpen, setIsSharePanelOpen] = useState(false);
+    const [sharing, setSharing] = useState(false);
+    const [copied, setCopied] = useState(false);
+
+    const activeGallery = galleries.find((gallery) => gallery.id === activeGalleryId) || null;
+    // Share link of the current view (whole collection or active gallery)
+    const activeShare = shareLinks.find((link) => link.gallery_id === activeGalleryId) || null;
+
+    // Era options for the period filter dropdown ([value, label])
+    const periodOptions = [
+        ['all', 'All Periods'],
+        ...eras.map((era) => [era.id, era.title]),
+        ['unclassified', 'Undated / Other'],
+    ];
 
     // Initial load: fetch user's collection once when component mounts
     useEffect(() => {
         loadCollection();
+        getGalleries().then(setGalleries);
+        getShareLinks().then(setShareLinks);
     }, []);
 
     // Whenever artworks or filters change, recompute the filteredArtworks list
     useEffect(() => {
         filterAndSortArtworks();
-    }, [artworks, searchQuery, selectedPeriod, sortBy]);
+    }, [artworks, searchQuery, selectedPeriod, sortBy, activeGallery]);
 
     /**
      * Fetch the user's collection from the backend API.
@@ -107,6 +174,11 @@ export default function Collection({ auth }) {
     const filterAndSortArtworks = () => {
         let filtered = [...artworks];
 
+        // Restrict to the artworks of the gallery being shown
+        if (activeGallery) {
+            filtered = filtered.filter(art => activeGallery.artwork_ids.includes(String(art.artwork_id)));
+        }
+
         // Filter by search query against title and artist fields (case-insensitive)
         if (searchQuery) {
             filtered = filtered.filter(art =>
@@ -115,10 +187,10 @@ export default function Collection({ auth }) {
             );
         }
 
-        // Filter by selected period (skip when 'all')
+        // Filter by timeline era (skip when 'all'); 'unclassified' matches artworks without one
         if (selectedPeriod !== 'all') {
             filtered = filtered.filter(art =>
-                art.period?.toLowerCase() === selectedPeriod
+                selectedPeriod === 'unclassified' ? !art.era : art.era === selectedPeriod
             );
         }
 
@@ -133,6 +205,19 @@ export default function Collection({ auth }) {
                     return (a.title || '').localeCompare(b.title || '');
                 case 'artist':
                     return (a.artist || '').localeCompare(b.artist || '');
+                // Artwork creation date; artworks without a stored date go last
+                case 'dateAsc':
+                case 'dateDesc': {
+                    const aDate = a.object_begin_date ?? null;
+                    const bDate = b.object_begin_date ?? null;
+                    if (aDate === null || bDate === null) return (aDate === null) - (bDate === null);
+                    return sortBy === 'dateAsc' ? aDate - bDate : bDate - aDate;
+                }
+                // Order chosen by the user inside the gallery
+                case 'gallery':
+                    return activeGallery
+                        ? activeGallery.artwork_ids.indexOf(String(a.artwork_id)) - activeGallery.artwork_ids.indexOf(String(b.artwork_id))
+                        : 0;
                 default:
                     return 0;
             }
@@ -161,6 +246,11 @@ export default function Collection({ auth }) {
 
             if (response.ok) {
                 setArtworks(artworks.filter(a => a.artwork_id !== artworkId));
+                // The artwork also leaves every gallery
+                setGalleries(prev => prev.map(gallery => ({
+                    ...gallery,
+                    artwork_ids: gallery.artwork_ids.filter(id => id !== String(artworkId)),
+                })));
                 if (selectedArtwork?.artwork_id === artworkId) {
                     setSelectedArtwork(null);
                 }
@@ -208,6 +298,131 @@ export default function Collection({ auth }) {
         }
     };
 
+    /** Replace one gallery in state with the version returned by the API. */
+    const replaceGallery = (updated) => {
+        setGalleries(prev => prev.map(gallery => (gallery.id === updated.id ? updated : gallery)));
+    };
+
+    /**
+     * Switch between the whole collection (null) and a gallery.
+     * Galleries open in their own order; leaving one drops that sort mode.
+     */
+    const showGallery = (galleryId) => {
+        setActiveGalleryId(galleryId);
+        setIsSharePanelOpen(false);
+        if (galleryId !== null) {
+            setSortBy('gallery');
+        } else if (sortBy === 'gallery') {
+            setSortBy('recent');
+        }
+    };
+
+    /**
+     * Create a gallery (no id) or rename the active one.
+     * - Asks for the name; validation errors (e.g. a duplicate name) are shown in an alert.
+     * - A new gallery is opened right away.
+     */
+    const handleSaveGallery = async (gallery = null) => {
+        const name = prompt(gallery ? 'Rename gallery' : 'Name of the new gallery', gallery?.name || '');
+        if (!name?.trim()) return;
+
+        const { gallery: saved, error } = await saveGallery(name.trim(), gallery?.id);
+        if (!saved) {
+            alert(error);
+            return;
+        }
+
+        if (gallery) {
+            replaceGallery(saved);
+        } else {
+            setGalleries(prev => [...prev, saved]);
+            showGallery(saved.id);
+        }
+    };
+
+    /**
+     * Delete a gallery after confirmation; its artworks stay in the collection.
+     */
+    const handleDeleteGallery = async (gallery) => {
+        if (!confirm(`Delete the gallery "${gallery.name}"? Its artworks stay in your collection.`)) return;
+
+        if (await deleteGallery(gallery.id)) {
+            setGalleries(prev => prev.filter(item => item.id !== gallery.id));
+            // Its share link is deleted with it
+            setShareLinks(prev => prev.filter(link => link.gallery_id !== gallery.id));
+            showGallery(null);
+        }
+    };
+
+    /**
+     * Take an artwork out of the active gallery (it stays in the collection).
+     */
+    const handleRemoveFromGallery = async (artworkId) => {
+        const updated = await setGalleryMembership(activeGallery.id, artworkId, false);
+        if (updated) replaceGallery(updated);
+    };
+
+    /**
+     * Move an artwork one place earlier (-1) or later (1) in the active gallery.
+     * Swaps it with its visible neighbour, updates the order at once and stores
+     * it via PUT /api/galleries/{id}/order (restored when that fails).
+     */
+    const handleMoveInGallery = async (artworkId, direction) => {
+        const visible = filteredArtworks.map(art => String(art.artwork_id));
+        const neighbour = visible[visible.indexOf(String(artworkId)) + direction];
+        if (!neighbour) return;
+
+        const previous = activeGallery;
+        const order = [...previous.artwork_ids];
+        const from = order.indexOf(String(artworkId));
+        const to = order.indexOf(neighbour);
+        [order[from], order[to]] = [order[to], order[from]];
+
+        replaceGallery({ ...previous, artwork_ids: order });
+        const updated = await reorderGallery(previous.id, order);
+        replaceGallery(updated || previous);
+    };
+
+    /**
+     * Create (or fetch) the public link for the current view.
+     */
+    const handleCreateShare = async () => {
+        setSharing(true);
+        const link = await createShareLink(activeGalleryId);
+        setSharing(false);
+
+        if (!link) {
+            alert('Could not create a share link. Try again in a moment.');
+            return;
+        }
+        setShareLinks(prev => [...prev.filter(item => item.token !== link.token), link]);
+    };
+
+    /**
+     * Revoke the current view's link after confirmation; the URL stops working.
+     */
+    const handleRevokeShare = async () => {
+        if (!confirm('Revoke this link? Anyone who has it will no longer see these artworks.')) return;
+
+        if (await revokeShareLink(activeShare.token)) {
+            setShareLinks(prev => prev.filter(link => link.token !== activeShare.token));
+        }
+    };
+
+    /** Copy the current view's link to the clipboard. */
+    const handleCopyShare = async () => {
+        try {
+            await navigator.clipboard.writeText(activeShare.url);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        } catch (error) {
+            console.error('Error copying link:', error);
+        }
+    };
+
+    // Reordering only makes sense while the gallery's own order is shown
+    const canReorder = activeGallery && sortBy === 'gallery';
+
     return (
         <>
             {/* Set browser tab title */}
@@ -228,12 +443,149 @@ export default function Collection({ auth }) {
                             <p className="text-[#F8F7F3]/80 font-ui text-lg">
                                 {artworks.length} saved artworks
                             </p>
+
+                            {/* Export (plain links: the files are built server-side) */}
+                            {artworks.length > 0 && (
+                                <div className="mt-4 flex flex-wrap items-center justify-center gap-2 font-ui text-sm">
+                                    <span className="text-[#F8F7F3]/50">Export:</span>
+                                    {[
+                                        ['csv', 'CSV', Download],
+                                        ['json', 'JSON', Download],
+                                        ['catalogue', 'Printable Catalogue', Printer],
+                                    ].map(([format, label, Icon]) => (
+                                        <a
+                                            key={format}
+                                            href={`/collection/export/${format}`}
+                                            {...(format === 'catalogue'
+                                                ? { target: '_blank', rel: 'noopener' }
+                                                : { download: true })}
+                                            className="flex items-center gap-2 px-3 py-1.5 rounded-full border border-amber-500/30 text-amber-400 hover:border-amber-400 transition-all"
+                                        >
+                                            <Icon className="w-4 h-4" />
+                                            {label}
+                                        </a>
+                                    ))}
+                                </div>
+                            )}
                         </div>
                     </div>
                 </div>
 
                 {/* Filters & Controls (search, period, sort, view mode) */}
                 <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+                    {/* Gallery switcher: whole collection or one gallery, plus gallery actions */}
+                    <div className="flex flex-wrap items-center gap-2 mb-6">
+                        {[{ id: null, name: 'All Artworks', count: artworks.length },
+                            ...galleries.map(gallery => ({ ...gallery, count: gallery.artwork_ids.length }))
+                        ].map(({ id, name, count }) => (
+                            <button
+                                key={id ?? 'all'}
+                                onClick={() => showGallery(id)}
+                                className={`px-4 py-2 rounded-full border font-ui text-sm transition-all ${
+                                    activeGalleryId === id
+                                        ? 'bg-amber-400 border-amber-400 text-black'
+                                        : 'bg-black/50 border-amber-500/30 text-amber-400 hover:border-amber-400'
+                                }`}
+                            >
+                                {name} <span className="opacity-60">{count}</span>
+                            </button>
+                        ))}
+
+                        <button
+                            onClick={() => handleSaveGallery()}
+                            className="flex items-center gap-2 px-4 py-2 rounded-full border border-dashed border-amber-500/40 text-amber-400 font-ui text-sm hover:border-amber-400 transition-all"
+                        >
+                            <FolderPlus className="w-4 h-4" />
+                            New Gallery
+                        </button>
+
+                        <div className="flex gap-2 ml-auto">
+                            <button
+                                onClick={() => setIsSharePanelOpen(open => !open)}
+                                aria-expanded={isSharePanelOpen}
+                                className={`flex items-center gap-2 px-3 py-2 rounded-lg font-ui text-sm transition-colors ${
+                                    activeShare ? 'text-amber-400' : 'text-[#F8F7F3]/70 hover:text-amber-400'
+                                }`}
+                            >
+                                <Share2 className="w-4 h-4" />
+                                {activeShare ? 'Shared' : 'Share'}
+                            </button>
+
+                            {activeGallery && (
+                                <>
+                                    <button
+                                        onClick={() => handleSaveGallery(activeGallery)}
+                                        className="flex items-center gap-2 px-3 py-2 rounded-lg text-[#F8F7F3]/70 hover:text-amber-400 font-ui text-sm transition-colors"
+                                    >
+                                        <Edit3 className="w-4 h-4" />
+                                        Rename
+                                    </button>
+                                    <button
+                                        onClick={() => handleDeleteGallery(activeGallery)}
+                                        className="flex items-center gap-2 px-3 py-2 rounded-lg text-red-400/80 hover:text-red-400 font-ui text-sm transition-colors"
+                                    >
+                                        <Trash2 className="w-4 h-4" />
+                                        Delete Gallery
+                                    </button>
+                                </>
+                            )}
+                        </div>
+                    </div>
+
+                    {/* Share panel: public read-only link for the current view */}
+                    <AnimatePresence>
+                        {isSharePanelOpen && (
+                            <motion.div
+                                initial={{ opacity: 0, height: 0 }}
+                                animate={{ opacity: 1, height: 'auto' }}
+                                exit={{ opacity: 0, height: 0 }}
+                                className="overflow-hidden mb-6"
+                            >
+                                <div className="p-4 bg-gradient-to-r from-amber-950/30 to-black border border-amber-500/20 rounded-lg space-y-3">
+                                    <p className="text-[#F8F7F3]/70 font-ui text-sm">
+                                        Anyone with the link can view {activeGallery ? `the gallery "${activeGallery.name}"` : 'your whole collection'}.
+                                        They cannot change anything, and your notes stay private.
+                                    </p>
+
+                                    {activeShare ? (
+                                        <div className="flex flex-col sm:flex-row gap-2">
+                                            <input
+                                                type="text"
+                                                readOnly
+                                                value={activeShare.url}
+                                                onFocus={(e) => e.target.select()}
+                                                className="flex-1 px-4 py-2 bg-black/50 border border-amber-500/30 rounded-lg text-[#F8F7F3] font-ui text-sm"
+                                            />
+                                            <button
+                                                onClick={handleCopyShare}
+                                                className="flex items-center justify-center gap-2 px-4 py-2 bg-amber-400 text-black font-ui font-semibold rounded-lg hover:bg-amber-300 transition-colors"
+                                            >
+                                                {copied ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+                                                {copied ? 'Copied' : 'Copy Link'}
+                                            </button>
+                                            <button
+                                                onClick={handleRevokeShare}
+                                                className="flex items-center justify-center gap-2 px-4 py-2 border border-red-500/40 text-red-400 font-ui rounded-lg hover:bg-red-500/10 transition-colors"
+                                            >
+                                                <Link2Off className="w-4 h-4" />
+                                                Revoke
+                                            </button>
+                                        </div>
+                                    ) : (
+                                        <button
+                                            onClick={handleCreateShare}
+                                            disabled={sharing}
+                                            className="flex items-center gap-2 px-4 py-2 bg-gradient-to-r from-amber-400 to-orange-500 text-black font-ui font-semibold rounded-lg hover:from-amber-300 hover:to-orange-400 disabled:opacity-50 transition-all"
+                                        >
+                                            <Share2 className="w-4 h-4" />
+                                            {sharing ? 'Creating link…' : 'Create Public Link'}
+                                        </button>
+                                    )}
+                                </div>
+                            </motion.div>
+                        )}
+                    </AnimatePresence>
+
                     <div className="flex flex-col md:flex-row gap-4 mb-8">
                         {/* Search field */}
                         <div className="flex-1 relative">
@@ -251,11 +603,11 @@ export default function Collection({ auth }) {
                         <select
                             value={selectedPeriod}
                             onChange={(e) => setSelectedPeriod(e.target.value)}
-                            className="px-4 py-3 bg-black/50 border border-amber-500/30 rounded-lg text-[#F8F7F3] focus:border-amber-400 focus:ring-2 focus:ring-amber-400/50 transition-all capitalize"
+                            className="px-4 py-3 bg-black/50 border border-amber-500/30 rounded-lg text-[#F8F7F3] focus:border-amber-400 focus:ring-2 focus:ring-amber-400/50 transition-all"
                         >
-                            {periods.map(period => (
-                                <option key={period} value={period}>
-                                    {period === 'all' ? 'All Periods' : period}
+                            {periodOptions.map(([value, label]) => (
+                                <option key={value} value={value}>
+                                    {label}
                                 </option>
                             ))}
                         </select>
@@ -266,10 +618,13 @@ export default function Collection({ auth }) {
                             onChange={(e) => setSortBy(e.target.value)}
                             className="px-4 py-3 bg-black/50 border border-amber-500/30 rounded-lg text-[#F8F7F3] focus:border-amber-400 focus:ring-2 focus:ring-amber-400/50 transition-all"
                         >
+                            {activeGallery && <option value="gallery">Gallery Order</option>}
                             <option value="recent">Recently Added</option>
                             <option value="oldest">Oldest First</option>
                             <option value="title">Title (A-Z)</option>
                             <option value="artist">Artist (A-Z)</option>
+                            <option value="dateAsc">Artwork Date (Earliest)</option>
+                            <option value="dateDesc">Artwork Date (Latest)</option>
                         </select>
 
                         {/* View mode toggle (grid vs list) */}
@@ -310,7 +665,9 @@ export default function Collection({ auth }) {
                             <p className="text-[#F8F7F3]/50 font-ui text-lg mb-6">
                                 {searchQuery || selectedPeriod !== 'all'
                                     ? 'No artworks match your filters'
-                                    : 'Your collection is empty'}
+                                    : activeGallery
+                                        ? 'This gallery is empty. Add artworks from any artwork\'s detail view.'
+                                        : 'Your collection is empty'}
                             </p>
                             <Link
                                 href="/"
@@ -364,6 +721,44 @@ export default function Collection({ auth }) {
                                         )}
                                     </div>
 
+                                    {/* Gallery actions: move earlier/later, take out of the gallery */}
+                                    {activeGallery && (
+                                        <div
+                                            className={
+                                                viewMode === 'grid'
+                                                    ? 'absolute top-2 left-2 flex gap-1 opacity-0 group-hover:opacity-100 transition-opacity'
+                                                    : 'flex items-start gap-1'
+                                            }
+                                            onClick={(e) => e.stopPropagation()}
+                                        >
+                                            {canReorder && (
+                                                <>
+                                                    <button
+                                                        onClick={() => handleMoveInGallery(artwork.artwork_id, -1)}
+                                                        title="Move earlier"
+                                                        className="p-2 bg-black/80 rounded-lg hover:bg-amber-500/30 transition-colors"
+                                                    >
+                                                        <ChevronLeft className="w-4 h-4 text-amber-400" />
+                                                    </button>
+                                                    <button
+                                                        onClick={() => handleMoveInGallery(artwork.artwork_id, 1)}
+                                                        title="Move later"
+                                                        className="p-2 bg-black/80 rounded-lg hover:bg-amber-500/30 transition-colors"
+                                                    >
+                                                        <ChevronRight className="w-4 h-4 text-amber-400" />
+                                                    </button>
+                                                </>
+                                            )}
+                                            <button
+                                                onClick={() => handleRemoveFromGallery(artwork.artwork_id)}
+                                                title="Remove from gallery"
+                                                className="p-2 bg-black/80 rounded-lg hover:bg-amber-500/30 transition-colors"
+                                            >
+                                                <FolderMinus className="w-4 h-4 text-amber-400" />
+                                            </button>
+                                        </div>
+                                    )}
+
                                     {/* Remove button (does not trigger modal open) */}
                                     <button
                                         onClick={(e) => {
@@ -433,6 +828,18 @@ export default function Collection({ auth }) {
                                         <span>{selectedArtwork.year}</span>
                                     </div>
 
+                                    {/* Details stored with the artwork (empty for older saves) */}
+                                    {DETAIL_FIELDS.some(([field]) => selectedArtwork[field]) && (
+                                        <dl className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-3 mb-6">
+                                            {DETAIL_FIELDS.filter(([field]) => selectedArtwork[field]).map(([field, label]) => (
+                                                <div key={field}>
+                                                    <dt className="text-amber-400/80 text-xs font-ui uppercase tracking-wider">{label}</dt>
+                                                    <dd className="text-[#F8F7F3]/80 font-ui text-sm">{selectedArtwork[field]}</dd>
+                                                </div>
+                                            ))}
+                                        </dl>
+                                    )}
+
                                     {/* Optional description text */}
                                     {selectedArtwork.description && (
                                         <p className="text-[#F8F7F3]/70 font-ui mb-6">
@@ -440,6 +847,19 @@ export default function Collection({ auth }) {
                                         </p>
                                     )}
 
+                                    {/* Link to the Met's object page */}
+                                    {safeLinkUrl(selectedArtwork.object_url) && (
+                                        <a
+                                            href={safeLinkUrl(selectedArtwork.object_url)}
+                                            target="_blank"
+                                            rel="noopener noreferrer"
+                                            className="inline-flex items-center gap-2 text-sm text-amber-400 hover:text-orange-400 font-ui mb-6"
+                                        >
+                                            <ExternalLink className="w-4 h-4" />
+                                            View on The Met
+                                        </a>
+                                    )}
+
                                     {/* Notes Section */}
                                     <div className="border-t border-amber-500/20 pt-6">
                                         <div className="flex items-center justify-between mb-4">
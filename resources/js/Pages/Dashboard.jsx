@@ -29,6 +29,7 @@ import Header from '@/Components/Header';
  *
  * Props:
  * - auth {object}: Auth data (auth.user used for greeting).
+ * - eras {Array}: Active timeline periods ([{ id, title }]) naming the favorite era.
  *
  * State:
  * - stats {{
@@ -40,7 +41,7 @@ import Header from '@/Components/Header';
  * - recentArtworks {Array}: Subset (first 4) of artworks for the "Recently Added" section.
  * - loading {boolean}: Indicates whether dashboard data is being loaded.
  */
-export default function Dashboard({ auth }) {
+export default function Dashboard({ auth, eras = [] }) {
     // Aggregated statistics about the user's collection
     const [stats, setStats] = useState({
         totalArtworks: 0,
@@ -64,7 +65,7 @@ export default function Dashboard({ auth }) {
      * - Calculates:
      *   - Total artworks.
      *   - Artworks added in the last 7 days.
-     *   - Favorite period (most frequent period value).
+     *   - Favorite period (most frequent timeline era; undated artworks are not counted).
      *   - Last visit as a formatted date (today).
      * - Also populates recentArtworks with the first 4 items.
      */
@@ -82,17 +83,19 @@ export default function Dashboard({ auth }) {
                     return addedDate >= weekAgo;
                 });
 
-                // Count occurrences of each period to find the favorite one
+                // Count occurrences of each timeline era to find the favorite one
                 const periodCounts = {};
                 artworks.forEach(a => {
-                    const period = a.period || 'Unknown';
-                    periodCounts[period] = (periodCounts[period] || 0) + 1;
+                    if (a.era) periodCounts[a.era] = (periodCounts[a.era] || 0) + 1;
                 });
 
-                // Determine the period with the highest count
-                const favoritePeriod = Object.keys(periodCounts).reduce((a, b) =>
-                    periodCounts[a] > periodCounts[b] ? a : b, 'None'
+                // Determine the era with the highest count and show its title
+                const favoriteEra = Object.keys(periodCounts).reduce((a, b) =>
+                    (a === null || periodCounts[b] > periodCounts[a] ? b : a), null
                 );
+                const favoritePeriod = favoriteEra
+                    ? eras.find((era) => era.id === favoriteEra)?.title || favoriteEra
+                    : 'None';
 
                 // Update summary stats
                 setStats({
@@ -13,7 +13,8 @@ import { useRef, useState } from 'react';
  * Handles the permanent deletion of a user account.
  *
  * Responsibilities:
- * - Displays a warning section about account deletion with a danger button.
+ * - Displays a warning section about account deletion with a danger button
+ *   and a link to download the collection export (JSON) first.
  * - Opens a confirmation modal when the user clicks "Delete Account".
  * - Requires the user to re-enter their password to confirm deletion.
  * - Submits a DELETE request to profile.destroy using Inertia's useForm.
@@ -96,7 +97,11 @@ export default function DeleteUserForm({ className = '' }) {
                 </h2>
 
                 <p className="mt-1 text-sm text-amber-400/80">
-                    This action is permanent and cannot be undone. Consider exporting your collection before proceeding.
+                    This action is permanent and cannot be undone. Consider{' '}
+                    <a href="/collection/export/json" download className="underline hover:text-amber-300">
+                        exporting your collection
+                    </a>{' '}
+                    before proceeding.
                 </p>
             </header>
 
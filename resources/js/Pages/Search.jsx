@@ -0,0 +1,341 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Head, router } from '@inertiajs/react';
+import { motion } from 'framer-motion';
+import { Search as SearchIcon, Heart, Palette } from 'lucide-react';
+
+import Header from '@/Components/Header';
+import ArtworkModal from '@/Components/Timeline/ArtworkModal';
+import SearchFilters from '@/Components/Search/SearchFilters';
+import { searchArtworks, getArtworksByIdsProgressive, isAbortError } from '@/lib/metMuseum';
+import { getSavedArtworkIds, saveArtwork, removeArtwork } from '@/lib/collection';
+
+// Met object IDs resolved per "page"; loading continues into the next slice
+// until at least this many displayable artworks were found (or IDs run out)
+const SEARCH_PAGE_SIZE = 24;
+
+/**
+ * Search page
+ *
+ * Full-text search over the Met collection through the /api/met proxy:
+ * - The query and filters live in the URL (/search?q=...&departmentId=...), so searches
+ *   can be bookmarked; submitting the form or the filter sidebar updates the URL and
+ *   the "query"/"filters" props.
+ * - searchArtworks(query, facets) returns every matching object ID (with images). Artworks
+ *   are then resolved SEARCH_PAGE_SIZE IDs at a time with getArtworksByIdsProgressive,
+ *   so each artwork appears as soon as its batch arrives. The Met has no public domain
+ *   facet, so "publicDomain" drops resolved artworks that are not public domain.
+ * - Infinite scroll: a sentinel below the grid loads the next page when it comes
+ *   into view. A new query aborts everything still in flight for the old one.
+ * - Results open in ArtworkModal (prev/next through the loaded results) with
+ *   save/remove wired to /api/collection (lib/collection).
+ *
+ * Props:
+ * - auth {object}: Auth data injected by Inertia, passed to Header.
+ * - query {string}: Search text from ?q= (empty searches everything when filters are set).
+ * - filters {object}: Facets from the URL (departmentId, dateBegin, dateEnd, medium,
+ *   geoLocation, isHighlight, isOnView, publicDomain), as strings.
+ */
+export default function Search({ auth, query = '', filters = {} }) {
+    // No facets arrive as an empty JSON array
+    const activeFilters = Array.isArray(filters) ? {} : filters;
+    const filtersKey = JSON.stringify(activeFilters);
+
+    // Text typed into the search box
+    const [input, setInput] = useState(query);
+    // Artworks found so far, in Met search order
+    const [results, setResults] = useState([]);
+    // Number of object IDs matching the query
+    const [total, setTotal] = useState(0);
+    // Waiting for the object ID list of a new query
+    const [isSearching, setIsSearching] = useState(false);
+    // A page of artworks is being resolved
+    const [isLoadingMore, setIsLoadingMore] = useState(false);
+    // Object IDs left to resolve
+    const [hasMore, setHasMore] = useState(false);
+    // IDs of artworks saved in the user's collection
+    const [savedArtworks, setSavedArtworks] = useState([]);
+    // Index of the artwork open in the modal (or null)
+    const [selectedIndex, setSelectedIndex] = useState(null);
+
+    // Object IDs of the current query and how many were already resolved
+    const searchIds = useRef([]);
+    const cursor = useRef(0);
+    // AbortController of the current query (search and page loads)
+    const controller = useRef(null);
+    // Keep only public domain artworks (client-side facet)
+    const publicDomainOnly = useRef(false);
+    // Guards against overlapping page loads triggered by the sentinel
+    const loadingMore = useRef(false);
+    // Element below the grid that triggers the next page
+    const sentinel = useRef(null);
+
+    // Load the user's saved artwork IDs once
+    useEffect(() => {
+        getSavedArtworkIds().then(setSavedArtworks);
+        return () => controller.current?.abort();
+    }, []);
+
+    // Run the search whenever the query or filters change (initial visit, form or sidebar submit)
+    useEffect(() => {
+        setInput(query);
+        runSearch(query.trim(), activeFilters);
+    }, [query, filtersKey]);
+
+    // Infinite scroll: load the next page when the sentinel becomes visible
+    useEffect(() => {
+        const element = sentinel.current;
+        if (!element || !hasMore) return;
+
+        const observer = new IntersectionObserver((entries) => {
+            if (entries[0].isIntersecting) loadMore();
+        }, { rootMargin: '600px 0px' });
+
+        observer.observe(element);
+        return () => observer.disconnect();
+    }, [hasMore, results.length]);
+
+    /**
+     * Start a new search.
+     * - Aborts the previous query's requests and clears its results.
+     * - Fetches the matching object IDs, then the first page of artworks.
+     */
+    const runSearch = async (text, facets) => {
+        controller.current?.abort();
+        const current = new AbortController();
+        controller.current = current;
+
+        searchIds.current = [];
+        cursor.current = 0;
+        loadingMore.current = false;
+        setResults([]);
+        setTotal(0);
+        setHasMore(false);
+        setIsLoadingMore(false);
+        setSelectedIndex(null);
+
+        const { publicDomain, ...searchFacets } = facets;
+        publicDomainOnly.current = publicDomain === 'true';
+
+        if (!text && Object.keys(facets).length === 0) {
+            setIsSearching(false);
+            return;
+        }
+
+        setIsSearching(true);
+        try {
+            const ids = await searchArtworks(text, { ...searchFacets, signal: current.signal, priority: 'high' });
+            searchIds.current = ids;
+            setTotal(ids.length);
+            setHasMore(ids.length > 0);
+        } catch (error) {
+            if (isAbortError(error)) return;
+            console.error('Error searching artworks:', error);
+        }
+        setIsSearching(false);
+
+        await loadMore();
+    };
+
+    /**
+     * Resolve the next page of object IDs into artworks.
+     * Each artwork is appended as soon as it is found; slices that yield too few
+     * displayable artworks (no image or title, or not public domain when that
+     * filter is on) roll over into the next slice.
+     */
+    const loadMore = async () => {
+        const current = controller.current;
+        if (!current || loadingMore.current || cursor.current >= searchIds.current.length) return;
+
+        loadingMore.current = true;
+        setIsLoadingMore(true);
+
+        try {
+            let found = 0;
+            while (found < SEARCH_PAGE_SIZE && cursor.current < searchIds.current.length) {
+                const slice = searchIds.current.slice(cursor.current, cursor.current + SEARCH_PAGE_SIZE);
+                cursor.current += slice.length;
+
+                await getArtworksByIdsProgressive(slice, slice.length, -Infinity, Infinity, (artwork) => {
+                    if (publicDomainOnly.current && !artwork.isPublicDomain) return;
+                    found++;
+                    setResults((prev) => (prev.some((a) => a.id === artwork.id) ? prev : [...prev, artwork]));
+                }, { signal: current.signal });
+            }
+        } catch (error) {
+            if (isAbortError(error)) return;
+            console.error('Error loading search results:', error);
+        } finally {
+            // A newer search owns the flags once this one was aborted
+            if (controller.current === current) {
+                loadingMore.current = false;
+                setIsLoadingMore(false);
+                setHasMore(cursor.current < searchIds.current.length);
+            }
+        }
+    };
+
+    /** Put the query and filters in the URL; the prop change runs the search. */
+    const visitSearch = (text, facets) => {
+        router.get('/search', { ...(text ? { q: text } : {}), ...facets }, {
+            preserveState: true,
+            replace: true,
+        });
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        visitSearch(input.trim(), activeFilters);
+    };
+
+    /** Save an artwork and mark it as saved. */
+    const handleSave = async (artwork) => {
+        const result = await saveArtwork(artwork);
+        if (result === 'saved') {
+            setSavedArtworks((prev) => [...new Set([...prev, artwork.id.toString()])]);
+        } else if (result === 'unverified') {
+            alert('Please verify your account first');
+        }
+    };
+
+    /** Remove an artwork from the collection and unmark it. */
+    const handleRemove = async (artworkId) => {
+        if (await removeArtwork(artworkId)) {
+            setSavedArtworks((prev) => prev.filter((id) => id !== artworkId.toString()));
+        }
+    };
+
+    const selectedArtwork = selectedIndex !== null ? results[selectedIndex] : null;
+
+    return (
+        <>
+            {/* Set browser tab title */}
+            <Head title={query ? `Search: ${query}` : 'Search'} />
+
+            <div className="min-h-screen bg-black">
+                {/* App-wide header with navigation and auth info */}
+                <Header auth={auth} />
+
+                {/* Hero section with title and search box */}
+                <div className="relative bg-gradient-to-br from-amber-950/50 via-orange-950/30 to-black border-b border-amber-500/20 pt-20">
+                    <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8 text-center">
+                        <h1 className="text-5xl font-display text-transparent bg-clip-text bg-gradient-to-r from-amber-400 to-orange-500 mb-6">
+                            Search the Collection
+                        </h1>
+                        <form onSubmit={handleSubmit} className="relative">
+                            <SearchIcon className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-amber-400/50" />
+                            <input
+                                type="search"
+                                placeholder="Artists, titles, cultures, materials..."
+                                value={input}
+                                onChange={(e) => setInput(e.target.value)}
+                                autoFocus
+                                className="w-full pl-12 pr-28 py-3 bg-black/50 border border-amber-500/30 rounded-lg text-[#F8F7F3] placeholder:text-[#F8F7F3]/30 focus:border-amber-400 focus:ring-2 focus:ring-amber-400/50 transition-all"
+                            />
+                            <button
+                                type="submit"
+                                className="absolute right-2 top-1/2 -translate-y-1/2 px-4 py-2 bg-gradient-to-r from-amber-400 to-orange-500 text-black font-ui font-semibold rounded-lg hover:from-amber-300 hover:to-orange-400 transition-all"
+                            >
+                                Search
+                            </button>
+                        </form>
+                        {(query || Object.keys(activeFilters).length > 0) && !isSearching && (
+                            <p className="text-[#F8F7F3]/60 font-ui text-sm mt-4">
+                                {total.toLocaleString()} matching objects with images
+                            </p>
+                        )}
+                    </div>
+                </div>
+
+                {/* Filter sidebar and results */}
+                <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 grid grid-cols-1 lg:grid-cols-[18rem_1fr] gap-8 items-start">
+                    <aside className="lg:sticky lg:top-24">
+                        <SearchFilters
+                            filters={activeFilters}
+                            onApply={(facets) => visitSearch(query, facets)}
+                            onClear={() => visitSearch(query, {})}
+                        />
+                    </aside>
+
+                    {/* Results grid or prompt/empty/loading states */}
+                    <div>
+                        {isSearching || (isLoadingMore && results.length === 0) ? (
+                            <div className="flex items-center justify-center py-20">
+                                <div className="w-12 h-12 border-4 border-amber-400/20 border-t-amber-400 rounded-full animate-spin"></div>
+                            </div>
+                        ) : results.length === 0 ? (
+                            <div className="text-center py-20">
+                                <Palette className="w-16 h-16 text-amber-400/30 mx-auto mb-4" />
+                                <p className="text-[#F8F7F3]/50 font-ui text-lg">
+                                    {query
+                                        ? `No artworks found for “${query}”${Object.keys(activeFilters).length > 0 ? ' with these filters' : ''}`
+                                        : Object.keys(activeFilters).length > 0
+                                            ? 'No artworks match these filters'
+                                            : 'Search more than 400,000 works from The Met'}
+                                </p>
+                            </div>
+                        ) : (
+                            <div className="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-3 gap-6">
+                                {results.map((artwork, index) => (
+                                    <motion.div
+                                        key={artwork.id}
+                                        initial={{ opacity: 0, y: 20 }}
+                                        animate={{ opacity: 1, y: 0 }}
+                                        className="group relative bg-gradient-to-br from-amber-950/20 to-black border border-amber-500/20 rounded-lg overflow-hidden hover:border-amber-400/50 transition-all cursor-pointer"
+                                        onClick={() => setSelectedIndex(index)}
+                                    >
+                                        <img
+                                            src={artwork.image}
+                                            alt={artwork.title}
+                                            loading="lazy"
+                                            className="w-full h-64 object-cover bg-black"
+                                        />
+                                        <div className="p-4">
+                                            <h3 className="text-amber-400 font-ui font-semibold line-clamp-1">
+                                                {artwork.title}
+                                            </h3>
+                                            <p className="text-[#F8F7F3]/60 text-sm font-ui line-clamp-1">
+                                                {artwork.artist}
+                                            </p>
+                                            <p className="text-[#F8F7F3]/40 text-xs font-ui mt-1 line-clamp-1">
+                                                {artwork.year}
+                                            </p>
+                                        </div>
+
+                                        {/* Saved marker */}
+                                        {savedArtworks.includes(artwork.id.toString()) && (
+                                            <div className="absolute top-2 right-2 p-2 bg-black/80 rounded-lg">
+                                                <Heart className="w-4 h-4 text-amber-400 fill-amber-400" />
+                                            </div>
+                                        )}
+                                    </motion.div>
+                                ))}
+                            </div>
+                        )}
+
+                        {/* Infinite scroll sentinel and "loading more" indicator */}
+                        <div ref={sentinel} className="h-px" />
+                        {isLoadingMore && results.length > 0 && (
+                            <div className="flex items-center justify-center py-10">
+                                <div className="w-8 h-8 border-4 border-amber-400/20 border-t-amber-400 rounded-full animate-spin"></div>
+                            </div>
+                        )}
+                    </div>
+                </div>
+            </div>
+
+            {/* Artwork modal with save/remove and prev/next through loaded results */}
+            {selectedArtwork && (
+                <ArtworkModal
+                    artwork={selectedArtwork}
+                    onClose={() => setSelectedIndex(null)}
+                    isSaved={savedArtworks.includes(selectedArtwork.id.toString())}
+                    savedArtworkIds={savedArtworks}
+                    onSave={handleSave}
+                    onRemove={handleRemove}
+                    onPrev={selectedIndex > 0 ? () => setSelectedIndex(selectedIndex - 1) : null}
+                    onNext={selectedIndex < results.length - 1 ? () => setSelectedIndex(selectedIndex + 1) : null}
+                />
+            )}
+        </>
+    );
+}
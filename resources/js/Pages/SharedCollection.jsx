@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { Head, Link } from '@inertiajs/react';
+import { AnimatePresence } from 'framer-motion';
+import { Palette } from 'lucide-react';
+
+import Header from '@/Components/Header';
+import Carousel3D from '@/Components/Timeline/Carousel3D';
+import ArtworkFrame from '@/Components/Timeline/ArtworkFrame';
+import ArtworkModal from '@/Components/Timeline/ArtworkModal';
+
+// Most artworks placed on the carousel; larger shares list the rest in the wall below
+const CAROUSEL_SIZE = 12;
+
+// Theme for the frames and modal (shared sets span several eras)
+const SHARE_THEME = { id: 'shared', color: '#f59e0b' };
+
+/**
+ * SharedCollection page
+ *
+ * Public, read-only view of a shared collection or gallery (/shared/{token}).
+ * No login is needed and nothing can be changed: the first artworks turn on
+ * a Carousel3D, larger shares also hang every artwork on a wall of
+ * ArtworkFrames, and clicking one opens ArtworkModal in read-only mode
+ * (arrow keys/swipes move through the shared artworks).
+ * The page asks search engines not to index it, since share links are meant
+ * for the people they were sent to.
+ *
+ * Props:
+ * - auth {object}: Auth data injected by Inertia, passed to Header.
+ * - share {object}: { title, owner, is_gallery, shared_at }; title is the
+ *   gallery name (null when the whole collection is shared).
+ * - artworks {Array}: Public artwork data in the normalized shape (no notes),
+ *   in gallery order or most recently saved first.
+ */
+export default function SharedCollection({ auth, share, artworks = [] }) {
+    // Index of the artwork open in the modal (null when closed)
+    const [selectedIndex, setSelectedIndex] = useState(null);
+
+    const title = share.is_gallery ? share.title : `${share.owner}'s Collection`;
+    const carouselArtworks = artworks.slice(0, CAROUSEL_SIZE);
+
+    /** Open the modal for an artwork from the carousel or the wall. */
+    const openArtwork = (artwork) => {
+        setSelectedIndex(artworks.findIndex((item) => item.id === artwork.id));
+    };
+
+    return (
+        <>
+            <Head title={title}>
+                <meta name="robots" content="noindex" />
+            </Head>
+
+            <div className="min-h-screen bg-black">
+                <Header auth={auth} />
+
+                {/* Title, owner and artwork count */}
+                <div className="relative bg-gradient-to-br from-amber-950/50 via-orange-950/30 to-black border-b border-amber-500/20 pt-20">
+                    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 text-center">
+                        <h1 className="text-5xl font-display text-transparent bg-clip-text bg-gradient-to-r from-amber-400 to-orange-500 mb-4">
+                            {title}
+                        </h1>
+                        <p className="text-[#F8F7F3]/80 font-ui text-lg">
+                            {share.is_gallery && `A gallery by ${share.owner} • `}
+                            {artworks.length} {artworks.length === 1 ? 'artwork' : 'artworks'}
+                        </p>
+                    </div>
+                </div>
+
+                {artworks.length === 0 ? (
+                    // Nothing shared (yet)
+                    <div className="text-center py-20">
+                        <Palette className="w-16 h-16 text-amber-400/30 mx-auto mb-4" />
+                        <p className="text-[#F8F7F3]/50 font-ui text-lg mb-6">
+                            There are no artworks here yet
+                        </p>
+                        <Link
+                            href="/"
+                            className="inline-flex items-center gap-2 px-6 py-3 bg-gradient-to-r from-amber-400 to-orange-500 text-black font-ui font-semibold rounded-lg hover:from-amber-300 hover:to-orange-400 transition-all"
+                        >
+                            Explore Timeline
+                        </Link>
+                    </div>
+                ) : (
+                    <>
+                        {/* Rotating carousel of the first artworks */}
+                        <div className="relative h-[640px] overflow-hidden">
+                            <Carousel3D
+                                artworks={carouselArtworks}
+                                period={SHARE_THEME}
+                                onArtworkClick={openArtwork}
+                                isActive={selectedIndex === null}
+                            />
+                        </div>
+
+                        {/* Wall with every artwork when the carousel cannot hold them all */}
+                        {artworks.length > CAROUSEL_SIZE && (
+                            <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+                                <h2 className="text-2xl font-display text-amber-400 mb-8 text-center">
+                                    All {artworks.length} artworks
+                                </h2>
+                                <div className="flex flex-wrap justify-center gap-10">
+                                    {artworks.map((artwork) => (
+                                        <ArtworkFrame
+                                            key={artwork.id}
+                                            artwork={artwork}
+                                            period={SHARE_THEME}
+                                            onClick={() => openArtwork(artwork)}
+                                            isFront
+                                        />
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+                    </>
+                )}
+
+                {/* Read-only artwork details */}
+                <AnimatePresence>
+                    {selectedIndex !== null && artworks[selectedIndex] && (
+                        <ArtworkModal
+                            artwork={artworks[selectedIndex]}
+                            periodColor={SHARE_THEME.color}
+                            onClose={() => setSelectedIndex(null)}
+                            onPrev={selectedIndex > 0 ? () => setSelectedIndex(selectedIndex - 1) : null}
+                            onNext={selectedIndex < artworks.length - 1 ? () => setSelectedIndex(selectedIndex + 1) : null}
+                            readOnly
+                        />
+                    )}
+                </AnimatePresence>
+            </div>
+        </>
+    );
+}
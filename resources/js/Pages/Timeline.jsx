@@ -1,128 +1,99 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { Head, router, usePage } from '@inertiajs/react';
 import Header from '@/Components/Header';
 import ImmersiveScrollStory from '@/Components/Timeline/ImmersiveScrollStory';
 import ArtworkModal from '@/Components/Timeline/ArtworkModal';
-import { getCuratedTimeline } from '@/lib/metMuseum';
+import ShareTimeline from '@/Components/Timeline/ShareTimeline';
+import { getSavedArtworkIds, saveArtwork, removeArtwork } from '@/lib/collection';
+import {
+  createTimelineSnapshot,
+  getCuratedTimeline,
+  getTimelineSnapshot,
+  getTodaySeed,
+  isAbortError,
+  prioritizeTimelinePeriod,
+} from '@/lib/metMuseum';
 
-/**
- * Static configuration for the major timeline periods shown in the experience.
- *
- * Each period includes:
- * - id: internal identifier used to fetch curated artworks.
- * - title: heading displayed in the UI.
- * - period: human‑readable date range label.
- * - storyTitle / narrative: contextual story copy for the scroll experience.
- * - description: shorter summary of the period's characteristics.
- * - color / bgColor / accentColor: theming tokens used by ImmersiveScrollStory.
- */
-const timelinePeriods = [
-  {
-    id: 'ancient',
-    title: 'Ancient World',
-    period: '3000 BCE – 500 CE',
-    storyTitle: 'Origins of Meaning',
-    narrative:
-      'In the earliest civilizations, art was inseparable from life itself. Images were created to honor gods, commemorate rulers, and impose order on the universe. Form followed function, symbolism outweighed realism, and art became a bridge between the human and the divine.',
-    description: 'Sacred symbols, idealized figures, and art as ritual, power, and belief',
-    color: '#f59e0b',
-    bgColor: 'from-amber-950/50 via-orange-950/30 to-black',
-    accentColor: 'from-amber-400 to-orange-500',
-  },
-  {
-    id: 'medieval',
-    title: 'Medieval Period',
-    period: '500 – 1400',
-    storyTitle: 'Faith Over Form',
-    narrative:
-      'As empires fell and faith rose, art turned inward and upward. Beauty was no longer measured by realism, but by devotion. Figures floated beyond time, gold illuminated the sacred, and images served as visual prayers for a world guided by spiritual truth.',
-    description: 'Religious symbolism, spiritual focus, and art as devotion',
-    color: '#8b5cf6',
-    bgColor: 'from-purple-950/50 via-indigo-950/30 to-black',
-    accentColor: 'from-purple-400 to-indigo-500',
-  },
-  {
-    id: 'renaissance',
-    title: 'Renaissance',
-    period: '1400 – 1600',
-    storyTitle: 'The Rebirth of Humanity',
-    narrative:
-      'Humanity rediscovered itself. Artists studied nature, anatomy, and perspective, blending scientific observation with artistic mastery. Inspired by classical antiquity, art celebrated balance, proportion, and the beauty of the human form.',
-    description: 'Humanism, realism, perspective, and classical revival',
-    color: '#06b6d4',
-    bgColor: 'from-cyan-950/50 via-blue-950/30 to-black',
-    accentColor: 'from-cyan-400 to-blue-500',
-  },
-  {
-    id: 'baroque',
-    title: 'Baroque & Enlightenment',
-    period: '1600 – 1800',
-    storyTitle: 'Emotion and Power',
-    narrative:
-      'Art became theatrical and persuasive. Movement replaced stillness, light cut through darkness, and emotion demanded attention. Whether serving church, crown, or reason, artists sought to overwhelm the senses and engage the viewer directly.',
-    description: 'Drama, movement, contrast, and emotional intensity',
-    color: '#ef4444',
-    bgColor: 'from-red-950/50 via-pink-950/30 to-black',
-    accentColor: 'from-red-400 to-pink-500',
-  },
-  {
-    id: 'modern',
-    title: 'Modern & Contemporary',
-    period: '1800 – Present',
-    storyTitle: 'Breaking the Frame',
-    narrative:
-      'Tradition fractured. Artists rejected rules, questioned reality, and redefined what art could be. From abstraction to digital media, art became personal, political, experimental, and global—reflecting a rapidly changing world.',
-    description: 'Innovation, experimentation, and limitless forms of expression',
-    color: '#10b981',
-    bgColor: 'from-emerald-950/50 via-green-950/30 to-black',
-    accentColor: 'from-emerald-400 to-green-500',
-  },
-];
+// Artworks per carousel set; "explore more" loads the next set of this size
+const TIMELINE_PAGE_SIZE = 6;
 
 /**
  * Timeline page
  *
  * Immersive scroll-driven art history experience that:
- * - Fetches curated artworks per period (Ancient → Modern) using getCuratedTimeline.
+ * - Receives the period definitions (dates, story copy, colours, 3D scene settings)
+ *   as the "periods" Inertia prop, sourced from the timeline_periods table.
+ * - Fetches curated artworks per period (Ancient → Modern) using getCuratedTimeline,
+ *   TIMELINE_PAGE_SIZE at a time. "Explore more" shows the next set of a period;
+ *   the set after the one shown is fetched lazily while its period is in view.
  * - Renders an ImmersiveScrollStory with scroll sections for each period.
- * - Allows opening an ArtworkModal to inspect an artwork in detail.
+ * - Allows opening an ArtworkModal to inspect an artwork in detail. Prev/next (buttons,
+ *   arrow keys, swipes) runs through the sets shown in every period in chronological
+ *   order, and the page scrolls to the chapter of the artwork in the modal, so closing
+ *   it lands where the user left off.
  * - Lets authenticated users save/remove artworks from their personal collection.
+ * - Reproducible arrangements: the "seed" prop (/timeline?seed=N) replaces today's seed
+ *   and turns personalisation off, and the "snapshot" prop (/timeline?snapshot=TOKEN)
+ *   replays a shared snapshot's artworks instead of searching. ShareTimeline creates
+ *   snapshot and seed links for the current arrangement.
  * - Handles “pending save” when an unauthenticated user tries to save an artwork:
  *   stores the artwork in localStorage, redirects to login via Inertia router,
  *   and processes the pending save when the user returns logged in.
  *
  * Data sources:
- * - getCuratedTimeline(periodId, limit): returns an array of curated artworks per period.
- * - /api/collection (GET): list of artworks in the user’s collection.
- * - /api/collection (POST): save an artwork to the collection.
- * - /api/collection/{id} (DELETE): remove an artwork from the collection.
+ * - getCuratedTimeline(periodId, limit, onArtworkFound, { onUpdate, signal, version, page, personalizeFor, collectionVersion }):
+ *   returns an array of curated artworks per period page; onUpdate receives a refreshed first page when
+ *   cached data was stale. Logged-in users get a personalised selection weighted by their collection
+ *   that skips artworks they already saved (unless a seed was given); the collectionVersion prop keeps
+ *   lists cached before the collection changed from being reused. Each period page load
+ *   has its own AbortController, aborted on unmount or when that page is requested again.
+ * - getTimelineSnapshot(token) / createTimelineSnapshot(timelineData, seed): load and store
+ *   shared snapshots (/api/timeline/snapshots).
+ * - prioritizeTimelinePeriod(periodId): moves the period in view ahead of off-screen
+ *   periods in the shared Met request queue.
+ * - getSavedArtworkIds() / saveArtwork(artwork) / removeArtwork(id) from lib/collection:
+ *   the user's saved artwork IDs, and saving/removing artworks (/api/collection).
  */
 export default function Timeline() {
-  // Authenticated user (if any) from Inertia page props
-  const { auth } = usePage().props;
+  // Authenticated user (if any), period definitions, the optional seed or
+  // snapshot token from the URL, and the version of the user's collection,
+  // from Inertia page props
+  const { auth, periods = [], seed = null, snapshot = null, collectionVersion = null } = usePage().props;
 
   // Map of periodId -> array of artworks for that period
   const [timelineData, setTimelineData] = useState({});
   // Artwork currently open in the modal (or null when closed)
   const [selectedArtwork, setSelectedArtwork] = useState(null);
-  // Current period’s artwork list used inside the modal navigation
-  const [currentArtworks, setCurrentArtworks] = useState([]);
-  // Index of selectedArtwork within currentArtworks
-  const [currentIndex, setCurrentIndex] = useState(0);
+  // Period (chapter) of selectedArtwork, or null when it was opened from elsewhere
+  const [selectedPeriodId, setSelectedPeriodId] = useState(null);
   // List of artwork IDs that are saved in the user's collection
   const [savedArtworks, setSavedArtworks] = useState([]);
   // Loading flag for the initial timeline fetch
   const [isLoading, setIsLoading] = useState(true);
+  // Map of periodId -> { page, loadedPages, hasMore, isLoadingMore } for "explore more"
+  const [periodPages, setPeriodPages] = useState({});
+  // Period currently in view (its next set is prefetched)
+  const [activePeriodId, setActivePeriodId] = useState(null);
+  // Map of "periodId:page" -> AbortController for that page's in-flight load
+  const periodControllers = useRef({});
+  // Map of "periodId:page" -> promise of an in-flight "explore more" load
+  const pageRequests = useRef({});
 
   // On mount:
   // - Load timeline data for all periods.
   // - If user is authenticated, load saved artworks and process any pending save.
+  // On unmount: abort every in-flight period load and background refresh.
   useEffect(() => {
     loadTimelineData();
     if (auth?.user) {
       loadSavedArtworks();
       checkPendingSave();
     }
+
+    return () => {
+      Object.values(periodControllers.current).forEach((controller) => controller.abort());
+      periodControllers.current = {};
+    };
   }, []);
 
   /**
@@ -151,102 +122,336 @@ export default function Timeline() {
     }
   };
 
+  /**
+   * Replace one period's artworks after a background refresh.
+   * Called by getCuratedTimeline when cached (stale) artworks were shown and
+   * the revalidated list differs. Only timelineData changes, so the intro
+   * loader is not shown again; an open modal keeps its current list.
+   */
+  const handlePeriodUpdate = (periodId, artworks) => {
+    // Later sets were built from the old list, so paging starts over
+    setTimelineData((prev) => ({ ...prev, [periodId]: artworks }));
+    setPeriodPages((prev) => ({ ...prev, [periodId]: firstPageState(artworks) }));
+  };
+
+  /** Paging state after a period's first set has loaded. */
+  const firstPageState = (artworks) => ({
+    page: 1,
+    loadedPages: 1,
+    hasMore: artworks.length >= TIMELINE_PAGE_SIZE,
+    isLoadingMore: false,
+  });
+
+  /** Merge changes (object or updater function) into one period's paging state. */
+  const updatePeriodPages = (periodId, changes) => {
+    setPeriodPages((prev) => {
+      const current = prev[periodId];
+      if (!current) return prev;
+      const next = typeof changes === 'function' ? changes(current) : changes;
+      return { ...prev, [periodId]: { ...current, ...next } };
+    });
+  };
+
+  /**
+   * Called by ImmersiveScrollStory whenever the period in view changes.
+   * Requests for that period jump ahead of off-screen periods in the queue.
+   */
+  const handlePeriodChange = (periodId) => {
+    prioritizeTimelinePeriod(periodId);
+    setActivePeriodId(periodId);
+  };
+
+  // Lazily fetch the set after the one shown for the period in view,
+  // so "explore more" usually switches instantly
+  useEffect(() => {
+    const pages = periodPages[activePeriodId];
+    const period = periods.find((p) => p.id === activePeriodId);
+    if (!period || !pages || !pages.hasMore || pages.page < pages.loadedPages) return;
+
+    loadNextPage(period, pages.loadedPages + 1);
+  }, [activePeriodId, periodPages]);
+
+  /**
+   * Load curated artworks for one page of a period.
+   * - Aborts the previous request for the same period page, if still running.
+   * - Only the first page reports background refreshes (handlePeriodUpdate).
+   * - Resolves to null when this request is aborted (unmount or re-request).
+   */
+  const loadPeriod = async (period, page = 1) => {
+    const periodId = period.id;
+    const requestKey = `${periodId}:${page}`;
+    periodControllers.current[requestKey]?.abort();
+    const controller = new AbortController();
+    periodControllers.current[requestKey] = controller;
+
+    try {
+      return await getCuratedTimeline(periodId, TIMELINE_PAGE_SIZE, null, {
+        onUpdate: page === 1 ? (updated) => handlePeriodUpdate(periodId, updated) : null,
+        signal: controller.signal,
+        version: period.version,
+        page,
+        // An explicit seed must give everyone the same arrangement
+        seed: seed ?? undefined,
+        personalizeFor: seed === null ? auth?.user?.id ?? null : null,
+        collectionVersion,
+      });
+    } catch (error) {
+      if (isAbortError(error)) return null;
+      throw error;
+    } finally {
+      if (periodControllers.current[requestKey] === controller) {
+        delete periodControllers.current[requestKey];
+      }
+    }
+  };
+
+  /**
+   * Fetch the next page of a period and append it to the period's artworks.
+   * - Concurrent calls for the same page share one request.
+   * - A page shorter than TIMELINE_PAGE_SIZE marks the period as exhausted.
+   * - Resolves to the page's artworks, or null when aborted.
+   */
+  const loadNextPage = (period, page) => {
+    const requestKey = `${period.id}:${page}`;
+    if (pageRequests.current[requestKey]) return pageRequests.current[requestKey];
+
+    updatePeriodPages(period.id, { isLoadingMore: true });
+
+    const request = loadPeriod(period, page)
+      .catch((error) => {
+        console.error(`Error loading more artworks for ${period.id}:`, error);
+        return [];
+      })
+      .then((artworks) => {
+        if (artworks === null) return null;
+
+        setTimelineData((prev) => {
+          const existing = prev[period.id] || [];
+          const existingIds = new Set(existing.map((artwork) => artwork.id));
+          const added = artworks.filter((artwork) => !existingIds.has(artwork.id));
+          return { ...prev, [period.id]: [...existing, ...added] };
+        });
+        updatePeriodPages(period.id, (current) => ({
+          loadedPages: artworks.length > 0 ? Math.max(current.loadedPages, page) : current.loadedPages,
+          hasMore: artworks.length >= TIMELINE_PAGE_SIZE,
+          isLoadingMore: false,
+        }));
+        return artworks;
+      })
+      .finally(() => {
+        delete pageRequests.current[requestKey];
+      });
+
+    pageRequests.current[requestKey] = request;
+    return request;
+  };
+
+  /**
+   * Show the next set of a period's artworks ("explore more").
+   * Uses the prefetched set when available, otherwise waits for it.
+   */
+  const handleExploreMore = async (periodId) => {
+    const period = periods.find((p) => p.id === periodId);
+    const pages = periodPages[periodId];
+    if (!period || !pages) return;
+
+    const nextPage = pages.page + 1;
+    if (nextPage > pages.loadedPages) {
+      if (!pages.hasMore) return;
+      const artworks = await loadNextPage(period, nextPage);
+      if (!artworks?.length) return;
+    }
+
+    updatePeriodPages(periodId, (current) => ({ page: Math.max(current.page, nextPage) }));
+  };
+
+  /** Show the previous set of a period's artworks. */
+  const handlePreviousSet = (periodId) => {
+    updatePeriodPages(periodId, (current) => ({ page: Math.max(1, current.page - 1) }));
+  };
+
+  /**
+   * Replay a shared snapshot instead of searching.
+   * - Resolves to true when the snapshot had artworks (state is set),
+   *   false when it was unknown or empty, null when aborted.
+   * - Snapshot sets are fixed: paging covers only the stored artworks.
+   */
+  const loadSnapshot = async () => {
+    const controller = new AbortController();
+    periodControllers.current.snapshot = controller;
+
+    try {
+      const shared = await getTimelineSnapshot(snapshot, { signal: controller.signal });
+      const sharedPeriods = Object.fromEntries(
+        Object.entries(shared?.periods || {}).filter(([, artworks]) => artworks.length > 0)
+      );
+      if (Object.keys(sharedPeriods).length === 0) return false;
+
+      setTimelineData(sharedPeriods);
+      setPeriodPages(Object.fromEntries(Object.entries(sharedPeriods).map(([periodId, artworks]) => [
+        periodId,
+        {
+          page: 1,
+          loadedPages: Math.ceil(artworks.length / TIMELINE_PAGE_SIZE),
+          hasMore: false,
+          isLoadingMore: false,
+        },
+      ])));
+      return true;
+    } catch (error) {
+      if (isAbortError(error)) return null;
+      console.error('Error loading shared timeline:', error);
+      return false;
+    } finally {
+      if (periodControllers.current.snapshot === controller) {
+        delete periodControllers.current.snapshot;
+      }
+    }
+  };
+
+  /** Store the artworks shown as a snapshot; resolves to { token, url } or null. */
+  const handleCreateSnapshot = () => createTimelineSnapshot(timelineData, seed ?? getTodaySeed());
+
+  /** Reload the timeline with a new explicit seed. */
+  const handleShuffle = (newSeed) => {
+    router.visit(`/timeline?seed=${newSeed}`);
+  };
+
   /**
    * Load curated timeline data for all defined periods.
-   * - Uses getCuratedTimeline(period.id, 4) for each timelinePeriods entry.
-   * - Collects results into an object keyed by periodId.
+   * - Uses loadPeriod(period) for each entry of the periods prop.
+   * - Cached periods resolve immediately and refresh in the background
+   *   (see handlePeriodUpdate).
+   * - Collects results into an object keyed by periodId; aborted periods are
+   *   skipped, and nothing is stored if every period was aborted.
    * - Tracks and logs elapsed load time for debugging.
    */
   const loadTimelineData = async () => {
     const data = {};
     setIsLoading(true);
+
+    // Shared snapshot: replay it, or fall back to the regular timeline if it is gone
+    if (snapshot) {
+      const replayed = await loadSnapshot();
+      if (replayed === null) return;
+      if (replayed) {
+        setIsLoading(false);
+        return;
+      }
+      console.warn('Shared timeline not found, loading the regular timeline');
+    }
+
     try {
       console.log('🚀 Loading timeline data...');
       const startTime = Date.now();
 
       // Fetch curated artworks for each period in parallel
-      const promises = timelinePeriods.map(async (period) => {
-        const artworks = await getCuratedTimeline(period.id, 4);
+      const promises = periods.map(async (period) => {
+        const artworks = await loadPeriod(period);
         return { periodId: period.id, artworks };
       });
 
       const results = await Promise.all(promises);
       results.forEach(({ periodId, artworks }) => {
-        data[periodId] = artworks;
+        if (artworks) data[periodId] = artworks;
       });
 
+      // Unmounted or superseded while loading: a newer load owns the state
+      if (results.every(({ artworks }) => artworks === null)) {
+        return;
+      }
+
       const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
       console.log(`✨ Timeline loaded in ${elapsed}s`);
-      setTimelineData(data);
+      // Refreshed lists that already arrived take precedence over initial results
+      setTimelineData((prev) => ({ ...data, ...prev }));
+      setPeriodPages((prev) => ({
+        ...Object.fromEntries(Object.entries(data).map(([periodId, artworks]) => [periodId, firstPageState(artworks)])),
+        ...prev,
+      }));
     } catch (error) {
       console.error('Error loading timeline data:', error);
-    } finally {
-      setIsLoading(false);
     }
+    setIsLoading(false);
+  };
+
+  /** Load the IDs of artworks already saved in the user's collection. */
+  const loadSavedArtworks = async () => {
+    setSavedArtworks(await getSavedArtworkIds());
   };
 
   /**
-   * Load the IDs of artworks already saved in the user's collection.
-   * - GET /api/collection.
-   * - Stores only artwork_id values in savedArtworks state.
+   * Modal navigation order: every period's currently shown set, periods in
+   * chronological order (by start year), as [{ artwork, periodId }].
+   * Only shown sets are included, so the artwork in the modal is always on
+   * screen in its chapter behind it.
    */
-  const loadSavedArtworks = async () => {
-    try {
-      const response = await fetch('/api/collection', {
-        headers: {
-          Accept: 'application/json',
-          'X-CSRF-TOKEN': document.querySelector('meta[name="csrf-token"]').content,
-        },
-      });
+  const navigationList = useMemo(() => {
+    const chronological = [...periods].sort((a, b) => a.startDate - b.startDate);
+    return chronological.flatMap((period) => {
+      const page = periodPages[period.id]?.page || 1;
+      return (timelineData[period.id] || [])
+        .slice((page - 1) * TIMELINE_PAGE_SIZE, page * TIMELINE_PAGE_SIZE)
+        .map((artwork) => ({ artwork, periodId: period.id }));
+    });
+  }, [periods, timelineData, periodPages]);
 
-      if (response.ok) {
-        const ct = response.headers.get('content-type') || '';
-        const data = ct.includes('application/json') ? await response.json() : [];
-        setSavedArtworks(data.map((item) => item.artwork_id));
-      }
-    } catch (error) {
-      console.error('Error loading saved artworks:', error);
-    }
+  // Position of the open artwork in navigationList (-1 when not in it)
+  const navigationIndex = selectedArtwork
+    ? navigationList.findIndex((entry) => entry.periodId === selectedPeriodId && entry.artwork.id === selectedArtwork.id)
+    : -1;
+
+  /**
+   * Scroll the page (behind the modal) to a period's chapter, at the point
+   * where its carousel is fully shown.
+   */
+  const scrollToChapter = (periodId) => {
+    const section = document.querySelector(`[data-period-id="${periodId}"]`);
+    if (!section) return;
+
+    // The carousel is fully visible from 45% to 90% of the chapter's scroll
+    // range (its height plus one viewport, see PeriodChapter); aim for 60%
+    const top = section.getBoundingClientRect().top + window.scrollY;
+    const range = section.offsetHeight + window.innerHeight;
+    window.scrollTo({ top: top - window.innerHeight + range * 0.6, behavior: 'auto' });
   };
 
   /**
-   * When an artwork card is clicked in the scroll story:
-   * - Determine its index within the period’s artwork array.
-   * - Set selectedArtwork for the modal.
-   * - Set currentArtworks and currentIndex to enable prev/next navigation.
+   * When an artwork card is clicked in the scroll story, open it in the modal
+   * and remember its period for prev/next navigation.
    */
   const handleArtworkClick = (artwork, periodId) => {
-    const artworks = timelineData[periodId] || [];
-    const index = artworks.findIndex((a) => a.id === artwork.id);
-
     setSelectedArtwork(artwork);
-    setCurrentArtworks(artworks);
-    setCurrentIndex(index);
+    setSelectedPeriodId(periodId);
   };
 
   /** Close the artwork modal. */
   const handleClose = () => {
     setSelectedArtwork(null);
+    setSelectedPeriodId(null);
   };
 
-  /** Navigate to previous artwork in the currentArtworks list, if any. */
-  const handlePrev = () => {
-    if (currentIndex > 0) {
-      const newIndex = currentIndex - 1;
-      setCurrentIndex(newIndex);
-      setSelectedArtwork(currentArtworks[newIndex]);
-    }
-  };
+  /**
+   * Open the artwork at an offset from the current one in navigationList.
+   * Crossing into another period scrolls the page to that chapter.
+   */
+  const navigateBy = (offset) => {
+    const entry = navigationList[navigationIndex + offset];
+    if (navigationIndex === -1 || !entry) return;
 
-  /** Navigate to next artwork in the currentArtworks list, if any. */
-  const handleNext = () => {
-    if (currentIndex < currentArtworks.length - 1) {
-      const newIndex = currentIndex + 1;
-      setCurrentIndex(newIndex);
-      setSelectedArtwork(currentArtworks[newIndex]);
+    setSelectedArtwork(entry.artwork);
+    if (entry.periodId !== selectedPeriodId) {
+      setSelectedPeriodId(entry.periodId);
+      scrollToChapter(entry.periodId);
     }
   };
 
+  /** Navigate to the previous artwork, continuing into the previous period. */
+  const handlePrev = () => navigateBy(-1);
+
+  /** Navigate to the next artwork, continuing into the next period. */
+  const handleNext = () => navigateBy(1);
+
   /**
    * Save an artwork to the user's collection.
    *
@@ -255,12 +460,9 @@ export default function Timeline() {
    *   - Store the artwork in localStorage as 'pending_artwork_save'.
    *   - Redirect to /login using Inertia router with a return_url.
    * - If authenticated:
-   *   - POST /api/collection with artwork details.
-   *   - On success: append id to savedArtworks.
-   *   - Handle special HTTP statuses:
-   *     - 409: already saved (log warning).
-   *     - 403: user must verify account.
-   *     - 401: redirect to login with return_url.
+   *   - Save through saveArtwork (lib/collection); already saved counts as saved.
+   *   - On success: add id to savedArtworks.
+   *   - Unverified accounts are asked to verify first.
    */
   const handleSaveToCollection = async (artwork) => {
     if (!auth?.user) {
@@ -269,53 +471,18 @@ export default function Timeline() {
       return;
     }
 
-    try {
-      const response = await fetch('/api/collection', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Accept: 'application/json',
-          'X-CSRF-TOKEN': document.querySelector('meta[name="csrf-token"]').content,
-        },
-        body: JSON.stringify({
-          artwork_id: artwork.id.toString(),
-          title: artwork.title,
-          artist: artwork.artist,
-          year: artwork.year,
-          image_url: artwork.image,
-          period: artwork.period,
-          description: artwork.medium || artwork.description,
-        }),
-      });
-
-      if (response.ok) {
-        setSavedArtworks([...savedArtworks, artwork.id.toString()]);
-        console.log('Artwork saved successfully!');
-      } else if (response.status === 409) {
-        console.log('Already saved');
-      } else if (response.status === 403) {
-        alert('Please verify your account first');
-      } else if (response.status === 401) {
-        router.visit('/login?return_url=' + encodeURIComponent(window.location.href));
-      } else {
-        const ct = response.headers.get('content-type') || '';
-        if (ct.includes('application/json')) {
-          const error = await response.json();
-          console.error('Save error:', error);
-        } else {
-          const text = await response.text();
-          console.error('Save error (non-JSON):', text);
-        }
-      }
-    } catch (error) {
-      console.error('Error saving artwork:', error);
+    const result = await saveArtwork(artwork);
+    if (result === 'saved') {
+      setSavedArtworks((prev) => [...new Set([...prev, artwork.id.toString()])]);
+    } else if (result === 'unverified') {
+      alert('Please verify your account first');
     }
   };
 
   /**
    * Remove an artwork from the user's collection.
    * - No-op if user is not authenticated.
-   * - DELETE /api/collection/{artworkId}.
+   * - Removes through removeArtwork (lib/collection).
    * - On success: remove id from savedArtworks state.
    */
   const handleRemoveFromCollection = async (artworkId) => {
@@ -323,21 +490,8 @@ export default function Timeline() {
       return;
     }
 
-    try {
-      const response = await fetch(`/api/collection/${artworkId}`, {
-        method: 'DELETE',
-        headers: {
-          Accept: 'application/json',
-          'X-CSRF-TOKEN': document.querySelector('meta[name="csrf-token"]').content,
-        },
-      });
-
-      if (response.ok) {
-        setSavedArtworks(savedArtworks.filter((id) => id !== artworkId.toString()));
-        console.log('Artwork removed successfully!');
-      }
-    } catch (error) {
-      console.error('Error removing artwork:', error);
+    if (await removeArtwork(artworkId)) {
+      setSavedArtworks((prev) => prev.filter((id) => id !== artworkId.toString()));
     }
   };
 
@@ -351,26 +505,43 @@ export default function Timeline() {
 
       {/* Main immersive scroll story component */}
       <ImmersiveScrollStory
-        periods={timelinePeriods}
+        periods={periods}
         timelineData={timelineData}
         onArtworkClick={handleArtworkClick}
         isLoading={isLoading}
         savedArtworks={savedArtworks}
         onSaveArtwork={handleSaveToCollection}
         onRemoveArtwork={handleRemoveFromCollection}
+        onPeriodChange={handlePeriodChange}
+        pagination={periodPages}
+        pageSize={TIMELINE_PAGE_SIZE}
+        onExploreMore={handleExploreMore}
+        onPreviousSet={handlePreviousSet}
       />
 
+      {/* Share this arrangement (snapshot and seed links) once artworks are shown */}
+      {!isLoading && (
+        <ShareTimeline
+          timelineData={timelineData}
+          seed={seed ?? getTodaySeed()}
+          snapshotToken={snapshot}
+          onCreateSnapshot={handleCreateSnapshot}
+          onShuffle={handleShuffle}
+        />
+      )}
+
       {/* Artwork modal for detailed view, with save/remove and prev/next controls */}
       {selectedArtwork && (
         <ArtworkModal
           artwork={selectedArtwork}
           onClose={handleClose}
-          periodColor={timelinePeriods.find((p) => p.id === selectedArtwork.period)?.color}
+          periodColor={periods.find((p) => p.id === (selectedPeriodId ?? selectedArtwork.period))?.color}
           isSaved={savedArtworks.includes(selectedArtwork.id?.toString())}
+          savedArtworkIds={savedArtworks}
           onSave={handleSaveToCollection}
           onRemove={handleRemoveFromCollection}
-          onPrev={currentIndex > 0 ? handlePrev : null}
-          onNext={currentIndex < currentArtworks.length - 1 ? handleNext : null}
+          onPrev={navigationIndex > 0 ? handlePrev : null}
+          onNext={navigationIndex !== -1 && navigationIndex < navigationList.length - 1 ? handleNext : null}
         />
       )}
     </>
@@ -0,0 +1,330 @@
+// IndexedDB database holding cached Met artworks and query results
+const DB_NAME = 'artvault_met_cache';
+// Schema version of cached records. Bump whenever the normalized artwork
+// shape (see normalizeArtwork in metMuseum.js) changes: opening the database
+// with a new version drops every store, so old entries are never returned
+export const CACHE_SCHEMA_VERSION = 2;
+// Prefix of the localStorage keys used by the previous cache implementation
+const LEGACY_LOCALSTORAGE_PREFIX = 'met_timeline_';
+
+// Per-store settings:
+// - ttl: how long an entry stays fresh (milliseconds)
+// - staleTtl: how long past ttl an entry may still be served as stale
+//   (stale-while-revalidate) before it is deleted
+// - maxBytes: approximate size budget; least recently used entries are evicted beyond it
+const storeConfig = {
+  // Single normalized artworks keyed by Met object ID
+  objects: { ttl: 7 * 24 * 60 * 60 * 1000, staleTtl: 0, maxBytes: 5 * 1024 * 1024 },
+  // Query results (e.g. a timeline period's artwork list) keyed by query string
+  queries: { ttl: 24 * 60 * 60 * 1000, staleTtl: 7 * 24 * 60 * 60 * 1000, maxBytes: 1024 * 1024 },
+};
+
+// In-memory fallback used when IndexedDB is unavailable (private mode, old browsers)
+const memoryStores = {
+  objects: new Map(),
+  queries: new Map(),
+};
+
+let dbPromise = null;
+
+
+// Override TTL and/or size budget of a store, e.g. configureCacheStore('queries', { ttl: 60000 })
+export function configureCacheStore(storeName, options = {}) {
+  if (!storeConfig[storeName]) {
+    throw new Error(`Unknown cache store: ${storeName}`);
+  }
+  storeConfig[storeName] = { ...storeConfig[storeName], ...options };
+}
+
+
+// Resolve once a transaction has committed, reject if it fails or aborts
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+
+// Remove entries written by the old localStorage cache so they stop using quota
+function clearLegacyLocalStorage() {
+  try {
+    Object.keys(localStorage)
+      .filter(key => key.startsWith(LEGACY_LOCALSTORAGE_PREFIX))
+      .forEach(key => localStorage.removeItem(key));
+  } catch (error) {
+    // localStorage may be disabled; nothing to clean up then
+  }
+}
+
+
+// Open (and if needed create or upgrade) the cache database
+// Resolves to null when IndexedDB cannot be used, switching callers to memory
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, CACHE_SCHEMA_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      // Drop stores from older schema versions so stale artwork shapes are discarded
+      Array.from(db.objectStoreNames).forEach(name => db.deleteObjectStore(name));
+      Object.keys(storeConfig).forEach(name => {
+        const store = db.createObjectStore(name, { keyPath: 'key' });
+        store.createIndex('lastAccess', 'lastAccess');
+      });
+      clearLegacyLocalStorage();
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // Let a newer tab upgrade the schema instead of blocking it
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+
+    request.onerror = () => {
+      console.warn('IndexedDB unavailable, using in-memory cache:', request.error);
+      resolve(null);
+    };
+
+    request.onblocked = () => resolve(null);
+  });
+
+  return dbPromise;
+}
+
+
+// Check whether a stored record is past its store's TTL (may still be served as stale)
+function isStale(record, storeName, now) {
+  return now - record.storedAt > storeConfig[storeName].ttl;
+}
+
+
+// Check whether a stored record has outlived TTL plus stale window and must be dropped
+function isExpired(record, storeName, now) {
+  const { ttl, staleTtl = 0 } = storeConfig[storeName];
+  return now - record.storedAt > ttl + staleTtl;
+}
+
+
+// Approximate size of a value in bytes (UTF-16 JSON)
+function estimateSize(value) {
+  try {
+    return JSON.stringify(value).length * 2;
+  } catch (error) {
+    return 0;
+  }
+}
+
+
+// Build the record stored for a value
+function createRecord(key, value, now) {
+  return {
+    key,
+    value,
+    storedAt: now,
+    lastAccess: now,
+    size: estimateSize(value),
+  };
+}
+
+
+// Evict expired entries, then least recently used ones until the store fits its budget
+async function evict(db, storeName) {
+  const now = Date.now();
+  const { maxBytes } = storeConfig[storeName];
+
+  if (!db) {
+    const store = memoryStores[storeName];
+    let total = 0;
+    for (const [key, record] of store) {
+      if (isExpired(record, storeName, now)) store.delete(key);
+      else total += record.size;
+    }
+    // Map iteration order is insertion order; reads re-insert, so oldest access comes first
+    for (const [key, record] of store) {
+      if (total <= maxBytes) break;
+      store.delete(key);
+      total -= record.size;
+    }
+    return;
+  }
+
+  const transaction = db.transaction(storeName, 'readwrite');
+  const store = transaction.objectStore(storeName);
+  const live = [];
+  let total = 0;
+
+  // Walk entries from least to most recently used
+  const cursorRequest = store.index('lastAccess').openCursor();
+  cursorRequest.onsuccess = () => {
+    const cursor = cursorRequest.result;
+    if (cursor) {
+      const record = cursor.value;
+      if (isExpired(record, storeName, now)) {
+        cursor.delete();
+      } else {
+        live.push(record);
+        total += record.size;
+      }
+      cursor.continue();
+      return;
+    }
+
+    for (const record of live) {
+      if (total <= maxBytes) break;
+      store.delete(record.key);
+      total -= record.size;
+    }
+  };
+
+  await transactionDone(transaction);
+}
+
+
+// Read several keys from a store; returns a Map of key -> entry for live hits,
+// where entry is { value, storedAt, isStale }
+// Hits are marked as recently used, expired entries are removed
+async function readEntries(storeName, keys) {
+  const found = new Map();
+  if (keys.length === 0) return found;
+
+  try {
+    const db = await openDatabase();
+    const now = Date.now();
+
+    if (!db) {
+      const store = memoryStores[storeName];
+      keys.forEach(key => {
+        const record = store.get(key);
+        if (!record) return;
+        store.delete(key);
+        if (isExpired(record, storeName, now)) return;
+        record.lastAccess = now;
+        store.set(key, record);
+        found.set(key, toEntry(record, storeName, now));
+      });
+      return found;
+    }
+
+    const transaction = db.transaction(storeName, 'readwrite');
+    const store = transaction.objectStore(storeName);
+
+    keys.forEach(key => {
+      const request = store.get(key);
+      request.onsuccess = () => {
+        const record = request.result;
+        if (!record) return;
+        if (isExpired(record, storeName, now)) {
+          store.delete(key);
+          return;
+        }
+        record.lastAccess = now;
+        store.put(record);
+        found.set(key, toEntry(record, storeName, now));
+      };
+    });
+
+    await transactionDone(transaction);
+  } catch (error) {
+    console.warn(`Failed to read ${storeName} cache:`, error);
+  }
+
+  return found;
+}
+
+
+// Shape returned to callers for a stored record
+function toEntry(record, storeName, now) {
+  return {
+    value: record.value,
+    storedAt: record.storedAt,
+    isStale: isStale(record, storeName, now),
+  };
+}
+
+
+// Read several keys from a store; returns a Map of key -> value for fresh hits only
+export async function cacheGetMany(storeName, keys) {
+  const entries = await readEntries(storeName, keys);
+  const found = new Map();
+  entries.forEach((entry, key) => {
+    if (!entry.isStale) found.set(key, entry.value);
+  });
+  return found;
+}
+
+
+// Read a single key from a store, or null on miss/staleness/expiry
+export async function cacheGet(storeName, key) {
+  const found = await cacheGetMany(storeName, [key]);
+  return found.has(key) ? found.get(key) : null;
+}
+
+
+// Read a single key including stale entries, for stale-while-revalidate callers
+// Returns { value, storedAt, isStale } or null when nothing usable is stored
+export async function cacheGetEntry(storeName, key) {
+  const entries = await readEntries(storeName, [key]);
+  return entries.get(key) || null;
+}
+
+
+// Write several [key, value] pairs to a store, then enforce its size budget
+export async function cachePutMany(storeName, entries) {
+  if (entries.length === 0) return;
+
+  try {
+    const db = await openDatabase();
+    const now = Date.now();
+
+    if (!db) {
+      const store = memoryStores[storeName];
+      entries.forEach(([key, value]) => {
+        store.delete(key);
+        store.set(key, createRecord(key, value, now));
+      });
+    } else {
+      const transaction = db.transaction(storeName, 'readwrite');
+      const store = transaction.objectStore(storeName);
+      entries.forEach(([key, value]) => store.put(createRecord(key, value, now)));
+      await transactionDone(transaction);
+    }
+
+    await evict(db, storeName);
+  } catch (error) {
+    // Quota or transaction failures must never break loading; just skip caching
+    console.warn(`Failed to write ${storeName} cache:`, error);
+  }
+}
+
+
+// Write a single value to a store
+export async function cachePut(storeName, key, value) {
+  return cachePutMany(storeName, [[key, value]]);
+}
+
+
+// Remove a single key from a store
+export async function cacheDelete(storeName, key) {
+  try {
+    const db = await openDatabase();
+    if (!db) {
+      memoryStores[storeName].delete(key);
+      return;
+    }
+    const transaction = db.transaction(storeName, 'readwrite');
+    transaction.objectStore(storeName).delete(key);
+    await transactionDone(transaction);
+  } catch (error) {
+    console.warn(`Failed to delete from ${storeName} cache:`, error);
+  }
+}
@@ -0,0 +1,264 @@
+// Client for the signed-in user's collection (/api/collection), its galleries (/api/galleries)
+// and its public share links (/api/shares)
+// Used by pages that show Met artworks with save/remove actions
+
+
+// Read the CSRF token Laravel renders into the page head (needed for POST/DELETE routes)
+function getCsrfToken() {
+  return document.querySelector('meta[name="csrf-token"]')?.content || '';
+}
+
+
+// Fetch the IDs (as strings) of every artwork saved in the collection
+// Returns an empty array when the collection could not be loaded
+export async function getSavedArtworkIds() {
+  try {
+    const response = await fetch('/api/collection', {
+      headers: {
+        Accept: 'application/json',
+        'X-CSRF-TOKEN': getCsrfToken(),
+      },
+    });
+    if (!response.ok) return [];
+    const data = await response.json();
+    return Array.isArray(data) ? data.map(item => String(item.artwork_id)) : [];
+  } catch (error) {
+    console.error('Error loading saved artworks:', error);
+    return [];
+  }
+}
+
+
+// Links and images the collection API accepts: https URLs on metmuseum.org
+// or one of its subdomains (mirrors CollectionController::MET_URL_RULES)
+const MET_URL_PATTERN = /^https:\/\/([a-z0-9-]+\.)*metmuseum\.org(\/|$)/i;
+
+
+// The URL if the collection API will accept it, otherwise null
+function metUrlOrNull(url) {
+  return typeof url === 'string' && url.length <= 500 && MET_URL_PATTERN.test(url) ? url : null;
+}
+
+
+// Map a normalized artwork (see normalizeArtwork in metMuseum.js) to the
+// POST /api/collection body; every field is stored so the collection can be
+// sorted, filtered and displayed without re-querying the Met
+// URLs the API would reject are dropped, so one odd image never fails the save
+export function collectionPayload(artwork) {
+  return {
+    artwork_id: artwork.id.toString(),
+    title: artwork.title,
+    artist: artwork.artist,
+    year: artwork.year,
+    artist_bio: artwork.artistBio || null,
+    object_begin_date: Number.isInteger(artwork.objectBeginDate) ? artwork.objectBeginDate : null,
+    object_end_date: Number.isInteger(artwork.objectEndDate) ? artwork.objectEndDate : null,
+    period: artwork.period,
+    culture: artwork.culture || null,
+    location: artwork.location || null,
+    medium: artwork.medium || null,
+    dimensions: artwork.dimensions || null,
+    department: artwork.department || null,
+    classification: artwork.classification || null,
+    image_url: metUrlOrNull(artwork.image),
+    image_full_url: metUrlOrNull(artwork.imageFull),
+    additional_images: (artwork.additionalImages || []).filter(url => metUrlOrNull(url) !== null).slice(0, 100),
+    description: artwork.description || null,
+    object_url: metUrlOrNull(artwork.objectURL),
+    is_public_domain: Boolean(artwork.isPublicDomain),
+    metadata_date: artwork.metadataDate || null,
+    repository: artwork.repository || null,
+  };
+}
+
+
+// Save a normalized artwork to the collection
+// Resolves to 'saved' (also when it was already saved), 'unverified' when the
+// account still needs verification, or 'failed'
+export async function saveArtwork(artwork) {
+  try {
+    const response = await fetch('/api/collection', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+        'X-CSRF-TOKEN': getCsrfToken(),
+      },
+      body: JSON.stringify(collectionPayload(artwork)),
+    });
+
+    // 409: already in the collection, which is what the caller wanted
+    if (response.ok || response.status === 409) return 'saved';
+    if (response.status === 403) return 'unverified';
+    console.error('Save error:', response.status);
+    return 'failed';
+  } catch (error) {
+    console.error('Error saving artwork:', error);
+    return 'failed';
+  }
+}
+
+
+// Remove an artwork from the collection; resolves to true on success
+export async function removeArtwork(artworkId) {
+  try {
+    const response = await fetch(`/api/collection/${artworkId}`, {
+      method: 'DELETE',
+      headers: {
+        Accept: 'application/json',
+        'X-CSRF-TOKEN': getCsrfToken(),
+      },
+    });
+    return response.ok;
+  } catch (error) {
+    console.error('Error removing artwork:', error);
+    return false;
+  }
+}
+
+
+// Galleries: named, reorderable groups of saved artworks (/api/galleries)
+// A gallery is { id, name, artwork_ids } with artwork_ids as strings in gallery order
+
+
+// Send a gallery request; resolves to the parsed JSON body and the status
+async function galleryRequest(path, method = 'GET', body = undefined) {
+  const response = await fetch(`/api/galleries${path}`, {
+    method,
+    headers: {
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      Accept: 'application/json',
+      'X-CSRF-TOKEN': getCsrfToken(),
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+  const data = await response.json().catch(() => null);
+  return { ok: response.ok, status: response.status, data };
+}
+
+
+// List the user's galleries (oldest first); empty array when they could not be loaded
+export async function getGalleries() {
+  try {
+    const { ok, data } = await galleryRequest('');
+    return ok && Array.isArray(data) ? data : [];
+  } catch (error) {
+    console.error('Error loading galleries:', error);
+    return [];
+  }
+}
+
+
+// Create (id omitted) or rename a gallery
+// Resolves to { gallery } on success or { error } with a message to show (e.g. duplicate name)
+export async function saveGallery(name, id = null) {
+  try {
+    const { ok, data } = await galleryRequest(id ? `/${id}` : '', id ? 'PATCH' : 'POST', { name });
+    if (ok) return { gallery: data.gallery };
+    return { error: data?.errors?.name?.[0] || data?.message || 'Could not save the gallery' };
+  } catch (error) {
+    console.error('Error saving gallery:', error);
+    return { error: 'Could not save the gallery' };
+  }
+}
+
+
+// Delete a gallery (its artworks stay in the collection); resolves to true on success
+export async function deleteGallery(id) {
+  try {
+    return (await galleryRequest(`/${id}`, 'DELETE')).ok;
+  } catch (error) {
+    console.error('Error deleting gallery:', error);
+    return false;
+  }
+}
+
+
+// Add a saved artwork to a gallery, or remove it; resolves to the updated
+// gallery, or null on failure (adding needs the artwork in the collection first)
+export async function setGalleryMembership(id, artworkId, isMember) {
+  try {
+    const { ok, data } = isMember
+      ? await galleryRequest(`/${id}/artworks`, 'POST', { artwork_id: String(artworkId) })
+      : await galleryRequest(`/${id}/artworks/${artworkId}`, 'DELETE');
+    return ok ? data.gallery : null;
+  } catch (error) {
+    console.error('Error updating gallery:', error);
+    return null;
+  }
+}
+
+
+// Store a gallery's artwork order (artwork IDs); resolves to the updated gallery or null
+export async function reorderGallery(id, artworkIds) {
+  try {
+    const { ok, data } = await galleryRequest(`/${id}/order`, 'PUT', { artwork_ids: artworkIds.map(String) });
+    return ok ? data.gallery : null;
+  } catch (error) {
+    console.error('Error reordering gallery:', error);
+    return null;
+  }
+}
+
+
+// Share links: public read-only pages (/shared/{token}) for the whole
+// collection (gallery_id null) or one gallery; a link is { token, url, gallery_id }
+
+
+// List the user's active share links; empty array when they could not be loaded
+export async function getShareLinks() {
+  try {
+    const response = await fetch('/api/shares', {
+      headers: {
+        Accept: 'application/json',
+        'X-CSRF-TOKEN': getCsrfToken(),
+      },
+    });
+    if (!response.ok) return [];
+    const data = await response.json();
+    return Array.isArray(data) ? data : [];
+  } catch (error) {
+    console.error('Error loading share links:', error);
+    return [];
+  }
+}
+
+
+// Get the share link for the collection (galleryId null) or a gallery,
+// creating it when there is none yet; resolves to the link or null
+export async function createShareLink(galleryId = null) {
+  try {
+    const response = await fetch('/api/shares', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+        'X-CSRF-TOKEN': getCsrfToken(),
+      },
+      body: JSON.stringify({ gallery_id: galleryId }),
+    });
+    if (!response.ok) return null;
+    return (await response.json()).share;
+  } catch (error) {
+    console.error('Error creating share link:', error);
+    return null;
+  }
+}
+
+
+// Revoke a share link (its URL stops working); resolves to true on success
+export async function revokeShareLink(token) {
+  try {
+    const response = await fetch(`/api/shares/${token}`, {
+      method: 'DELETE',
+      headers: {
+        Accept: 'application/json',
+        'X-CSRF-TOKEN': getCsrfToken(),
+      },
+    });
+    return response.ok;
+  } catch (error) {
+    console.error('Error revoking share link:', error);
+    return false;
+  }
+}
@@ -1,105 +1,377 @@
+import { cacheGet, cacheGetEntry, cacheGetMany, cachePut, cachePutMany } from './artworkCache';
+
 // Base URL for Met Museum API proxy
 const MET_API_BASE = '/api/met';
-// Prefix used for cache keys in localStorage
-const CACHE_KEY_PREFIX = 'met_timeline_';
-// Cache duration in milliseconds (24 hours)
-const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours
-// Hard-coded blacklist of problematic Met object IDs
-const BLACKLISTED_IDS = new Set([662725, 634331, 811172]);
-// Runtime blacklist for IDs that fail during current session
+// Skip-set of broken object IDs: hydrated from the server's shared blacklist,
+// plus IDs that fail during the current session
 const runtimeBlacklist = new Set();
+// IDs already reported to the server this session
+const reportedIds = new Set();
+// Single in-flight/settled load of the shared blacklist
+let sharedBlacklistPromise = null;
+// Maximum IDs the /api/met/batch endpoint accepts per request
+const BATCH_REQUEST_SIZE = 20;
+// Retry policy for transient failures (rate limiting, overload, network errors)
+const RETRY_MAX_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 500;
+// Longest wait between attempts; a longer Retry-After ends retrying instead
+const RETRY_MAX_DELAY_MS = 10000;
+// Statuses that mean "try again later" rather than "this object is broken":
+// rate limiting and every server or gateway error (only a 404 is permanent)
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+// Shared request scheduler: every Met request goes through one queue so the
+// whole page never has more than maxConcurrentRequests in flight
+// Priority lanes, drained in this order; within a lane requests run FIFO
+const REQUEST_PRIORITIES = ['high', 'normal', 'low'];
+const requestQueues = { high: [], normal: [], low: [] };
+// Priority overrides per request group (e.g. the timeline period in view)
+const groupPriorities = new Map();
+let maxConcurrentRequests = 6;
+let activeRequests = 0;
+// Related artworks: candidate IDs taken from each related search, and years
+// added on both sides of an artwork's dates for the era-based searches
+const RELATED_IDS_PER_SOURCE = 30;
+const RELATED_DATE_MARGIN = 50;
 
 
-// Save data to localStorage cache under a namespaced key
-function saveCacheToLocalStorage(key, data) {
-  try {
-    const cacheData = {
-      data: data,
-      timestamp: Date.now()
-    };
-    localStorage.setItem(CACHE_KEY_PREFIX + key, JSON.stringify(cacheData));
-  } catch (error) {
-    console.warn('Failed to save cache:', error);
+// Generate a seed based on today's date (YYYY-MM-DD)
+// Sent to the server, which shuffles with it: the order changes each day but
+// stays stable within the day
+export function getTodaySeed() {
+  const today = new Date().toISOString().split('T')[0];
+  return today.split('-').reduce((acc, val) => acc + parseInt(val), 0);
+}
+
+
+// Hydrate the skip-set from the server's shared blacklist (once per page load)
+// Failures are non-fatal: loading simply proceeds without the shared list
+function loadSharedBlacklist() {
+  if (!sharedBlacklistPromise) {
+    sharedBlacklistPromise = scheduleRequest(
+      () => fetch(`${MET_API_BASE}/blacklist`, { headers: { Accept: 'application/json' } }),
+      { priority: 'high' }
+    )
+      .then(response => (response.ok ? response.json() : { ids: [] }))
+      .then(data => (data.ids || []).forEach(id => runtimeBlacklist.add(id)))
+      .catch(() => {});
   }
+  return sharedBlacklistPromise;
 }
 
 
-// Retrieve data from localStorage cache if it exists and is still valid
-function getCacheFromLocalStorage(key) {
-  try {
-    const cached = localStorage.getItem(CACHE_KEY_PREFIX + key);
-    if (!cached) return null;
-    
-    const cacheData = JSON.parse(cached);
-    const age = Date.now() - cacheData.timestamp;
-    
-    // Check if cache entry is still within allowed duration
-    if (age < CACHE_DURATION) {
-      console.log(`Using cached data for ${key} (${Math.round(age/1000/60)}min old)`);
-      return cacheData.data;
-    } else {
-      // Cache expired: remove the old entry
-      localStorage.removeItem(CACHE_KEY_PREFIX + key);
-      return null;
+// Throw the signal's abort reason (an AbortError by default) if it has been aborted
+// Used between awaits so cancelled work stops before starting the next step
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw signal.reason ?? new DOMException('The operation was aborted.', 'AbortError');
+  }
+}
+
+
+// Check whether an error comes from an aborted request rather than a real failure
+// Exported so callers can ignore cancellations in their own catch blocks
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+
+// Change scheduler settings, e.g. configureRequestScheduler({ concurrency: 4 })
+export function configureRequestScheduler(options = {}) {
+  if (options.concurrency !== undefined) {
+    if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+      throw new Error(`Invalid request concurrency: ${options.concurrency}`);
     }
-  } catch (error) {
-    console.warn('Failed to get cache:', error);
-    return null;
+    maxConcurrentRequests = options.concurrency;
   }
+  drainRequestQueue();
+}
+
+
+// Priority a queued request runs at: its group's override, else its own
+function effectivePriority(entry) {
+  const priority = (entry.group && groupPriorities.get(entry.group)) || entry.priority;
+  return REQUEST_PRIORITIES.includes(priority) ? priority : 'normal';
 }
 
 
-// Deterministic shuffle implementation using a numeric seed
-// This ensures the same input and seed produce the same order
-function deterministicShuffle(array, seed) {
-  const arr = [...array];
-  let currentSeed = seed;
-  for (let i = arr.length - 1; i > 0; i--) {
-    // Linear congruential generator for pseudo-random sequence
-    currentSeed = (currentSeed * 9301 + 49297) % 233280;
-    const j = Math.floor((currentSeed / 233280) * (i + 1));
-    [arr[i], arr[j]] = [arr[j], arr[i]];
+// Start queued requests, highest lane first, until the concurrency cap is reached
+function drainRequestQueue() {
+  while (activeRequests < maxConcurrentRequests) {
+    const lane = REQUEST_PRIORITIES.find(priority => requestQueues[priority].length > 0);
+    if (!lane) return;
+
+    const entry = requestQueues[lane].shift();
+    entry.signal?.removeEventListener('abort', entry.onAbort);
+    activeRequests++;
+
+    Promise.resolve()
+      .then(entry.task)
+      .then(entry.resolve, entry.reject)
+      .finally(() => {
+        activeRequests--;
+        drainRequestQueue();
+      });
   }
-  return arr;
 }
 
 
-// Generate a seed based on today's date (YYYY-MM-DD)
-// This causes the shuffle order to change each day but stay stable within the day
-function getTodaySeed() {
-  const today = new Date().toISOString().split('T')[0];
-  return today.split('-').reduce((acc, val) => acc + parseInt(val), 0);
+// Queue task (a function returning a promise, usually a fetch) on the shared scheduler
+// options.priority: 'high' | 'normal' | 'low' (default 'normal')
+// options.group: key whose priority can later be changed with setRequestPriority
+// options.signal: removes the request from the queue and rejects with an AbortError
+export function scheduleRequest(task, options = {}) {
+  const { priority = 'normal', group = null, signal } = options;
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason ?? new DOMException('The operation was aborted.', 'AbortError'));
+      return;
+    }
+
+    const entry = { task, priority, group, signal, resolve, reject };
+    entry.onAbort = () => {
+      const queue = requestQueues[effectivePriority(entry)];
+      const index = queue.indexOf(entry);
+      if (index !== -1) queue.splice(index, 1);
+      reject(signal.reason ?? new DOMException('The operation was aborted.', 'AbortError'));
+    };
+    signal?.addEventListener('abort', entry.onAbort, { once: true });
+
+    requestQueues[effectivePriority(entry)].push(entry);
+    drainRequestQueue();
+  });
+}
+
+
+// Override the priority of every request in a group, queued now or later
+// Pass null to drop the override so requests use their own priority again
+export function setRequestPriority(group, priority) {
+  if (priority) groupPriorities.set(group, priority);
+  else groupPriorities.delete(group);
+
+  // Move already queued requests of the group into their new lane
+  REQUEST_PRIORITIES.forEach(lane => {
+    const queue = requestQueues[lane];
+    for (let i = queue.length - 1; i >= 0; i--) {
+      const entry = queue[i];
+      if (entry.group !== group) continue;
+      const target = effectivePriority(entry);
+      if (target === lane) continue;
+      queue.splice(i, 1);
+      requestQueues[target].push(entry);
+    }
+  });
+  drainRequestQueue();
+}
+
+
+// Resolve after ms milliseconds, or reject with an AbortError as soon as signal aborts
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    throwIfAborted(signal);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason ?? new DOMException('The operation was aborted.', 'AbortError'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+
+// Parse a Retry-After header (delay in seconds or an HTTP date) into milliseconds
+// Returns null when the header is missing or unparseable
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+
+// Delay before the next attempt: the server's Retry-After when given,
+// otherwise exponential backoff with full jitter
+function getRetryDelay(attempt, retryAfterMs) {
+  if (retryAfterMs !== null) return retryAfterMs;
+  const ceiling = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt);
+  return Math.random() * ceiling;
+}
+
+
+// fetch() with bounded retries for RETRYABLE_STATUSES and network errors
+// Each attempt is queued on the scheduler (schedule = { priority, group });
+// no slot is held while backing off
+// Resolves to the last response (which may still be a retryable status once
+// attempts run out or Retry-After is too long); rejects with the last network
+// error, or with an AbortError when init.signal aborts, including mid-backoff
+async function fetchWithRetry(url, init = {}, schedule = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const isLastAttempt = attempt === RETRY_MAX_ATTEMPTS - 1;
+    let delay;
+
+    try {
+      const response = await scheduleRequest(() => fetch(url, init), { ...schedule, signal: init.signal });
+      if (!RETRYABLE_STATUSES.has(response.status) || isLastAttempt) return response;
+
+      delay = getRetryDelay(attempt, parseRetryAfter(response.headers.get('Retry-After')));
+      if (delay > RETRY_MAX_DELAY_MS) return response;
+    } catch (error) {
+      if (isAbortError(error) || isLastAttempt) throw error;
+      delay = getRetryDelay(attempt, null);
+    }
+
+    await sleep(delay, init.signal);
+  }
+}
+
+
+// Read the CSRF token Laravel renders into the page head (needed for POST routes)
+function getCsrfToken() {
+  return document.querySelector('meta[name="csrf-token"]')?.content || '';
 }
 
 
-// Search artworks via Met API proxy with optional image filter
+// Map a raw Met API object into the normalized artwork shape used by the UI
+// Returns null for objects without a usable image or title
+function normalizeArtwork(data) {
+  if (!data) return null;
+
+  // Prefer primaryImageSmall for faster loading, fall back to primaryImage
+  const imageUrl = data.primaryImageSmall || data.primaryImage;
+
+  // Reject objects with invalid or missing image URLs
+  if (!imageUrl || imageUrl === 'undefined' || imageUrl === 'null' || !imageUrl.startsWith('http')) {
+    return null;
+  }
+
+  // Reject objects with missing or blank titles
+  if (!data.title || data.title.trim() === '') {
+    return null;
+  }
+
+  return {
+    id: data.objectID,
+    title: data.title,
+    artist: data.artistDisplayName || 'Unknown Artist',
+    artistBio: data.artistDisplayBio || '',
+    year: data.objectDate || 'Date Unknown',
+    objectBeginDate: data.objectBeginDate || 0,
+    objectEndDate: data.objectEndDate || 0,
+    culture: data.culture || '',
+    period: data.period || '',
+    location: data.country || data.city || '',
+    medium: data.medium || 'Medium Unknown',
+    dimensions: data.dimensions || '',
+    department: data.department || '',
+    classification: data.classification || '',
+    description: data.creditLine || '',
+    image: imageUrl, // Small image used for better performance
+    imageFull: data.primaryImage || imageUrl, // Full resolution, loaded on demand (zoom viewer)
+    additionalImages: data.additionalImages || [],
+    objectURL: data.objectURL || '',
+    isPublicDomain: data.isPublicDomain || false,
+    metadataDate: data.metadataDate,
+    repository: data.repository || ''
+  };
+}
+
+
+// Met search facets forwarded by the proxy (validated server-side)
+export const SEARCH_FACETS = ['departmentId', 'dateBegin', 'dateEnd', 'medium', 'geoLocation', 'isHighlight', 'isOnView', 'artistOrCulture'];
+
+
+// Search artworks via Met API proxy with optional image filter and facets
+// options.departmentId / dateBegin / dateEnd / medium / geoLocation / isHighlight / isOnView
+// narrow the search; empty facets are left out (dateBegin and dateEnd go together)
+// options.artistOrCulture matches the query against artist names and cultures only
+// options.signal (AbortSignal) cancels the request; cancellation rejects with an AbortError
+// options.priority / options.group are passed to the request scheduler
 export async function searchArtworks(query, options = {}) {
+  const { signal, priority, group } = options;
   try {
     const params = new URLSearchParams({
-      q: query,
+      q: query || '*',
       hasImages: options.hasImages !== false ? 'true' : 'false',
     });
-    const response = await fetch(`${MET_API_BASE}/search?${params}`);
+    SEARCH_FACETS.forEach((facet) => {
+      const value = options[facet];
+      if (value === undefined || value === null || value === '' || value === false) return;
+      params.set(facet, value === true ? 'true' : String(value));
+    });
+    const response = await scheduleRequest(
+      () => fetch(`${MET_API_BASE}/search?${params}`, { signal }),
+      { priority, group, signal }
+    );
     if (!response.ok) return [];
     const data = await response.json();
     // API returns an array of object IDs or null
     return data.objectIDs || [];
   } catch (error) {
+    if (isAbortError(error)) throw error;
     // On error, return empty array so callers can handle gracefully
     return [];
   }
 }
 
 
+// Fetch the Met's curatorial departments as [{ departmentId, displayName }]
+// Cached in the browser for a day (the proxy caches them for a week)
+// Returns an empty array when the list is unavailable
+// options.signal (AbortSignal) cancels the request; cancellation rejects with an AbortError
+export async function getDepartments(options = {}) {
+  const { signal } = options;
+
+  const cached = await cacheGet('queries', 'departments');
+  throwIfAborted(signal);
+  if (cached) return cached;
+
+  try {
+    const response = await scheduleRequest(
+      () => fetch(`${MET_API_BASE}/departments`, { signal }),
+      { priority: 'high', signal }
+    );
+    if (!response.ok) return [];
+    const data = await response.json();
+    const departments = Array.isArray(data.departments) ? data.departments : [];
+    if (departments.length > 0) {
+      cachePut('queries', 'departments', departments);
+    }
+    return departments;
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    return [];
+  }
+}
+
+
 // Fetch single artwork details by object ID, preferring small image for performance
-export async function getArtworkById(objectId) {
+// Rate limiting, server errors (429/5xx) and network errors are retried with
+// backoff; such transient failures return null without blacklisting the object.
+// Only a 404 adds the object to the runtime blacklist
+// options.signal (AbortSignal) cancels the request; cancellation rejects with an AbortError
+// options.priority / options.group are passed to the request scheduler
+export async function getArtworkById(objectId, options = {}) {
+  const { signal, priority, group } = options;
+
   // Skip IDs that are known bad or have failed during this session
-  if (BLACKLISTED_IDS.has(objectId) || runtimeBlacklist.has(objectId)) {
+  await loadSharedBlacklist();
+  throwIfAborted(signal);
+  if (runtimeBlacklist.has(objectId)) {
     return null;
   }
 
+  // Reuse artworks already loaded by the timeline or a previous visit
+  const cached = await cacheGet('objects', objectId);
+  throwIfAborted(signal);
+  if (cached) return cached;
+
   try {
-    const response = await fetch(`${MET_API_BASE}/object/${objectId}`);
+    const response = await fetchWithRetry(`${MET_API_BASE}/object/${objectId}`, { signal }, { priority, group });
 
     // Permanent not found: add to runtime blacklist
     if (response.status === 404) {
@@ -107,236 +379,509 @@ export async function getArtworkById(objectId) {
       return null;
     }
 
-    // Server errors: also blacklist to avoid repeated failures
-    if (response.status >= 500) {
-      runtimeBlacklist.add(objectId);
-      return null;
-    }
-
+    // Still failing after retrying (rate limit, outage): try again on a later call
     if (!response.ok) return null;
 
     const data = await response.json();
-
-    // Prefer primaryImageSmall for faster loading, fall back to primaryImage
-    const imageUrl = data.primaryImageSmall || data.primaryImage;
-    
-    // Reject objects with invalid or missing image URLs
-    if (!imageUrl || imageUrl === 'undefined' || imageUrl === 'null' || !imageUrl.startsWith('http')) {
-      return null;
+    const artwork = normalizeArtwork(data);
+    if (artwork) {
+      cachePut('objects', artwork.id, artwork);
     }
+    return artwork;
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    // Network errors that outlasted the retries, or parsing errors: return null
+    return null;
+  }
+}
 
-    // Reject objects with missing or blank titles
-    if (!data.title || data.title.trim() === '') {
-      return null;
-    }
 
-    // Map Met API response into a normalized artwork object
-    return {
-      id: data.objectID,
-      title: data.title,
-      artist: data.artistDisplayName || 'Unknown Artist',
-      artistBio: data.artistDisplayBio || '',
-      year: data.objectDate || 'Date Unknown',
-      objectBeginDate: data.objectBeginDate || 0,
-      objectEndDate: data.objectEndDate || 0,
-      culture: data.culture || '',
-      period: data.period || '',
-      location: data.country || data.city || '',
-      medium: data.medium || 'Medium Unknown',
-      dimensions: data.dimensions || '',
-      department: data.department || '',
-      classification: data.classification || '',
-      description: data.creditLine || '',
-      image: imageUrl, // Small image used for better performance
-      additionalImages: data.additionalImages || [],
-      objectURL: data.objectURL || '',
-      isPublicDomain: data.isPublicDomain || false,
-      metadataDate: data.metadataDate,
-      repository: data.repository || ''
-    };
+// Fetch up to BATCH_REQUEST_SIZE artworks in a single proxy round trip
+// Cached artworks are served locally and only the rest are requested
+// Returns normalized artworks in request order; IDs the server reports as
+// not found (404) or blacklisted are added to the runtime blacklist, while
+// transiently unavailable ones are left to be retried on a later load
+// options.signal (AbortSignal) cancels the request; cancellation rejects with an AbortError
+// options.priority / options.group are passed to the request scheduler
+export async function getArtworksBatch(objectIds, options = {}) {
+  const { signal, priority, group } = options;
+
+  await loadSharedBlacklist();
+  throwIfAborted(signal);
+  const requested = objectIds
+    .filter(id => !runtimeBlacklist.has(id))
+    .slice(0, BATCH_REQUEST_SIZE);
+
+  if (requested.length === 0) return [];
+
+  const cached = await cacheGetMany('objects', requested);
+  throwIfAborted(signal);
+  const ids = requested.filter(id => !cached.has(id));
+
+  // Everything was cached: no round trip needed
+  if (ids.length === 0) {
+    return requested.map(id => cached.get(id));
+  }
+
+  try {
+    const response = await scheduleRequest(
+      () => fetch(`${MET_API_BASE}/batch`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json',
+          'X-CSRF-TOKEN': getCsrfToken(),
+        },
+        body: JSON.stringify({ ids }),
+        signal,
+      }),
+      { priority, group, signal }
+    );
+
+    if (!response.ok) return [...cached.values()];
+
+    const { objects, failed = [] } = await response.json();
+    if (!Array.isArray(objects)) return [...cached.values()];
+
+    // Only objects that will never load are skipped for the rest of the session
+    failed
+      .filter(failure => failure?.reason === 'not_found' || failure?.reason === 'blacklisted')
+      .forEach(failure => runtimeBlacklist.add(failure.id));
+
+    const fetched = new Map();
+    objects.map(normalizeArtwork).filter(Boolean).forEach(artwork => fetched.set(artwork.id, artwork));
+    cachePutMany('objects', [...fetched.entries()]);
+
+    // Merge cached and fetched artworks back into request order
+    return requested
+      .map(id => cached.get(id) || fetched.get(id))
+      .filter(Boolean);
   } catch (error) {
-    // In case of network or parsing errors, return null
-    return null;
+    if (isAbortError(error)) throw error;
+    // Network or parsing error: return what the cache had so caller can move on
+    return [...cached.values()];
   }
 }
 
 
 // Fetch artworks progressively by IDs and immediately report each match via callback
-// Applies date range filtering and stops once limit is reached
-export async function getArtworksByIdsProgressive(objectIds, limit, startDate, endDate, onArtworkFound) {
+// Walks the IDs in /api/met/batch sized chunks, applies date range filtering
+// and stops once limit is reached
+// options.signal (AbortSignal) stops the walk, including any request in flight;
+// cancellation rejects with an AbortError and onArtworkFound is not called again
+// options.priority / options.group are passed to the request scheduler
+export async function getArtworksByIdsProgressive(objectIds, limit, startDate, endDate, onArtworkFound, options = {}) {
+  const { signal, priority, group } = options;
   const artworks = [];
   
-  // Filter out globally blacklisted and runtime-blacklisted IDs
-  const validIds = objectIds.filter(id => 
-    !BLACKLISTED_IDS.has(id) && !runtimeBlacklist.has(id)
-  );
+  // Filter out IDs on the shared or runtime blacklist
+  await loadSharedBlacklist();
+  throwIfAborted(signal);
+  const validIds = objectIds.filter(id => !runtimeBlacklist.has(id));
   
   // Limit the total IDs to try to a multiple of the requested limit
   const idsToTry = validIds.slice(0, Math.min(validIds.length, limit * 40));
 
   console.log(`Fetching ${limit} artworks from ${idsToTry.length} IDs...`);
 
-  // Number of IDs to fetch in parallel per batch
-  const BATCH_SIZE = 30;
-
-  // Process IDs in batches until we either run out or reach the limit
-  for (let i = 0; i < idsToTry.length && artworks.length < limit; i += BATCH_SIZE) {
-    const batch = idsToTry.slice(i, i + BATCH_SIZE);
-    
-    // Fetch all batch IDs in parallel
-    const promises = batch.map(id => getArtworkById(id));
-    const results = await Promise.all(promises);
+  // One server round trip per chunk until we either run out or reach the limit
+  for (let i = 0; i < idsToTry.length && artworks.length < limit; i += BATCH_REQUEST_SIZE) {
+    const batch = idsToTry.slice(i, i + BATCH_REQUEST_SIZE);
+    const results = await getArtworksBatch(batch, { signal, priority, group });
 
     // Process each fetched artwork
     for (const artwork of results) {
       if (artworks.length >= limit) break;
 
-      // Basic image presence check before date filtering
-      if (artwork && artwork.image && artwork.image !== 'undefined' && artwork.image !== 'null') {
-        const begin = artwork.objectBeginDate || 0;
-        const end = artwork.objectEndDate || 0;
-
-        // Include only artworks that overlap the requested date range
-        if (begin <= endDate && end >= startDate) {
-          artworks.push(artwork);
-          console.log(`Found ${artworks.length}/${limit}: ${artwork.title}`);
-          
-          // Immediately notify caller about each found artwork
-          if (onArtworkFound) {
-            onArtworkFound(artwork);
-          }
+      const begin = artwork.objectBeginDate || 0;
+      const end = artwork.objectEndDate || 0;
+
+      // Include only artworks that overlap the requested date range
+      if (begin <= endDate && end >= startDate) {
+        artworks.push(artwork);
+        console.log(`Found ${artworks.length}/${limit}: ${artwork.title}`);
+        
+        // Immediately notify caller about each found artwork
+        if (onArtworkFound) {
+          onArtworkFound(artwork);
         }
       }
     }
-
-    // Small delay between batches to avoid overwhelming the API
-    if (artworks.length < limit && i + BATCH_SIZE < idsToTry.length) {
-      await new Promise(r => setTimeout(r, 50));
-    }
   }
 
   return artworks;
 }
 
 
-// Static configuration for timeline periods and related search queries
-export const TIMELINE_QUERIES = {
-  ancient: {
-    title: 'Ancient World',
-    period: '3000 BCE — 500 CE',
-    startDate: -3000,
-    endDate: 500,
-    queries: ['Egyptian sculpture', 'Greek pottery', 'Roman marble']
-  },
-  medieval: {
-    title: 'Medieval Period',
-    period: '500 — 1400',
-    startDate: 500,
-    endDate: 1400,
-    queries: ['Medieval manuscript', 'Byzantine mosaic', 'Gothic sculpture']
-  },
-  renaissance: {
-    title: 'Renaissance',
-    period: '1400 — 1600',
-    startDate: 1400,
-    endDate: 1600,
-    queries: ['Renaissance painting', 'Italian sculpture', 'Venetian art']
-  },
-  baroque: {
-    title: 'Baroque & Enlightenment',
-    period: '1600 — 1800',
-    startDate: 1600,
-    endDate: 1800,
-    queries: ['Baroque painting', 'Rococo art', 'Dutch Golden Age']
-  },
-  modern: {
-    title: 'Modern & Contemporary',
-    period: '1800 — Present',
-    startDate: 1800,
-    endDate: new Date().getFullYear(),
-    queries: ['Impressionist painting', 'Modern sculpture', 'American painting']
-  }
-};
+// Report an artwork whose image failed to load in the browser
+// The server verifies the report before adding it to the shared blacklist;
+// locally the ID is skipped for the rest of the session either way
+export function reportBrokenArtwork(objectId) {
+  if (!objectId || reportedIds.has(objectId)) return;
+
+  reportedIds.add(objectId);
+  runtimeBlacklist.add(objectId);
+
+  scheduleRequest(
+    () => fetch(`${MET_API_BASE}/failures`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+        'X-CSRF-TOKEN': getCsrfToken(),
+      },
+      body: JSON.stringify({ id: objectId }),
+    }),
+    { priority: 'low' }
+  ).catch(() => {});
+}
+
+
+// Fetch display-ready artworks for a period from the server
+// The server applies the date range, image and title filters, so every
+// returned artwork can be shown as-is
+// schedule = { priority, group } for the request scheduler
+// query.page (1-based) selects the next limit artworks of the period's pool; a page
+// shorter than limit is the last one
+// query.personalize asks the server to weight the selection by the logged-in
+// user's collection (the session cookie identifies the user)
+async function fetchPeriodArtworks(timelineKey, limit, seed, signal, schedule = {}, query = {}) {
+  const { page = 1, personalize = false } = query;
+  const params = new URLSearchParams({ limit: String(limit), seed: String(seed) });
+  if (page > 1) params.set('page', String(page));
+  if (personalize) params.set('personalize', '1');
+  const response = await scheduleRequest(
+    () => fetch(`/api/timeline/${encodeURIComponent(timelineKey)}?${params}`, {
+      headers: { Accept: 'application/json' },
+      signal,
+    }),
+    { ...schedule, signal }
+  );
+  if (!response.ok) return [];
+  const data = await response.json();
+  return Array.isArray(data) ? data : [];
+}
+
 
+// Background revalidations in flight, keyed by query cache key
+const pendingRevalidations = new Map();
 
-// Load curated timeline for a given key using cache and progressive loading
-export async function getCuratedTimeline(timelineKey, limit = 4, onArtworkFound = null) {
-  const timeline = TIMELINE_QUERIES[timelineKey];
-  if (!timeline) return [];
+
+// Scheduler group of a timeline period's requests
+function periodRequestGroup(timelineKey) {
+  return `timeline:${timelineKey}`;
+}
+
+
+// Timeline period currently moved to the high lane, if any
+let prioritizedPeriod = null;
+
+
+// Move one timeline period (e.g. the one in view) ahead of all other periods
+// in the request queue; the previously prioritized period drops back to its own priority
+export function prioritizeTimelinePeriod(timelineKey) {
+  if (timelineKey === prioritizedPeriod) return;
+  if (prioritizedPeriod) setRequestPriority(periodRequestGroup(prioritizedPeriod), null);
+  prioritizedPeriod = timelineKey;
+  if (timelineKey) setRequestPriority(periodRequestGroup(timelineKey), 'high');
+}
+
+
+// Store a period's artworks in the query cache, and each artwork on its own
+// so getArtworkById can reuse it
+function cachePeriodArtworks(cacheKey, seed, artworks) {
+  cachePut('queries', cacheKey, { seed, artworks });
+  cachePutMany('objects', artworks.map(artwork => [artwork.id, artwork]));
+}
+
+
+// Check whether two artwork lists contain the same artworks in the same order
+function sameArtworks(a, b) {
+  return a.length === b.length && a.every((artwork, index) => artwork.id === b[index].id);
+}
+
+
+// Refetch a period (page) in the background and report the new list if it changed
+// Concurrent calls for the same period share one request; aborting the signal
+// cancels the refetch and suppresses onUpdate
+// Refetches run in the low lane so they never delay first loads
+function revalidatePeriod(timelineKey, limit, seed, cacheKey, current, onUpdate, signal, query = {}) {
+  if (pendingRevalidations.has(cacheKey)) return pendingRevalidations.get(cacheKey);
+
+  const revalidation = fetchPeriodArtworks(timelineKey, limit, seed, signal, { priority: 'low' }, query)
+    .then(artworks => {
+      // Keep serving the stale list rather than replacing it with nothing
+      if (artworks.length === 0) return current;
+
+      cachePeriodArtworks(cacheKey, seed, artworks);
+
+      if (sameArtworks(current, artworks)) {
+        console.log(`Revalidated ${timelineKey}: unchanged`);
+        return current;
+      }
+
+      console.log(`Revalidated ${timelineKey}: ${artworks.length} updated artworks`);
+      if (onUpdate && !signal?.aborted) onUpdate(artworks);
+      return artworks;
+    })
+    .catch(error => {
+      if (isAbortError(error)) return current;
+      console.warn(`Background refresh failed for ${timelineKey}:`, error);
+      return current;
+    })
+    .finally(() => pendingRevalidations.delete(cacheKey));
+
+  pendingRevalidations.set(cacheKey, revalidation);
+  return revalidation;
+}
+
+
+// Load curated timeline for a given key using cache and the server-side period endpoint
+// Period definitions live on the server (timeline_periods); unknown keys resolve to []
+// Stale-while-revalidate: a cached list is returned immediately even when it is
+// out of date (older than the query TTL, or from a previous day's seed); a fresh
+// list is then fetched in the background and, if it differs, passed to
+// options.onUpdate(artworks) so the caller can swap it in
+// options.signal (AbortSignal) cancels the load and any background refresh it
+// started; cancellation rejects with an AbortError and no callbacks fire afterwards
+// options.priority sets the request lane; prioritizeTimelinePeriod overrides it
+// options.version is the period definition's version; lists cached for an
+// older version of the period are not reused
+// options.page (1-based, default 1) loads the next limit artworks for
+// "explore more"; pages never repeat artworks of earlier pages with the same
+// limit and day, and a page shorter than limit means the pool is exhausted
+// options.personalizeFor (the logged-in user's ID) weights the selection toward
+// the cultures, departments, classifications and artists of that user's saved
+// artworks and skips artworks they already saved; lists are cached per user
+// and per options.collectionVersion (changes whenever the collection does)
+// options.seed fixes the shuffle seed (e.g. from /timeline?seed=) instead of
+// today's, so everyone using it gets the same arrangement
+export async function getCuratedTimeline(timelineKey, limit = 4, onArtworkFound = null, options = {}) {
+  const { onUpdate = null, signal, priority = 'normal', version = null, page = 1, personalizeFor = null, collectionVersion = null } = options;
+  const query = { page, personalize: Boolean(personalizeFor) };
+
+  // One query cache entry per period (and definition version, user and
+  // collection version when personalised, and explicit seed); the seed it was built with is stored
+  // alongside. Later pages depend on the page size too
+  const explicitSeed = Number.isInteger(options.seed) ? options.seed : null;
+  const seed = explicitSeed ?? getTodaySeed();
+  const versionedKey = version ? `timeline:${timelineKey}@${version}` : `timeline:${timelineKey}`;
+  const seededKey = explicitSeed !== null ? `${versionedKey}!seed${explicitSeed}` : versionedKey;
+  const userKey = collectionVersion ? `~user${personalizeFor}.${collectionVersion}` : `~user${personalizeFor}`;
+  const periodKey = personalizeFor ? `${seededKey}${userKey}` : seededKey;
+  const cacheKey = page > 1 ? `${periodKey}#${page}x${limit}` : periodKey;
 
   // Check local cache first to avoid unnecessary API calls
-  const cached = getCacheFromLocalStorage(timelineKey);
-  if (cached && cached.length >= limit) {
-    console.log(`Loaded ${timelineKey} from cache instantly!`);
+  // (a cached later page may be short: it was the last one)
+  const cached = await cacheGetEntry('queries', cacheKey);
+  throwIfAborted(signal);
+  const cachedArtworks = cached?.value?.artworks || [];
+  if (cachedArtworks.length >= limit || (page > 1 && cachedArtworks.length > 0)) {
+    const artworks = cachedArtworks.slice(0, limit);
+    const isOutdated = cached.isStale || cached.value.seed !== seed;
+    console.log(`Loaded ${timelineKey} from cache instantly${isOutdated ? ' (refreshing in background)' : ''}!`);
+
     // If a callback is provided, replay cached artworks as if they were streamed
     if (onArtworkFound) {
-      cached.forEach(artwork => onArtworkFound(artwork));
+      artworks.forEach(artwork => onArtworkFound(artwork));
     }
-    return cached;
+
+    if (isOutdated) {
+      revalidatePeriod(timelineKey, limit, seed, cacheKey, artworks, onUpdate, signal, query);
+    }
+    return artworks;
   }
 
-  // No valid cache, proceed to fetch fresh data
+  // No usable cache, proceed to fetch fresh data
   console.log(`Fetching ${limit} artworks for ${timelineKey}...`);
 
   try {
-    // For each configured query, search artworks and collect IDs
-    const searchPromises = timeline.queries.map(query =>
-      searchArtworks(query, { hasImages: true })
-        .then(ids => {
-          console.log(`Found ${ids.length} IDs for "${query}"`);
-          return ids;
-        })
-        .catch(() => [])
-    );
-
-    // Wait for all search queries to complete
-    const results = await Promise.all(searchPromises);
-
-    // Aggregate and deduplicate object IDs across all queries
-    const allObjectIds = new Set();
-    results.forEach(ids => {
-      // Limit per-query IDs to avoid huge sets
-      ids.slice(0, 50).forEach(id => allObjectIds.add(id));
-    });
-
-    const uniqueIds = Array.from(allObjectIds);
-    const seed = getTodaySeed();
-    // Shuffle IDs deterministically based on today's seed
-    const shuffled = deterministicShuffle(uniqueIds, seed);
+    // Server filters by date range, image and title; order follows today's seed
+    const artworks = await fetchPeriodArtworks(timelineKey, limit, seed, signal, {
+      priority,
+      group: periodRequestGroup(timelineKey),
+    }, query);
 
-    console.log(`Total unique IDs: ${shuffled.length} for ${timelineKey}`);
-
-    if (shuffled.length === 0) {
+    if (artworks.length === 0) {
       console.warn(`No artworks found for ${timelineKey}`);
       return [];
     }
 
-    // Fetch artwork details progressively from the shuffled ID list
-    const artworks = await getArtworksByIdsProgressive(
-      shuffled,
-      limit,
-      timeline.startDate,
-      timeline.endDate,
-      onArtworkFound // Callback to stream artworks as they are found
-    );
+    // Stream artworks to the caller as if they arrived one by one
+    if (onArtworkFound) {
+      artworks.forEach(artwork => onArtworkFound(artwork));
+    }
 
     // Save successful results to cache for future requests
-    if (artworks.length > 0) {
-      saveCacheToLocalStorage(timelineKey, artworks);
-      console.log(`Cached ${artworks.length} artworks for ${timelineKey}`);
-    }
+    cachePeriodArtworks(cacheKey, seed, artworks);
+    console.log(`Cached ${artworks.length} artworks for ${timelineKey}`);
 
     console.log(`Completed ${timelineKey}: ${artworks.length} artworks`);
     return artworks;
   } catch (error) {
+    if (isAbortError(error)) throw error;
     console.error(`Error fetching curated timeline for ${timelineKey}:`, error);
     return [];
   }
 }
 
 
+// Store the artworks currently shown as a shareable snapshot
+// periods = { periodId: [artwork, ...] }; only the IDs are sent
+// Resolves to { token, url }, or null if the server refused
+export async function createTimelineSnapshot(periods, seed = null) {
+  const ids = Object.fromEntries(
+    Object.entries(periods)
+      .map(([periodId, artworks]) => [periodId, (artworks || []).map(artwork => artwork.id).slice(0, 60)])
+      .filter(([, list]) => list.length > 0)
+  );
+
+  const response = await fetch('/api/timeline/snapshots', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json',
+      'X-CSRF-TOKEN': getCsrfToken(),
+    },
+    body: JSON.stringify({ seed, periods: ids }),
+  });
+
+  if (!response.ok) return null;
+  return response.json();
+}
+
+
+// Load a shared snapshot: { token, seed, created_at, periods: { periodId: [artwork, ...] } }
+// Resolves to null for unknown tokens or failed requests
+// options.signal (AbortSignal) cancels the request; cancellation rejects with an AbortError
+export async function getTimelineSnapshot(token, options = {}) {
+  const { signal } = options;
+
+  try {
+    const response = await scheduleRequest(
+      () => fetch(`/api/timeline/snapshots/${encodeURIComponent(token)}`, {
+        headers: { Accept: 'application/json' },
+        signal,
+      }),
+      { priority: 'high', signal }
+    );
+
+    if (!response.ok) return null;
+    return await response.json();
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    console.error('Error loading timeline snapshot:', error);
+    return null;
+  }
+}
+
+
+// Find artworks related to an artwork, as [{ artwork, relation }]
+// Searches (low priority, in parallel) for the same artist, the same culture and the
+// same classification within the artwork's era (+/- RELATED_DATE_MARGIN years), or only
+// the era when nothing else is known; candidates are interleaved so every relation gets
+// a share, and "same artist" candidates must match the artist name exactly
+// Results are cached in the browser per artwork
+// options.limit caps the results (default 8)
+// options.signal (AbortSignal) cancels the lookups; cancellation rejects with an AbortError
+export async function getRelatedArtworks(artwork, options = {}) {
+  const { limit = 8, signal } = options;
+  if (!artwork?.id) return [];
+
+  const cacheKey = `related:${artwork.id}x${limit}`;
+  const cached = await cacheGet('queries', cacheKey);
+  throwIfAborted(signal);
+  if (cached) return cached;
+
+  const begin = artwork.objectBeginDate || 0;
+  const end = artwork.objectEndDate || 0;
+  const era = begin || end
+    ? { dateBegin: Math.max(-5000, begin - RELATED_DATE_MARGIN), dateEnd: Math.min(2100, end + RELATED_DATE_MARGIN) }
+    : null;
+  const artistName = (artwork.artist || '').trim().toLowerCase();
+
+  const sources = [];
+  if (artistName && artwork.artist !== 'Unknown Artist') {
+    sources.push({ relation: 'Same artist', query: artwork.artist, facets: { artistOrCulture: true } });
+  }
+  if (artwork.culture) {
+    sources.push({ relation: 'Same culture', query: artwork.culture, facets: { artistOrCulture: true, ...era } });
+  }
+  if (artwork.classification && era) {
+    sources.push({ relation: `${artwork.classification}, same era`, query: artwork.classification, facets: era });
+  }
+  if (sources.length === 0 && era) {
+    sources.push({ relation: 'Same era', query: artwork.department || '*', facets: era });
+  }
+  if (sources.length === 0) return [];
+
+  const idLists = await Promise.all(sources.map(source =>
+    searchArtworks(source.query, { ...source.facets, signal, priority: 'low', group: 'related' })
+  ));
+
+  // Interleave candidates from every source, skipping the artwork itself and repeats
+  const candidates = [];
+  const seen = new Set([artwork.id]);
+  for (let i = 0; i < RELATED_IDS_PER_SOURCE; i++) {
+    sources.forEach((source, index) => {
+      const id = idLists[index][i];
+      if (id === undefined || seen.has(id)) return;
+      seen.add(id);
+      candidates.push({ id, relation: source.relation });
+    });
+  }
+
+  const related = [];
+  for (let i = 0; i < candidates.length && related.length < limit; i += BATCH_REQUEST_SIZE) {
+    const batch = candidates.slice(i, i + BATCH_REQUEST_SIZE);
+    const relations = new Map(batch.map(candidate => [candidate.id, candidate.relation]));
+    const found = await getArtworksBatch(batch.map(candidate => candidate.id), { signal, priority: 'low', group: 'related' });
+
+    for (const item of found) {
+      if (related.length >= limit) break;
+      const relation = relations.get(item.id);
+      // artistOrCulture also matches cultures: keep real works by the artist only
+      if (relation === 'Same artist' && (item.artist || '').trim().toLowerCase() !== artistName) continue;
+      related.push({ artwork: item, relation });
+    }
+  }
+
+  if (related.length > 0) {
+    cachePut('queries', cacheKey, related);
+  }
+  return related;
+}
+
+
+// List an artwork's images for the gallery: the primary image first, then the
+// additional views, as [{ src, full }]
+// src is a web-sized rendition for display, full the original file (zoom viewer);
+// additional images only come as originals, so their web size is derived from
+// the Met's URL layout (/original/ -> /web-large/)
+// Artworks cached before imageFull existed fall back to their small image
+export function getArtworkImages(artwork) {
+  if (!artwork?.image) return [];
+
+  const images = [{ src: artwork.image, full: artwork.imageFull || artwork.image }];
+  for (const url of artwork.additionalImages || []) {
+    if (typeof url !== 'string' || !url.startsWith('http')) continue;
+    if (images.some(image => image.full === url)) continue;
+    images.push({ src: url.replace('/original/', '/web-large/'), full: url });
+  }
+  return images;
+}
+
+
+// Return a URL that is safe to use as a link target: http(s) only, otherwise null
+// Stored and shared artworks carry user-submitted URLs; React still renders
+// "javascript:" hrefs, so every external link goes through this
+export function safeLinkUrl(url) {
+  return typeof url === 'string' && /^https?:\/\//i.test(url.trim()) ? url.trim() : null;
+}
+
+
 // Legacy exports for compatibility
 // Thin wrapper that reuses progressive loader without callback
-export async function getArtworksByIds(objectIds, limit = 4, startDate, endDate) {
-  return getArtworksByIdsProgressive(objectIds, limit, startDate, endDate, null);
+export async function getArtworksByIds(objectIds, limit = 4, startDate, endDate, options = {}) {
+  return getArtworksByIdsProgressive(objectIds, limit, startDate, endDate, null, options);
 }
\ No newline at end of file
@@ -0,0 +1,137 @@
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>{{ $owner }}'s Collection – {{ config('app.name') }}</title>
+    <!--
+        Printable collection catalogue (CollectionExportController, format "catalogue").
+        Light layout for paper; use the browser's print dialog to save it as a PDF.
+    -->
+    <style>
+        @page { size: A4; margin: 18mm 16mm; }
+
+        * { box-sizing: border-box; }
+        body { margin: 0; color: #1f1a14; background: #f5f1ea; font-family: Georgia, 'Times New Roman', serif; line-height: 1.5; }
+        .page { max-width: 860px; margin: 0 auto; padding: 48px 32px; background: #fffdf9; }
+
+        .toolbar { position: sticky; top: 0; display: flex; justify-content: flex-end; gap: 12px; padding: 12px 32px; background: #1f1a14; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; }
+        .toolbar button { padding: 8px 18px; border: 0; border-radius: 8px; background: linear-gradient(135deg, #fbbf24 0%, #f97316 100%); color: #000; font-weight: 600; cursor: pointer; }
+
+        .cover { text-align: center; padding: 80px 0 64px; border-bottom: 2px solid #b8860b; margin-bottom: 48px; }
+        .cover h1 { margin: 0 0 12px; font-size: 40px; font-weight: 400; letter-spacing: -0.5px; }
+        .cover p { margin: 4px 0; color: #6b5d4b; font-size: 15px; }
+
+        .entry { display: grid; grid-template-columns: 280px 1fr; gap: 28px; padding: 28px 0; border-bottom: 1px solid #e7dfd2; break-inside: avoid; page-break-inside: avoid; }
+        .entry img { width: 100%; max-height: 340px; object-fit: contain; background: #f0ebe2; border: 6px solid #b8860b; }
+        .entry .no-image { display: flex; align-items: center; justify-content: center; height: 200px; background: #f0ebe2; color: #9a8b76; font-style: italic; }
+        .number { color: #b8860b; font-size: 13px; letter-spacing: 1px; text-transform: uppercase; }
+        .entry h2 { margin: 4px 0 2px; font-size: 22px; font-weight: 400; font-style: italic; }
+        .artist { margin: 0 0 12px; font-size: 16px; }
+        .artist span { color: #6b5d4b; font-size: 13px; }
+        dl { display: grid; grid-template-columns: max-content 1fr; gap: 2px 14px; margin: 0 0 12px; font-size: 13px; }
+        dt { color: #6b5d4b; }
+        dd { margin: 0; }
+        .credit { margin: 0 0 12px; color: #6b5d4b; font-size: 12px; }
+        .notes { margin: 12px 0 0; padding: 10px 14px; border-left: 3px solid #f97316; background: #fdf6ec; font-size: 14px; white-space: pre-line; }
+        .notes strong { display: block; font-size: 11px; letter-spacing: 1px; text-transform: uppercase; color: #b8860b; }
+        a { color: #8a5a00; }
+
+        .empty { text-align: center; color: #6b5d4b; font-style: italic; }
+        footer { margin-top: 48px; text-align: center; color: #9a8b76; font-size: 12px; }
+
+        @media print {
+            body, .page { background: #fff; }
+            .page { max-width: none; padding: 0; }
+            .toolbar { display: none; }
+            .cover { padding-top: 120px; page-break-after: always; break-after: page; border-bottom: 0; }
+            a { color: inherit; text-decoration: none; }
+        }
+
+        @media (max-width: 640px) {
+            .entry { grid-template-columns: 1fr; }
+        }
+    </style>
+</head>
+<body>
+    <div class="toolbar">
+        <button type="button" onclick="window.print()">Print / Save as PDF</button>
+    </div>
+
+    <main class="page">
+        <!-- Cover -->
+        <section class="cover">
+            <h1>{{ $owner }}'s Collection</h1>
+            <p>{{ $artworks->count() }} {{ Str::plural('artwork', $artworks->count()) }}</p>
+            <p>Exported {{ $exportedAt->format('F j, Y') }} from {{ config('app.name') }}</p>
+        </section>
+
+        @forelse ($artworks as $artwork)
+            <!-- Artwork {{ $loop->iteration }} -->
+            <article class="entry">
+                <div>
+                    @if ($artwork['image_url'])
+                        <img src="{{ $artwork['image_url'] }}" alt="{{ $artwork['title'] ?: 'Untitled' }}" loading="eager">
+                    @else
+                        <div class="no-image">No image</div>
+                    @endif
+                </div>
+
+                <div>
+                    <div class="number">No. {{ $loop->iteration }}</div>
+                    <h2>{{ $artwork['title'] ?: 'Untitled' }}</h2>
+                    <p class="artist">
+                        {{ $artwork['artist'] ?: 'Unknown Artist' }}
+                        @if ($artwork['artist_bio'])
+                            <br><span>{{ $artwork['artist_bio'] }}</span>
+                        @endif
+                    </p>
+
+                    <dl>
+                        @foreach ([
+                            'year' => 'Date',
+                            'medium' => 'Medium',
+                            'dimensions' => 'Dimensions',
+                            'culture' => 'Culture',
+                            'location' => 'Place',
+                            'period' => 'Period',
+                            'department' => 'Department',
+                            'classification' => 'Classification',
+                        ] as $field => $label)
+                            @if (filled($artwork[$field]))
+                                <dt>{{ $label }}</dt>
+                                <dd>{{ $artwork[$field] }}</dd>
+                            @endif
+                        @endforeach
+                        @if (!empty($artwork['galleries']))
+                            <dt>Galleries</dt>
+                            <dd>{{ implode(', ', $artwork['galleries']) }}</dd>
+                        @endif
+                    </dl>
+
+                    @if ($artwork['description'])
+                        <p class="credit">{{ $artwork['description'] }}</p>
+                    @endif
+
+                    @if ($artwork['object_url'])
+                        <p class="credit">
+                            <a href="{{ $artwork['object_url'] }}">{{ $artwork['object_url'] }}</a>
+                        </p>
+                    @endif
+
+                    @if (filled($artwork['notes']))
+                        <div class="notes"><strong>My notes</strong>{{ $artwork['notes'] }}</div>
+                    @endif
+                </div>
+            </article>
+        @empty
+            <p class="empty">This collection is empty.</p>
+        @endforelse
+
+        <footer>
+            Images and data courtesy of The Metropolitan Museum of Art Collection API.
+        </footer>
+    </main>
+</body>
+</html>
@@ -1,8 +1,74 @@
 <?php
 
+use App\Models\MetObjectFailure;
+use App\Models\TimelinePeriod;
+use App\Models\UserArtwork;
 use Illuminate\Foundation\Inspiring;
 use Illuminate\Support\Facades\Artisan;
+use Illuminate\Support\Facades\Cache;
+use Illuminate\Support\Facades\Http;
+use Illuminate\Support\Facades\Log;
+use Illuminate\Support\Facades\Schedule;
 
 Artisan::command('inspire', function () {
     $this->comment(Inspiring::quote());
 })->purpose('Display an inspiring quote');
+
+/*
+ * Backfill the timeline era of saved artworks (user_artworks.era).
+ *
+ * Rows saved without dates (before the full artwork was stored) get
+ * objectBeginDate/objectEndDate from the Met first, reusing the shared
+ * "met_object_{id}" cache. Every row is then classified again, so running
+ * the command after curators change period dates brings eras up to date.
+ */
+Artisan::command('collection:classify-eras', function () {
+    $metApiBase = 'https://collectionapi.metmuseum.org/public/collection/v1';
+    $classified = 0;
+    $unclassified = 0;
+    $lookupFailures = 0;
+
+    UserArtwork::query()->chunkById(100, function ($artworks) use ($metApiBase, &$classified, &$unclassified, &$lookupFailures) {
+        foreach ($artworks as $artwork) {
+            if ($artwork->object_begin_date === null && $artwork->object_end_date === null) {
+                $data = Cache::get("met_object_{$artwork->artwork_id}");
+
+                if (!$data && ctype_digit((string) $artwork->artwork_id)) {
+                    try {
+                        $response = Http::timeout(5)->get("{$metApiBase}/objects/{$artwork->artwork_id}");
+                        if ($response->successful() && $response->json()) {
+                            $data = $response->json();
+                            Cache::put("met_object_{$artwork->artwork_id}", $data, 86400);
+                        }
+                    } catch (\Throwable $e) {
+                        Log::warning("Era backfill lookup failed for {$artwork->artwork_id}: {$e->getMessage()}");
+                    }
+                }
+
+                if ($data) {
+                    $artwork->object_begin_date = $data['objectBeginDate'] ?? null;
+                    $artwork->object_end_date = $data['objectEndDate'] ?? null;
+                } else {
+                    $lookupFailures++;
+                }
+            }
+
+            $artwork->era = TimelinePeriod::classify($artwork->object_begin_date, $artwork->object_end_date);
+            $artwork->era ? $classified++ : $unclassified++;
+
+            // A backfill is not a user edit: keep updated_at as it was
+            if ($artwork->isDirty()) {
+                $artwork->timestamps = false;
+                $artwork->save();
+            }
+        }
+    });
+
+    $this->info("Classified {$classified} saved artworks; {$unclassified} have no era ({$lookupFailures} could not be looked up).");
+})->purpose('Classify saved artworks into timeline eras (backfill)');
+
+/*
+ * Delete Met object failures that expired long ago, so the shared blacklist
+ * table does not grow with every transient error (see MetObjectFailure::prunable()).
+ */
+Schedule::command('model:prune', ['--model' => [MetObjectFailure::class]])->daily();
@@ -1,9 +1,16 @@
 <?php
 
+use App\Http\Controllers\BrowseController;
 use App\Http\Controllers\ProfileController;
 use App\Http\Controllers\TimelineController;
 use App\Http\Controllers\MetMuseumController;
 use App\Http\Controllers\CollectionController;
+use App\Http\Controllers\GalleryController;
+use App\Http\Controllers\CollectionShareController;
+use App\Http\Controllers\CollectionExportController;
+use App\Http\Controllers\Admin\CurationController;
+use App\Models\TimelinePeriod;
+use Illuminate\Http\Request;
 use Illuminate\Support\Facades\Route;
 use Inertia\Inertia;
 
@@ -24,10 +31,30 @@
  *   - GET  /api/met/search          → Search Met collection.
  *   - GET  /api/met/period          → Fetch artworks filtered by period.
  *   - POST /api/met/batch           → Fetch multiple artworks by IDs in one request.
+ *   - GET  /api/met/departments     → Met curatorial departments (cached 7 days).
+ *   - GET  /api/met/blacklist       → Shared list of known-broken object IDs.
+ *   - POST /api/met/failures        → Report an object whose image failed to load (throttled).
+ *
+ * - Public curated timeline routes:
+ *   - GET  /api/timeline            → Timeline period definitions (dates, copy, colours, 3D scene).
+ *   - GET  /api/timeline/{period}   → Display-ready artworks for one timeline period
+ *                                     (filtered by date range, image and title server-side; throttled).
+ *
+ * - Public share pages:
+ *   - GET  /shared/{token}          → Inertia "SharedCollection" page: read-only view of a shared
+ *                                     collection or gallery (no notes).
  *
  * - Protected application routes (requires `auth` + `otp.verified` middleware):
  *   - GET  /dashboard               → Inertia "Dashboard" page for logged-in users.
- *   - GET  /timeline                → Inertia "Timeline" page (secured).
+ *   - GET  /timeline                → Inertia "Timeline" page (secured), with period definitions as props.
+ *                                     Optional ?seed=N (fixed arrangement) or ?snapshot=TOKEN (shared snapshot).
+ *   - POST /api/timeline/snapshots  → Store the artworks currently shown and get a share link (throttled).
+ *   - GET  /api/timeline/snapshots/{token} → Artworks of a shared snapshot, per period.
+ *   - GET  /search                  → Inertia "Search" page (full-text Met search, ?q=term plus
+ *                                     optional facets, e.g. &departmentId=11&isOnView=true).
+ *   - GET  /artist?name=…           → Inertia "Artist" page (works, date span, cultures, departments).
+ *   - GET  /browse/{departmentId?}  → Inertia "Browse" page (department list, or one department's
+ *                                     artworks with ?dateBegin=&dateEnd=&page=).
  *   - Profile management:
  *       GET    /profile             → Edit profile form.
  *       PATCH  /profile             → Update profile data.
@@ -36,12 +63,32 @@
  *       POST   /profile/2fa/disable → Turn off 2FA.
  *   - Collection UI:
  *       GET /collection             → Inertia collection page.
+ *       GET /collection/export/{format} → Export the collection: csv or json download,
+ *                                     or a printable HTML catalogue (catalogue).
  *   - Collection API (all under /api/collection, for the current user):
  *       GET    /api/collection/                 → List saved artworks.
  *       POST   /api/collection/                 → Save a new artwork.
  *       POST   /api/collection/{artworkId}/note → Add/update note.
  *       DELETE /api/collection/{artworkId}      → Remove artwork.
  *       GET    /api/collection/{artworkId}/check→ Check if artwork is saved.
+ *   - Galleries API (named galleries inside the collection, for the current user):
+ *       GET    /api/galleries                               → List galleries with artwork IDs.
+ *       POST   /api/galleries                               → Create a gallery.
+ *       PATCH  /api/galleries/{galleryId}                   → Rename a gallery.
+ *       DELETE /api/galleries/{galleryId}                   → Delete a gallery.
+ *       POST   /api/galleries/{galleryId}/artworks          → Add a saved artwork.
+ *       DELETE /api/galleries/{galleryId}/artworks/{artworkId} → Remove an artwork.
+ *       PUT    /api/galleries/{galleryId}/order             → Reorder artworks.
+ *   - Share links API (public links to the collection or a gallery, for the current user):
+ *       GET    /api/shares           → List active share links.
+ *       POST   /api/shares           → Create (or get) the link for the collection or a gallery.
+ *       DELETE /api/shares/{token}   → Revoke a link.
+ *   - Admin timeline curation (additionally requires `admin` middleware):
+ *       GET    /admin/curation                           → Inertia curation console.
+ *       GET    /api/admin/curation                       → Pins/exclusions keyed by period.
+ *       POST   /api/admin/curation/{period}              → Pin or exclude an object.
+ *       PUT    /api/admin/curation/{period}/order        → Reorder pinned objects.
+ *       DELETE /api/admin/curation/{period}/{objectId}   → Remove a pin/exclusion.
  *
  * - Auth routes include:
  *   - `require __DIR__.'/auth.php';` pulls in separate route definitions
@@ -74,24 +121,104 @@
     // Retrieve multiple objects in a single request by posting a list of IDs.
     // Example: POST /api/met/batch with JSON body { "ids": [1,2,3] }
     Route::post('batch', [MetMuseumController::class, 'getBatch']);
+
+    // The Met's curatorial departments, used by the department browser and search filters.
+    // Example: GET /api/met/departments
+    Route::get('departments', [MetMuseumController::class, 'getDepartments']);
+
+    // Shared list of broken object IDs, used to hydrate the frontend skip-set.
+    // Example: GET /api/met/blacklist
+    Route::get('blacklist', [MetMuseumController::class, 'getBlacklist']);
+
+    // Report an object whose image failed to load; verified server-side before
+    // it is blacklisted. Throttled to keep anonymous reports cheap.
+    // Example: POST /api/met/failures with JSON body { "id": 12345 }
+    Route::post('failures', [MetMuseumController::class, 'reportFailure'])->middleware('throttle:30,1');
 });
 
 
+// Timeline period definitions (public access)
+// Same data the Timeline page receives as its "periods" prop.
+// Example: GET /api/timeline
+Route::get('api/timeline', [TimelineController::class, 'getPeriods']);
+
+// Curated timeline artworks (public access)
+// Returns only artworks that fall inside the period's date range and have
+// an image and a title, so the frontend does not overfetch and discard.
+// Throttled: an uncached request (new seed or page) fans out to the Met.
+// Example: GET /api/timeline/ancient?limit=4&seed=2051
+Route::get('api/timeline/{period}', [TimelineController::class, 'getByPeriod'])->middleware('throttle:60,1');
+
+// Shared collections and galleries (public access)
+// Read-only page behind an unguessable token; 404 once the owner revokes it.
+// Example: GET /shared/Qm3v...
+Route::get('/shared/{token}', [CollectionShareController::class, 'show'])->name('shared.show');
+
+
 // Protected routes (require authentication + OTP verification)
 // The 'auth' middleware ensures the user is logged in, and 'otp.verified'
 // likely ensures the user has passed an OTP step for stronger security.
 Route::middleware(['auth', 'otp.verified'])->group(function () {
     // Dashboard screen for authenticated, OTP-verified users.
     // Renders the Inertia "Dashboard" component.
+    // "eras" (active timeline periods) names the favorite era.
     Route::get('/dashboard', function () {
-        return Inertia::render('Dashboard');
+        return Inertia::render('Dashboard', [
+            'eras' => TimelinePeriod::eraOptions(),
+        ]);
     })->name('dashboard');
     
     // Timeline page showing historical/curated content.
     // Only accessible once the user is authenticated and OTP-verified.
-    Route::get('/timeline', function () {
-        return Inertia::render('Timeline');
-    })->name('timeline');
+    // Period definitions come from the timeline_periods table.
+    // Example: GET /timeline?seed=4051 or GET /timeline?snapshot=Qm3v...
+    Route::get('/timeline', [TimelineController::class, 'show'])->name('timeline');
+
+    // TIMELINE SHARING
+    // Store a snapshot of the artworks currently shown ("share this timeline").
+    // Example: POST /api/timeline/snapshots with { "seed": 4051, "periods": { "ancient": [1, 2] } }
+    Route::post('api/timeline/snapshots', [TimelineController::class, 'storeSnapshot'])->middleware('throttle:20,1');
+
+    // Replay a shared snapshot's artworks.
+    Route::get('api/timeline/snapshots/{token}', [TimelineController::class, 'showSnapshot']);
+
+    // SEARCH PAGE
+    // Full-text search over the Met collection (results come from /api/met/search).
+    // The query and filters are passed as props so searches can be bookmarked;
+    // facets are validated by /api/met/search, publicDomain is applied client-side.
+    // Example: GET /search?q=sunflowers&departmentId=11&dateBegin=1850&dateEnd=1900
+    Route::get('/search', function (Request $request) {
+        $filters = $request->only([
+            'departmentId', 'dateBegin', 'dateEnd', 'medium', 'geoLocation',
+            'isHighlight', 'isOnView', 'publicDomain',
+        ]);
+
+        return Inertia::render('Search', [
+            'query' => trim((string) $request->query('q', '')),
+            'filters' => array_filter($filters, fn ($value) => is_string($value) && trim($value) !== ''),
+        ]);
+    })->name('search');
+
+    // ARTIST PAGE
+    // Works by one artist (found with the artistOrCulture search facet) and a
+    // summary of them. Names go in the query string: they contain spaces,
+    // commas and slashes.
+    // Example: GET /artist?name=Vincent%20van%20Gogh
+    Route::get('/artist', function (Request $request) {
+        $name = trim((string) $request->query('name', ''));
+
+        abort_if($name === '' || mb_strlen($name) > 200, 404);
+
+        return Inertia::render('Artist', ['name' => $name]);
+    })->name('artist');
+
+    // DEPARTMENT BROWSER
+    // Without an ID: the list of Met departments. With an ID: that department's
+    // artworks, optionally narrowed to a year range, one page at a time.
+    // Example: GET /browse/11?dateBegin=1850&dateEnd=1900&page=2
+    Route::get('/browse/{departmentId?}', [BrowseController::class, 'show'])
+        ->whereNumber('departmentId')
+        ->name('browse');
     
     // PROFILE ROUTES
     // Show the profile edit page (user details, settings, etc.).
@@ -114,6 +241,14 @@
     // Render the main collection UI page via Inertia, where the user
     // can browse and manage their saved artworks.
     Route::get('/collection', [CollectionController::class, 'show'])->name('collection.index');
+
+    // COLLECTION EXPORT
+    // All saved metadata and notes as a CSV or JSON download, or a printable
+    // catalogue page (save it as PDF from the browser's print dialog).
+    // Example: GET /collection/export/csv
+    Route::get('/collection/export/{format}', [CollectionExportController::class, 'export'])
+        ->whereIn('format', ['csv', 'json', 'catalogue'])
+        ->name('collection.export');
     
     // COLLECTION API (CRUD endpoints for the authenticated user's collection)
     // All these routes are still protected by auth + otp.verified.
@@ -135,6 +270,55 @@
         // Useful for toggling UI states (e.g., "Save" vs "Saved").
         Route::get('/{artworkId}/check', [CollectionController::class, 'checkSaved']);
     });
+
+    // GALLERIES API (named, reorderable galleries of saved artworks)
+    Route::prefix('api/galleries')->group(function () {
+        Route::get('/', [GalleryController::class, 'index']);
+        Route::post('/', [GalleryController::class, 'store']);
+        Route::patch('/{galleryId}', [GalleryController::class, 'update'])->whereNumber('galleryId');
+        Route::delete('/{galleryId}', [GalleryController::class, 'destroy'])->whereNumber('galleryId');
+
+        // Example: POST /api/galleries/3/artworks with { "artwork_id": "436524" }
+        Route::post('/{galleryId}/artworks', [GalleryController::class, 'addArtwork'])->whereNumber('galleryId');
+        Route::delete('/{galleryId}/artworks/{artworkId}', [GalleryController::class, 'removeArtwork'])->whereNumber('galleryId');
+
+        // Example: PUT /api/galleries/3/order with { "artwork_ids": ["437881", "436524"] }
+        Route::put('/{galleryId}/order', [GalleryController::class, 'reorder'])->whereNumber('galleryId');
+    });
+
+    // SHARE LINKS API (public read-only links to the collection or a gallery)
+    Route::prefix('api/shares')->group(function () {
+        Route::get('/', [CollectionShareController::class, 'index']);
+
+        // Example: POST /api/shares with { "gallery_id": 3 } (omit gallery_id for the whole collection)
+        Route::post('/', [CollectionShareController::class, 'store'])->middleware('throttle:20,1');
+
+        Route::delete('/{token}', [CollectionShareController::class, 'destroy']);
+    });
+
+    // ADMIN: TIMELINE CURATION
+    // Pin, exclude and reorder artworks per timeline period.
+    // Only users flagged as admins (users.is_admin) get past the 'admin' middleware.
+    Route::middleware('admin')->group(function () {
+        // Curation console page.
+        Route::get('/admin/curation', [CurationController::class, 'show'])->name('admin.curation');
+
+        Route::prefix('api/admin/curation')->group(function () {
+            // All pins/exclusions, keyed by period slug.
+            Route::get('/', [CurationController::class, 'index']);
+
+            // Pin or exclude an object in a period.
+            // Example: POST /api/admin/curation/renaissance with { "object_id": 437853, "type": "pin" }
+            Route::post('/{period}', [CurationController::class, 'store']);
+
+            // Reorder pinned objects.
+            // Example: PUT /api/admin/curation/renaissance/order with { "object_ids": [3, 1, 2] }
+            Route::put('/{period}/order', [CurationController::class, 'reorder']);
+
+            // Remove a pin or exclusion.
+            Route::delete('/{period}/{objectId}', [CurationController::class, 'destroy']);
+        });
+    });
 });
 
 
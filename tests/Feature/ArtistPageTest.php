@@ -0,0 +1,35 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Inertia\Testing\AssertableInertia as Assert;
+use Tests\TestCase;
+
+class ArtistPageTest extends TestCase
+{
+    use RefreshDatabase;
+
+    public function test_guests_are_redirected_to_login(): void
+    {
+        $this->get('/artist?name=Claude%20Monet')->assertRedirect('/login');
+    }
+
+    public function test_artist_page_receives_the_name(): void
+    {
+        $this->actingAs(User::factory()->create(['is_verified' => true]))
+            ->get('/artist?name=%20Claude%20Monet%20')
+            ->assertOk()
+            ->assertInertia(fn (Assert $page) => $page
+                ->component('Artist')
+                ->where('name', 'Claude Monet'));
+    }
+
+    public function test_missing_name_returns_not_found(): void
+    {
+        $this->actingAs(User::factory()->create(['is_verified' => true]))
+            ->get('/artist?name=')
+            ->assertNotFound();
+    }
+}
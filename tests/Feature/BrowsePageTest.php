@@ -0,0 +1,56 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Inertia\Testing\AssertableInertia as Assert;
+use Tests\TestCase;
+
+class BrowsePageTest extends TestCase
+{
+    use RefreshDatabase;
+
+    public function test_guests_are_redirected_to_login(): void
+    {
+        $this->get('/browse')->assertRedirect('/login');
+    }
+
+    public function test_department_list_has_no_department(): void
+    {
+        $this->actingAs(User::factory()->create(['is_verified' => true]))
+            ->get('/browse')
+            ->assertOk()
+            ->assertInertia(fn (Assert $page) => $page
+                ->component('Browse')
+                ->where('departmentId', null)
+                ->where('page', 1));
+    }
+
+    public function test_department_range_and_page_come_from_the_url(): void
+    {
+        $this->actingAs(User::factory()->create(['is_verified' => true]))
+            ->get('/browse/11?dateBegin=-500&dateEnd=1500&page=3')
+            ->assertOk()
+            ->assertInertia(fn (Assert $page) => $page
+                ->where('departmentId', 11)
+                ->where('dateBegin', -500)
+                ->where('dateEnd', 1500)
+                ->where('page', 3));
+    }
+
+    public function test_invalid_ranges_and_pages_are_ignored(): void
+    {
+        $user = User::factory()->create(['is_verified' => true]);
+
+        $this->actingAs($user)
+            ->get('/browse/11?dateBegin=1900&dateEnd=1800&page=0')
+            ->assertOk()
+            ->assertInertia(fn (Assert $page) => $page
+                ->where('dateBegin', null)
+                ->where('dateEnd', null)
+                ->where('page', 1));
+
+        $this->actingAs($user)->get('/browse/paintings')->assertNotFound();
+    }
+}
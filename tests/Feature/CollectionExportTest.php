@@ -0,0 +1,139 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\Gallery;
+use App\Models\User;
+use App\Models\UserArtwork;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Cache;
+use Tests\TestCase;
+
+class CollectionExportTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Cache::flush();
+    }
+
+    public function test_json_export_contains_all_metadata_notes_and_galleries(): void
+    {
+        $user = $this->userWithArtwork();
+
+        $response = $this->actingAs($user)
+            ->get('/collection/export/json')
+            ->assertOk()
+            ->assertJsonPath('count', 1)
+            ->assertJsonPath('artworks.0.artwork_id', '437881')
+            ->assertJsonPath('artworks.0.medium', 'Oil on canvas')
+            ->assertJsonPath('artworks.0.object_begin_date', 1660)
+            ->assertJsonPath('artworks.0.is_public_domain', true)
+            ->assertJsonPath('artworks.0.additional_images', ['https://images.metmuseum.org/original/b.jpg'])
+            ->assertJsonPath('artworks.0.galleries', ['Thesis'])
+            ->assertJsonPath('artworks.0.notes', '=Look at the light');
+
+        $this->assertStringContainsString('attachment;', $response->headers->get('Content-Disposition'));
+        $this->assertArrayNotHasKey('user_id', $response->json('artworks.0'));
+    }
+
+    public function test_csv_export_has_a_header_row_and_neutralises_formulas(): void
+    {
+        $user = $this->userWithArtwork();
+
+        $response = $this->actingAs($user)->get('/collection/export/csv')->assertOk();
+        $this->assertStringContainsString('text/csv', $response->headers->get('Content-Type'));
+
+        $lines = array_map('str_getcsv', preg_split('/\R/', trim(ltrim($response->streamedContent(), "\u{FEFF}"))));
+        $row = array_combine($lines[0], $lines[1]);
+
+        $this->assertSame('437881', $row['Met Object ID']);
+        $this->assertSame('Johannes Vermeer', $row['Artist']);
+        $this->assertSame('yes', $row['Public Domain']);
+        $this->assertSame('Thesis', $row['Galleries']);
+        $this->assertSame("'=Look at the light", $row['Notes']);
+    }
+
+    public function test_catalogue_is_printable_html_with_images_captions_and_notes(): void
+    {
+        $user = $this->userWithArtwork();
+
+        $this->actingAs($user)
+            ->get('/collection/export/catalogue')
+            ->assertOk()
+            ->assertHeader('Content-Type', 'text/html; charset=UTF-8')
+            ->assertSee('https://images.metmuseum.org/web-large/a.jpg', false)
+            ->assertSee('Young Woman with a Water Pitcher')
+            ->assertSee('18 x 16 in. (45.7 x 40.6 cm)')
+            ->assertSee('=Look at the light')
+            ->assertSee('@media print', false);
+    }
+
+    public function test_catalogue_only_links_http_urls(): void
+    {
+        $user = User::factory()->create(['is_verified' => true]);
+        // Row saved before URLs were validated
+        UserArtwork::create([
+            'user_id' => $user->id,
+            'artwork_id' => '1',
+            'title' => 'Legacy',
+            'image_url' => 'javascript:alert(1)',
+            'object_url' => 'javascript:alert(document.cookie)',
+        ]);
+
+        $this->actingAs($user)
+            ->get('/collection/export/catalogue')
+            ->assertOk()
+            ->assertSee('No image')
+            ->assertDontSee('javascript:', false);
+    }
+
+    public function test_export_only_includes_the_users_own_artworks(): void
+    {
+        $this->userWithArtwork();
+        $other = User::factory()->create(['is_verified' => true]);
+
+        $this->actingAs($other)
+            ->get('/collection/export/json')
+            ->assertOk()
+            ->assertJsonPath('count', 0);
+    }
+
+    public function test_unknown_formats_and_guests_are_rejected(): void
+    {
+        $user = $this->userWithArtwork();
+
+        $this->actingAs($user)->get('/collection/export/xml')->assertNotFound();
+
+        $this->app['auth']->forgetGuards();
+        $this->get('/collection/export/csv')->assertRedirect('/login');
+    }
+
+    private function userWithArtwork(): User
+    {
+        $user = User::factory()->create(['is_verified' => true]);
+        $artwork = UserArtwork::create([
+            'user_id' => $user->id,
+            'artwork_id' => '437881',
+            'title' => 'Young Woman with a Water Pitcher',
+            'artist' => 'Johannes Vermeer',
+            'year' => 'ca. 1662',
+            'object_begin_date' => 1660,
+            'object_end_date' => 1670,
+            'medium' => 'Oil on canvas',
+            'dimensions' => '18 x 16 in. (45.7 x 40.6 cm)',
+            'image_url' => 'https://images.metmuseum.org/web-large/a.jpg',
+            'additional_images' => ['https://images.metmuseum.org/original/b.jpg'],
+            'is_public_domain' => true,
+            'notes' => '=Look at the light',
+        ]);
+
+        $gallery = Gallery::create(['user_id' => $user->id, 'name' => 'Thesis']);
+        $gallery->artworks()->attach($artwork->id, ['position' => 1]);
+
+        return $user;
+    }
+}
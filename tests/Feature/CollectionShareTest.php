@@ -0,0 +1,156 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\CollectionShare;
+use App\Models\Gallery;
+use App\Models\User;
+use App\Models\UserArtwork;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Cache;
+use Inertia\Testing\AssertableInertia as Assert;
+use Tests\TestCase;
+
+class CollectionShareTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Cache::flush();
+    }
+
+    public function test_shared_collection_is_public_and_never_exposes_notes(): void
+    {
+        $user = User::factory()->create(['is_verified' => true, 'name' => 'Ada']);
+        UserArtwork::create([
+            'user_id' => $user->id,
+            'artwork_id' => '437881',
+            'title' => 'Young Woman with a Water Pitcher',
+            'image_url' => 'https://images.metmuseum.org/web-large/a.jpg',
+            'notes' => 'Private thoughts',
+        ]);
+
+        $url = $this->actingAs($user)
+            ->postJson('/api/shares')
+            ->assertCreated()
+            ->json('share.url');
+
+        // Visit as a guest
+        $this->app['auth']->forgetGuards();
+
+        $response = $this->get(parse_url($url, PHP_URL_PATH))
+            ->assertOk()
+            ->assertInertia(fn (Assert $page) => $page
+                ->component('SharedCollection')
+                ->where('share.owner', 'Ada')
+                ->where('share.is_gallery', false)
+                ->where('artworks.0.id', '437881')
+                ->where('artworks.0.image', 'https://images.metmuseum.org/web-large/a.jpg')
+                ->missing('artworks.0.notes'));
+
+        $this->assertStringNotContainsString('Private thoughts', $response->getContent());
+    }
+
+    public function test_non_http_urls_are_dropped_from_the_public_page(): void
+    {
+        $user = User::factory()->create(['is_verified' => true]);
+        // Row saved before URLs were validated
+        UserArtwork::create([
+            'user_id' => $user->id,
+            'artwork_id' => '1',
+            'title' => 'Legacy',
+            'image_url' => 'https://images.metmuseum.org/web-large/a.jpg',
+            'object_url' => ' javascript:alert(document.cookie)',
+            'additional_images' => ['javascript:alert(1)', 'https://images.metmuseum.org/original/b.jpg'],
+        ]);
+
+        $token = $this->actingAs($user)->postJson('/api/shares')->json('share.token');
+
+        $response = $this->get("/shared/{$token}")
+            ->assertOk()
+            ->assertInertia(fn (Assert $page) => $page
+                ->where('artworks.0.objectURL', null)
+                ->where('artworks.0.additionalImages', ['https://images.metmuseum.org/original/b.jpg']));
+
+        $this->assertStringNotContainsString('javascript:', $response->getContent());
+    }
+
+    public function test_sharing_a_gallery_shows_only_its_artworks_in_order(): void
+    {
+        $user = User::factory()->create(['is_verified' => true]);
+        $gallery = Gallery::create(['user_id' => $user->id, 'name' => 'Thesis']);
+        foreach (['1', '2', '3'] as $id) {
+            UserArtwork::create(['user_id' => $user->id, 'artwork_id' => $id, 'title' => "Artwork {$id}"]);
+        }
+        $gallery->artworks()->attach(UserArtwork::where('artwork_id', '3')->value('id'), ['position' => 1]);
+        $gallery->artworks()->attach(UserArtwork::where('artwork_id', '1')->value('id'), ['position' => 2]);
+
+        $token = $this->actingAs($user)
+            ->postJson('/api/shares', ['gallery_id' => $gallery->id])
+            ->assertCreated()
+            ->json('share.token');
+
+        $this->get("/shared/{$token}")
+            ->assertOk()
+            ->assertInertia(fn (Assert $page) => $page
+                ->where('share.title', 'Thesis')
+                ->where('share.is_gallery', true)
+                ->has('artworks', 2)
+                ->where('artworks.0.id', '3')
+                ->where('artworks.1.id', '1'));
+    }
+
+    public function test_sharing_the_same_target_twice_reuses_the_link(): void
+    {
+        $user = User::factory()->create(['is_verified' => true]);
+
+        $first = $this->actingAs($user)->postJson('/api/shares')->assertCreated()->json('share.token');
+        $second = $this->actingAs($user)->postJson('/api/shares', ['gallery_id' => null])->assertOk()->json('share.token');
+
+        $this->assertSame($first, $second);
+        $this->actingAs($user)->getJson('/api/shares')->assertOk()->assertJsonCount(1);
+    }
+
+    public function test_revoked_and_unknown_links_are_not_found(): void
+    {
+        $user = User::factory()->create(['is_verified' => true]);
+        $token = $this->actingAs($user)->postJson('/api/shares')->json('share.token');
+
+        $this->actingAs($user)->deleteJson("/api/shares/{$token}")->assertOk();
+
+        $this->get("/shared/{$token}")->assertNotFound();
+        $this->get('/shared/not-a-real-token')->assertNotFound();
+
+        $newToken = $this->actingAs($user)->postJson('/api/shares')->assertCreated()->json('share.token');
+        $this->assertNotSame($token, $newToken);
+    }
+
+    public function test_deleting_a_gallery_removes_its_link(): void
+    {
+        $user = User::factory()->create(['is_verified' => true]);
+        $gallery = Gallery::create(['user_id' => $user->id, 'name' => 'Thesis']);
+        $token = $this->actingAs($user)->postJson('/api/shares', ['gallery_id' => $gallery->id])->json('share.token');
+
+        $this->actingAs($user)->deleteJson("/api/galleries/{$gallery->id}")->assertOk();
+
+        $this->assertFalse(CollectionShare::where('token', $token)->exists());
+        $this->get("/shared/{$token}")->assertNotFound();
+    }
+
+    public function test_links_and_galleries_of_other_users_cannot_be_managed(): void
+    {
+        $owner = User::factory()->create(['is_verified' => true]);
+        $intruder = User::factory()->create(['is_verified' => true]);
+        $gallery = Gallery::create(['user_id' => $owner->id, 'name' => 'Private']);
+        $token = $this->actingAs($owner)->postJson('/api/shares')->json('share.token');
+
+        $this->actingAs($intruder)->postJson('/api/shares', ['gallery_id' => $gallery->id])->assertNotFound();
+        $this->actingAs($intruder)->deleteJson("/api/shares/{$token}")->assertNotFound();
+        $this->actingAs($intruder)->getJson('/api/shares')->assertOk()->assertJsonCount(0);
+
+        $this->assertTrue(CollectionShare::where('token', $token)->exists());
+    }
+}
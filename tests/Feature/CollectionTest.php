@@ -0,0 +1,186 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\TimelinePeriod;
+use App\Models\User;
+use App\Models\UserArtwork;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Cache;
+use Illuminate\Support\Facades\Http;
+use Inertia\Testing\AssertableInertia as Assert;
+use Tests\TestCase;
+
+class CollectionTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private string $metBase = 'https://collectionapi.metmuseum.org/public/collection/v1';
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Cache::flush();
+    }
+
+    public function test_saving_stores_the_full_normalized_artwork(): void
+    {
+        $user = User::factory()->create(['is_verified' => true]);
+
+        $this->actingAs($user)
+            ->postJson('/api/collection', $this->payload())
+            ->assertCreated();
+
+        $artwork = UserArtwork::where('user_id', $user->id)->firstOrFail();
+        $this->assertSame('ca. 1665', $artwork->year);
+        $this->assertSame(1660, $artwork->object_begin_date);
+        $this->assertSame(1670, $artwork->object_end_date);
+        $this->assertSame('Oil on canvas', $artwork->medium);
+        $this->assertSame('European Paintings', $artwork->department);
+        $this->assertSame(['https://images.metmuseum.org/original/b.jpg'], $artwork->additional_images);
+        $this->assertTrue($artwork->is_public_domain);
+
+        $this->actingAs($user)
+            ->getJson('/api/collection')
+            ->assertOk()
+            ->assertJsonPath('0.culture', 'Dutch')
+            ->assertJsonPath('0.image_full_url', 'https://images.metmuseum.org/original/a.jpg')
+            ->assertJsonPath('0.object_url', 'https://www.metmuseum.org/art/collection/search/437881');
+    }
+
+    public function test_short_payloads_from_older_clients_are_still_accepted(): void
+    {
+        $user = User::factory()->create(['is_verified' => true]);
+
+        $this->actingAs($user)
+            ->postJson('/api/collection', ['artwork_id' => '1', 'title' => 'Work'])
+            ->assertCreated();
+
+        $artwork = UserArtwork::where('user_id', $user->id)->firstOrFail();
+        $this->assertNull($artwork->object_begin_date);
+        $this->assertFalse($artwork->is_public_domain);
+    }
+
+    public function test_malformed_details_are_rejected(): void
+    {
+        $user = User::factory()->create(['is_verified' => true]);
+
+        $this->actingAs($user)
+            ->postJson('/api/collection', $this->payload(['object_begin_date' => 'ca. 1660']))
+            ->assertUnprocessable()
+            ->assertJsonValidationErrors('object_begin_date');
+
+        $this->actingAs($user)
+            ->postJson('/api/collection', $this->payload(['additional_images' => 'https://images.metmuseum.org/original/b.jpg']))
+            ->assertUnprocessable()
+            ->assertJsonValidationErrors('additional_images');
+
+        $this->assertSame(0, UserArtwork::count());
+    }
+
+    public function test_links_and_images_must_be_https_met_urls(): void
+    {
+        $user = User::factory()->create(['is_verified' => true]);
+
+        foreach ([
+            'object_url' => 'javascript:alert(document.cookie)',
+            'image_url' => 'http://images.metmuseum.org/web-large/a.jpg',
+            'image_full_url' => 'https://evil.example/metmuseum.org/a.jpg',
+            'additional_images' => ['data:text/html,<script>alert(1)</script>'],
+        ] as $field => $value) {
+            $this->actingAs($user)
+                ->postJson('/api/collection', $this->payload([$field => $value]))
+                ->assertUnprocessable()
+                ->assertJsonValidationErrors($field === 'additional_images' ? 'additional_images.0' : $field);
+        }
+
+        $this->assertSame(0, UserArtwork::count());
+    }
+
+    public function test_saved_artworks_are_classified_into_timeline_eras(): void
+    {
+        $user = User::factory()->create(['is_verified' => true]);
+
+        $this->actingAs($user)->postJson('/api/collection', $this->payload())->assertCreated();
+        $this->actingAs($user)->postJson('/api/collection', $this->payload([
+            'artwork_id' => '2',
+            'object_begin_date' => 0,
+            'object_end_date' => 0,
+        ]))->assertCreated();
+
+        $this->assertSame('baroque', UserArtwork::where('artwork_id', '437881')->value('era'));
+        $this->assertNull(UserArtwork::where('artwork_id', '2')->value('era'));
+    }
+
+    public function test_eras_go_to_the_period_with_the_most_overlap(): void
+    {
+        $this->assertSame('medieval', TimelinePeriod::classify(1300, 1420));
+        $this->assertSame('renaissance', TimelinePeriod::classify(1380, 1500));
+        // Boundary years belong to the later period
+        $this->assertSame('renaissance', TimelinePeriod::classify(1400, 1400));
+        $this->assertSame('ancient', TimelinePeriod::classify(-1000, null));
+        $this->assertNull(TimelinePeriod::classify(-9000, -8000));
+    }
+
+    public function test_collection_page_lists_the_eras_for_the_filter(): void
+    {
+        $this->actingAs(User::factory()->create(['is_verified' => true]))
+            ->get('/collection')
+            ->assertOk()
+            ->assertInertia(fn (Assert $page) => $page
+                ->component('Collection')
+                ->where('eras.2', ['id' => 'renaissance', 'title' => TimelinePeriod::where('slug', 'renaissance')->value('title')]));
+    }
+
+    public function test_backfill_looks_up_missing_dates_and_classifies_existing_rows(): void
+    {
+        $user = User::factory()->create(['is_verified' => true]);
+        $legacy = UserArtwork::create(['user_id' => $user->id, 'artwork_id' => '10', 'title' => 'Legacy']);
+        $dated = UserArtwork::create(['user_id' => $user->id, 'artwork_id' => '11', 'object_begin_date' => 1870, 'object_end_date' => 1880]);
+        $missing = UserArtwork::create(['user_id' => $user->id, 'artwork_id' => '12']);
+
+        Http::fake([
+            "{$this->metBase}/objects/10" => Http::response(['objectID' => 10, 'objectBeginDate' => -200, 'objectEndDate' => -100]),
+            "{$this->metBase}/objects/12" => Http::response([], 404),
+        ]);
+
+        $this->artisan('collection:classify-eras')->assertSuccessful();
+
+        $legacy->refresh();
+        $this->assertSame(-200, $legacy->object_begin_date);
+        $this->assertSame('ancient', $legacy->era);
+        $this->assertSame('modern', $dated->refresh()->era);
+        $this->assertNull($missing->refresh()->era);
+        Http::assertNotSent(fn ($request) => str_contains($request->url(), '/objects/11'));
+    }
+
+    private function payload(array $overrides = []): array
+    {
+        return [
+            'artwork_id' => '437881',
+            'title' => 'Young Woman with a Water Pitcher',
+            'artist' => 'Johannes Vermeer',
+            'year' => 'ca. 1665',
+            'artist_bio' => 'Dutch, Delft 1632–1675 Delft',
+            'object_begin_date' => 1660,
+            'object_end_date' => 1670,
+            'period' => '',
+            'culture' => 'Dutch',
+            'location' => '',
+            'medium' => 'Oil on canvas',
+            'dimensions' => '18 x 16 in. (45.7 x 40.6 cm)',
+            'department' => 'European Paintings',
+            'classification' => 'Paintings',
+            'image_url' => 'https://images.metmuseum.org/web-large/a.jpg',
+            'image_full_url' => 'https://images.metmuseum.org/original/a.jpg',
+            'additional_images' => ['https://images.metmuseum.org/original/b.jpg'],
+            'description' => 'Marquand Collection, Gift of Henry G. Marquand, 1889',
+            'object_url' => 'https://www.metmuseum.org/art/collection/search/437881',
+            'is_public_domain' => true,
+            'metadata_date' => '2024-03-01T04:55:20.077Z',
+            'repository' => 'Metropolitan Museum of Art, New York, NY',
+            ...$overrides,
+        ];
+    }
+}
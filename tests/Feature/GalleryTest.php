@@ -0,0 +1,149 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\Gallery;
+use App\Models\User;
+use App\Models\UserArtwork;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Cache;
+use Tests\TestCase;
+
+class GalleryTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Cache::flush();
+    }
+
+    public function test_galleries_are_created_renamed_and_names_are_unique_per_user(): void
+    {
+        $user = User::factory()->create(['is_verified' => true]);
+        $other = User::factory()->create(['is_verified' => true]);
+        Gallery::create(['user_id' => $other->id, 'name' => 'Favourites']);
+
+        $id = $this->actingAs($user)
+            ->postJson('/api/galleries', ['name' => 'Favourites'])
+            ->assertCreated()
+            ->assertJsonPath('gallery.artwork_ids', [])
+            ->json('gallery.id');
+
+        $this->actingAs($user)
+            ->postJson('/api/galleries', ['name' => 'Favourites'])
+            ->assertUnprocessable()
+            ->assertJsonValidationErrors('name');
+
+        $this->actingAs($user)
+            ->patchJson("/api/galleries/{$id}", ['name' => 'Thesis'])
+            ->assertOk()
+            ->assertJsonPath('gallery.name', 'Thesis');
+    }
+
+    public function test_only_saved_artworks_can_be_added_and_they_keep_their_order(): void
+    {
+        $user = User::factory()->create(['is_verified' => true]);
+        $gallery = Gallery::create(['user_id' => $user->id, 'name' => 'Thesis']);
+        $this->saveArtworks($user, ['1', '2', '3']);
+
+        $this->actingAs($user)
+            ->postJson("/api/galleries/{$gallery->id}/artworks", ['artwork_id' => '99'])
+            ->assertNotFound();
+
+        foreach (['3', '1', '2'] as $artworkId) {
+            $this->actingAs($user)
+                ->postJson("/api/galleries/{$gallery->id}/artworks", ['artwork_id' => $artworkId])
+                ->assertCreated();
+        }
+
+        $this->actingAs($user)
+            ->postJson("/api/galleries/{$gallery->id}/artworks", ['artwork_id' => '1'])
+            ->assertOk()
+            ->assertJsonPath('gallery.artwork_ids', ['3', '1', '2']);
+    }
+
+    public function test_an_artwork_can_be_in_several_galleries(): void
+    {
+        $user = User::factory()->create(['is_verified' => true]);
+        $first = Gallery::create(['user_id' => $user->id, 'name' => 'First']);
+        $second = Gallery::create(['user_id' => $user->id, 'name' => 'Second']);
+        $this->saveArtworks($user, ['1']);
+
+        $this->actingAs($user)->postJson("/api/galleries/{$first->id}/artworks", ['artwork_id' => '1'])->assertCreated();
+        $this->actingAs($user)->postJson("/api/galleries/{$second->id}/artworks", ['artwork_id' => '1'])->assertCreated();
+
+        $this->actingAs($user)
+            ->getJson('/api/galleries')
+            ->assertOk()
+            ->assertJsonPath('0.artwork_ids', ['1'])
+            ->assertJsonPath('1.artwork_ids', ['1']);
+    }
+
+    public function test_reordering_puts_unlisted_artworks_after_the_listed_ones(): void
+    {
+        $user = User::factory()->create(['is_verified' => true]);
+        $gallery = Gallery::create(['user_id' => $user->id, 'name' => 'Thesis']);
+        $this->addToGallery($gallery, $this->saveArtworks($user, ['1', '2', '3', '4']));
+
+        $this->actingAs($user)
+            ->putJson("/api/galleries/{$gallery->id}/order", ['artwork_ids' => ['4', '2', '99']])
+            ->assertOk()
+            ->assertJsonPath('gallery.artwork_ids', ['4', '2', '1', '3']);
+    }
+
+    public function test_removing_from_a_gallery_or_the_collection(): void
+    {
+        $user = User::factory()->create(['is_verified' => true]);
+        $gallery = Gallery::create(['user_id' => $user->id, 'name' => 'Thesis']);
+        $this->addToGallery($gallery, $this->saveArtworks($user, ['1', '2']));
+
+        $this->actingAs($user)
+            ->deleteJson("/api/galleries/{$gallery->id}/artworks/1")
+            ->assertOk()
+            ->assertJsonPath('gallery.artwork_ids', ['2']);
+        $this->assertTrue(UserArtwork::where('artwork_id', '1')->exists());
+
+        $this->actingAs($user)->deleteJson('/api/collection/2')->assertOk();
+        $this->assertSame([], $gallery->fresh()->load('artworks')->toSummary()['artwork_ids']);
+
+        $this->actingAs($user)->deleteJson("/api/galleries/{$gallery->id}")->assertOk();
+        $this->assertTrue(UserArtwork::where('artwork_id', '1')->exists());
+    }
+
+    public function test_galleries_of_other_users_are_not_found(): void
+    {
+        $owner = User::factory()->create(['is_verified' => true]);
+        $intruder = User::factory()->create(['is_verified' => true]);
+        $gallery = Gallery::create(['user_id' => $owner->id, 'name' => 'Private']);
+        $this->saveArtworks($intruder, ['1']);
+
+        $this->actingAs($intruder)->patchJson("/api/galleries/{$gallery->id}", ['name' => 'Mine'])->assertNotFound();
+        $this->actingAs($intruder)->postJson("/api/galleries/{$gallery->id}/artworks", ['artwork_id' => '1'])->assertNotFound();
+        $this->actingAs($intruder)->deleteJson("/api/galleries/{$gallery->id}")->assertNotFound();
+        $this->actingAs($intruder)->getJson('/api/galleries')->assertOk()->assertJsonCount(0);
+    }
+
+    /**
+     * Save artworks with the given Met IDs to the user's collection.
+     *
+     * @return \Illuminate\Support\Collection<int, UserArtwork>
+     */
+    private function saveArtworks(User $user, array $artworkIds)
+    {
+        return collect($artworkIds)->map(fn ($id) => UserArtwork::create([
+            'user_id' => $user->id,
+            'artwork_id' => $id,
+            'title' => "Artwork {$id}",
+        ]));
+    }
+
+    private function addToGallery(Gallery $gallery, $artworks): void
+    {
+        foreach ($artworks->values() as $index => $artwork) {
+            $gallery->artworks()->attach($artwork->id, ['position' => $index + 1]);
+        }
+    }
+}
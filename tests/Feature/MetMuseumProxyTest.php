@@ -0,0 +1,310 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\MetObjectFailure;
+use Illuminate\Http\Client\ConnectionException;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Cache;
+use Illuminate\Support\Facades\Http;
+use Tests\TestCase;
+
+class MetMuseumProxyTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private string $metBase = 'https://collectionapi.metmuseum.org/public/collection/v1';
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Cache::flush();
+    }
+
+    public function test_batch_returns_objects_in_requested_order_and_skips_failures(): void
+    {
+        Http::fake([
+            "{$this->metBase}/objects/1" => Http::response(['objectID' => 1, 'title' => 'First']),
+            "{$this->metBase}/objects/2" => Http::response(['message' => 'Not a valid object'], 404),
+            "{$this->metBase}/objects/3" => Http::response(['objectID' => 3, 'title' => 'Third']),
+        ]);
+
+        $response = $this->postJson('/api/met/batch', ['ids' => [3, 2, 1]]);
+
+        $response->assertOk()->assertJsonPath('failed', [['id' => 2, 'reason' => 'not_found']]);
+        $this->assertSame([3, 1], array_column($response->json('objects'), 'objectID'));
+    }
+
+    public function test_batch_reports_transient_failures_as_unavailable(): void
+    {
+        Http::fake([
+            "{$this->metBase}/objects/1" => Http::response([], 503),
+            "{$this->metBase}/objects/2" => Http::response([], 429),
+        ]);
+
+        $this->postJson('/api/met/batch', ['ids' => [1, 2]])
+            ->assertOk()
+            ->assertJsonPath('objects', [])
+            ->assertJsonPath('failed', [['id' => 1, 'reason' => 'unavailable'], ['id' => 2, 'reason' => 'unavailable']]);
+
+        $this->assertSame(0, MetObjectFailure::whereIn('object_id', [1, 2])->count());
+    }
+
+    public function test_batch_serves_cached_objects_without_calling_the_met(): void
+    {
+        Cache::put('met_object_7', ['objectID' => 7, 'title' => 'Cached'], 60);
+        Http::fake();
+
+        $response = $this->postJson('/api/met/batch', ['ids' => [7]]);
+
+        $response->assertOk()->assertJsonPath('objects.0.title', 'Cached');
+        Http::assertNothingSent();
+    }
+
+    public function test_batch_rejects_missing_or_non_numeric_ids(): void
+    {
+        $this->postJson('/api/met/batch', [])->assertStatus(400);
+        $this->postJson('/api/met/batch', ['ids' => ['abc']])->assertStatus(400);
+    }
+
+    public function test_upstream_not_found_is_recorded_in_the_shared_blacklist(): void
+    {
+        Http::fake([
+            "{$this->metBase}/objects/5" => Http::response([], 404),
+        ]);
+
+        $this->getJson('/api/met/object/5')->assertNotFound();
+
+        $failure = MetObjectFailure::where('object_id', 5)->firstOrFail();
+        $this->assertSame(MetObjectFailure::REASON_NOT_FOUND, $failure->reason);
+        $this->assertTrue($failure->retry_after->isFuture());
+        $this->assertContains(5, $this->getJson('/api/met/blacklist')->json('ids'));
+    }
+
+    public function test_rate_limited_object_requests_pass_the_status_through(): void
+    {
+        Http::fake([
+            "{$this->metBase}/objects/6" => Http::response([], 429, ['Retry-After' => '3']),
+        ]);
+
+        $this->getJson('/api/met/object/6')
+            ->assertStatus(429)
+            ->assertHeader('Retry-After', '3');
+
+        $this->assertFalse(MetObjectFailure::isBlocked(6));
+    }
+
+    public function test_upstream_server_errors_are_reported_as_bad_gateway(): void
+    {
+        Http::fake([
+            "{$this->metBase}/objects/8" => Http::response([], 500),
+        ]);
+
+        $this->getJson('/api/met/object/8')->assertStatus(502);
+
+        $this->assertTrue(MetObjectFailure::isBlocked(8));
+    }
+
+    public function test_gateway_errors_are_not_blacklisted(): void
+    {
+        Http::fake([
+            "{$this->metBase}/objects/12" => Http::response([], 502),
+            "{$this->metBase}/objects/13" => Http::response([], 504),
+        ]);
+
+        $this->getJson('/api/met/object/12')->assertStatus(502);
+        $this->getJson('/api/met/object/13')->assertStatus(502);
+
+        $this->assertFalse(MetObjectFailure::isBlocked(12));
+        $this->assertFalse(MetObjectFailure::isBlocked(13));
+    }
+
+    public function test_connection_failures_are_not_blacklisted(): void
+    {
+        Http::fake(fn () => throw new ConnectionException('Operation timed out'));
+
+        $this->getJson('/api/met/object/10')
+            ->assertStatus(503)
+            ->assertHeader('Retry-After', '5');
+
+        $this->assertFalse(MetObjectFailure::isBlocked(10));
+        $this->assertSame(0, MetObjectFailure::count());
+    }
+
+    public function test_blacklisted_objects_are_not_requested_upstream(): void
+    {
+        MetObjectFailure::record(9, MetObjectFailure::REASON_UPSTREAM_ERROR, 502);
+        Http::fake();
+
+        $this->getJson('/api/met/object/9')
+            ->assertNotFound()
+            ->assertJsonPath('blacklisted', true);
+
+        $this->postJson('/api/met/batch', ['ids' => [9]])
+            ->assertOk()
+            ->assertExactJson(['objects' => [], 'failed' => [['id' => 9, 'reason' => 'blacklisted']]]);
+
+        Http::assertNothingSent();
+    }
+
+    public function test_expired_failures_are_no_longer_blacklisted(): void
+    {
+        MetObjectFailure::create([
+            'object_id' => 11,
+            'reason' => MetObjectFailure::REASON_UPSTREAM_ERROR,
+            'retry_after' => now()->subMinute(),
+        ]);
+
+        $this->assertNotContains(11, $this->getJson('/api/met/blacklist')->json('ids'));
+    }
+
+    public function test_long_expired_failures_are_pruned(): void
+    {
+        MetObjectFailure::create(['object_id' => 30, 'reason' => MetObjectFailure::REASON_NOT_FOUND, 'retry_after' => now()->subDays(31)]);
+        MetObjectFailure::create(['object_id' => 31, 'reason' => MetObjectFailure::REASON_UPSTREAM_ERROR, 'retry_after' => now()->subDay()]);
+        MetObjectFailure::create(['object_id' => 32, 'reason' => MetObjectFailure::REASON_MANUAL, 'retry_after' => null]);
+
+        $this->artisan('model:prune', ['--model' => [MetObjectFailure::class]])->assertSuccessful();
+
+        $this->assertEqualsCanonicalizing([31, 32], MetObjectFailure::whereIn('object_id', [30, 31, 32])->pluck('object_id')->all());
+    }
+
+    public function test_reported_image_failures_are_verified_before_recording(): void
+    {
+        Cache::put('met_object_20', ['objectID' => 20, 'primaryImageSmall' => 'https://images.example/ok.jpg'], 60);
+        Cache::put('met_object_21', ['objectID' => 21, 'primaryImageSmall' => 'https://images.example/broken.jpg'], 60);
+        Http::fake([
+            'https://images.example/ok.jpg' => Http::response('', 200),
+            'https://images.example/broken.jpg' => Http::response('', 404),
+        ]);
+
+        $this->postJson('/api/met/failures', ['id' => 20])->assertStatus(202)->assertJsonPath('recorded', false);
+        $this->postJson('/api/met/failures', ['id' => 21])->assertStatus(202)->assertJsonPath('recorded', true);
+
+        $this->assertFalse(MetObjectFailure::isBlocked(20));
+        $this->assertTrue(MetObjectFailure::isBlocked(21));
+    }
+
+    public function test_image_reports_need_a_definitive_not_found(): void
+    {
+        Cache::put('met_object_23', ['objectID' => 23, 'primaryImageSmall' => 'https://images.example/no-head.jpg'], 60);
+        Cache::put('met_object_24', ['objectID' => 24, 'primaryImageSmall' => 'https://images.example/gone.jpg'], 60);
+        Cache::put('met_object_25', ['objectID' => 25, 'primaryImageSmall' => 'https://images.example/offline.jpg'], 60);
+        Http::fake([
+            'https://images.example/no-head.jpg' => fn ($request) => $request->method() === 'HEAD'
+                ? Http::response('', 405)
+                : Http::response('x', 206),
+            'https://images.example/gone.jpg' => fn ($request) => Http::response('', $request->method() === 'HEAD' ? 403 : 410),
+            'https://images.example/offline.jpg' => fn () => throw new ConnectionException('Could not resolve host'),
+        ]);
+
+        $this->postJson('/api/met/failures', ['id' => 23])->assertStatus(202)->assertJsonPath('recorded', false);
+        $this->postJson('/api/met/failures', ['id' => 24])->assertStatus(202)->assertJsonPath('recorded', true);
+        $this->postJson('/api/met/failures', ['id' => 25])->assertStatus(202)->assertJsonPath('recorded', false);
+
+        $this->assertFalse(MetObjectFailure::isBlocked(23));
+        $this->assertTrue(MetObjectFailure::isBlocked(24));
+        $this->assertFalse(MetObjectFailure::isBlocked(25));
+
+        Http::assertSent(fn ($request) => $request->url() === 'https://images.example/no-head.jpg'
+            && $request->method() === 'GET'
+            && $request->header('Range') === ['bytes=0-0']);
+    }
+
+    public function test_reports_for_gateway_errors_are_not_recorded(): void
+    {
+        Http::fake([
+            "{$this->metBase}/objects/22" => Http::response([], 504),
+        ]);
+
+        $this->postJson('/api/met/failures', ['id' => 22])->assertStatus(202)->assertJsonPath('recorded', false);
+
+        $this->assertFalse(MetObjectFailure::isBlocked(22));
+    }
+
+    public function test_search_forwards_only_the_facets_that_are_set(): void
+    {
+        Http::fake([
+            "{$this->metBase}/search*" => Http::response(['total' => 1, 'objectIDs' => [1]]),
+        ]);
+
+        $this->getJson('/api/met/search?q=landscape&departmentId=11&dateBegin=1850&dateEnd=1900&geoLocation=France&isOnView=true&isHighlight=false&medium=')
+            ->assertOk()
+            ->assertJsonPath('objectIDs.0', 1);
+
+        Http::assertSent(fn ($request) => $request['q'] === 'landscape'
+            && $request['departmentId'] == 11
+            && $request['dateBegin'] == 1850
+            && $request['dateEnd'] == 1900
+            && $request['geoLocation'] === 'France'
+            && $request['isOnView'] === 'true'
+            && !isset($request['isHighlight'])
+            && !isset($request['medium']));
+    }
+
+    public function test_artist_searches_are_limited_to_artist_and_culture_fields(): void
+    {
+        Http::fake([
+            "{$this->metBase}/search*" => Http::response(['total' => 1, 'objectIDs' => [436535]]),
+        ]);
+
+        $this->getJson('/api/met/search?q=Vincent%20van%20Gogh&artistOrCulture=true')->assertOk();
+
+        Http::assertSent(fn ($request) => $request['q'] === 'Vincent van Gogh'
+            && $request['artistOrCulture'] === 'true');
+    }
+
+    public function test_search_cache_keys_include_every_facet(): void
+    {
+        Http::fake([
+            "{$this->metBase}/search*" => Http::sequence()
+                ->push(['total' => 1, 'objectIDs' => [1]])
+                ->push(['total' => 1, 'objectIDs' => [2]]),
+        ]);
+
+        $this->getJson('/api/met/search?q=vase')->assertJsonPath('objectIDs.0', 1);
+        $this->getJson('/api/met/search?q=vase&departmentId=6')->assertJsonPath('objectIDs.0', 2);
+        $this->getJson('/api/met/search?q=vase')->assertJsonPath('objectIDs.0', 1);
+
+        Http::assertSentCount(2);
+    }
+
+    public function test_search_rejects_invalid_facets(): void
+    {
+        Http::fake();
+
+        $this->getJson('/api/met/search?q=vase&departmentId=abc')->assertStatus(422);
+        $this->getJson('/api/met/search?q=vase&dateBegin=1900')->assertStatus(422);
+        $this->getJson('/api/met/search?q=vase&dateBegin=1900&dateEnd=1800')->assertStatus(422);
+        $this->getJson('/api/met/search?q=vase&isOnView=yes')->assertStatus(422);
+
+        Http::assertNothingSent();
+    }
+
+    public function test_departments_are_cached_after_the_first_request(): void
+    {
+        Http::fake([
+            "{$this->metBase}/departments" => Http::response(['departments' => [
+                ['departmentId' => 11, 'displayName' => 'European Paintings'],
+            ]]),
+        ]);
+
+        $this->getJson('/api/met/departments')->assertOk()->assertJsonPath('departments.0.departmentId', 11);
+        $this->getJson('/api/met/departments')->assertOk()->assertJsonPath('departments.0.displayName', 'European Paintings');
+
+        Http::assertSentCount(1);
+    }
+
+    public function test_failed_department_lookups_are_not_cached(): void
+    {
+        Http::fake([
+            "{$this->metBase}/departments" => Http::sequence()
+                ->push([], 500)
+                ->push(['departments' => [['departmentId' => 6, 'displayName' => 'Asian Art']]]),
+        ]);
+
+        $this->getJson('/api/met/departments')->assertOk()->assertJsonPath('departments', []);
+        $this->getJson('/api/met/departments')->assertOk()->assertJsonPath('departments.0.departmentId', 6);
+    }
+}
@@ -0,0 +1,46 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Inertia\Testing\AssertableInertia as Assert;
+use Tests\TestCase;
+
+class SearchPageTest extends TestCase
+{
+    use RefreshDatabase;
+
+    public function test_guests_are_redirected_to_login(): void
+    {
+        $this->get('/search?q=monet')->assertRedirect('/login');
+    }
+
+    public function test_search_page_receives_the_query_from_the_url(): void
+    {
+        $this->actingAs(User::factory()->create(['is_verified' => true]))
+            ->get('/search?q=%20water%20lilies%20')
+            ->assertOk()
+            ->assertInertia(fn (Assert $page) => $page
+                ->component('Search')
+                ->where('query', 'water lilies'));
+    }
+
+    public function test_search_page_without_query_shows_the_prompt(): void
+    {
+        $this->actingAs(User::factory()->create(['is_verified' => true]))
+            ->get('/search')
+            ->assertOk()
+            ->assertInertia(fn (Assert $page) => $page->component('Search')->where('query', ''));
+    }
+
+    public function test_search_page_receives_the_filters_from_the_url(): void
+    {
+        $this->actingAs(User::factory()->create(['is_verified' => true]))
+            ->get('/search?q=vase&departmentId=6&publicDomain=true&medium=&unknown=1')
+            ->assertOk()
+            ->assertInertia(fn (Assert $page) => $page
+                ->component('Search')
+                ->where('filters', ['departmentId' => '6', 'publicDomain' => 'true']));
+    }
+}
@@ -0,0 +1,186 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\TimelineCuration;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Cache;
+use Illuminate\Support\Facades\Http;
+use Tests\TestCase;
+
+class TimelineCurationTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private string $metBase = 'https://collectionapi.metmuseum.org/public/collection/v1';
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Cache::flush();
+    }
+
+    public function test_non_admins_cannot_curate(): void
+    {
+        $user = User::factory()->create(['is_verified' => true]);
+
+        $this->actingAs($user)
+            ->postJson('/api/admin/curation/renaissance', ['object_id' => 1, 'type' => 'pin'])
+            ->assertForbidden();
+        $this->actingAs($user)->get('/admin/curation')->assertForbidden();
+
+        $this->assertSame(0, TimelineCuration::count());
+    }
+
+    public function test_pinned_objects_come_first_even_outside_the_date_range(): void
+    {
+        $this->fakeMet([1, 2], [
+            1 => $this->object(1, 1500, 1510),
+            2 => $this->object(2, 1520, 1530),
+            99 => $this->object(99, 1850, 1860),
+        ]);
+
+        $this->actingAs(User::factory()->admin()->create())
+            ->postJson('/api/admin/curation/renaissance', ['object_id' => 99, 'type' => 'pin', 'note' => 'Late echo'])
+            ->assertCreated()
+            ->assertJsonPath('curation.position', 1);
+
+        $ids = array_column($this->getJson('/api/timeline/renaissance?limit=3&seed=1')->json(), 'id');
+
+        $this->assertSame(99, $ids[0]);
+        $this->assertEqualsCanonicalizing([1, 2, 99], $ids);
+    }
+
+    public function test_pages_never_repeat_pins_when_some_cannot_be_shown(): void
+    {
+        $this->fakeMet([1, 2, 11, 3], [
+            1 => $this->object(1, 1500, 1510),
+            2 => $this->object(2, 1520, 1530),
+            3 => $this->object(3, 1540, 1550),
+            10 => [...$this->object(10, 1500, 1510), 'primaryImageSmall' => ''],
+            11 => $this->object(11, 1500, 1510),
+        ]);
+
+        $admin = User::factory()->admin()->create();
+        foreach ([10, 11] as $id) {
+            $this->actingAs($admin)->postJson('/api/admin/curation/renaissance', ['object_id' => $id, 'type' => 'pin']);
+        }
+
+        $pages = array_map(
+            fn ($page) => array_column($this->getJson("/api/timeline/renaissance?limit=1&seed=1&page={$page}")->json(), 'id'),
+            [1, 2, 3, 4, 5]
+        );
+
+        $this->assertSame([11], $pages[0]);
+        $this->assertSame([], $pages[4]);
+        // Each artwork exactly once across the pages
+        $this->assertEqualsCanonicalizing([11, 1, 2, 3], array_merge(...$pages));
+    }
+
+    public function test_excluded_objects_are_never_returned(): void
+    {
+        $this->fakeMet([1, 2, 3], [
+            1 => $this->object(1, 1500, 1510),
+            2 => $this->object(2, 1520, 1530),
+            3 => $this->object(3, 1540, 1550),
+        ]);
+
+        $this->assertContains(2, array_column($this->getJson('/api/timeline/renaissance?limit=3&seed=1')->json(), 'id'));
+
+        $this->actingAs(User::factory()->admin()->create())
+            ->postJson('/api/admin/curation/renaissance', ['object_id' => 2, 'type' => 'exclude'])
+            ->assertCreated();
+
+        $this->assertNotContains(2, array_column($this->getJson('/api/timeline/renaissance?limit=3&seed=1')->json(), 'id'));
+    }
+
+    public function test_admins_can_reorder_and_remove_pins(): void
+    {
+        $this->fakeMet([], [
+            1 => $this->object(1, 1500, 1510),
+            2 => $this->object(2, 1520, 1530),
+            3 => $this->object(3, 1540, 1550),
+        ]);
+
+        $admin = User::factory()->admin()->create();
+
+        foreach ([1, 2, 3] as $id) {
+            $this->actingAs($admin)->postJson('/api/admin/curation/renaissance', ['object_id' => $id, 'type' => 'pin']);
+        }
+
+        $this->actingAs($admin)
+            ->putJson('/api/admin/curation/renaissance/order', ['object_ids' => [3, 1]])
+            ->assertOk();
+        $this->assertSame([3, 1, 2], array_column($this->getJson('/api/timeline/renaissance?limit=3')->json(), 'id'));
+
+        $this->actingAs($admin)->deleteJson('/api/admin/curation/renaissance/1')->assertOk();
+        $this->actingAs($admin)->deleteJson('/api/admin/curation/renaissance/1')->assertNotFound();
+        $this->assertSame([3, 2], array_column($this->getJson('/api/timeline/renaissance?limit=3')->json(), 'id'));
+
+        $this->actingAs($admin)
+            ->getJson('/api/admin/curation')
+            ->assertOk()
+            ->assertJsonPath('renaissance.pinned.0.object_id', 3)
+            ->assertJsonCount(0, 'renaissance.excluded');
+    }
+
+    public function test_curation_changes_bump_the_period_version(): void
+    {
+        $admin = User::factory()->admin()->create();
+        $version = fn () => collect($this->getJson('/api/timeline')->json())->firstWhere('id', 'renaissance')['version'];
+
+        $versions = [$version()];
+
+        $this->travel(1)->minutes();
+        $this->actingAs($admin)->postJson('/api/admin/curation/renaissance', ['object_id' => 1, 'type' => 'pin']);
+        $this->actingAs($admin)->postJson('/api/admin/curation/renaissance', ['object_id' => 2, 'type' => 'pin']);
+        $versions[] = $version();
+
+        $this->travel(1)->minutes();
+        $this->actingAs($admin)->putJson('/api/admin/curation/renaissance/order', ['object_ids' => [2, 1]])->assertOk();
+        $versions[] = $version();
+
+        $this->travel(1)->minutes();
+        $this->actingAs($admin)->deleteJson('/api/admin/curation/renaissance/1')->assertOk();
+        $versions[] = $version();
+
+        $this->assertCount(4, array_unique($versions));
+    }
+
+    public function test_curating_an_unknown_period_returns_not_found(): void
+    {
+        $this->actingAs(User::factory()->admin()->create())
+            ->postJson('/api/admin/curation/prehistoric', ['object_id' => 1, 'type' => 'pin'])
+            ->assertNotFound();
+    }
+
+    /**
+     * Fake Met search results and object lookups.
+     *
+     * @param int[] $searchIds
+     * @param array<int, array> $objects
+     */
+    private function fakeMet(array $searchIds, array $objects): void
+    {
+        $fakes = ["{$this->metBase}/search*" => Http::response(['total' => count($searchIds), 'objectIDs' => $searchIds])];
+
+        foreach ($objects as $id => $object) {
+            $fakes["{$this->metBase}/objects/{$id}"] = Http::response($object);
+        }
+
+        Http::fake($fakes);
+    }
+
+    private function object(int $id, int $begin, int $end): array
+    {
+        return [
+            'objectID' => $id,
+            'title' => "Work {$id}",
+            'primaryImageSmall' => 'https://images.metmuseum.org/x.jpg',
+            'objectBeginDate' => $begin,
+            'objectEndDate' => $end,
+        ];
+    }
+}
@@ -0,0 +1,191 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\TimelinePeriod;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Cache;
+use Illuminate\Support\Facades\Http;
+use Tests\TestCase;
+
+class TimelinePeriodTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private string $metBase = 'https://collectionapi.metmuseum.org/public/collection/v1';
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Cache::flush();
+    }
+
+    public function test_unknown_period_returns_not_found(): void
+    {
+        Http::fake();
+
+        $this->getJson('/api/timeline/prehistoric')->assertNotFound();
+    }
+
+    public function test_period_returns_only_in_range_artworks_with_image_and_title(): void
+    {
+        Http::fake([
+            "{$this->metBase}/search*" => Http::response(['total' => 4, 'objectIDs' => [1, 2, 3, 4]]),
+            "{$this->metBase}/objects/1" => Http::response($this->object(1, 1500, 1510)),
+            "{$this->metBase}/objects/2" => Http::response($this->object(2, 1850, 1860)),
+            "{$this->metBase}/objects/3" => Http::response($this->object(3, 1450, 1460, image: '')),
+            "{$this->metBase}/objects/4" => Http::response($this->object(4, 1590, 1620, title: ' ')),
+        ]);
+
+        $response = $this->getJson('/api/timeline/renaissance?limit=10');
+
+        $response->assertOk();
+        $this->assertSame([1], array_column($response->json(), 'id'));
+
+        Http::assertSent(fn ($request) => str_contains($request->url(), '/search')
+            && $request['dateBegin'] == 1400
+            && $request['dateEnd'] == 1600);
+    }
+
+    public function test_period_artworks_include_full_resolution_and_additional_images(): void
+    {
+        Http::fake([
+            "{$this->metBase}/search*" => Http::response(['total' => 1, 'objectIDs' => [1]]),
+            "{$this->metBase}/objects/1" => Http::response([
+                ...$this->object(1, 1500, 1510, image: 'https://images.metmuseum.org/web-large/x.jpg'),
+                'primaryImage' => 'https://images.metmuseum.org/original/x.jpg',
+                'additionalImages' => ['https://images.metmuseum.org/original/x-2.jpg'],
+            ]),
+        ]);
+
+        $this->getJson('/api/timeline/renaissance')
+            ->assertOk()
+            ->assertJsonPath('0.image', 'https://images.metmuseum.org/web-large/x.jpg')
+            ->assertJsonPath('0.imageFull', 'https://images.metmuseum.org/original/x.jpg')
+            ->assertJsonPath('0.additionalImages.0', 'https://images.metmuseum.org/original/x-2.jpg');
+    }
+
+    public function test_period_pages_continue_without_repeating_artworks(): void
+    {
+        $fakes = ["{$this->metBase}/search*" => Http::response(['total' => 5, 'objectIDs' => [1, 2, 3, 4, 5]])];
+        foreach ([1, 2, 3, 4, 5] as $id) {
+            $fakes["{$this->metBase}/objects/{$id}"] = Http::response($this->object($id, 1500, 1510));
+        }
+        Http::fake($fakes);
+
+        $pages = array_map(
+            fn ($page) => array_column($this->getJson("/api/timeline/renaissance?limit=2&seed=7&page={$page}")->json(), 'id'),
+            [1, 2, 3, 4]
+        );
+
+        $this->assertCount(2, $pages[0]);
+        $this->assertCount(2, $pages[1]);
+        $this->assertCount(1, $pages[2]);
+        $this->assertSame([], $pages[3]);
+        $this->assertEqualsCanonicalizing([1, 2, 3, 4, 5], array_merge(...$pages));
+    }
+
+    public function test_pages_past_the_pool_cap_are_empty_without_calling_the_met(): void
+    {
+        Http::fake();
+
+        $this->getJson('/api/timeline/renaissance?limit=20&page=4')->assertOk()->assertExactJson([]);
+
+        Http::assertNothingSent();
+    }
+
+    public function test_period_requests_are_throttled(): void
+    {
+        Http::fake();
+
+        for ($i = 0; $i < 60; $i++) {
+            $this->getJson('/api/timeline/prehistoric')->assertNotFound();
+        }
+
+        $this->getJson('/api/timeline/prehistoric')->assertStatus(429);
+    }
+
+    public function test_seeds_differing_by_the_old_generator_period_give_different_orders(): void
+    {
+        $ids = range(1, 20);
+        $fakes = ["{$this->metBase}/search*" => Http::response(['total' => count($ids), 'objectIDs' => $ids])];
+        foreach ($ids as $id) {
+            $fakes["{$this->metBase}/objects/{$id}"] = Http::response($this->object($id, 1500, 1510));
+        }
+        Http::fake($fakes);
+
+        $order = fn ($seed) => array_column($this->getJson("/api/timeline/renaissance?limit=20&seed={$seed}")->json(), 'id');
+
+        $this->assertSame($order(7), $order(7));
+        $this->assertNotSame($order(7), $order(7 + 233280));
+        $this->assertNotSame($order(7), $order(8));
+    }
+
+    public function test_out_of_range_seeds_are_rejected(): void
+    {
+        Http::fake();
+
+        $this->getJson('/api/timeline/renaissance?seed=-5')->assertUnprocessable()->assertJsonValidationErrors('seed');
+        $this->getJson('/api/timeline/renaissance?seed=2147483648')->assertUnprocessable();
+        $this->getJson('/api/timeline/renaissance?seed=abc')->assertUnprocessable();
+
+        Http::assertNothingSent();
+    }
+
+    public function test_period_definitions_are_served_in_timeline_order(): void
+    {
+        $response = $this->getJson('/api/timeline');
+
+        $response->assertOk()
+            ->assertJsonPath('2.id', 'renaissance')
+            ->assertJsonPath('2.startDate', 1400)
+            ->assertJsonPath('2.scene.geometry', 'sphere');
+        $this->assertSame(
+            ['ancient', 'medieval', 'renaissance', 'baroque', 'modern'],
+            array_column($response->json(), 'id')
+        );
+    }
+
+    public function test_curators_can_add_and_retire_periods_without_code_changes(): void
+    {
+        TimelinePeriod::create([
+            'slug' => 'islamic',
+            'sort_order' => 6,
+            'title' => 'Islamic Golden Age',
+            'period_label' => '750 – 1258',
+            'start_date' => 750,
+            'end_date' => 1258,
+            'queries' => ['Islamic ceramics'],
+            'color' => '#14b8a6',
+        ]);
+        TimelinePeriod::where('slug', 'baroque')->firstOrFail()->update(['is_active' => false]);
+
+        Http::fake([
+            "{$this->metBase}/search*" => Http::response(['total' => 1, 'objectIDs' => [1]]),
+            "{$this->metBase}/objects/1" => Http::response($this->object(1, 900, 950)),
+        ]);
+
+        $ids = array_column($this->getJson('/api/timeline')->json(), 'id');
+        $this->assertContains('islamic', $ids);
+        $this->assertNotContains('baroque', $ids);
+
+        $this->getJson('/api/timeline/islamic')->assertOk()->assertJsonPath('0.id', 1);
+        $this->getJson('/api/timeline/baroque')->assertNotFound();
+
+        Http::assertSent(fn ($request) => str_contains($request->url(), '/search')
+            && $request['q'] === 'Islamic ceramics'
+            && $request['dateBegin'] == 750);
+    }
+
+    private function object(int $id, int $begin, int $end, string $image = 'https://images.metmuseum.org/x.jpg', string $title = 'Work'): array
+    {
+        return [
+            'objectID' => $id,
+            'title' => $title,
+            'primaryImageSmall' => $image,
+            'objectBeginDate' => $begin,
+            'objectEndDate' => $end,
+        ];
+    }
+}
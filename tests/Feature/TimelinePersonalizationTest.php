@@ -0,0 +1,99 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\User;
+use App\Models\UserArtwork;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Cache;
+use Illuminate\Support\Facades\Http;
+use Tests\TestCase;
+
+class TimelinePersonalizationTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private string $metBase = 'https://collectionapi.metmuseum.org/public/collection/v1';
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Cache::flush();
+
+        $fakes = ["{$this->metBase}/search*" => Http::response(['total' => 5, 'objectIDs' => [1, 2, 3, 4, 5]])];
+        foreach ([1, 2, 3, 4, 5] as $id) {
+            $fakes["{$this->metBase}/objects/{$id}"] = Http::response($this->object($id, $id <= 2 ? 'Titian' : 'Unknown'));
+        }
+        Http::fake($fakes);
+    }
+
+    public function test_personalised_timeline_skips_saved_artworks_and_still_fills_the_period(): void
+    {
+        $user = User::factory()->create(['is_verified' => true]);
+        UserArtwork::create(['user_id' => $user->id, 'artwork_id' => '1', 'title' => 'Work 1']);
+
+        $ids = array_column(
+            $this->actingAs($user)->getJson('/api/timeline/renaissance?limit=4&seed=7&personalize=1')->json(),
+            'id'
+        );
+
+        $this->assertEqualsCanonicalizing([2, 3, 4, 5], $ids);
+
+        // The favourite artist is searched within the period's dates
+        Http::assertSent(fn ($request) => str_contains($request->url(), '/search')
+            && $request['q'] === 'Titian'
+            && $request['dateBegin'] == 1400);
+    }
+
+    public function test_collection_version_changes_when_the_collection_does(): void
+    {
+        $user = User::factory()->create(['is_verified' => true]);
+        $version = fn () => $this->actingAs($user)->get('/timeline')->viewData('page')['props']['collectionVersion'];
+
+        $empty = $version();
+        UserArtwork::create(['user_id' => $user->id, 'artwork_id' => '1', 'title' => 'Work 1']);
+        $saved = $version();
+
+        $this->assertNotNull($empty);
+        $this->assertNotSame($empty, $saved);
+
+        UserArtwork::where('user_id', $user->id)->delete();
+        $this->assertSame($empty, $version());
+    }
+
+    public function test_guests_get_the_shared_order(): void
+    {
+        $shared = $this->getJson('/api/timeline/renaissance?limit=4&seed=7')->json();
+
+        $this->assertSame($shared, $this->getJson('/api/timeline/renaissance?limit=4&seed=7&personalize=1')->json());
+
+        Http::assertNotSent(fn ($request) => str_contains($request->url(), '/search') && $request['q'] === 'Titian');
+    }
+
+    public function test_users_without_saved_artworks_get_the_shared_order(): void
+    {
+        $shared = $this->getJson('/api/timeline/renaissance?limit=4&seed=7')->json();
+        $user = User::factory()->create(['is_verified' => true]);
+
+        $this->assertSame(
+            $shared,
+            $this->actingAs($user)->getJson('/api/timeline/renaissance?limit=4&seed=7&personalize=1')->json()
+        );
+    }
+
+    private function object(int $id, string $artist): array
+    {
+        return [
+            'objectID' => $id,
+            'title' => "Work {$id}",
+            'artistDisplayName' => $artist,
+            'culture' => 'Italian',
+            'department' => 'European Paintings',
+            'classification' => 'Paintings',
+            'primaryImageSmall' => 'https://images.metmuseum.org/x.jpg',
+            'objectBeginDate' => 1500,
+            'objectEndDate' => 1510,
+        ];
+    }
+}
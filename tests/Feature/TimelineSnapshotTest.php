@@ -0,0 +1,94 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\TimelineSnapshot;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Cache;
+use Illuminate\Support\Facades\Http;
+use Inertia\Testing\AssertableInertia as Assert;
+use Tests\TestCase;
+
+class TimelineSnapshotTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private string $metBase = 'https://collectionapi.metmuseum.org/public/collection/v1';
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Cache::flush();
+
+        $fakes = [];
+        foreach ([1, 2, 3, 4] as $id) {
+            $fakes["{$this->metBase}/objects/{$id}"] = Http::response([
+                'objectID' => $id,
+                'title' => "Work {$id}",
+                'primaryImageSmall' => 'https://images.metmuseum.org/x.jpg',
+                'objectBeginDate' => 1500,
+                'objectEndDate' => 1510,
+            ]);
+        }
+        Http::fake($fakes);
+    }
+
+    public function test_snapshots_replay_the_shared_artworks_in_order(): void
+    {
+        $user = User::factory()->create(['is_verified' => true]);
+
+        $response = $this->actingAs($user)->postJson('/api/timeline/snapshots', [
+            'seed' => 42,
+            'periods' => ['renaissance' => [3, 1], 'baroque' => [4]],
+        ]);
+
+        $response->assertCreated();
+        $token = $response->json('token');
+        $this->assertStringEndsWith("/timeline?snapshot={$token}", $response->json('url'));
+
+        $this->actingAs(User::factory()->create(['is_verified' => true]))
+            ->getJson("/api/timeline/snapshots/{$token}")
+            ->assertOk()
+            ->assertJsonPath('seed', 42)
+            ->assertJsonPath('periods.renaissance.0.id', 3)
+            ->assertJsonPath('periods.renaissance.1.id', 1)
+            ->assertJsonPath('periods.baroque.0.id', 4);
+    }
+
+    public function test_unknown_periods_are_dropped_and_empty_snapshots_rejected(): void
+    {
+        $user = User::factory()->create(['is_verified' => true]);
+
+        $this->actingAs($user)
+            ->postJson('/api/timeline/snapshots', ['periods' => ['prehistoric' => [1]]])
+            ->assertStatus(422);
+
+        $this->actingAs($user)
+            ->postJson('/api/timeline/snapshots', ['periods' => ['renaissance' => [2], 'prehistoric' => [1]]])
+            ->assertCreated();
+
+        $this->assertSame(['renaissance' => [2]], TimelineSnapshot::firstOrFail()->periods);
+    }
+
+    public function test_unknown_snapshot_returns_not_found(): void
+    {
+        $this->actingAs(User::factory()->create(['is_verified' => true]))
+            ->getJson('/api/timeline/snapshots/' . str_repeat('a', 32))
+            ->assertNotFound();
+    }
+
+    public function test_timeline_page_receives_the_requested_seed(): void
+    {
+        $this->get('/timeline?seed=42')->assertRedirect();
+
+        $this->actingAs(User::factory()->create(['is_verified' => true]))
+            ->get('/timeline?seed=42')
+            ->assertOk()
+            ->assertInertia(fn (Assert $page) => $page
+                ->component('Timeline')
+                ->where('seed', 42)
+                ->where('snapshot', null));
+    }
+}